@@ -12,6 +12,8 @@ const COMPLAINT_STATUS = {
   SUBMITTED: "submitted",
   ASSIGNED: "assigned",
   IN_PROGRESS: "in-progress",
+  // Waiting for information from the complainant; the SLA clock is paused
+  AWAITING_REQUESTER: "awaiting-requester",
   RESOLVED: "resolved",
   ESCALATED: "escalated",
   CLOSED: "closed",
@@ -53,12 +55,221 @@ const DEPARTMENTS = [
   "General",
 ];
 
+// Ticket IDs: <prefix>-<year>-<sequence>, numbered per department and year
+const TICKET_CONFIG = {
+  SEQUENCE_LENGTH: 6,
+  DEFAULT_PREFIX: "GEN",
+  DEPARTMENT_PREFIXES: {
+    "IT Support": "IT",
+    Electrical: "ELC",
+    Plumbing: "PLB",
+    Maintenance: "MNT",
+    Security: "SEC",
+    Administration: "ADM",
+    Finance: "FIN",
+    "Human Resources": "HR",
+    "Customer Service": "CS",
+    General: "GEN",
+  },
+  PATTERN: /^[A-Z]{2,5}-\d{4}-\d{6,}$/,
+};
+
 // Escalation Settings
 const ESCALATION_CONFIG = {
   CHECK_INTERVAL_MINUTES: 60,
   BUFFER_HOURS: 1, // Grace period before escalation
 };
 
+// SLA tiers tracked per complaint
+const SLA_TIERS = {
+  ACKNOWLEDGE: "acknowledge",
+  FIRST_RESPONSE: "first_response",
+  RESOLUTION: "resolution",
+};
+
+// SLA Monitoring Settings
+const SLA_CONFIG = {
+  CHECK_INTERVAL_MINUTES: 15,
+};
+
+// Resolved complaints: the complainant may reopen them for a while, and
+// without a response they are closed automatically after a reminder
+const RESOLUTION_CONFIG = {
+  REOPEN_WINDOW_DAYS: parseInt(process.env.REOPEN_WINDOW_DAYS) || 7,
+  AUTO_CLOSE_AFTER_DAYS: parseInt(process.env.AUTO_CLOSE_AFTER_DAYS) || 7,
+  // How long before auto-closing the complainant is reminded
+  AUTO_CLOSE_REMINDER_DAYS: parseInt(process.env.AUTO_CLOSE_REMINDER_DAYS) || 2,
+  CHECK_INTERVAL_MINUTES: 30,
+};
+
+// Conditions an auto-assignment rule can match on
+const ASSIGNMENT_RULE_CONDITIONS = {
+  PRIORITY: "priority",
+  KEYWORD: "keyword",
+  DEPARTMENT: "department", // Submitter's department
+  USER_ROLE: "user_role", // Submitter's role
+  TIME_OF_DAY: "time_of_day",
+};
+
+// Fallback strategies used when no auto-assignment rule matches
+const ASSIGNMENT_STRATEGIES = {
+  LEAST_LOADED: "least_loaded",
+  ROUND_ROBIN: "round_robin",
+  SKILLS: "skills",
+};
+
+// Workload and capacity defaults, used when no capacity policy applies
+const WORKLOAD_CONFIG = {
+  DEFAULT_CAPACITY: 20,
+  // How much an open complaint of each priority counts towards capacity
+  PRIORITY_WEIGHTS: {
+    low: 1,
+    medium: 1,
+    high: 2,
+    urgent: 3,
+  },
+};
+
+// Staff availability states
+const STAFF_AVAILABILITY = {
+  AVAILABLE: "available", // No shifts configured
+  ON_SHIFT: "on_shift",
+  OFF_SHIFT: "off_shift",
+  OUT_OF_OFFICE: "out_of_office",
+};
+
+// Complaint conversation: staff-only notes and the public comment thread
+const COMMENT_VISIBILITY = {
+  INTERNAL: "internal",
+  PUBLIC: "public",
+};
+
+const COMMENT_CONFIG = {
+  EDIT_WINDOW_MINUTES: 15, // Authors can edit for this long after posting
+  DELETE_WINDOW_MINUTES: 60, // Authors can delete for this long; admins always
+  MAX_LENGTH: 2000,
+  MAX_MENTIONS: 10,
+  DEFAULT_PAGE_SIZE: 20,
+  MAX_PAGE_SIZE: 100, // Same cap as validatePagination
+};
+
+// Duplicate detection when complaints are submitted
+const DUPLICATE_DETECTION = {
+  WINDOW_DAYS: 14, // Only complaints submitted this recently are compared
+  MAX_CANDIDATES: 200,
+  MAX_RESULTS: 5,
+  MIN_SCORE: 0.5, // Similarity (0-1) from which a complaint counts as a duplicate
+  TITLE_WEIGHT: 0.6,
+  DESCRIPTION_WEIGHT: 0.4,
+  LOCATION_BONUS: 0.15, // Added when both complaints name the same location
+};
+
+// Relationships between complaints. A link is stored on both complaints,
+// each side using the type that reads correctly from that complaint.
+const COMPLAINT_LINK_TYPES = {
+  DUPLICATE_OF: "duplicate_of",
+  DUPLICATED_BY: "duplicated_by",
+  RELATED_TO: "related_to",
+  CAUSED_BY: "caused_by",
+  CAUSES: "causes",
+  PARENT_OF: "parent_of",
+  CHILD_OF: "child_of",
+};
+
+// The type stored on the other complaint for each link type
+const COMPLAINT_LINK_INVERSES = {
+  [COMPLAINT_LINK_TYPES.DUPLICATE_OF]: COMPLAINT_LINK_TYPES.DUPLICATED_BY,
+  [COMPLAINT_LINK_TYPES.DUPLICATED_BY]: COMPLAINT_LINK_TYPES.DUPLICATE_OF,
+  [COMPLAINT_LINK_TYPES.RELATED_TO]: COMPLAINT_LINK_TYPES.RELATED_TO,
+  [COMPLAINT_LINK_TYPES.CAUSED_BY]: COMPLAINT_LINK_TYPES.CAUSES,
+  [COMPLAINT_LINK_TYPES.CAUSES]: COMPLAINT_LINK_TYPES.CAUSED_BY,
+  [COMPLAINT_LINK_TYPES.PARENT_OF]: COMPLAINT_LINK_TYPES.CHILD_OF,
+  [COMPLAINT_LINK_TYPES.CHILD_OF]: COMPLAINT_LINK_TYPES.PARENT_OF,
+};
+
+// Actions that can be applied to many complaints at once
+const BULK_ACTIONS = {
+  ASSIGN: "assign",
+  STATUS: "status",
+  PRIORITY: "priority",
+  TAG: "tag",
+  ESCALATE: "escalate",
+  CLOSE: "close",
+};
+
+const BULK_CONFIG = {
+  MAX_ITEMS: 100, // Complaints a single bulk request may change
+};
+
+// Types of the custom fields a category can ask complainants to fill in
+const CUSTOM_FIELD_TYPES = {
+  TEXT: "text",
+  NUMBER: "number",
+  SELECT: "select",
+  DATE: "date",
+};
+
+const CUSTOM_FIELD_CONFIG = {
+  MAX_FIELDS: 20, // Per category
+  MAX_OPTIONS: 50, // Per select field
+  MAX_TEXT_LENGTH: 500,
+  KEY_PATTERN: /^[a-z][a-z0-9_]{1,39}$/,
+  FILTER_PREFIX: "cf.", // Query parameters filtering on a field, e.g. cf.floor=3
+};
+
+// Complaint search (see SearchService)
+const SEARCH_CONFIG = {
+  MAX_QUERY_LENGTH: 200,
+  SNIPPET_LENGTH: 160, // Characters of context around the first match
+  SNIPPET_LEAD: 60, // Characters shown before the first match
+  MAX_SNIPPETS: 2, // Per complaint
+  NOTE_SEPARATOR: "\n\n", // Between comments copied for the text index
+};
+
+// Who can use a saved complaint list view
+const SAVED_VIEW_VISIBILITY = {
+  PRIVATE: "private",
+  DEPARTMENT: "department", // Shared with the staff of the owner's department
+};
+
+const SAVED_VIEW_CONFIG = {
+  MAX_PER_USER: 30,
+  // Views store the list filters of ComplaintQueryService.FILTER_KEYS and
+  // custom field filters (cf.<key>), and keep the list's sort
+  SORT_KEYS: ["sortBy", "sortOrder"],
+};
+
+// Complaint export file formats
+const EXPORT_FORMATS = {
+  CSV: "csv",
+  XLSX: "xlsx",
+  NDJSON: "ndjson",
+};
+
+// Background export job states
+const EXPORT_JOB_STATUS = {
+  PENDING: "pending",
+  PROCESSING: "processing",
+  COMPLETED: "completed",
+  FAILED: "failed",
+};
+
+const EXPORT_CONFIG = {
+  // Exports of more complaints than this run as background jobs
+  ASYNC_THRESHOLD: parseInt(process.env.EXPORT_ASYNC_THRESHOLD) || 5000,
+  // How long the file of a background export can be downloaded
+  RETENTION_HOURS: parseInt(process.env.EXPORT_RETENTION_HOURS) || 24,
+  CLEANUP_INTERVAL_MINUTES: 60,
+  // Complaints whose comments are loaded together for comment columns
+  COMMENT_BATCH_SIZE: 200,
+};
+
+// Bulk import of complaints from CSV/XLSX files
+const IMPORT_CONFIG = {
+  MAX_ROWS: 10000,
+  MAX_FILE_SIZE: 20 * 1024 * 1024, // 20MB
+};
+
 // API Response Messages
 const RESPONSE_MESSAGES = {
   SUCCESS: {
@@ -70,12 +281,21 @@ const RESPONSE_MESSAGES = {
     COMPLAINT_ASSIGNED: "Complaint assigned successfully",
     STATUS_UPDATED: "Status updated successfully",
     FEEDBACK_SUBMITTED: "Feedback submitted successfully",
+    FEEDBACK_RESPONDED: "Response added to feedback successfully",
+    COMMENT_ADDED: "Comment added successfully",
+    COMMENT_UPDATED: "Comment updated successfully",
+    COMMENT_DELETED: "Comment deleted successfully",
   },
   ERROR: {
     USER_NOT_FOUND: "User not found",
     INVALID_CREDENTIALS: "Invalid credentials",
     USER_EXISTS: "User already exists",
     COMPLAINT_NOT_FOUND: "Complaint not found",
+    FEEDBACK_NOT_FOUND: "Feedback not found",
+    FEEDBACK_EXISTS: "Feedback has already been submitted for this complaint",
+    COMMENT_NOT_FOUND: "Comment not found",
+    COMPLAINT_MERGED: "This complaint was merged into another complaint",
+    POSSIBLE_DUPLICATES: "Similar complaints have already been submitted",
     UNAUTHORIZED: "Not authorized to access this resource",
     FORBIDDEN: "Access forbidden",
     VALIDATION_ERROR: "Validation error",
@@ -90,6 +310,7 @@ const RESPONSE_MESSAGES = {
 const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
+  ACCEPTED: 202,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
@@ -106,7 +327,31 @@ module.exports = {
   FEEDBACK_RATING,
   DEFAULT_RESOLUTION_TIMES,
   DEPARTMENTS,
+  TICKET_CONFIG,
   ESCALATION_CONFIG,
+  SLA_TIERS,
+  SLA_CONFIG,
+  RESOLUTION_CONFIG,
+  ASSIGNMENT_RULE_CONDITIONS,
+  ASSIGNMENT_STRATEGIES,
+  STAFF_AVAILABILITY,
+  COMMENT_VISIBILITY,
+  COMMENT_CONFIG,
+  WORKLOAD_CONFIG,
+  DUPLICATE_DETECTION,
+  COMPLAINT_LINK_TYPES,
+  COMPLAINT_LINK_INVERSES,
+  BULK_ACTIONS,
+  BULK_CONFIG,
+  CUSTOM_FIELD_TYPES,
+  CUSTOM_FIELD_CONFIG,
+  SEARCH_CONFIG,
+  SAVED_VIEW_VISIBILITY,
+  SAVED_VIEW_CONFIG,
+  EXPORT_FORMATS,
+  EXPORT_JOB_STATUS,
+  EXPORT_CONFIG,
+  IMPORT_CONFIG,
   RESPONSE_MESSAGES,
   HTTP_STATUS,
 };
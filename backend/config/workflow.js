@@ -0,0 +1,176 @@
+const { USER_ROLES, COMPLAINT_STATUS } = require("./constants");
+
+const {
+  SUBMITTED,
+  ASSIGNED,
+  IN_PROGRESS,
+  AWAITING_REQUESTER,
+  RESOLVED,
+  ESCALATED,
+  CLOSED,
+} = COMPLAINT_STATUS;
+const { USER, STAFF, ADMIN } = USER_ROLES;
+
+// Actors that can drive a transition. "system" covers background jobs and
+// model-level operations (assignment, escalation) that do their own checks.
+const WORKFLOW_ACTORS = {
+  ...USER_ROLES,
+  SYSTEM: "system",
+};
+const { SYSTEM } = WORKFLOW_ACTORS;
+
+/**
+ * Default complaint workflow
+ *
+ * statuses    - display metadata plus side effects run when a complaint
+ *               enters (onEnter) or leaves (onExit) the status
+ * transitions - every legal status change, the actors allowed to perform it
+ *               and whether remarks are mandatory
+ */
+const DEFAULT_WORKFLOW = {
+  initialStatus: SUBMITTED,
+
+  statuses: {
+    [SUBMITTED]: {
+      label: "Submitted",
+      description: "Complaint is newly submitted and awaiting review",
+    },
+    [ASSIGNED]: {
+      label: "Assigned",
+      description: "Complaint has been assigned to a staff member",
+    },
+    [IN_PROGRESS]: {
+      label: "In Progress",
+      description: "Staff is actively working on the complaint",
+    },
+    [AWAITING_REQUESTER]: {
+      label: "Awaiting Requester",
+      description:
+        "Waiting for more information from the complainant; SLA time is paused",
+      onEnter: ["pauseSLA"],
+      onExit: ["resumeSLA"],
+    },
+    [ESCALATED]: {
+      label: "Escalated",
+      description: "Complaint has been escalated for priority handling",
+    },
+    [RESOLVED]: {
+      label: "Resolved",
+      description: "Issue has been addressed and resolved",
+      onEnter: ["setResolvedAt"],
+      onExit: ["clearResolvedAt"],
+    },
+    [CLOSED]: {
+      label: "Closed",
+      description: "Complaint is completed and closed",
+      onExit: ["clearResolvedAt"],
+    },
+  },
+
+  transitions: [
+    // Intake
+    { from: SUBMITTED, to: ASSIGNED, roles: [ADMIN, SYSTEM] },
+    { from: SUBMITTED, to: IN_PROGRESS, roles: [STAFF, ADMIN] },
+    { from: SUBMITTED, to: ESCALATED, roles: [ADMIN, SYSTEM] },
+    {
+      from: SUBMITTED,
+      to: CLOSED,
+      roles: [ADMIN],
+      requiresRemarks: true,
+    },
+
+    // Assigned
+    { from: ASSIGNED, to: ASSIGNED, roles: [ADMIN, SYSTEM] },
+    { from: ASSIGNED, to: SUBMITTED, roles: [ADMIN] },
+    { from: ASSIGNED, to: IN_PROGRESS, roles: [STAFF, ADMIN] },
+    { from: ASSIGNED, to: ESCALATED, roles: [ADMIN, SYSTEM] },
+    {
+      from: ASSIGNED,
+      to: RESOLVED,
+      roles: [STAFF, ADMIN],
+      requiresRemarks: true,
+    },
+
+    // In progress
+    { from: IN_PROGRESS, to: ASSIGNED, roles: [ADMIN, SYSTEM] },
+    { from: IN_PROGRESS, to: SUBMITTED, roles: [ADMIN] },
+    { from: IN_PROGRESS, to: ESCALATED, roles: [STAFF, ADMIN, SYSTEM] },
+    {
+      from: IN_PROGRESS,
+      to: RESOLVED,
+      roles: [STAFF, ADMIN],
+      requiresRemarks: true,
+    },
+
+    // Awaiting the complainant. The remarks are the question for the
+    // complainant; the system resumes the complaint when they reply.
+    {
+      from: ASSIGNED,
+      to: AWAITING_REQUESTER,
+      roles: [STAFF, ADMIN],
+      requiresRemarks: true,
+    },
+    {
+      from: IN_PROGRESS,
+      to: AWAITING_REQUESTER,
+      roles: [STAFF, ADMIN],
+      requiresRemarks: true,
+    },
+    {
+      from: ESCALATED,
+      to: AWAITING_REQUESTER,
+      roles: [STAFF, ADMIN],
+      requiresRemarks: true,
+    },
+    {
+      from: AWAITING_REQUESTER,
+      to: IN_PROGRESS,
+      roles: [STAFF, ADMIN, SYSTEM],
+    },
+    { from: AWAITING_REQUESTER, to: ASSIGNED, roles: [ADMIN, SYSTEM] },
+    { from: AWAITING_REQUESTER, to: ESCALATED, roles: [ADMIN, SYSTEM] },
+    {
+      from: AWAITING_REQUESTER,
+      to: RESOLVED,
+      roles: [STAFF, ADMIN],
+      requiresRemarks: true,
+    },
+    {
+      from: AWAITING_REQUESTER,
+      to: CLOSED,
+      roles: [ADMIN],
+      requiresRemarks: true,
+    },
+
+    // Escalated
+    { from: ESCALATED, to: ASSIGNED, roles: [ADMIN, SYSTEM] },
+    { from: ESCALATED, to: SUBMITTED, roles: [ADMIN] },
+    { from: ESCALATED, to: IN_PROGRESS, roles: [STAFF, ADMIN] },
+    {
+      from: ESCALATED,
+      to: RESOLVED,
+      roles: [STAFF, ADMIN],
+      requiresRemarks: true,
+    },
+
+    // Resolution. Complainants can reopen within the reopen window.
+    { from: RESOLVED, to: CLOSED, roles: [ADMIN, SYSTEM] },
+    {
+      from: RESOLVED,
+      to: IN_PROGRESS,
+      roles: [USER, STAFF, ADMIN],
+      requiresRemarks: true,
+    },
+    {
+      from: CLOSED,
+      to: IN_PROGRESS,
+      roles: [ADMIN],
+      requiresRemarks: true,
+    },
+  ],
+};
+
+module.exports = {
+  WORKFLOW_ACTORS,
+  DEFAULT_WORKFLOW,
+};
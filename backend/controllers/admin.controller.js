@@ -2,10 +2,13 @@ const Category = require("../models/Category");
 const Complaint = require("../models/Complaint");
 const User = require("../models/User");
 const Feedback = require("../models/Feedback");
+const WorkflowService = require("../services/workflow.service");
+const CustomFieldService = require("../services/customField.service");
 const {
   HTTP_STATUS,
   RESPONSE_MESSAGES,
   USER_ROLES,
+  COMPLAINT_STATUS,
 } = require("../config/constants");
 const { asyncHandler, AppError } = require("../middleware/error.middleware");
 const logger = require("../utils/logger");
@@ -186,6 +189,11 @@ const updateCategory = asyncHandler(async (req, res) => {
 
   const updateData = { ...req.body, updatedBy: req.user.id };
 
+  // Workflows and custom fields are validated and changed through their
+  // own endpoints
+  delete updateData.workflow;
+  delete updateData.customFields;
+
   // Process keywords
   if (updateData.keywords) {
     updateData.keywords = updateData.keywords.map((k) =>
@@ -252,6 +260,210 @@ const deleteCategory = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Ensure no complaint in a category sits in a status the category's new
+ * workflow would no longer define
+ */
+const assertStatusesNotInUse = async (category, remainingCustomKeys) => {
+  const removedKeys = (category.workflow?.statuses || [])
+    .map((status) => status.key)
+    .filter((key) => !remainingCustomKeys.includes(key));
+
+  if (removedKeys.length === 0) return;
+
+  const inUse = await Complaint.distinct("status", {
+    category: category._id,
+    status: { $in: removedKeys },
+  });
+
+  if (inUse.length > 0) {
+    throw new AppError(
+      `Cannot remove statuses still used by complaints: ${inUse.join(", ")}`,
+      HTTP_STATUS.CONFLICT
+    );
+  }
+};
+
+/**
+ * @desc    Get category workflow (custom definition and effective workflow)
+ * @route   GET /api/admin/categories/:id/workflow
+ * @access  Private (Staff/Admin)
+ */
+const getCategoryWorkflow = asyncHandler(async (req, res) => {
+  const category = await Category.findById(req.params.id).select(
+    "name department workflow"
+  );
+
+  if (!category) {
+    throw new AppError("Category not found", HTTP_STATUS.NOT_FOUND);
+  }
+
+  const workflow = category.workflow?.toObject() || {};
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: {
+      category: { id: category._id, name: category.name },
+      isCustom: (workflow.transitions || []).length > 0,
+      custom: workflow,
+      effective: WorkflowService.buildWorkflow(workflow),
+      builtInStatuses: Object.values(COMPLAINT_STATUS),
+    },
+  });
+});
+
+/**
+ * @desc    Define a custom workflow for a category
+ * @route   PUT /api/admin/categories/:id/workflow
+ * @access  Private (Admin only)
+ */
+const updateCategoryWorkflow = asyncHandler(async (req, res) => {
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    throw new AppError("Category not found", HTTP_STATUS.NOT_FOUND);
+  }
+
+  const workflow = {
+    statuses: req.body.statuses || [],
+    transitions: req.body.transitions || [],
+  };
+
+  const errors = WorkflowService.validateWorkflow(workflow);
+  if (errors.length > 0) {
+    throw new AppError(errors.join("; "), HTTP_STATUS.BAD_REQUEST);
+  }
+
+  await assertStatusesNotInUse(
+    category,
+    workflow.statuses.map((status) => status.key)
+  );
+
+  category.workflow = workflow;
+  category.updatedBy = req.user.id;
+
+  try {
+    await category.save();
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      throw new AppError(messages.join(", "), HTTP_STATUS.BAD_REQUEST);
+    }
+    throw error;
+  }
+
+  logger.info(
+    `Workflow updated for category: ${category.name} by admin: ${req.user.email}`
+  );
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "Category workflow updated successfully",
+    data: {
+      custom: category.workflow,
+      effective: WorkflowService.buildWorkflow(category.workflow.toObject()),
+    },
+  });
+});
+
+/**
+ * @desc    Reset a category to the default workflow
+ * @route   DELETE /api/admin/categories/:id/workflow
+ * @access  Private (Admin only)
+ */
+const resetCategoryWorkflow = asyncHandler(async (req, res) => {
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    throw new AppError("Category not found", HTTP_STATUS.NOT_FOUND);
+  }
+
+  await assertStatusesNotInUse(category, []);
+
+  category.workflow = { statuses: [], transitions: [] };
+  category.updatedBy = req.user.id;
+  await category.save();
+
+  logger.info(
+    `Workflow reset to default for category: ${category.name} by admin: ${req.user.email}`
+  );
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "Category workflow reset to default",
+  });
+});
+
+/**
+ * @desc    Get the custom fields complainants fill in for a category
+ * @route   GET /api/admin/categories/:id/fields
+ * @access  Private (Staff/Admin)
+ */
+const getCategoryCustomFields = asyncHandler(async (req, res) => {
+  const category = await Category.findById(req.params.id).select(
+    "name customFields"
+  );
+
+  if (!category) {
+    throw new AppError("Category not found", HTTP_STATUS.NOT_FOUND);
+  }
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: {
+      category: { id: category._id, name: category.name },
+      fields: category.customFields,
+    },
+  });
+});
+
+/**
+ * @desc    Replace the custom fields of a category
+ * @route   PUT /api/admin/categories/:id/fields
+ * @access  Private (Admin only)
+ */
+const updateCategoryCustomFields = asyncHandler(async (req, res) => {
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    throw new AppError("Category not found", HTTP_STATUS.NOT_FOUND);
+  }
+
+  const fields = req.body.fields;
+
+  const errors = CustomFieldService.validateDefinitions(fields);
+  if (errors.length > 0) {
+    throw new AppError(errors.join("; "), HTTP_STATUS.BAD_REQUEST);
+  }
+
+  // Values already stored on complaints are kept when a field is removed
+  category.customFields = fields;
+  category.updatedBy = req.user.id;
+
+  try {
+    await category.save();
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      throw new AppError(messages.join(", "), HTTP_STATUS.BAD_REQUEST);
+    }
+    throw error;
+  }
+
+  logger.info(
+    `Custom fields updated for category: ${category.name} by admin: ${req.user.email}`
+  );
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "Category custom fields updated successfully",
+    data: {
+      category: { id: category._id, name: category.name },
+      fields: category.customFields,
+    },
+  });
+});
+
 /**
  * @desc    Get all users
  * @route   GET /api/admin/users
@@ -345,7 +557,7 @@ const getUsers = asyncHandler(async (req, res) => {
  * @access  Private (Admin only)
  */
 const updateUser = asyncHandler(async (req, res) => {
-  const { role, department, isActive } = req.body;
+  const { role, department, isActive, skills, capacity } = req.body;
   const userId = req.params.id;
 
   const user = await User.findById(userId);
@@ -365,6 +577,8 @@ const updateUser = asyncHandler(async (req, res) => {
   if (role) updateData.role = role;
   if (department) updateData.department = department;
   if (isActive !== undefined) updateData.isActive = isActive;
+  if (Array.isArray(skills)) updateData.skills = skills;
+  if (capacity !== undefined) updateData.capacity = capacity;
 
   try {
     const updatedUser = await User.findByIdAndUpdate(userId, updateData, {
@@ -502,6 +716,11 @@ module.exports = {
   getCategoryById,
   updateCategory,
   deleteCategory,
+  getCategoryWorkflow,
+  updateCategoryWorkflow,
+  resetCategoryWorkflow,
+  getCategoryCustomFields,
+  updateCategoryCustomFields,
   getUsers,
   updateUser,
   getDashboardStats,
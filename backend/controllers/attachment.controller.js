@@ -0,0 +1,238 @@
+const Complaint = require("../models/Complaint");
+const StorageService = require("../services/storage/storageService");
+const WebSocketService = require("../services/websocket.service");
+const {
+  HTTP_STATUS,
+  RESPONSE_MESSAGES,
+  USER_ROLES,
+} = require("../config/constants");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const { generateFilename } = require("../middleware/upload.middleware");
+const logger = require("../utils/logger");
+
+/**
+ * Load a complaint the current user is allowed to access, or throw
+ */
+const findAccessibleComplaint = async (complaintId, user) => {
+  const complaint = await Complaint.findById(complaintId);
+  if (!complaint) {
+    throw new AppError(
+      RESPONSE_MESSAGES.ERROR.COMPLAINT_NOT_FOUND,
+      HTTP_STATUS.NOT_FOUND
+    );
+  }
+
+  if (!(await complaint.canBeAccessedBy(user))) {
+    throw new AppError(
+      RESPONSE_MESSAGES.ERROR.FORBIDDEN,
+      HTTP_STATUS.FORBIDDEN
+    );
+  }
+
+  return complaint;
+};
+
+/**
+ * Find an attachment on a complaint by its stored filename, or throw a 404
+ */
+const findAttachmentOrFail = (complaint, filename) => {
+  const attachment = complaint.attachments.find(
+    (att) => att.filename === filename
+  );
+  if (!attachment) {
+    throw new AppError("Attachment not found", HTTP_STATUS.NOT_FOUND);
+  }
+  return attachment;
+};
+
+/**
+ * @desc    Upload files to a complaint
+ * @route   POST /api/uploads/complaint/:complaintId/upload
+ * @access  Private (Complainant/Staff/Admin with access to the complaint)
+ */
+const uploadAttachments = asyncHandler(async (req, res) => {
+  const complaint = await findAccessibleComplaint(
+    req.params.complaintId,
+    req.user
+  );
+
+  if (!req.files || req.files.length === 0) {
+    throw new AppError("No files uploaded", HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const newAttachments = [];
+  try {
+    for (const file of req.files) {
+      const filename = generateFilename(file);
+      await StorageService.saveAttachment(complaint._id, filename, file);
+      newAttachments.push({
+        filename,
+        originalName: file.originalname,
+        mimetype: file.mimetype,
+        size: file.size,
+        uploadedBy: req.user.id,
+      });
+    }
+
+    complaint.attachments.push(...newAttachments);
+    await complaint.save();
+  } catch (error) {
+    // Clean up anything already written to storage
+    await Promise.all(
+      newAttachments.map((att) =>
+        StorageService.deleteAttachment(complaint._id, att.filename).catch(
+          (cleanupError) =>
+            logger.error(
+              `Failed to clean up attachment ${att.filename}:`,
+              cleanupError
+            )
+        )
+      )
+    );
+    throw error;
+  }
+
+  logger.info(
+    `${newAttachments.length} attachment(s) uploaded to complaint ${complaint._id} by user: ${req.user.email}`
+  );
+
+  // Send real-time notification
+  try {
+    WebSocketService.notifyFileUpload(
+      complaint,
+      req.user,
+      newAttachments.length
+    );
+  } catch (socketError) {
+    logger.error(
+      `Failed to send WebSocket file upload notification for complaint ${complaint._id}:`,
+      socketError
+    );
+    // Don't fail the request if WebSocket fails
+  }
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: `${newAttachments.length} file(s) uploaded successfully`,
+    data: {
+      attachments: complaint.attachments.slice(-newAttachments.length),
+      totalAttachments: complaint.attachments.length,
+    },
+  });
+});
+
+/**
+ * @desc    Download a complaint attachment
+ * @route   GET /api/uploads/complaint/:complaintId/download/:filename
+ * @access  Private (Complainant/Staff/Admin with access to the complaint)
+ */
+const downloadAttachment = asyncHandler(async (req, res) => {
+  const complaint = await findAccessibleComplaint(
+    req.params.complaintId,
+    req.user
+  );
+  const attachment = findAttachmentOrFail(complaint, req.params.filename);
+
+  const stream = await StorageService.getAttachmentStream(
+    complaint._id,
+    attachment.filename
+  );
+  if (!stream) {
+    throw new AppError("File not found in storage", HTTP_STATUS.NOT_FOUND);
+  }
+
+  res.attachment(attachment.originalName);
+  res.setHeader("Content-Type", attachment.mimetype);
+  res.setHeader("Content-Length", attachment.size);
+
+  stream.on("error", (error) => {
+    logger.error(
+      `Failed to stream attachment ${attachment.filename} for complaint ${complaint._id}:`,
+      error
+    );
+    res.destroy(error);
+  });
+  stream.pipe(res);
+});
+
+/**
+ * @desc    Delete a complaint attachment
+ * @route   DELETE /api/uploads/complaint/:complaintId/attachment/:filename
+ * @access  Private (Uploader or Admin)
+ */
+const deleteAttachment = asyncHandler(async (req, res) => {
+  const complaint = await findAccessibleComplaint(
+    req.params.complaintId,
+    req.user
+  );
+  const attachment = findAttachmentOrFail(complaint, req.params.filename);
+
+  // Only the uploader or an admin can delete
+  const isUploader =
+    attachment.uploadedBy.toString() === req.user.id.toString();
+  if (!isUploader && req.user.role !== USER_ROLES.ADMIN) {
+    throw new AppError(
+      "Not authorized to delete this file",
+      HTTP_STATUS.FORBIDDEN
+    );
+  }
+
+  const existed = await StorageService.deleteAttachment(
+    complaint._id,
+    attachment.filename
+  );
+  if (!existed) {
+    logger.warn(
+      `Attachment ${attachment.filename} was already missing from storage`
+    );
+  }
+
+  complaint.attachments.pull(attachment._id);
+  await complaint.save();
+
+  logger.info(
+    `Attachment ${attachment.filename} deleted from complaint ${complaint._id} by user: ${req.user.email}`
+  );
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "File deleted successfully",
+  });
+});
+
+/**
+ * @desc    List complaint attachments
+ * @route   GET /api/uploads/complaint/:complaintId/attachments
+ * @access  Private (Complainant/Staff/Admin with access to the complaint)
+ */
+const getAttachments = asyncHandler(async (req, res) => {
+  const complaint = await findAccessibleComplaint(
+    req.params.complaintId,
+    req.user
+  );
+  await complaint.populate("attachments.uploadedBy", "name email");
+
+  // Flag attachments whose file is no longer present in storage
+  const stored = await StorageService.listAttachments(complaint._id);
+  const storedFilenames = new Set(stored.map((object) => object.filename));
+
+  const attachments = complaint.attachments.map((attachment) => ({
+    ...attachment.toObject(),
+    available: storedFilenames.has(attachment.filename),
+  }));
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: {
+      attachments,
+      totalCount: attachments.length,
+    },
+  });
+});
+
+module.exports = {
+  uploadAttachments,
+  downloadAttachment,
+  deleteAttachment,
+  getAttachments,
+};
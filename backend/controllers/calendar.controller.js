@@ -0,0 +1,203 @@
+const BusinessCalendar = require("../models/BusinessCalendar");
+const BusinessCalendarService = require("../services/businessCalendar.service");
+const { HTTP_STATUS } = require("../config/constants");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const logger = require("../utils/logger");
+
+const EDITABLE_FIELDS = [
+  "name",
+  "department",
+  "timeZone",
+  "workingHours",
+  "holidays",
+  "isActive",
+];
+
+/**
+ * Pick the editable calendar fields from a request body
+ */
+const pickCalendarFields = (body) =>
+  EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+
+/**
+ * Save a calendar, mapping validation and duplicate errors to 400/409
+ */
+const saveCalendar = async (calendar) => {
+  try {
+    await calendar.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError(
+        calendar.department
+          ? `A calendar already exists for the ${calendar.department} department`
+          : "A default calendar already exists",
+        HTTP_STATUS.CONFLICT
+      );
+    }
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      throw new AppError(messages.join(", "), HTTP_STATUS.BAD_REQUEST);
+    }
+    throw error;
+  }
+
+  BusinessCalendarService.invalidateCache();
+};
+
+/**
+ * @desc    Create a business calendar
+ * @route   POST /api/admin/calendars
+ * @access  Private (Admin only)
+ */
+const createCalendar = asyncHandler(async (req, res) => {
+  const calendar = new BusinessCalendar({
+    ...pickCalendarFields(req.body),
+    createdBy: req.user.id,
+  });
+
+  await saveCalendar(calendar);
+
+  logger.info(
+    `Business calendar created: ${calendar.name} by admin: ${req.user.email}`
+  );
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: "Business calendar created successfully",
+    data: calendar,
+  });
+});
+
+/**
+ * @desc    Get all business calendars
+ * @route   GET /api/admin/calendars
+ * @access  Private (Staff/Admin)
+ */
+const getCalendars = asyncHandler(async (req, res) => {
+  const calendars = await BusinessCalendar.find()
+    .populate("createdBy", "name email")
+    .populate("updatedBy", "name email")
+    .sort({ department: 1, name: 1 });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: calendars,
+  });
+});
+
+/**
+ * @desc    Get business calendar by ID
+ * @route   GET /api/admin/calendars/:id
+ * @access  Private (Staff/Admin)
+ */
+const getCalendarById = asyncHandler(async (req, res) => {
+  const calendar = await BusinessCalendar.findById(req.params.id)
+    .populate("createdBy", "name email")
+    .populate("updatedBy", "name email");
+
+  if (!calendar) {
+    throw new AppError("Business calendar not found", HTTP_STATUS.NOT_FOUND);
+  }
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: calendar,
+  });
+});
+
+/**
+ * @desc    Update a business calendar
+ * @route   PUT /api/admin/calendars/:id
+ * @access  Private (Admin only)
+ */
+const updateCalendar = asyncHandler(async (req, res) => {
+  const calendar = await BusinessCalendar.findById(req.params.id);
+
+  if (!calendar) {
+    throw new AppError("Business calendar not found", HTTP_STATUS.NOT_FOUND);
+  }
+
+  calendar.set(pickCalendarFields(req.body));
+  calendar.updatedBy = req.user.id;
+
+  await saveCalendar(calendar);
+
+  logger.info(
+    `Business calendar updated: ${calendar.name} by admin: ${req.user.email}`
+  );
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "Business calendar updated successfully",
+    data: calendar,
+  });
+});
+
+/**
+ * @desc    Delete a business calendar
+ * @route   DELETE /api/admin/calendars/:id
+ * @access  Private (Admin only)
+ */
+const deleteCalendar = asyncHandler(async (req, res) => {
+  const calendar = await BusinessCalendar.findByIdAndDelete(req.params.id);
+
+  if (!calendar) {
+    throw new AppError("Business calendar not found", HTTP_STATUS.NOT_FOUND);
+  }
+
+  BusinessCalendarService.invalidateCache();
+
+  logger.info(
+    `Business calendar deleted: ${calendar.name} by admin: ${req.user.email}`
+  );
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "Business calendar deleted successfully",
+  });
+});
+
+/**
+ * @desc    Preview the deadline for a number of business hours
+ * @route   GET /api/admin/calendars/preview?department=&hours=&start=
+ * @access  Private (Staff/Admin)
+ */
+const previewDeadline = asyncHandler(async (req, res) => {
+  const { department } = req.query;
+  const hours = parseFloat(req.query.hours);
+  const start = req.query.start ? new Date(req.query.start) : new Date();
+
+  const calendar = await BusinessCalendarService.getCalendar(department);
+  const deadline = BusinessCalendarService.addWorkingTime(
+    start,
+    hours * 60 * 60 * 1000,
+    calendar
+  );
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: {
+      start,
+      hours,
+      deadline,
+      calendar: calendar
+        ? { id: calendar.id, name: calendar.name, timeZone: calendar.timeZone }
+        : null,
+      wallClockHours: (deadline - start) / (1000 * 60 * 60),
+    },
+  });
+});
+
+module.exports = {
+  createCalendar,
+  getCalendars,
+  getCalendarById,
+  updateCalendar,
+  deleteCalendar,
+  previewDeadline,
+};
@@ -0,0 +1,165 @@
+const CapacityPolicy = require("../models/CapacityPolicy");
+const { HTTP_STATUS } = require("../config/constants");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const logger = require("../utils/logger");
+
+const EDITABLE_FIELDS = [
+  "name",
+  "department",
+  "defaultCapacity",
+  "priorityWeights",
+  "isActive",
+];
+
+/**
+ * Pick the editable policy fields from a request body
+ */
+const pickPolicyFields = (body) =>
+  EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+
+/**
+ * Save a policy, mapping validation and duplicate errors to 400/409
+ */
+const savePolicy = async (policy) => {
+  try {
+    await policy.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError(
+        policy.department
+          ? `A capacity policy already exists for the ${policy.department} department`
+          : "A default capacity policy already exists",
+        HTTP_STATUS.CONFLICT
+      );
+    }
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      throw new AppError(messages.join(", "), HTTP_STATUS.BAD_REQUEST);
+    }
+    throw error;
+  }
+};
+
+/**
+ * @desc    Create a capacity policy
+ * @route   POST /api/admin/capacity-policies
+ * @access  Private (Admin only)
+ */
+const createCapacityPolicy = asyncHandler(async (req, res) => {
+  const policy = new CapacityPolicy({
+    ...pickPolicyFields(req.body),
+    createdBy: req.user.id,
+  });
+
+  await savePolicy(policy);
+
+  logger.info(
+    `Capacity policy created: ${policy.name} by admin: ${req.user.email}`
+  );
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: "Capacity policy created successfully",
+    data: policy,
+  });
+});
+
+/**
+ * @desc    Get all capacity policies
+ * @route   GET /api/admin/capacity-policies
+ * @access  Private (Staff/Admin)
+ */
+const getCapacityPolicies = asyncHandler(async (req, res) => {
+  const policies = await CapacityPolicy.find().sort({
+    department: 1,
+    name: 1,
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: policies,
+  });
+});
+
+/**
+ * @desc    Get capacity policy by ID
+ * @route   GET /api/admin/capacity-policies/:id
+ * @access  Private (Staff/Admin)
+ */
+const getCapacityPolicyById = asyncHandler(async (req, res) => {
+  const policy = await CapacityPolicy.findById(req.params.id)
+    .populate("createdBy", "name email")
+    .populate("updatedBy", "name email");
+
+  if (!policy) {
+    throw new AppError("Capacity policy not found", HTTP_STATUS.NOT_FOUND);
+  }
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: policy,
+  });
+});
+
+/**
+ * @desc    Update a capacity policy
+ * @route   PUT /api/admin/capacity-policies/:id
+ * @access  Private (Admin only)
+ */
+const updateCapacityPolicy = asyncHandler(async (req, res) => {
+  const policy = await CapacityPolicy.findById(req.params.id);
+
+  if (!policy) {
+    throw new AppError("Capacity policy not found", HTTP_STATUS.NOT_FOUND);
+  }
+
+  policy.set(pickPolicyFields(req.body));
+  policy.updatedBy = req.user.id;
+
+  await savePolicy(policy);
+
+  logger.info(
+    `Capacity policy updated: ${policy.name} by admin: ${req.user.email}`
+  );
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "Capacity policy updated successfully",
+    data: policy,
+  });
+});
+
+/**
+ * @desc    Delete a capacity policy
+ * @route   DELETE /api/admin/capacity-policies/:id
+ * @access  Private (Admin only)
+ */
+const deleteCapacityPolicy = asyncHandler(async (req, res) => {
+  const policy = await CapacityPolicy.findByIdAndDelete(req.params.id);
+
+  if (!policy) {
+    throw new AppError("Capacity policy not found", HTTP_STATUS.NOT_FOUND);
+  }
+
+  logger.info(
+    `Capacity policy deleted: ${policy.name} by admin: ${req.user.email}`
+  );
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "Capacity policy deleted successfully",
+  });
+});
+
+module.exports = {
+  createCapacityPolicy,
+  getCapacityPolicies,
+  getCapacityPolicyById,
+  updateCapacityPolicy,
+  deleteCapacityPolicy,
+};
@@ -0,0 +1,456 @@
+const Complaint = require("../models/Complaint");
+const Comment = require("../models/Comment");
+const Category = require("../models/Category");
+const User = require("../models/User");
+const WebSocketService = require("../services/websocket.service");
+const SLAService = require("../services/sla.service");
+const emailService = require("../services/email/emailService");
+const {
+  HTTP_STATUS,
+  RESPONSE_MESSAGES,
+  USER_ROLES,
+  COMPLAINT_STATUS,
+  COMMENT_VISIBILITY,
+  COMMENT_CONFIG,
+} = require("../config/constants");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const logger = require("../utils/logger");
+
+const AUTHOR_FIELDS = "name email role department";
+
+/**
+ * Load a complaint the current user can access or throw a 404/403
+ */
+const findAccessibleComplaint = async (complaintId, user) => {
+  const complaint = await Complaint.findById(complaintId);
+  if (!complaint) {
+    throw new AppError(
+      RESPONSE_MESSAGES.ERROR.COMPLAINT_NOT_FOUND,
+      HTTP_STATUS.NOT_FOUND
+    );
+  }
+
+  if (!(await complaint.canBeAccessedBy(user))) {
+    throw new AppError(
+      RESPONSE_MESSAGES.ERROR.FORBIDDEN,
+      HTTP_STATUS.FORBIDDEN
+    );
+  }
+
+  return complaint;
+};
+
+/**
+ * Load a live note or comment of a complaint or throw a 404
+ */
+const findCommentOrFail = async (complaint, commentId, visibility) => {
+  const comment = await Comment.findOne({
+    _id: commentId,
+    complaint: complaint._id,
+    visibility,
+    deletedAt: null,
+  });
+  if (!comment) {
+    throw new AppError(
+      RESPONSE_MESSAGES.ERROR.COMMENT_NOT_FOUND,
+      HTTP_STATUS.NOT_FOUND
+    );
+  }
+  return comment;
+};
+
+/**
+ * Resolve mentioned user IDs to active staff members, rejecting anyone else
+ */
+const resolveMentions = async (mentionIds = []) => {
+  const ids = [...new Set(mentionIds.map(String))];
+  if (ids.length === 0) return [];
+
+  const users = await User.find({
+    _id: { $in: ids },
+    role: { $in: [USER_ROLES.STAFF, USER_ROLES.ADMIN] },
+    isActive: true,
+  }).select(AUTHOR_FIELDS);
+
+  if (users.length !== ids.length) {
+    throw new AppError(
+      "Only active staff members can be mentioned",
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  return users;
+};
+
+/**
+ * Notify newly mentioned staff by WebSocket and email
+ */
+const notifyMentions = async (complaint, comment, mentioned, author) => {
+  const recipients = mentioned.filter(
+    (user) => user._id.toString() !== author.id.toString()
+  );
+  if (recipients.length === 0) return;
+
+  try {
+    WebSocketService.notifyMention(complaint, comment, recipients, author);
+  } catch (socketError) {
+    logger.error(
+      `Failed to send WebSocket mention notification for complaint ${complaint._id}:`,
+      socketError
+    );
+    // Don't fail the request if WebSocket fails
+  }
+
+  for (const recipient of recipients) {
+    try {
+      await emailService.sendMentionNotification(
+        complaint,
+        comment,
+        recipient,
+        author
+      );
+    } catch (emailError) {
+      logger.error(
+        `Failed to send mention email to ${recipient.email}:`,
+        emailError
+      );
+      // Don't fail the request if email fails
+    }
+  }
+};
+
+/**
+ * List a thread of a complaint, oldest first unless sort=-createdAt
+ */
+const listThread = (visibility) =>
+  asyncHandler(async (req, res) => {
+    const complaint = await findAccessibleComplaint(req.params.id, req.user);
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(
+      Math.max(
+        parseInt(req.query.limit) || COMMENT_CONFIG.DEFAULT_PAGE_SIZE,
+        1
+      ),
+      COMMENT_CONFIG.MAX_PAGE_SIZE
+    );
+    const filter = { complaint: complaint._id, visibility, deletedAt: null };
+
+    const [comments, total] = await Promise.all([
+      Comment.find(filter)
+        .populate("author", AUTHOR_FIELDS)
+        .populate("mentions", "name email")
+        .sort({ createdAt: req.query.sort === "-createdAt" ? -1 : 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Comment.countDocuments(filter),
+    ]);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: comments,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit,
+      },
+    });
+  });
+
+/**
+ * Add a note or comment to a thread of a complaint
+ */
+const addToThread = (visibility) =>
+  asyncHandler(async (req, res) => {
+    const complaint = await findAccessibleComplaint(req.params.id, req.user);
+    const mentioned = await resolveMentions(req.body.mentions);
+
+    const comment = await Comment.create({
+      complaint: complaint._id,
+      author: req.user.id,
+      visibility,
+      body: req.body.body,
+      mentions: mentioned.map((user) => user._id),
+    });
+
+    // Staff replying in the thread meet the response targets: an internal
+    // note acknowledges the complaint, a public comment responds to it
+    if (req.user.role !== USER_ROLES.USER) {
+      if (visibility === COMMENT_VISIBILITY.PUBLIC) {
+        complaint.recordFirstResponse(req.user.id);
+      } else {
+        complaint.recordAcknowledgement(req.user.id);
+      }
+      if (complaint.isModified()) await complaint.save();
+    }
+
+    await comment.populate([
+      { path: "author", select: AUTHOR_FIELDS },
+      { path: "mentions", select: "name email" },
+    ]);
+
+    logger.info(
+      `${
+        visibility === COMMENT_VISIBILITY.INTERNAL ? "Internal note" : "Comment"
+      } added to complaint ${complaint._id} by user: ${req.user.email}`
+    );
+
+    try {
+      WebSocketService.notifyCommentAdded(complaint, comment, req.user);
+    } catch (socketError) {
+      logger.error(
+        `Failed to send WebSocket comment notification for complaint ${complaint._id}:`,
+        socketError
+      );
+      // Don't fail the request if WebSocket fails
+    }
+
+    await notifyMentions(complaint, comment, mentioned, req.user);
+
+    // A reply from the complainant answers the request for information, so
+    // work (and the SLA clock) resumes
+    if (
+      visibility === COMMENT_VISIBILITY.PUBLIC &&
+      complaint.user.toString() === req.user.id.toString() &&
+      complaint.isInPhase(COMPLAINT_STATUS.AWAITING_REQUESTER)
+    ) {
+      try {
+        await SLAService.resumeForRequester(complaint, {
+          updatedBy: req.user.id,
+          remarks: "Complainant replied, work resumed",
+        });
+      } catch (resumeError) {
+        logger.error(
+          `Failed to resume complaint ${complaint._id} after the complainant replied:`,
+          resumeError
+        );
+        // Don't fail the request if resuming fails
+      }
+    }
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: RESPONSE_MESSAGES.SUCCESS.COMMENT_ADDED,
+      data: comment,
+    });
+  });
+
+/**
+ * Edit a note or comment within the edit window. Only people mentioned for
+ * the first time are notified.
+ */
+const updateInThread = (visibility) =>
+  asyncHandler(async (req, res) => {
+    const complaint = await findAccessibleComplaint(req.params.id, req.user);
+    const comment = await findCommentOrFail(
+      complaint,
+      req.params.commentId,
+      visibility
+    );
+
+    if (!comment.canBeEditedBy(req.user)) {
+      throw new AppError(
+        `Comments can only be edited by their author within ${COMMENT_CONFIG.EDIT_WINDOW_MINUTES} minutes of posting`,
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    const previousMentions = comment.mentions.map((id) => id.toString());
+    const mentioned =
+      req.body.mentions !== undefined
+        ? await resolveMentions(req.body.mentions)
+        : null;
+
+    comment.body = req.body.body;
+    if (mentioned) {
+      comment.mentions = mentioned.map((user) => user._id);
+    }
+    comment.editedAt = new Date();
+    await comment.save();
+
+    await comment.populate([
+      { path: "author", select: AUTHOR_FIELDS },
+      { path: "mentions", select: "name email" },
+    ]);
+
+    try {
+      WebSocketService.notifyCommentUpdated(complaint, comment);
+    } catch (socketError) {
+      logger.error(
+        `Failed to send WebSocket comment update for complaint ${complaint._id}:`,
+        socketError
+      );
+      // Don't fail the request if WebSocket fails
+    }
+
+    if (mentioned) {
+      await notifyMentions(
+        complaint,
+        comment,
+        mentioned.filter(
+          (user) => !previousMentions.includes(user._id.toString())
+        ),
+        req.user
+      );
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: RESPONSE_MESSAGES.SUCCESS.COMMENT_UPDATED,
+      data: comment,
+    });
+  });
+
+/**
+ * Delete a note or comment. Authors can delete within the delete window;
+ * admins at any time.
+ */
+const deleteFromThread = (visibility) =>
+  asyncHandler(async (req, res) => {
+    const complaint = await findAccessibleComplaint(req.params.id, req.user);
+    const comment = await findCommentOrFail(
+      complaint,
+      req.params.commentId,
+      visibility
+    );
+
+    if (!comment.canBeDeletedBy(req.user)) {
+      throw new AppError(
+        `Comments can only be deleted by their author within ${COMMENT_CONFIG.DELETE_WINDOW_MINUTES} minutes of posting`,
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    comment.deletedAt = new Date();
+    comment.deletedBy = req.user.id;
+    await comment.save();
+
+    logger.info(
+      `Comment ${comment._id} deleted from complaint ${complaint._id} by user: ${req.user.email}`
+    );
+
+    try {
+      WebSocketService.notifyCommentDeleted(complaint, comment);
+    } catch (socketError) {
+      logger.error(
+        `Failed to send WebSocket comment deletion for complaint ${complaint._id}:`,
+        socketError
+      );
+      // Don't fail the request if WebSocket fails
+    }
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: RESPONSE_MESSAGES.SUCCESS.COMMENT_DELETED,
+    });
+  });
+
+/**
+ * @desc    Get internal notes of a complaint
+ * @route   GET /api/complaints/:id/notes
+ * @access  Private (Staff/Admin with access to the complaint)
+ */
+const getNotes = listThread(COMMENT_VISIBILITY.INTERNAL);
+
+/**
+ * @desc    Add an internal note to a complaint
+ * @route   POST /api/complaints/:id/notes
+ * @access  Private (Staff/Admin with access to the complaint)
+ */
+const addNote = addToThread(COMMENT_VISIBILITY.INTERNAL);
+
+/**
+ * @desc    Edit an internal note
+ * @route   PATCH /api/complaints/:id/notes/:commentId
+ * @access  Private (Author, within the edit window)
+ */
+const updateNote = updateInThread(COMMENT_VISIBILITY.INTERNAL);
+
+/**
+ * @desc    Delete an internal note
+ * @route   DELETE /api/complaints/:id/notes/:commentId
+ * @access  Private (Author within the delete window, or Admin)
+ */
+const deleteNote = deleteFromThread(COMMENT_VISIBILITY.INTERNAL);
+
+/**
+ * @desc    Get the public comment thread of a complaint
+ * @route   GET /api/complaints/:id/comments
+ * @access  Private (Users with access to the complaint)
+ */
+const getComments = listThread(COMMENT_VISIBILITY.PUBLIC);
+
+/**
+ * @desc    Add a public comment to a complaint
+ * @route   POST /api/complaints/:id/comments
+ * @access  Private (Users with access to the complaint)
+ */
+const addComment = addToThread(COMMENT_VISIBILITY.PUBLIC);
+
+/**
+ * @desc    Edit a public comment
+ * @route   PATCH /api/complaints/:id/comments/:commentId
+ * @access  Private (Author, within the edit window)
+ */
+const updateComment = updateInThread(COMMENT_VISIBILITY.PUBLIC);
+
+/**
+ * @desc    Delete a public comment
+ * @route   DELETE /api/complaints/:id/comments/:commentId
+ * @access  Private (Author within the delete window, or Admin)
+ */
+const deleteComment = deleteFromThread(COMMENT_VISIBILITY.PUBLIC);
+
+/**
+ * @desc    Get the staff who can be mentioned on a complaint: the assignee
+ *          and active staff of the category's department (plus admins for
+ *          staff users)
+ * @route   GET /api/complaints/:id/mentionable
+ * @access  Private (Users with access to the complaint)
+ */
+const getMentionableStaff = asyncHandler(async (req, res) => {
+  const complaint = await findAccessibleComplaint(req.params.id, req.user);
+  const category = await Category.findById(complaint.category).select(
+    "department"
+  );
+
+  const audience = [];
+  if (complaint.assignedTo) {
+    audience.push({ _id: complaint.assignedTo });
+  }
+  if (category?.department) {
+    audience.push({ role: USER_ROLES.STAFF, department: category.department });
+  }
+  if (req.user.role !== USER_ROLES.USER) {
+    audience.push({ role: USER_ROLES.ADMIN });
+  }
+
+  const staff =
+    audience.length > 0
+      ? await User.find({
+          $or: audience,
+          role: { $in: [USER_ROLES.STAFF, USER_ROLES.ADMIN] },
+          isActive: true,
+        })
+          .select("name email role department")
+          .sort({ name: 1 })
+      : [];
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: staff,
+  });
+});
+
+module.exports = {
+  getNotes,
+  addNote,
+  updateNote,
+  deleteNote,
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment,
+  getMentionableStaff,
+};
@@ -2,13 +2,24 @@ const Complaint = require("../models/Complaint");
 const Category = require("../models/Category");
 const User = require("../models/User");
 const Feedback = require("../models/Feedback");
+const Comment = require("../models/Comment");
 const emailService = require("../services/email/emailService");
+const StorageService = require("../services/storage/storageService");
 const WebSocketService = require("../services/websocket.service");
+const AssignmentService = require("../services/assignment.service");
+const DuplicateDetectionService = require("../services/duplicateDetection.service");
+const ComplaintLinkService = require("../services/complaintLink.service");
+const ComplaintBulkService = require("../services/complaintBulk.service");
+const ResolutionService = require("../services/resolution.service");
+const SearchService = require("../services/search.service");
+const ComplaintQueryService = require("../services/complaintQuery.service");
+const CustomFieldService = require("../services/customField.service");
 const {
   HTTP_STATUS,
   RESPONSE_MESSAGES,
   USER_ROLES,
   COMPLAINT_STATUS,
+  BULK_CONFIG,
 } = require("../config/constants");
 const { asyncHandler, AppError } = require("../middleware/error.middleware");
 const logger = require("../utils/logger");
@@ -19,7 +30,15 @@ const logger = require("../utils/logger");
  * @access  Private (User)
  */
 const createComplaint = asyncHandler(async (req, res) => {
-  const { title, description, category, priority } = req.body;
+  const {
+    title,
+    description,
+    category,
+    priority,
+    location,
+    customFields,
+    ignoreDuplicates,
+  } = req.body;
 
   // Verify category exists and is active
   const categoryDoc = await Category.findOne({ _id: category, isActive: true });
@@ -30,12 +49,32 @@ const createComplaint = asyncHandler(async (req, res) => {
     );
   }
 
+  // Let the complainant follow an existing complaint about the same issue
+  // instead of filing it again, unless they already chose to submit anyway
+  if (!ignoreDuplicates) {
+    const duplicates = await DuplicateDetectionService.findDuplicates(
+      { title, description, category, location },
+      req.user
+    );
+
+    if (duplicates.length > 0) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: RESPONSE_MESSAGES.ERROR.POSSIBLE_DUPLICATES,
+        data: { duplicates },
+      });
+    }
+  }
+
   try {
     const complaint = await Complaint.create({
       title: title.trim(),
       description: description.trim(),
       category,
+      location: location?.trim(),
       priority: priority || "medium",
+      // Validated and typed against the category's fields by the validator
+      customFields: customFields || {},
       user: req.user.id,
     });
 
@@ -49,6 +88,24 @@ const createComplaint = asyncHandler(async (req, res) => {
       `New complaint created: ${complaint._id} by user: ${req.user.email}`
     );
 
+    // Route the complaint using the category's auto-assignment settings
+    try {
+      const assignment = await AssignmentService.assignOnCreate(
+        complaint,
+        req.user
+      );
+      if (assignment) {
+        await complaint.populate("assignedTo", "name email department");
+        await AssignmentService.notifyAssignment(complaint, assignment.staff);
+      }
+    } catch (assignmentError) {
+      logger.error(
+        `Failed to auto-assign complaint ${complaint._id}:`,
+        assignmentError
+      );
+      // Leave the complaint unassigned if auto-assignment fails
+    }
+
     // Send email notification to user
     try {
       await emailService.sendComplaintCreated(complaint, complaint.user);
@@ -95,70 +152,39 @@ const getComplaints = asyncHandler(async (req, res) => {
   const {
     page = 1,
     limit = 10,
-    status,
-    priority,
-    category,
-    assignedTo,
-    user,
     search,
-    sortBy = "createdAt",
+    sortBy = search ? "relevance" : "createdAt",
     sortOrder = "desc",
-    startDate,
-    endDate,
   } = req.query;
 
-  // Build filter based on user role
-  let filter = {};
-
-  // Role-based filtering
-  if (req.user.role === USER_ROLES.USER) {
-    // Users can only see their own complaints
-    filter.user = req.user.id;
-  } else if (req.user.role === USER_ROLES.STAFF) {
-    // Staff can see complaints assigned to them or from their department
-    const staffCategories = await Category.find({
-      department: req.user.department,
-      isActive: true,
-    }).select("_id");
-
-    filter.$or = [
-      { assignedTo: req.user.id },
-      { category: { $in: staffCategories.map((cat) => cat._id) } },
-    ];
-  }
-  // Admin can see all complaints (no additional filter)
-
-  // Apply additional filters
-  if (status) filter.status = status;
-  if (priority) filter.priority = priority;
-  if (category) filter.category = category;
-  if (assignedTo) filter.assignedTo = assignedTo;
-  if (user && req.user.role !== USER_ROLES.USER) filter.user = user;
-
-  // Date range filter
-  if (startDate && endDate) {
-    filter.createdAt = {
-      $gte: new Date(startDate),
-      $lte: new Date(endDate),
-    };
-  }
-
-  // Search filter
-  if (search) {
-    filter.$or = [
-      { title: { $regex: search, $options: "i" } },
-      { description: { $regex: search, $options: "i" } },
-    ];
-  }
+  const filter = await ComplaintQueryService.buildFilter(req.query, req.user);
+  const isTextSearch = Boolean(filter.$text);
 
   // Pagination
   const skip = (page - 1) * limit;
-  const sortOptions = {};
-  sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
+  const sortOptions = ComplaintQueryService.buildSort(
+    sortBy,
+    sortOrder,
+    isTextSearch
+  );
 
   try {
-    const [complaints, total] = await Promise.all([
-      Complaint.find(filter)
+    let query = Complaint.find(filter);
+    if (isTextSearch) query = query.select({ score: { $meta: "textScore" } });
+    // Internal notes are for staff only
+    if (req.user.role === USER_ROLES.USER)
+      query = query.select("-internalNotes");
+    // Comments and notes for the search excerpts
+    if (search) {
+      query = query.select(
+        req.user.role === USER_ROLES.USER
+          ? "+searchNotes.public"
+          : "+searchNotes.public +searchNotes.internal"
+      );
+    }
+
+    const [results, total] = await Promise.all([
+      query
         .populate("category", "name department color")
         .populate("user", "name email")
         .populate("assignedTo", "name email department")
@@ -170,6 +196,22 @@ const getComplaints = asyncHandler(async (req, res) => {
       Complaint.countDocuments(filter),
     ]);
 
+    // Search results carry their relevance and the matching excerpts
+    let complaints = results;
+    if (search) {
+      const { terms } = SearchService.parseQuery(search);
+      complaints = results.map((complaint) => {
+        const { score, searchNotes, ...data } = complaint.toJSON();
+        return {
+          ...data,
+          search: {
+            score: isTextSearch ? score ?? complaint.get("score") : null,
+            snippets: SearchService.buildSnippets(complaint, terms, req.user),
+          },
+        };
+      });
+    }
+
     res.status(HTTP_STATUS.OK).json({
       success: true,
       complaints,
@@ -188,19 +230,16 @@ const getComplaints = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get single complaint by ID
- * @route   GET /api/complaints/:id
- * @access  Private (role-based access)
+ * Send a complaint the current user may view, with its details populated
  */
-const getComplaintById = asyncHandler(async (req, res) => {
-  const complaintId = req.params.id;
-
-  const complaint = await Complaint.findById(complaintId)
+const sendComplaintDetails = async (query, req, res) => {
+  const complaint = await query
     .populate("category", "name department resolutionTimeHours color")
     .populate("user", "name email role")
     .populate("assignedTo", "name email department")
     .populate("feedback")
-    .populate("statusHistory.updatedBy", "name email role");
+    .populate("statusHistory.updatedBy", "name email role")
+    .populate("mergedInto", "ticketId title status statusPhase");
 
   if (!complaint) {
     throw new AppError(
@@ -210,36 +249,52 @@ const getComplaintById = asyncHandler(async (req, res) => {
   }
 
   // Check access permissions
-  if (
-    req.user.role === USER_ROLES.USER &&
-    complaint.user._id.toString() !== req.user.id
-  ) {
+  if (!(await complaint.canBeAccessedBy(req.user))) {
     throw new AppError(
       RESPONSE_MESSAGES.ERROR.FORBIDDEN,
       HTTP_STATUS.FORBIDDEN
     );
   }
 
-  if (req.user.role === USER_ROLES.STAFF) {
-    // Staff can only view complaints assigned to them or from their department
-    const category = await Category.findById(complaint.category._id);
-    const hasAccess =
-      (complaint.assignedTo &&
-        complaint.assignedTo._id.toString() === req.user.id) ||
-      (category && category.department === req.user.department);
-
-    if (!hasAccess) {
-      throw new AppError(
-        RESPONSE_MESSAGES.ERROR.FORBIDDEN,
-        HTTP_STATUS.FORBIDDEN
-      );
-    }
+  // Internal notes and links to other complaints are for staff only
+  if (req.user.role === USER_ROLES.USER) {
+    complaint.internalNotes = undefined;
+    complaint.links = undefined;
+  } else {
+    await complaint.populate([
+      { path: "internalNotes.addedBy", select: "name email role" },
+      { path: "links.complaint", select: "ticketId title status statusPhase" },
+    ]);
   }
 
+  // "complaint" is kept for existing API clients
   res.status(HTTP_STATUS.OK).json({
     success: true,
+    data: complaint,
     complaint,
   });
+};
+
+/**
+ * @desc    Get single complaint by ID
+ * @route   GET /api/complaints/:id
+ * @access  Private (role-based access)
+ */
+const getComplaintById = asyncHandler(async (req, res) => {
+  await sendComplaintDetails(Complaint.findById(req.params.id), req, res);
+});
+
+/**
+ * @desc    Get single complaint by ticket ID (e.g. IT-2026-000123)
+ * @route   GET /api/complaints/by-ticket/:ticketId
+ * @access  Private (role-based access)
+ */
+const getComplaintByTicketId = asyncHandler(async (req, res) => {
+  await sendComplaintDetails(
+    Complaint.findOne({ ticketId: req.params.ticketId.toUpperCase() }),
+    req,
+    res
+  );
 });
 
 /**
@@ -249,7 +304,8 @@ const getComplaintById = asyncHandler(async (req, res) => {
  */
 const updateComplaint = asyncHandler(async (req, res) => {
   const complaintId = req.params.id;
-  const { title, description, priority, category } = req.body;
+  const { title, description, priority, category, location, customFields } =
+    req.body;
 
   const complaint = await Complaint.findById(complaintId);
   if (!complaint) {
@@ -275,9 +331,7 @@ const updateComplaint = asyncHandler(async (req, res) => {
   // Users can only update their own complaints if not resolved/closed
   if (
     isOwner &&
-    [COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED].includes(
-      complaint.status
-    )
+    complaint.isInPhase(COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED)
   ) {
     throw new AppError(
       "Cannot update resolved or closed complaint",
@@ -286,8 +340,9 @@ const updateComplaint = asyncHandler(async (req, res) => {
   }
 
   // Verify category if provided
+  let categoryDoc = null;
   if (category && category !== complaint.category.toString()) {
-    const categoryDoc = await Category.findOne({
+    categoryDoc = await Category.findOne({
       _id: category,
       isActive: true,
     });
@@ -299,18 +354,48 @@ const updateComplaint = asyncHandler(async (req, res) => {
     }
   }
 
+  // Custom field values are checked against the fields of the category the
+  // complaint ends up in. Moving category keeps the values of fields the new
+  // category also has, unless new values are given.
+  if (categoryDoc || customFields !== undefined) {
+    const targetCategory =
+      categoryDoc ||
+      (await Category.findById(complaint.category).select("customFields"));
+    const fields = targetCategory?.customFields || [];
+
+    const values =
+      customFields !== undefined
+        ? customFields
+        : Object.fromEntries(
+            Object.entries(complaint.customFields || {}).filter(([key]) =>
+              fields.some((field) => field.key === key)
+            )
+          );
+
+    const { values: validValues, errors } = CustomFieldService.validateValues(
+      fields,
+      values
+    );
+    if (errors.length > 0) {
+      throw new AppError(errors.join("; "), HTTP_STATUS.BAD_REQUEST);
+    }
+    complaint.customFields = validValues;
+  }
+
   try {
-    const updateData = {};
-    if (title) updateData.title = title.trim();
-    if (description) updateData.description = description.trim();
-    if (priority) updateData.priority = priority;
-    if (category) updateData.category = category;
-
-    const updatedComplaint = await Complaint.findByIdAndUpdate(
-      complaintId,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate([
+    if (title) complaint.title = title.trim();
+    if (description) complaint.description = description.trim();
+    if (priority) complaint.priority = priority;
+    if (location !== undefined) complaint.location = location.trim();
+
+    // Moving to another category brings its workflow, ticket prefix and SLA
+    if (categoryDoc) {
+      await complaint.changeCategory(categoryDoc, { updatedBy: req.user.id });
+    }
+
+    await complaint.save();
+
+    const updatedComplaint = await complaint.populate([
       { path: "category", select: "name department color" },
       { path: "user", select: "name email" },
       { path: "assignedTo", select: "name email department" },
@@ -374,6 +459,23 @@ const deleteComplaint = asyncHandler(async (req, res) => {
 
   await Complaint.findByIdAndDelete(complaintId);
 
+  // Remove its comments and notes, and the links other complaints keep to it
+  await Promise.all([
+    Comment.deleteMany({ complaint: complaintId }),
+    ComplaintLinkService.unlinkAll(complaintId),
+  ]);
+
+  // Remove stored attachments
+  try {
+    await StorageService.deleteAllAttachments(complaintId);
+  } catch (storageError) {
+    logger.error(
+      `Failed to delete attachments for complaint ${complaintId}:`,
+      storageError
+    );
+    // Don't fail the request if storage cleanup fails
+  }
+
   logger.info(`Complaint deleted: ${complaintId} by user: ${req.user.email}`);
 
   res.status(HTTP_STATUS.OK).json({
@@ -399,32 +501,27 @@ const updateComplaintStatus = asyncHandler(async (req, res) => {
     );
   }
 
-  // Only staff/admin can update status
-  if (![USER_ROLES.STAFF, USER_ROLES.ADMIN].includes(req.user.role)) {
+  // Only users with access to the complaint can update it; which status
+  // changes each role may perform is decided by the workflow
+  if (!(await complaint.canBeAccessedBy(req.user))) {
     throw new AppError(
       RESPONSE_MESSAGES.ERROR.FORBIDDEN,
       HTTP_STATUS.FORBIDDEN
     );
   }
 
-  // Staff can only update complaints from their department or assigned to them
-  if (req.user.role === USER_ROLES.STAFF) {
-    const hasAccess =
-      (complaint.assignedTo &&
-        complaint.assignedTo.toString() === req.user.id) ||
-      complaint.category.department === req.user.department;
-
-    if (!hasAccess) {
-      throw new AppError(
-        RESPONSE_MESSAGES.ERROR.FORBIDDEN,
-        HTTP_STATUS.FORBIDDEN
-      );
-    }
+  // Merged complaints are handled through the complaint they were merged into
+  if (complaint.mergedInto) {
+    throw new AppError(
+      RESPONSE_MESSAGES.ERROR.COMPLAINT_MERGED,
+      HTTP_STATUS.BAD_REQUEST
+    );
   }
 
   try {
     const previousStatus = complaint.status; // Store previous status for email
-    await complaint.updateStatus(status, req.user.id, remarks);
+    const wasResolved = complaint.isInPhase(COMPLAINT_STATUS.RESOLVED);
+    await complaint.updateStatus(status, req.user.id, remarks, req.user.role);
 
     await complaint.populate([
       { path: "user", select: "name email" },
@@ -453,6 +550,51 @@ const updateComplaintStatus = asyncHandler(async (req, res) => {
       // Don't fail the request if email fails
     }
 
+    // Followers reported the same issue, so they hear about it too
+    if (complaint.followers.length > 0) {
+      try {
+        const followers = await User.find({
+          _id: { $in: complaint.followers },
+          isActive: true,
+        }).select("name email");
+        for (const follower of followers) {
+          await emailService.sendStatusUpdate(
+            complaint,
+            follower,
+            previousStatus,
+            req.user
+          );
+        }
+      } catch (emailError) {
+        logger.error(
+          `Failed to send follower status update emails for complaint ${complaintId}:`,
+          emailError
+        );
+        // Don't fail the request if email fails
+      }
+    }
+
+    // Resolving a parent resolves the wider issue its children are part of
+    if (!wasResolved && complaint.isInPhase(COMPLAINT_STATUS.RESOLVED)) {
+      try {
+        const notified = await ComplaintLinkService.notifyChildrenOfResolution(
+          complaint,
+          req.user
+        );
+        if (notified > 0) {
+          logger.info(
+            `Notified ${notified} child complaint(s) of resolution of ${complaintId}`
+          );
+        }
+      } catch (linkError) {
+        logger.error(
+          `Failed to notify child complaints of ${complaintId}:`,
+          linkError
+        );
+        // Don't fail the request if notifications fail
+      }
+    }
+
     // Send real-time notification
     try {
       WebSocketService.notifyStatusUpdate(
@@ -482,6 +624,153 @@ const updateComplaintStatus = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * @desc    Reopen a resolved complaint whose resolution the complainant
+ *          disputes
+ * @route   POST /api/complaints/:id/reopen
+ * @access  Private (Complainant, within the reopen window)
+ */
+const reopenComplaint = asyncHandler(async (req, res) => {
+  const complaint = await Complaint.findById(req.params.id).populate(
+    "category"
+  );
+  if (!complaint) {
+    throw new AppError(
+      RESPONSE_MESSAGES.ERROR.COMPLAINT_NOT_FOUND,
+      HTTP_STATUS.NOT_FOUND
+    );
+  }
+
+  if (complaint.user.toString() !== req.user.id.toString()) {
+    throw new AppError(
+      RESPONSE_MESSAGES.ERROR.FORBIDDEN,
+      HTTP_STATUS.FORBIDDEN
+    );
+  }
+
+  const previousStatus = complaint.status;
+  await ResolutionService.reopen(complaint, req.user, req.body.reason);
+
+  await complaint.populate([
+    { path: "user", select: "name email" },
+    { path: "assignedTo", select: "name email department isActive" },
+    { path: "statusHistory.updatedBy", select: "name email role" },
+  ]);
+
+  // The assigned staff member has to follow up on the disputed resolution
+  if (complaint.assignedTo && complaint.assignedTo.isActive) {
+    try {
+      await emailService.sendComplaintReopened(
+        complaint,
+        complaint.assignedTo,
+        req.user,
+        req.body.reason
+      );
+    } catch (emailError) {
+      logger.error(
+        `Failed to send reopen email for complaint ${complaint._id}:`,
+        emailError
+      );
+      // Don't fail the request if email fails
+    }
+  }
+
+  try {
+    WebSocketService.notifyStatusUpdate(
+      complaint,
+      req.user,
+      previousStatus,
+      complaint.status
+    );
+  } catch (socketError) {
+    logger.error(
+      `Failed to send WebSocket reopen notification for complaint ${complaint._id}:`,
+      socketError
+    );
+    // Don't fail the request if WebSocket fails
+  }
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "Complaint reopened successfully",
+    data: complaint,
+  });
+});
+
+/**
+ * @desc    Get the status changes available to the current user
+ * @route   GET /api/complaints/:id/transitions
+ * @access  Private (Users with access to the complaint)
+ */
+const getComplaintTransitions = asyncHandler(async (req, res) => {
+  const complaint = await Complaint.findById(req.params.id);
+  if (!complaint) {
+    throw new AppError(
+      RESPONSE_MESSAGES.ERROR.COMPLAINT_NOT_FOUND,
+      HTTP_STATUS.NOT_FOUND
+    );
+  }
+
+  if (!(await complaint.canBeAccessedBy(req.user))) {
+    throw new AppError(
+      RESPONSE_MESSAGES.ERROR.FORBIDDEN,
+      HTTP_STATUS.FORBIDDEN
+    );
+  }
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: {
+      currentStatus: complaint.status,
+      transitions: await complaint.getAvailableTransitions(req.user.role),
+    },
+  });
+});
+
+/**
+ * @desc    Acknowledge a complaint (meets the acknowledgement SLA)
+ * @route   PATCH /api/complaints/:id/acknowledge
+ * @access  Private (Staff/Admin only)
+ */
+const acknowledgeComplaint = asyncHandler(async (req, res) => {
+  const complaint = await Complaint.findById(req.params.id).populate(
+    "category"
+  );
+  if (!complaint) {
+    throw new AppError(
+      RESPONSE_MESSAGES.ERROR.COMPLAINT_NOT_FOUND,
+      HTTP_STATUS.NOT_FOUND
+    );
+  }
+
+  if (!(await complaint.canBeAccessedBy(req.user))) {
+    throw new AppError(
+      RESPONSE_MESSAGES.ERROR.FORBIDDEN,
+      HTTP_STATUS.FORBIDDEN
+    );
+  }
+
+  if (complaint.sla.acknowledgedAt) {
+    throw new AppError(
+      "Complaint has already been acknowledged",
+      HTTP_STATUS.CONFLICT
+    );
+  }
+
+  complaint.recordAcknowledgement(req.user.id);
+  await complaint.save();
+
+  logger.info(
+    `Complaint acknowledged: ${complaint._id} by user: ${req.user.email}`
+  );
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "Complaint acknowledged successfully",
+    data: complaint.sla,
+  });
+});
+
 /**
  * @desc    Assign complaint to staff
  * @route   PATCH /api/complaints/:id/assign
@@ -598,14 +887,11 @@ const unassignComplaint = asyncHandler(async (req, res) => {
     // Unassign the complaint
     const previouslyAssigned = complaint.assignedTo;
     complaint.assignedTo = null;
-    complaint.status = COMPLAINT_STATUS.SUBMITTED;
-
-    // Add to status history
-    complaint.statusHistory.push({
-      status: COMPLAINT_STATUS.SUBMITTED,
-      timestamp: new Date(),
+    complaint.assignedAt = null;
+    await complaint.transitionTo(COMPLAINT_STATUS.SUBMITTED, {
       updatedBy: req.user.id,
       remarks: "Complaint unassigned and returned to queue",
+      actor: req.user.role,
     });
 
     await complaint.save();
@@ -626,6 +912,9 @@ const unassignComplaint = asyncHandler(async (req, res) => {
       data: complaint,
     });
   } catch (error) {
+    // Workflow violations are reported as-is
+    if (error.isOperational) throw error;
+
     logger.error(`Error unassigning complaint ${complaintId}:`, error);
     throw new AppError(
       "Error unassigning complaint",
@@ -635,34 +924,130 @@ const unassignComplaint = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get complaint analytics
- * @route   GET /api/complaints/analytics
- * @access  Private (Staff/Admin)
+ * @desc    Follow a complaint about an issue the user also has, instead of
+ *          submitting a duplicate. Followers are emailed on status changes.
+ * @route   POST /api/complaints/:id/follow
+ * @access  Private (User)
  */
-const getComplaintAnalytics = asyncHandler(async (req, res) => {
-  const { startDate, endDate } = req.query;
-
-  let dateFilter = {};
-  if (startDate && endDate) {
-    dateFilter = {
-      createdAt: {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate),
-      },
-    };
+const followComplaint = asyncHandler(async (req, res) => {
+  const complaint = await Complaint.findOne({
+    _id: req.params.id,
+    ...Complaint.phaseNotIn([
+      COMPLAINT_STATUS.RESOLVED,
+      COMPLAINT_STATUS.CLOSED,
+    ]),
+  }).select("ticketId title user");
+
+  if (!complaint) {
+    throw new AppError(
+      "Complaint not found or already resolved",
+      HTTP_STATUS.NOT_FOUND
+    );
   }
 
-  // Role-based filtering for analytics
-  let baseFilter = { ...dateFilter };
-  if (req.user.role === USER_ROLES.STAFF) {
-    const staffCategories = await Category.find({
-      department: req.user.department,
-      isActive: true,
-    }).select("_id");
+  if (complaint.user.toString() === req.user.id.toString()) {
+    throw new AppError(
+      "You cannot follow your own complaint",
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  await Complaint.updateOne(
+    { _id: complaint._id },
+    { $addToSet: { followers: req.user.id } }
+  );
+
+  logger.info(`Complaint ${complaint._id} followed by user: ${req.user.email}`);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "You will be notified when this complaint is updated",
+    data: {
+      id: complaint._id,
+      ticketId: complaint.ticketId,
+      title: complaint.title,
+    },
+  });
+});
+
+/**
+ * @desc    Stop following a complaint
+ * @route   DELETE /api/complaints/:id/follow
+ * @access  Private (User)
+ */
+const unfollowComplaint = asyncHandler(async (req, res) => {
+  const result = await Complaint.updateOne(
+    { _id: req.params.id },
+    { $pull: { followers: req.user.id } }
+  );
+
+  if (result.matchedCount === 0) {
+    throw new AppError(
+      RESPONSE_MESSAGES.ERROR.COMPLAINT_NOT_FOUND,
+      HTTP_STATUS.NOT_FOUND
+    );
+  }
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "You will no longer be notified about this complaint",
+  });
+});
+
+/**
+ * @desc    Apply an action to many complaints, selected by ID or by filter
+ * @route   POST /api/complaints/bulk
+ * @access  Private (Staff/Admin; assign and escalate are Admin only)
+ */
+const bulkUpdateComplaints = asyncHandler(async (req, res) => {
+  const { action, ids, filter, ...params } = req.body;
+
+  let complaintIds;
+  if (ids) {
+    complaintIds = [...new Set(ids)];
+  } else {
+    const matches = await Complaint.find(
+      await ComplaintQueryService.buildFilter(filter, req.user)
+    )
+      .select("_id")
+      .sort({ createdAt: -1 })
+      .limit(BULK_CONFIG.MAX_ITEMS + 1);
 
-    baseFilter.category = { $in: staffCategories.map((cat) => cat._id) };
+    if (matches.length > BULK_CONFIG.MAX_ITEMS) {
+      throw new AppError(
+        `The filter matches more than ${BULK_CONFIG.MAX_ITEMS} complaints; narrow it down and try again`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+    complaintIds = matches.map((complaint) => complaint._id.toString());
   }
 
+  const result = await ComplaintBulkService.run(
+    action,
+    complaintIds,
+    params,
+    req.user
+  );
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: `${result.succeeded} of ${result.total} complaint(s) updated`,
+    data: result,
+  });
+});
+
+/**
+ * @desc    Get complaint analytics
+ * @route   GET /api/complaints/analytics
+ * @access  Private (Staff/Admin)
+ */
+const getComplaintAnalytics = asyncHandler(async (req, res) => {
+  // The same filters, and the same visibility, as the complaint list
+  const baseFilter = await ComplaintQueryService.buildFilter(
+    req.query,
+    req.user
+  );
+
   try {
     const [
       generalStats,
@@ -671,7 +1056,7 @@ const getComplaintAnalytics = asyncHandler(async (req, res) => {
       categoryStats,
     ] = await Promise.all([
       // General statistics
-      Complaint.getAnalytics(dateFilter),
+      Complaint.getAnalytics(baseFilter),
 
       // Status distribution
       Complaint.aggregate([
@@ -739,218 +1124,21 @@ const getComplaintAnalytics = asyncHandler(async (req, res) => {
   }
 });
 
-/**
- * @desc    Export complaints to CSV format
- * @route   GET /api/complaints/export
- * @access  Private (Staff/Admin)
- */
-const exportComplaints = asyncHandler(async (req, res) => {
-  try {
-    // Build the filter query similar to getComplaints
-    const filters = {};
-    const {
-      search,
-      status,
-      priority,
-      category,
-      assignedTo,
-      department,
-      startDate,
-      endDate,
-      escalated,
-      hasAttachments,
-      minResolutionTime,
-      maxResolutionTime,
-      tags,
-      format = "csv",
-    } = req.query;
-
-    // Apply role-based filtering
-    if (req.user.role === USER_ROLES.USER) {
-      filters.user = req.user.id;
-    } else if (req.user.role === USER_ROLES.STAFF && req.user.department) {
-      // Staff can only see complaints from their department
-      const categories = await Category.find({
-        department: req.user.department,
-        isActive: true,
-      }).select("_id");
-      filters.category = { $in: categories.map((cat) => cat._id) };
-    }
-
-    // Apply search filter
-    if (search) {
-      filters.$or = [
-        { title: { $regex: search, $options: "i" } },
-        { description: { $regex: search, $options: "i" } },
-        { ticketId: { $regex: search, $options: "i" } },
-      ];
-    }
-
-    // Apply status filter
-    if (status) {
-      const statusArray = status.split(",");
-      filters.status = { $in: statusArray };
-    }
-
-    // Apply priority filter
-    if (priority) {
-      const priorityArray = priority.split(",");
-      filters.priority = { $in: priorityArray };
-    }
-
-    // Apply category filter
-    if (category) {
-      const categoryArray = category.split(",");
-      filters.category = { $in: categoryArray };
-    }
-
-    // Apply assigned staff filter
-    if (assignedTo) {
-      const assignedArray = assignedTo.split(",");
-      filters.assignedTo = { $in: assignedArray };
-    }
-
-    // Apply date range filter
-    if (startDate || endDate) {
-      filters.createdAt = {};
-      if (startDate) {
-        filters.createdAt.$gte = new Date(startDate);
-      }
-      if (endDate) {
-        filters.createdAt.$lte = new Date(endDate);
-      }
-    }
-
-    // Apply escalated filter
-    if (escalated !== undefined) {
-      filters.isEscalated = escalated === "true";
-    }
-
-    // Apply attachments filter
-    if (hasAttachments !== undefined) {
-      if (hasAttachments === "true") {
-        filters.attachments = { $exists: true, $not: { $size: 0 } };
-      } else {
-        filters.$or = [
-          { attachments: { $exists: false } },
-          { attachments: { $size: 0 } },
-        ];
-      }
-    }
-
-    // Apply resolution time filter
-    if (minResolutionTime !== undefined || maxResolutionTime !== undefined) {
-      // This is complex as we need to calculate resolution time
-      // For now, we'll skip this filter in export
-    }
-
-    // Apply tags filter
-    if (tags) {
-      const tagsArray = tags.split(",");
-      filters.tags = { $in: tagsArray };
-    }
-
-    // Fetch complaints with populated data
-    const complaints = await Complaint.find(filters)
-      .populate("user", "name email")
-      .populate("category", "name")
-      .populate("assignedTo", "name email")
-      .sort({ createdAt: -1 })
-      .lean();
-
-    // Generate CSV content
-    if (format.toLowerCase() === "csv") {
-      // Define CSV headers
-      const headers = [
-        "Ticket ID",
-        "Title",
-        "Description",
-        "Category",
-        "Status",
-        "Priority",
-        "User Name",
-        "User Email",
-        "Assigned To",
-        "Created At",
-        "Updated At",
-        "Resolution Time (Hours)",
-        "Is Escalated",
-        "Has Attachments",
-      ];
-
-      // Convert complaints to CSV format
-      const csvRows = [headers.join(",")];
-
-      complaints.forEach((complaint) => {
-        const resolutionTime = complaint.resolvedAt
-          ? Math.round(
-              (new Date(complaint.resolvedAt) - new Date(complaint.createdAt)) /
-                (1000 * 60 * 60)
-            )
-          : "";
-
-        const row = [
-          complaint.ticketId ||
-            complaint._id.toString().slice(-8).toUpperCase(),
-          `"${complaint.title.replace(/"/g, '""')}"`,
-          `"${complaint.description.replace(/"/g, '""')}"`,
-          complaint.category?.name || "Unknown",
-          complaint.status,
-          complaint.priority,
-          complaint.user?.name || "Unknown",
-          complaint.user?.email || "Unknown",
-          complaint.assignedTo?.name || "Unassigned",
-          new Date(complaint.createdAt).toISOString(),
-          new Date(complaint.updatedAt).toISOString(),
-          resolutionTime,
-          complaint.isEscalated ? "Yes" : "No",
-          complaint.attachments && complaint.attachments.length > 0
-            ? "Yes"
-            : "No",
-        ];
-
-        csvRows.push(row.join(","));
-      });
-
-      const csvContent = csvRows.join("\n");
-
-      // Set response headers for CSV download
-      res.setHeader("Content-Type", "text/csv");
-      res.setHeader(
-        "Content-Disposition",
-        `attachment; filename="complaints-export-${
-          new Date().toISOString().split("T")[0]
-        }.csv"`
-      );
-
-      return res.send(csvContent);
-    }
-
-    // Default JSON response if format is not CSV
-    res.status(HTTP_STATUS.OK).json({
-      success: true,
-      message: "Complaints exported successfully",
-      data: complaints,
-      count: complaints.length,
-    });
-  } catch (error) {
-    logger.error("Error exporting complaints:", error);
-    throw new AppError(
-      "Failed to export complaints",
-      HTTP_STATUS.INTERNAL_SERVER_ERROR
-    );
-  }
-});
-
 module.exports = {
   createComplaint,
   getComplaints,
   getComplaintById,
+  getComplaintByTicketId,
   updateComplaint,
   deleteComplaint,
   updateComplaintStatus,
+  reopenComplaint,
+  getComplaintTransitions,
+  acknowledgeComplaint,
   assignComplaint,
   unassignComplaint,
+  followComplaint,
+  unfollowComplaint,
+  bulkUpdateComplaints,
   getComplaintAnalytics,
-  exportComplaints,
 };
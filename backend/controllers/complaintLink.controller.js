@@ -0,0 +1,160 @@
+const Complaint = require("../models/Complaint");
+const ComplaintLinkService = require("../services/complaintLink.service");
+const emailService = require("../services/email/emailService");
+const {
+  HTTP_STATUS,
+  RESPONSE_MESSAGES,
+  TICKET_CONFIG,
+} = require("../config/constants");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const logger = require("../utils/logger");
+
+/**
+ * Load a complaint the user can work on by ID or ticket ID, or throw a
+ * 404/403
+ */
+const findAccessibleComplaint = async (idOrTicketId, user) => {
+  const query = TICKET_CONFIG.PATTERN.test(idOrTicketId)
+    ? Complaint.findOne({ ticketId: idOrTicketId.toUpperCase() })
+    : Complaint.findById(idOrTicketId);
+  const complaint = await query.populate("category", "name department");
+  if (!complaint) {
+    throw new AppError(
+      RESPONSE_MESSAGES.ERROR.COMPLAINT_NOT_FOUND,
+      HTTP_STATUS.NOT_FOUND
+    );
+  }
+
+  if (!(await complaint.canBeAccessedBy(user))) {
+    throw new AppError(
+      RESPONSE_MESSAGES.ERROR.FORBIDDEN,
+      HTTP_STATUS.FORBIDDEN
+    );
+  }
+
+  return complaint;
+};
+
+/**
+ * Links of a complaint with the linked complaints summarised
+ */
+const loadLinks = async (complaintId) => {
+  const complaint = await Complaint.findById(complaintId)
+    .select("links mergedInto")
+    .populate("links.complaint", "ticketId title status statusPhase")
+    .populate("mergedInto", "ticketId title status statusPhase");
+
+  return { links: complaint.links, mergedInto: complaint.mergedInto };
+};
+
+/**
+ * @desc    Link a complaint to another complaint
+ * @route   POST /api/complaints/:id/links
+ * @access  Private (Staff/Admin with access to both complaints)
+ */
+const addComplaintLink = asyncHandler(async (req, res) => {
+  const { complaintId, type } = req.body;
+
+  const complaint = await findAccessibleComplaint(req.params.id, req.user);
+  const other = await findAccessibleComplaint(complaintId, req.user);
+
+  await ComplaintLinkService.link(complaint, other, type, req.user.id);
+
+  logger.info(
+    `Complaint ${complaint._id} linked to ${other._id} (${type}) by user: ${req.user.email}`
+  );
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: "Complaints linked successfully",
+    data: await loadLinks(complaint._id),
+  });
+});
+
+/**
+ * @desc    Remove the link between two complaints
+ * @route   DELETE /api/complaints/:id/links/:linkedId
+ * @access  Private (Staff/Admin with access to the complaint)
+ */
+const removeComplaintLink = asyncHandler(async (req, res) => {
+  const complaint = await findAccessibleComplaint(req.params.id, req.user);
+  const link = ComplaintLinkService.findLink(complaint, req.params.linkedId);
+
+  if (!link) {
+    throw new AppError("Link not found", HTTP_STATUS.NOT_FOUND);
+  }
+
+  // The duplicate-of link of a merged complaint is its pointer to the
+  // primary, so it stays
+  if (complaint.mergedInto?.equals(req.params.linkedId)) {
+    throw new AppError(
+      "The link to the complaint this one was merged into cannot be removed",
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  await ComplaintLinkService.unlink(complaint._id, req.params.linkedId);
+
+  logger.info(
+    `Complaint ${complaint._id} unlinked from ${req.params.linkedId} by user: ${req.user.email}`
+  );
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "Link removed successfully",
+    data: await loadLinks(complaint._id),
+  });
+});
+
+/**
+ * @desc    Merge a duplicate complaint into a primary complaint
+ * @route   POST /api/complaints/:id/merge
+ * @access  Private (Staff/Admin with access to both complaints)
+ */
+const mergeComplaint = asyncHandler(async (req, res) => {
+  const duplicate = await findAccessibleComplaint(req.params.id, req.user);
+  const primary = await findAccessibleComplaint(req.body.primaryId, req.user);
+
+  const previousStatus = duplicate.status;
+  await ComplaintLinkService.merge(duplicate, primary, req.user);
+
+  // Tell the duplicate's complainant where their issue is being handled
+  try {
+    await duplicate.populate("user", "name email");
+    await emailService.sendStatusUpdate(
+      duplicate,
+      duplicate.user,
+      previousStatus,
+      req.user
+    );
+  } catch (emailError) {
+    logger.error(
+      `Failed to send merge email for complaint ${duplicate._id}:`,
+      emailError
+    );
+    // Don't fail the request if email fails
+  }
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "Complaint merged successfully",
+    data: {
+      primary: {
+        id: primary._id,
+        ticketId: primary.ticketId,
+        title: primary.title,
+      },
+      duplicate: {
+        id: duplicate._id,
+        ticketId: duplicate.ticketId,
+        status: duplicate.status,
+      },
+    },
+  });
+});
+
+module.exports = {
+  addComplaintLink,
+  removeComplaintLink,
+  mergeComplaint,
+};
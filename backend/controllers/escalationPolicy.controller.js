@@ -0,0 +1,159 @@
+const EscalationPolicy = require("../models/EscalationPolicy");
+const { HTTP_STATUS } = require("../config/constants");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const logger = require("../utils/logger");
+
+const EDITABLE_FIELDS = ["name", "department", "levels", "isActive"];
+
+/**
+ * Pick the editable policy fields from a request body
+ */
+const pickPolicyFields = (body) =>
+  EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+
+/**
+ * Save a policy, mapping validation and duplicate errors to 400/409
+ */
+const savePolicy = async (policy) => {
+  try {
+    await policy.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError(
+        policy.department
+          ? `An escalation policy already exists for the ${policy.department} department`
+          : "A default escalation policy already exists",
+        HTTP_STATUS.CONFLICT
+      );
+    }
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      throw new AppError(messages.join(", "), HTTP_STATUS.BAD_REQUEST);
+    }
+    throw error;
+  }
+};
+
+/**
+ * @desc    Create an escalation policy
+ * @route   POST /api/admin/escalation-policies
+ * @access  Private (Admin only)
+ */
+const createEscalationPolicy = asyncHandler(async (req, res) => {
+  const policy = new EscalationPolicy({
+    ...pickPolicyFields(req.body),
+    createdBy: req.user.id,
+  });
+
+  await savePolicy(policy);
+
+  logger.info(
+    `Escalation policy created: ${policy.name} by admin: ${req.user.email}`
+  );
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: "Escalation policy created successfully",
+    data: policy,
+  });
+});
+
+/**
+ * @desc    Get all escalation policies
+ * @route   GET /api/admin/escalation-policies
+ * @access  Private (Staff/Admin)
+ */
+const getEscalationPolicies = asyncHandler(async (req, res) => {
+  const policies = await EscalationPolicy.find()
+    .populate("levels.users", "name email role department")
+    .sort({ department: 1, name: 1 });
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: policies,
+  });
+});
+
+/**
+ * @desc    Get escalation policy by ID
+ * @route   GET /api/admin/escalation-policies/:id
+ * @access  Private (Staff/Admin)
+ */
+const getEscalationPolicyById = asyncHandler(async (req, res) => {
+  const policy = await EscalationPolicy.findById(req.params.id)
+    .populate("levels.users", "name email role department")
+    .populate("createdBy", "name email")
+    .populate("updatedBy", "name email");
+
+  if (!policy) {
+    throw new AppError("Escalation policy not found", HTTP_STATUS.NOT_FOUND);
+  }
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: policy,
+  });
+});
+
+/**
+ * @desc    Update an escalation policy
+ * @route   PUT /api/admin/escalation-policies/:id
+ * @access  Private (Admin only)
+ */
+const updateEscalationPolicy = asyncHandler(async (req, res) => {
+  const policy = await EscalationPolicy.findById(req.params.id);
+
+  if (!policy) {
+    throw new AppError("Escalation policy not found", HTTP_STATUS.NOT_FOUND);
+  }
+
+  policy.set(pickPolicyFields(req.body));
+  policy.updatedBy = req.user.id;
+
+  await savePolicy(policy);
+
+  logger.info(
+    `Escalation policy updated: ${policy.name} by admin: ${req.user.email}`
+  );
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "Escalation policy updated successfully",
+    data: policy,
+  });
+});
+
+/**
+ * @desc    Delete an escalation policy
+ * @route   DELETE /api/admin/escalation-policies/:id
+ * @access  Private (Admin only)
+ */
+const deleteEscalationPolicy = asyncHandler(async (req, res) => {
+  const policy = await EscalationPolicy.findByIdAndDelete(req.params.id);
+
+  if (!policy) {
+    throw new AppError("Escalation policy not found", HTTP_STATUS.NOT_FOUND);
+  }
+
+  logger.info(
+    `Escalation policy deleted: ${policy.name} by admin: ${req.user.email}`
+  );
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "Escalation policy deleted successfully",
+  });
+});
+
+module.exports = {
+  createEscalationPolicy,
+  getEscalationPolicies,
+  getEscalationPolicyById,
+  updateEscalationPolicy,
+  deleteEscalationPolicy,
+};
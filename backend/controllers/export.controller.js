@@ -0,0 +1,173 @@
+const Complaint = require("../models/Complaint");
+const ExportJob = require("../models/ExportJob");
+const ComplaintQueryService = require("../services/complaintQuery.service");
+const ComplaintExportService = require("../services/complaintExport.service");
+const StorageService = require("../services/storage/storageService");
+const {
+  HTTP_STATUS,
+  USER_ROLES,
+  EXPORT_FORMATS,
+  EXPORT_JOB_STATUS,
+  EXPORT_CONFIG,
+} = require("../config/constants");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const logger = require("../utils/logger");
+
+/**
+ * Load an export job the current user may see: their own, or any for admins
+ */
+const findExportJob = async (id, user) => {
+  const job = await ExportJob.findById(id);
+
+  if (
+    !job ||
+    (job.user.toString() !== user.id.toString() &&
+      user.role !== USER_ROLES.ADMIN)
+  ) {
+    throw new AppError("Export not found", HTTP_STATUS.NOT_FOUND);
+  }
+
+  return job;
+};
+
+/**
+ * @desc    Export complaints as CSV, XLSX or NDJSON. Exports of more than
+ *          EXPORT_CONFIG.ASYNC_THRESHOLD complaints run in the background and
+ *          return the export job (202)
+ * @route   GET /api/complaints/export
+ * @access  Private (Staff/Admin)
+ */
+const exportComplaints = asyncHandler(async (req, res) => {
+  const {
+    search,
+    sortBy,
+    sortOrder = "desc",
+    format = EXPORT_FORMATS.CSV,
+    columns: requestedColumns,
+  } = req.query;
+
+  // Exactly the complaints the list shows for the same parameters
+  const filter = await ComplaintQueryService.buildFilter(req.query, req.user);
+  const sort = ComplaintQueryService.buildSort(
+    sortBy || (search ? "relevance" : "createdAt"),
+    sortOrder,
+    Boolean(filter.$text)
+  );
+  const columns = await ComplaintExportService.resolveColumns(
+    requestedColumns,
+    filter
+  );
+
+  const total = await Complaint.countDocuments(filter);
+  if (total > EXPORT_CONFIG.ASYNC_THRESHOLD) {
+    const job = await ComplaintExportService.startJob(
+      {
+        format,
+        columns: requestedColumns,
+        filters: ComplaintExportService.getFilters(req.query),
+        total,
+      },
+      req.user
+    );
+
+    return res.status(HTTP_STATUS.ACCEPTED).json({
+      success: true,
+      message: `${total} complaints match; the export will be ready to download shortly`,
+      data: job,
+    });
+  }
+
+  res.attachment(ComplaintExportService.getFilename(format));
+  res.setHeader("Content-Type", ComplaintExportService.getContentType(format));
+
+  try {
+    await ComplaintExportService.write(
+      ComplaintExportService.openCursor(filter, sort, columns),
+      columns,
+      format,
+      res
+    );
+  } catch (error) {
+    if (!res.headersSent) throw error;
+    // Part of the file has been sent; all that is left is to cut it short
+    logger.error("Error streaming complaint export:", error);
+    res.destroy(error);
+  }
+});
+
+/**
+ * @desc    Get the columns complaints can be exported with
+ * @route   GET /api/complaints/export/columns
+ * @access  Private (Staff/Admin)
+ */
+const getExportColumns = asyncHandler(async (req, res) => {
+  const columns = await ComplaintExportService.getAvailableColumns();
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: columns,
+  });
+});
+
+/**
+ * @desc    Get a background export job
+ * @route   GET /api/complaints/exports/:id
+ * @access  Private (Requester/Admin)
+ */
+const getExportJob = asyncHandler(async (req, res) => {
+  const job = await findExportJob(req.params.id, req.user);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: job,
+  });
+});
+
+/**
+ * @desc    Download the file of a completed background export
+ * @route   GET /api/complaints/exports/:id/download
+ * @access  Private (Requester/Admin)
+ */
+const downloadExport = asyncHandler(async (req, res) => {
+  const job = await findExportJob(req.params.id, req.user);
+
+  if (job.status !== EXPORT_JOB_STATUS.COMPLETED) {
+    throw new AppError(
+      job.status === EXPORT_JOB_STATUS.FAILED
+        ? `The export failed: ${job.error}`
+        : "The export is not ready yet",
+      HTTP_STATUS.CONFLICT
+    );
+  }
+
+  const stream =
+    job.expiresAt > new Date()
+      ? await StorageService.getExportStream(
+          job._id.toString(),
+          job.file.filename
+        )
+      : null;
+  if (!stream) {
+    throw new AppError(
+      "The export has expired; please export again",
+      HTTP_STATUS.NOT_FOUND
+    );
+  }
+
+  res.attachment(job.file.filename);
+  res.setHeader("Content-Type", job.file.contentType);
+  if (job.file.size) res.setHeader("Content-Length", job.file.size);
+
+  stream.on("error", (error) => {
+    logger.error(`Error downloading export ${job._id}:`, error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+});
+
+module.exports = {
+  exportComplaints,
+  getExportColumns,
+  getExportJob,
+  downloadExport,
+};
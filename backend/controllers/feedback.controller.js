@@ -0,0 +1,252 @@
+const Complaint = require("../models/Complaint");
+const Feedback = require("../models/Feedback");
+const WebSocketService = require("../services/websocket.service");
+const {
+  HTTP_STATUS,
+  RESPONSE_MESSAGES,
+  USER_ROLES,
+  COMPLAINT_STATUS,
+} = require("../config/constants");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const logger = require("../utils/logger");
+
+// Complaints can only be rated once they have been dealt with
+const RATEABLE_STATUSES = [COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED];
+
+/**
+ * Load a complaint or throw a 404
+ */
+const findComplaintOrFail = async (complaintId) => {
+  const complaint = await Complaint.findById(complaintId);
+  if (!complaint) {
+    throw new AppError(
+      RESPONSE_MESSAGES.ERROR.COMPLAINT_NOT_FOUND,
+      HTTP_STATUS.NOT_FOUND
+    );
+  }
+  return complaint;
+};
+
+/**
+ * Load the feedback linked to a complaint or throw a 404
+ */
+const findFeedbackOrFail = async (complaint) => {
+  const feedback = await Feedback.findOne({ complaint: complaint._id });
+  if (!feedback) {
+    throw new AppError(
+      RESPONSE_MESSAGES.ERROR.FEEDBACK_NOT_FOUND,
+      HTTP_STATUS.NOT_FOUND
+    );
+  }
+  return feedback;
+};
+
+/**
+ * @desc    Submit feedback for a resolved complaint
+ * @route   POST /api/complaints/:id/feedback
+ * @access  Private (Complainant only)
+ */
+const submitFeedback = asyncHandler(async (req, res) => {
+  const complaint = await findComplaintOrFail(req.params.id);
+
+  if (complaint.user.toString() !== req.user.id.toString()) {
+    throw new AppError(
+      "Only the complainant can submit feedback for this complaint",
+      HTTP_STATUS.FORBIDDEN
+    );
+  }
+
+  if (!complaint.isInPhase(...RATEABLE_STATUSES)) {
+    throw new AppError(
+      "Feedback can only be submitted for resolved or closed complaints",
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  if (complaint.feedback) {
+    throw new AppError(
+      RESPONSE_MESSAGES.ERROR.FEEDBACK_EXISTS,
+      HTTP_STATUS.CONFLICT
+    );
+  }
+
+  const {
+    rating,
+    comments,
+    aspects,
+    improvementSuggestions,
+    wouldRecommend,
+    tags,
+    isAnonymous,
+    isPublic,
+  } = req.body;
+
+  let feedback;
+  try {
+    feedback = await Feedback.create({
+      complaint: complaint._id,
+      user: req.user.id,
+      rating,
+      comments: comments?.trim(),
+      aspects,
+      improvementSuggestions: improvementSuggestions?.trim(),
+      wouldRecommend,
+      tags,
+      isAnonymous,
+      isPublic,
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get("User-Agent"),
+      },
+    });
+  } catch (error) {
+    // Unique index on complaint guards against concurrent submissions
+    if (error.code === 11000) {
+      throw new AppError(
+        RESPONSE_MESSAGES.ERROR.FEEDBACK_EXISTS,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      throw new AppError(messages.join(", "), HTTP_STATUS.BAD_REQUEST);
+    }
+    throw error;
+  }
+
+  // Link the feedback back onto the complaint
+  complaint.feedback = feedback._id;
+  await complaint.save();
+
+  logger.info(
+    `Feedback submitted for complaint ${complaint._id} by user: ${req.user.email} (rating: ${feedback.rating})`
+  );
+
+  // Send real-time notification
+  try {
+    WebSocketService.notifyFeedbackSubmitted(complaint, feedback, req.user);
+  } catch (socketError) {
+    logger.error(
+      `Failed to send WebSocket feedback notification for complaint ${complaint._id}:`,
+      socketError
+    );
+    // Don't fail the request if WebSocket fails
+  }
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: RESPONSE_MESSAGES.SUCCESS.FEEDBACK_SUBMITTED,
+    data: feedback,
+  });
+});
+
+/**
+ * @desc    Get feedback for a complaint
+ * @route   GET /api/complaints/:id/feedback
+ * @access  Private (Complainant/Staff/Admin, or anyone if feedback is public)
+ */
+const getComplaintFeedback = asyncHandler(async (req, res) => {
+  const complaint = await findComplaintOrFail(req.params.id);
+  const feedback = await findFeedbackOrFail(complaint);
+
+  if (!feedback.isPublic && !(await complaint.canBeAccessedBy(req.user))) {
+    throw new AppError(
+      RESPONSE_MESSAGES.ERROR.FORBIDDEN,
+      HTTP_STATUS.FORBIDDEN
+    );
+  }
+
+  await feedback.populate([
+    { path: "user", select: "name" },
+    { path: "adminResponse.respondedBy", select: "name" },
+  ]);
+
+  // The submitter's IP address and user agent are for admins only
+  const data = feedback.toJSON();
+  if (req.user.role !== USER_ROLES.ADMIN) {
+    delete data.metadata;
+  }
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data,
+  });
+});
+
+/**
+ * @desc    Add or replace the admin response on complaint feedback
+ * @route   PATCH /api/complaints/:id/feedback/response
+ * @access  Private (Admin only)
+ */
+const respondToFeedback = asyncHandler(async (req, res) => {
+  const complaint = await findComplaintOrFail(req.params.id);
+  const feedback = await findFeedbackOrFail(complaint);
+
+  await feedback.addAdminResponse(req.body.message.trim(), req.user.id);
+
+  logger.info(
+    `Admin response added to feedback ${feedback._id} by admin: ${req.user.email}`
+  );
+
+  try {
+    WebSocketService.notifyFeedbackResponse(complaint, req.user);
+  } catch (socketError) {
+    logger.error(
+      `Failed to send WebSocket feedback response notification for complaint ${complaint._id}:`,
+      socketError
+    );
+  }
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: RESPONSE_MESSAGES.SUCCESS.FEEDBACK_RESPONDED,
+    data: feedback,
+  });
+});
+
+/**
+ * @desc    Mark or unmark public complaint feedback as helpful
+ * @route   POST/DELETE /api/complaints/:id/feedback/helpful
+ * @access  Private (Any user except the feedback author)
+ */
+const toggleFeedbackHelpful = asyncHandler(async (req, res) => {
+  const complaint = await findComplaintOrFail(req.params.id);
+  const feedback = await findFeedbackOrFail(complaint);
+
+  if (!feedback.isPublic) {
+    throw new AppError(
+      "Only public feedback can be marked as helpful",
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  if (feedback.user.toString() === req.user.id.toString()) {
+    throw new AppError(
+      "You cannot mark your own feedback as helpful",
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  if (req.method === "DELETE") {
+    await feedback.unmarkHelpful(req.user.id);
+  } else {
+    await feedback.markHelpful(req.user.id);
+  }
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: {
+      helpfulCount: feedback.helpful.count,
+      markedHelpful: feedback.helpful.users.some(
+        (userId) => userId.toString() === req.user.id.toString()
+      ),
+    },
+  });
+});
+
+module.exports = {
+  submitFeedback,
+  getComplaintFeedback,
+  respondToFeedback,
+  toggleFeedbackHelpful,
+};
@@ -0,0 +1,47 @@
+const ComplaintImportService = require("../services/complaintImport.service");
+const { HTTP_STATUS } = require("../config/constants");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+
+/**
+ * @desc    Import complaints from a CSV or XLSX file (multipart "file").
+ *          Optional fields: mapping (JSON, field -> column header) and dryRun
+ *          to only report the rows that would be rejected
+ * @route   POST /api/admin/complaints/import
+ * @access  Private (Admin only)
+ */
+const importComplaints = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new AppError("No file uploaded", HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const report = await ComplaintImportService.importFile(
+    req.file,
+    { mapping: req.body.mapping, dryRun: req.body.dryRun },
+    req.user
+  );
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: report.dryRun
+      ? `${report.valid} of ${report.total} row(s) can be imported`
+      : `${report.imported} of ${report.total} complaint(s) imported`,
+    data: report,
+  });
+});
+
+/**
+ * @desc    Get the complaint fields import columns can be mapped to
+ * @route   GET /api/admin/complaints/import/fields
+ * @access  Private (Admin only)
+ */
+const getImportFields = asyncHandler(async (req, res) => {
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: ComplaintImportService.getFields(),
+  });
+});
+
+module.exports = {
+  importComplaints,
+  getImportFields,
+};
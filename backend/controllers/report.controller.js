@@ -0,0 +1,64 @@
+const Complaint = require("../models/Complaint");
+const Comment = require("../models/Comment");
+const PdfReportService = require("../services/pdfReport.service");
+const {
+  HTTP_STATUS,
+  RESPONSE_MESSAGES,
+  COMMENT_VISIBILITY,
+} = require("../config/constants");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+
+/**
+ * @desc    Download the case file of a complaint as a PDF: details, assignee,
+ *          status history, comments and notes, attachments and feedback.
+ *          Internal notes are left out with ?includeInternal=false
+ * @route   GET /api/complaints/:id/report.pdf
+ * @access  Private (Staff/Admin with access to the complaint)
+ */
+const getComplaintReport = asyncHandler(async (req, res) => {
+  const includeInternal = req.query.includeInternal !== false;
+
+  const complaint = await Complaint.findById(req.params.id)
+    .populate("category", "name department customFields")
+    .populate("user", "name email")
+    .populate("assignedTo", "name email department")
+    .populate("feedback")
+    .populate("statusHistory.updatedBy", "name email")
+    .populate("attachments.uploadedBy", "name email")
+    .populate("internalNotes.addedBy", "name email");
+
+  if (!complaint) {
+    throw new AppError(
+      RESPONSE_MESSAGES.ERROR.COMPLAINT_NOT_FOUND,
+      HTTP_STATUS.NOT_FOUND
+    );
+  }
+
+  if (!(await complaint.canBeAccessedBy(req.user))) {
+    throw new AppError(
+      RESPONSE_MESSAGES.ERROR.FORBIDDEN,
+      HTTP_STATUS.FORBIDDEN
+    );
+  }
+
+  const comments = await Comment.find({
+    complaint: complaint._id,
+    deletedAt: null,
+    ...(includeInternal ? {} : { visibility: COMMENT_VISIBILITY.PUBLIC }),
+  })
+    .populate("author", "name email")
+    .sort({ createdAt: 1 });
+
+  res.attachment(`complaint-${complaint.ticketId || complaint._id}-report.pdf`);
+  res.setHeader("Content-Type", "application/pdf");
+
+  PdfReportService.writeComplaintReport(
+    complaint,
+    { comments, includeInternal, generatedBy: req.user },
+    res
+  );
+});
+
+module.exports = {
+  getComplaintReport,
+};
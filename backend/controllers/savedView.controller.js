@@ -0,0 +1,291 @@
+const SavedView = require("../models/SavedView");
+const Complaint = require("../models/Complaint");
+const ComplaintQueryService = require("../services/complaintQuery.service");
+const {
+  HTTP_STATUS,
+  USER_ROLES,
+  SAVED_VIEW_VISIBILITY,
+  SAVED_VIEW_CONFIG,
+} = require("../config/constants");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const logger = require("../utils/logger");
+
+/**
+ * Save a view, mapping validation and duplicate errors to 400/409
+ */
+const saveView = async (view) => {
+  try {
+    await view.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError(
+        `You already have a view named "${view.name}"`,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      throw new AppError(messages.join(", "), HTTP_STATUS.BAD_REQUEST);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Apply the requested visibility; only staff and admins share views, and
+ * only with their own department
+ */
+const applyVisibility = (view, visibility, user) => {
+  if (visibility === SAVED_VIEW_VISIBILITY.DEPARTMENT) {
+    if (user.role === USER_ROLES.USER || !user.department) {
+      throw new AppError(
+        "Only staff with a department can share views",
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+    view.visibility = SAVED_VIEW_VISIBILITY.DEPARTMENT;
+    view.department = user.department;
+  } else {
+    view.visibility = SAVED_VIEW_VISIBILITY.PRIVATE;
+    view.department = null;
+  }
+};
+
+/**
+ * Make a view the user's default, replacing any view pinned before
+ */
+const pinForUser = async (view, user) => {
+  await SavedView.updateMany(
+    { pinnedBy: user.id, _id: { $ne: view._id } },
+    { $pull: { pinnedBy: user.id } }
+  );
+  await SavedView.updateOne(
+    { _id: view._id },
+    { $addToSet: { pinnedBy: user.id } }
+  );
+};
+
+/**
+ * A view as the current user sees it
+ */
+const formatView = (view, user, count) => ({
+  ...view.toJSON(),
+  isOwner: view.isOwnedBy(user),
+  isPinned: view.pinnedBy.some((id) => id.toString() === user.id.toString()),
+  ...(count !== undefined && { count }),
+});
+
+/**
+ * Load a view the current user can use, or throw a 404
+ */
+const findVisibleView = async (id, user) => {
+  const view = await SavedView.findOne({
+    _id: id,
+    ...SavedView.visibleTo(user),
+  }).populate("owner", "name");
+
+  if (!view) {
+    throw new AppError("Saved view not found", HTTP_STATUS.NOT_FOUND);
+  }
+
+  return view;
+};
+
+/**
+ * Load a view the current user may change: their own, or any shared view
+ * for admins
+ */
+const findEditableView = async (id, user) => {
+  const view = await findVisibleView(id, user);
+
+  if (!view.isOwnedBy(user) && user.role !== USER_ROLES.ADMIN) {
+    throw new AppError(
+      "Only the owner can change this view",
+      HTTP_STATUS.FORBIDDEN
+    );
+  }
+
+  return view;
+};
+
+/**
+ * Number of complaints matching a view for the current user. Views whose
+ * filters no longer apply (e.g. an unknown search filter) have no count.
+ */
+const countViewComplaints = async (view, user) => {
+  try {
+    const filter = await ComplaintQueryService.buildFilter(
+      view.filters || {},
+      user
+    );
+    return await Complaint.countDocuments(filter);
+  } catch (error) {
+    logger.warn(`Could not count complaints for view ${view._id}:`, error);
+    return null;
+  }
+};
+
+/**
+ * @desc    Get the current user's views and the views shared with them
+ * @route   GET /api/complaints/views
+ * @access  Private
+ */
+const getSavedViews = asyncHandler(async (req, res) => {
+  const views = await SavedView.find(SavedView.visibleTo(req.user))
+    .populate("owner", "name")
+    .sort({ name: 1 });
+
+  // Live complaint counts, for dashboards
+  const counts =
+    req.query.counts === "true"
+      ? await Promise.all(
+          views.map((view) => countViewComplaints(view, req.user))
+        )
+      : [];
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: views.map((view, index) =>
+      formatView(view, req.user, counts.length ? counts[index] : undefined)
+    ),
+  });
+});
+
+/**
+ * @desc    Save a complaint list view
+ * @route   POST /api/complaints/views
+ * @access  Private
+ */
+const createSavedView = asyncHandler(async (req, res) => {
+  const { name, filters, visibility, pinned } = req.body;
+
+  const existing = await SavedView.countDocuments({ owner: req.user.id });
+  if (existing >= SAVED_VIEW_CONFIG.MAX_PER_USER) {
+    throw new AppError(
+      `You can save at most ${SAVED_VIEW_CONFIG.MAX_PER_USER} views`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  const view = new SavedView({
+    name,
+    filters: filters || {},
+    owner: req.user.id,
+  });
+  applyVisibility(view, visibility, req.user);
+
+  await saveView(view);
+  if (pinned) {
+    await pinForUser(view, req.user);
+    view.pinnedBy.push(req.user.id);
+  }
+  await view.populate("owner", "name");
+
+  logger.info(`Saved view created: ${view.name} by user: ${req.user.email}`);
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: "View saved successfully",
+    data: formatView(view, req.user),
+  });
+});
+
+/**
+ * @desc    Rename, change the filters of, or share/unshare a view
+ * @route   PUT /api/complaints/views/:id
+ * @access  Private (Owner; Admin for shared views)
+ */
+const updateSavedView = asyncHandler(async (req, res) => {
+  const view = await findEditableView(req.params.id, req.user);
+  const { name, filters, visibility } = req.body;
+
+  if (name !== undefined) view.name = name;
+  if (filters !== undefined) view.filters = filters;
+  if (visibility !== undefined) {
+    // Admins editing someone else's view may only unshare it
+    if (!view.isOwnedBy(req.user)) {
+      if (visibility !== SAVED_VIEW_VISIBILITY.PRIVATE) {
+        throw new AppError(
+          "Only the owner can share this view",
+          HTTP_STATUS.FORBIDDEN
+        );
+      }
+      view.visibility = SAVED_VIEW_VISIBILITY.PRIVATE;
+      view.department = null;
+    } else {
+      applyVisibility(view, visibility, req.user);
+    }
+  }
+
+  await saveView(view);
+
+  logger.info(`Saved view updated: ${view.name} by user: ${req.user.email}`);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "View updated successfully",
+    data: formatView(view, req.user),
+  });
+});
+
+/**
+ * @desc    Delete a view
+ * @route   DELETE /api/complaints/views/:id
+ * @access  Private (Owner; Admin for shared views)
+ */
+const deleteSavedView = asyncHandler(async (req, res) => {
+  const view = await findEditableView(req.params.id, req.user);
+
+  await view.deleteOne();
+
+  logger.info(`Saved view deleted: ${view.name} by user: ${req.user.email}`);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "View deleted successfully",
+  });
+});
+
+/**
+ * @desc    Pin a view as the current user's default
+ * @route   PUT /api/complaints/views/:id/pin
+ * @access  Private
+ */
+const pinSavedView = asyncHandler(async (req, res) => {
+  const view = await findVisibleView(req.params.id, req.user);
+
+  await pinForUser(view, req.user);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: `"${view.name}" is now your default view`,
+  });
+});
+
+/**
+ * @desc    Stop using a view as the current user's default
+ * @route   DELETE /api/complaints/views/:id/pin
+ * @access  Private
+ */
+const unpinSavedView = asyncHandler(async (req, res) => {
+  const view = await findVisibleView(req.params.id, req.user);
+
+  await SavedView.updateOne(
+    { _id: view._id },
+    { $pull: { pinnedBy: req.user.id } }
+  );
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "Default view removed",
+  });
+});
+
+module.exports = {
+  getSavedViews,
+  createSavedView,
+  updateSavedView,
+  deleteSavedView,
+  pinSavedView,
+  unpinSavedView,
+};
@@ -1,13 +1,18 @@
 const User = require("../models/User");
 const Complaint = require("../models/Complaint");
 const Category = require("../models/Category");
+const Comment = require("../models/Comment");
 const { validationResult } = require("express-validator");
 const {
   RESPONSE_MESSAGES,
   HTTP_STATUS,
   USER_ROLES,
   COMPLAINT_STATUS,
+  COMMENT_VISIBILITY,
 } = require("../config/constants");
+const AssignmentService = require("../services/assignment.service");
+const AvailabilityService = require("../services/availability.service");
+const WorkloadService = require("../services/workload.service");
 const logger = require("../utils/logger");
 
 /**
@@ -48,7 +53,11 @@ class StaffController {
         assignedTo: staffId,
         deadline: { $lt: new Date() },
         status: {
-          $nin: [COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED],
+          $nin: [
+            COMPLAINT_STATUS.RESOLVED,
+            COMPLAINT_STATUS.CLOSED,
+            COMPLAINT_STATUS.AWAITING_REQUESTER,
+          ],
         },
       })
         .populate("user", "name email")
@@ -169,40 +178,12 @@ class StaffController {
 
       const totalStaff = await User.countDocuments(filter);
 
-      // Get workload for each staff member
-      const staffWithWorkload = await Promise.all(
-        staff.map(async (staffMember) => {
-          const workload = await Complaint.aggregate([
-            {
-              $match: {
-                assignedTo: staffMember._id,
-                status: {
-                  $nin: [COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED],
-                },
-              },
-            },
-            {
-              $group: {
-                _id: "$priority",
-                count: { $sum: 1 },
-              },
-            },
-          ]);
-
-          const totalActive = workload.reduce((sum, w) => sum + w.count, 0);
-
-          return {
-            ...staffMember.toObject(),
-            workload: {
-              total: totalActive,
-              byPriority: workload.reduce((acc, w) => {
-                acc[w._id] = w.count;
-                return acc;
-              }, {}),
-            },
-          };
-        })
-      );
+      // Get workload for all listed staff in one query
+      const workloads = await WorkloadService.getStaffWorkloads(staff);
+      const staffWithWorkload = staff.map((staffMember) => ({
+        ...staffMember.toObject(),
+        workload: workloads.get(staffMember._id.toString()),
+      }));
 
       res.status(HTTP_STATUS.OK).json({
         success: true,
@@ -290,12 +271,12 @@ class StaffController {
 
       // Add internal note if provided
       if (notes) {
-        complaint.internalNotes.push({
-          note: `Assignment notes: ${notes}`,
-          addedBy: assignedBy,
-          addedAt: new Date(),
+        await Comment.create({
+          complaint: complaint._id,
+          author: assignedBy,
+          visibility: COMMENT_VISIBILITY.INTERNAL,
+          body: `Assignment notes: ${notes}`,
         });
-        await complaint.save();
       }
 
       // Log the assignment
@@ -354,51 +335,52 @@ class StaffController {
       };
 
       const availableStaff = await User.find(departmentFilter).select(
-        "name email department role"
+        "name email department role availability capacity"
       );
 
+      // Current workload of every candidate, in one query
+      const workloads = await WorkloadService.getStaffWorkloads(availableStaff);
+
       // Calculate workload and availability score for each staff member
       const staffWithAvailability = await Promise.all(
         availableStaff.map(async (staff) => {
-          // Get current workload
-          const currentWorkload = await Complaint.countDocuments({
-            assignedTo: staff._id,
-            status: {
-              $nin: [COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED],
-            },
-          });
-
-          // Get high/urgent priority workload
-          const highPriorityWorkload = await Complaint.countDocuments({
-            assignedTo: staff._id,
-            priority: { $in: ["high", "urgent"] },
-            status: {
-              $nin: [COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED],
-            },
-          });
+          const workload = workloads.get(staff._id.toString());
 
           // Calculate availability score (lower is better)
-          const baseScore = currentWorkload;
-          const priorityPenalty = highPriorityWorkload * 2; // High priority complaints count double
+          const baseScore = workload.total;
+          const priorityPenalty = workload.highPriority * 2; // High priority complaints count double
           const rolePriority = staff.department === category.department ? 0 : 1; // Same department preferred
 
           const availabilityScore = baseScore + priorityPenalty + rolePriority;
 
+          // Shift and out-of-office status right now
+          const availability = await AvailabilityService.getStatus(staff);
+          const hasCapacity = WorkloadService.hasCapacityFor(
+            workload,
+            priorityLevel
+          );
+
           return {
             ...staff.toObject(),
             workload: {
-              total: currentWorkload,
-              highPriority: highPriorityWorkload,
+              ...workload,
               availabilityScore,
+              hasCapacity,
             },
-            recommended: availabilityScore <= 5, // Recommend if score is 5 or less
+            availability,
+            // Recommend if available, within capacity and score is 5 or less
+            recommended:
+              availability.available && hasCapacity && availabilityScore <= 5,
           };
         })
       );
 
-      // Sort by availability score (best matches first)
+      // Sort available staff first, then by availability score (best
+      // matches first)
       staffWithAvailability.sort(
-        (a, b) => a.workload.availabilityScore - b.workload.availabilityScore
+        (a, b) =>
+          b.availability.available - a.availability.available ||
+          a.workload.availabilityScore - b.workload.availabilityScore
       );
 
       res.status(HTTP_STATUS.OK).json({
@@ -412,6 +394,9 @@ class StaffController {
           recommended: staffWithAvailability.filter((s) => s.recommended),
           summary: {
             totalStaff: staffWithAvailability.length,
+            availableNow: staffWithAvailability.filter(
+              (s) => s.availability.available
+            ).length,
             recommendedStaff: staffWithAvailability.filter((s) => s.recommended)
               .length,
             avgWorkload:
@@ -432,7 +417,8 @@ class StaffController {
   }
 
   /**
-   * Auto-assign complaint based on workload and availability
+   * Auto-assign complaint using the category's assignment rules and
+   * fallback strategy
    * POST /api/staff/auto-assign
    */
   static async autoAssignComplaint(req, res) {
@@ -447,11 +433,10 @@ class StaffController {
       }
 
       const { complaintId } = req.body;
-      const assignedBy = req.user._id;
 
       // Find the complaint
       const complaint = await Complaint.findById(complaintId)
-        .populate("user", "name email")
+        .populate("user", "name email role department")
         .populate("category", "name department resolutionTimeHours");
 
       if (!complaint) {
@@ -469,84 +454,18 @@ class StaffController {
         });
       }
 
-      // Find the best available staff member
-      const departmentFilter = {
-        role: { $in: [USER_ROLES.STAFF, USER_ROLES.ADMIN] },
-        isActive: true,
-        $or: [
-          { department: complaint.category.department },
-          { department: "General" },
-          { role: USER_ROLES.ADMIN },
-        ],
-      };
-
-      const availableStaff = await User.find(departmentFilter);
+      // Apply the category's rules, then its fallback strategy
+      const decision = await AssignmentService.autoAssign(complaint, {
+        assignedBy: req.user.id,
+      });
 
-      if (availableStaff.length === 0) {
+      if (!decision) {
         return res.status(HTTP_STATUS.NOT_FOUND).json({
           success: false,
           message: "No available staff members found for this department",
         });
       }
 
-      // Calculate best staff member
-      let bestStaff = null;
-      let bestScore = Infinity;
-
-      for (const staff of availableStaff) {
-        const currentWorkload = await Complaint.countDocuments({
-          assignedTo: staff._id,
-          status: {
-            $nin: [COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED],
-          },
-        });
-
-        const highPriorityWorkload = await Complaint.countDocuments({
-          assignedTo: staff._id,
-          priority: { $in: ["high", "urgent"] },
-          status: {
-            $nin: [COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED],
-          },
-        });
-
-        // Calculate score
-        const baseScore = currentWorkload;
-        const priorityPenalty = highPriorityWorkload * 2;
-        const departmentBonus =
-          staff.department === complaint.category.department ? -1 : 0;
-        const adminBonus = staff.role === USER_ROLES.ADMIN ? -0.5 : 0;
-
-        const finalScore =
-          baseScore + priorityPenalty + departmentBonus + adminBonus;
-
-        if (finalScore < bestScore) {
-          bestScore = finalScore;
-          bestStaff = staff;
-        }
-      }
-
-      if (!bestStaff) {
-        return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
-          success: false,
-          message: "Unable to determine best staff assignment",
-        });
-      }
-
-      // Assign the complaint
-      await complaint.assignTo(bestStaff._id, assignedBy);
-
-      // Add internal note about auto-assignment
-      complaint.internalNotes.push({
-        note: `Auto-assigned based on workload analysis. Staff workload score: ${bestScore}`,
-        addedBy: assignedBy,
-        addedAt: new Date(),
-      });
-      await complaint.save();
-
-      logger.info(
-        `Complaint ${complaintId} auto-assigned to ${bestStaff.email} (score: ${bestScore})`
-      );
-
       // Populate for response
       await complaint.populate([
         { path: "user", select: "name email" },
@@ -554,17 +473,25 @@ class StaffController {
         { path: "assignedTo", select: "name email department" },
       ]);
 
+      await AssignmentService.notifyAssignment(
+        complaint,
+        decision.staff,
+        req.user
+      );
+
       res.status(HTTP_STATUS.OK).json({
         success: true,
         message: "Complaint auto-assigned successfully",
         data: {
           complaint,
           assignment: {
-            assignedTo: bestStaff.name,
-            department: bestStaff.department,
-            workloadScore: bestScore,
-            reason:
-              "Auto-assigned based on current workload and department match",
+            assignedTo: decision.staff.name,
+            department: decision.staff.department,
+            method: decision.method,
+            strategy: decision.strategy,
+            rule: decision.rule,
+            workloadScore: decision.workloadScore,
+            reason: decision.reason,
           },
         },
       });
@@ -700,6 +627,319 @@ class StaffController {
       });
     }
   }
+
+  /**
+   * Get a staff member's shifts, out-of-office periods and current status
+   * GET /api/staff/availability/:staffId
+   */
+  static async getAvailability(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: RESPONSE_MESSAGES.ERROR.VALIDATION_ERROR,
+          errors: errors.array(),
+        });
+      }
+
+      const staff = await User.findOne({
+        _id: req.params.staffId,
+        role: { $in: [USER_ROLES.STAFF, USER_ROLES.ADMIN] },
+      })
+        .select("name email department role availability")
+        .populate("availability.outOfOffice.delegate", "name email department");
+
+      if (!staff) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: "Staff member not found",
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: {
+          staff: {
+            id: staff._id,
+            name: staff.name,
+            email: staff.email,
+            department: staff.department,
+          },
+          shifts: staff.availability?.shifts || [],
+          outOfOffice: staff.availability?.outOfOffice || [],
+          status: await AvailabilityService.getStatus(staff),
+        },
+      });
+    } catch (error) {
+      logger.error("Error getting staff availability:", error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: RESPONSE_MESSAGES.ERROR.SERVER_ERROR,
+      });
+    }
+  }
+
+  /**
+   * Update a staff member's shifts and out-of-office periods
+   * PUT /api/staff/availability/:staffId
+   */
+  static async updateAvailability(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: RESPONSE_MESSAGES.ERROR.VALIDATION_ERROR,
+          errors: errors.array(),
+        });
+      }
+
+      const { staffId } = req.params;
+      const { shifts, outOfOffice } = req.body;
+
+      // Staff can only manage their own availability
+      if (
+        req.user.role !== USER_ROLES.ADMIN &&
+        req.user.id.toString() !== staffId
+      ) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: "You can only update your own availability",
+        });
+      }
+
+      const staff = await User.findOne({
+        _id: staffId,
+        role: { $in: [USER_ROLES.STAFF, USER_ROLES.ADMIN] },
+      });
+
+      if (!staff) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: "Staff member not found",
+        });
+      }
+
+      // Delegates must be able to take over the work
+      const delegateIds = [
+        ...new Set(
+          (outOfOffice || [])
+            .filter((period) => period.delegate)
+            .map((period) => period.delegate.toString())
+        ),
+      ];
+      if (delegateIds.length > 0) {
+        const delegates = await User.countDocuments({
+          _id: { $in: delegateIds },
+          role: { $in: [USER_ROLES.STAFF, USER_ROLES.ADMIN] },
+          isActive: true,
+        });
+        if (delegates !== delegateIds.length) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: "Delegates must be active staff members",
+          });
+        }
+      }
+
+      if (shifts !== undefined) {
+        staff.set("availability.shifts", shifts);
+      }
+      if (outOfOffice !== undefined) {
+        staff.set("availability.outOfOffice", outOfOffice);
+      }
+
+      try {
+        await staff.save();
+      } catch (saveError) {
+        if (saveError.name === "ValidationError") {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: Object.values(saveError.errors)
+              .map((err) => err.message)
+              .join(", "),
+          });
+        }
+        throw saveError;
+      }
+
+      await staff.populate(
+        "availability.outOfOffice.delegate",
+        "name email department"
+      );
+
+      logger.info(
+        `Availability updated for ${staff.email} by ${req.user.email}`
+      );
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: "Availability updated successfully",
+        data: {
+          shifts: staff.availability.shifts,
+          outOfOffice: staff.availability.outOfOffice,
+          status: await AvailabilityService.getStatus(staff),
+        },
+      });
+    } catch (error) {
+      logger.error("Error updating staff availability:", error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: RESPONSE_MESSAGES.ERROR.SERVER_ERROR,
+      });
+    }
+  }
+
+  /**
+   * Get workload against capacity for all active staff
+   * GET /api/staff/workload
+   */
+  static async getWorkload(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: RESPONSE_MESSAGES.ERROR.VALIDATION_ERROR,
+          errors: errors.array(),
+        });
+      }
+
+      const overview = await WorkloadService.getWorkloadOverview({
+        department: req.query.department,
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: overview,
+      });
+    } catch (error) {
+      logger.error("Error getting staff workload:", error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: RESPONSE_MESSAGES.ERROR.SERVER_ERROR,
+      });
+    }
+  }
+
+  /**
+   * Propose moving complaints from overloaded staff to staff with headroom
+   * GET /api/staff/workload/rebalance
+   */
+  static async getRebalanceProposal(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: RESPONSE_MESSAGES.ERROR.VALIDATION_ERROR,
+          errors: errors.array(),
+        });
+      }
+
+      const proposal = await WorkloadService.proposeRebalance({
+        department: req.query.department,
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: proposal,
+      });
+    } catch (error) {
+      logger.error("Error proposing workload rebalance:", error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: RESPONSE_MESSAGES.ERROR.SERVER_ERROR,
+      });
+    }
+  }
+
+  /**
+   * Apply (some of) the proposed moves, reassigning each complaint
+   * POST /api/staff/workload/rebalance
+   */
+  static async applyRebalance(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: RESPONSE_MESSAGES.ERROR.VALIDATION_ERROR,
+          errors: errors.array(),
+        });
+      }
+
+      const results = [];
+
+      for (const { complaintId, toStaffId } of req.body.moves) {
+        const result = { complaintId, toStaffId, success: false };
+        results.push(result);
+
+        const complaint = await Complaint.findById(complaintId)
+          .populate("user", "name email")
+          .populate("category", "name department")
+          .populate("assignedTo", "name email");
+        if (!complaint) {
+          result.message = RESPONSE_MESSAGES.ERROR.COMPLAINT_NOT_FOUND;
+          continue;
+        }
+
+        const staff = await User.findOne({
+          _id: toStaffId,
+          role: USER_ROLES.STAFF,
+          isActive: true,
+        });
+        if (!staff) {
+          result.message = "Staff member not found or inactive";
+          continue;
+        }
+        if (staff.department !== complaint.category?.department) {
+          result.message =
+            "Staff member must be from the same department as the complaint category";
+          continue;
+        }
+        if (complaint.assignedTo?._id.equals(staff._id)) {
+          result.message = "Complaint is already assigned to this staff member";
+          continue;
+        }
+
+        const previous = complaint.assignedTo?.name || "nobody";
+        try {
+          await complaint.assignTo(
+            staff._id,
+            req.user.id,
+            `Reassigned from ${previous} to ${staff.name} to rebalance workload`
+          );
+        } catch (assignError) {
+          result.message = assignError.message;
+          continue;
+        }
+
+        await AssignmentService.notifyAssignment(complaint, staff, req.user);
+
+        result.success = true;
+        result.message = `Reassigned from ${previous} to ${staff.name}`;
+      }
+
+      const applied = results.filter((result) => result.success).length;
+      logger.info(
+        `Workload rebalance by ${req.user.email}: ${applied}/${results.length} complaints reassigned`
+      );
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: `${applied} of ${results.length} complaints reassigned`,
+        data: { applied, failed: results.length - applied, results },
+      });
+    } catch (error) {
+      logger.error("Error applying workload rebalance:", error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: RESPONSE_MESSAGES.ERROR.SERVER_ERROR,
+      });
+    }
+  }
 }
 
 module.exports = StaffController;
@@ -0,0 +1,266 @@
+const Tag = require("../models/Tag");
+const Complaint = require("../models/Complaint");
+const {
+  HTTP_STATUS,
+  RESPONSE_MESSAGES,
+  USER_ROLES,
+} = require("../config/constants");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const logger = require("../utils/logger");
+
+const EDITABLE_FIELDS = [
+  "name",
+  "color",
+  "description",
+  "department",
+  "isActive",
+];
+
+/**
+ * Pick the editable tag fields from a request body
+ */
+const pickTagFields = (body) =>
+  EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+
+/**
+ * Save a tag, mapping validation and duplicate errors to 400/409
+ */
+const saveTag = async (tag) => {
+  try {
+    await tag.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError(
+        `A tag named "${tag.name}" already exists`,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      throw new AppError(messages.join(", "), HTTP_STATUS.BAD_REQUEST);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Load a complaint that staff can work on, or throw a 404/403
+ */
+const findTaggableComplaint = async (complaintId, user) => {
+  const complaint = await Complaint.findById(complaintId).populate(
+    "category",
+    "department"
+  );
+  if (!complaint) {
+    throw new AppError(
+      RESPONSE_MESSAGES.ERROR.COMPLAINT_NOT_FOUND,
+      HTTP_STATUS.NOT_FOUND
+    );
+  }
+
+  if (!(await complaint.canBeAccessedBy(user))) {
+    throw new AppError(
+      RESPONSE_MESSAGES.ERROR.FORBIDDEN,
+      HTTP_STATUS.FORBIDDEN
+    );
+  }
+
+  return complaint;
+};
+
+/**
+ * @desc    Create a tag
+ * @route   POST /api/admin/tags
+ * @access  Private (Admin only)
+ */
+const createTag = asyncHandler(async (req, res) => {
+  const tag = new Tag({
+    ...pickTagFields(req.body),
+    createdBy: req.user.id,
+  });
+
+  await saveTag(tag);
+
+  logger.info(`Tag created: ${tag.name} by admin: ${req.user.email}`);
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: "Tag created successfully",
+    data: tag,
+  });
+});
+
+/**
+ * @desc    Get tags, optionally only those usable in a department
+ * @route   GET /api/admin/tags
+ * @access  Private (Staff/Admin)
+ */
+const getTags = asyncHandler(async (req, res) => {
+  const { department, includeInactive } = req.query;
+
+  let tags;
+  if (department) {
+    tags = await Tag.findForDepartment(department);
+  } else {
+    const filter =
+      includeInactive === "true" && req.user.role === USER_ROLES.ADMIN
+        ? {}
+        : { isActive: true };
+    tags = await Tag.find(filter).sort({ name: 1 });
+  }
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    data: tags,
+  });
+});
+
+/**
+ * @desc    Update a tag. Renaming also renames it on tagged complaints.
+ * @route   PUT /api/admin/tags/:id
+ * @access  Private (Admin only)
+ */
+const updateTag = asyncHandler(async (req, res) => {
+  const tag = await Tag.findById(req.params.id);
+
+  if (!tag) {
+    throw new AppError("Tag not found", HTTP_STATUS.NOT_FOUND);
+  }
+
+  const previousName = tag.name;
+  tag.set(pickTagFields(req.body));
+  tag.updatedBy = req.user.id;
+
+  await saveTag(tag);
+
+  if (tag.name !== previousName) {
+    const result = await Complaint.updateMany(
+      { tags: previousName },
+      { $set: { "tags.$[tag]": tag.name } },
+      { arrayFilters: [{ tag: previousName }] }
+    );
+    logger.info(
+      `Tag renamed from ${previousName} to ${tag.name} on ${result.modifiedCount} complaint(s)`
+    );
+  }
+
+  logger.info(`Tag updated: ${tag.name} by admin: ${req.user.email}`);
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "Tag updated successfully",
+    data: tag,
+  });
+});
+
+/**
+ * @desc    Delete a tag and remove it from all complaints
+ * @route   DELETE /api/admin/tags/:id
+ * @access  Private (Admin only)
+ */
+const deleteTag = asyncHandler(async (req, res) => {
+  const tag = await Tag.findByIdAndDelete(req.params.id);
+
+  if (!tag) {
+    throw new AppError("Tag not found", HTTP_STATUS.NOT_FOUND);
+  }
+
+  const result = await Complaint.updateMany(
+    { tags: tag.name },
+    { $pull: { tags: tag.name } }
+  );
+
+  logger.info(
+    `Tag deleted: ${tag.name} (removed from ${result.modifiedCount} complaint(s)) by admin: ${req.user.email}`
+  );
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "Tag deleted successfully",
+  });
+});
+
+/**
+ * @desc    Add tags to a complaint
+ * @route   POST /api/complaints/:id/tags
+ * @access  Private (Staff/Admin with access to the complaint)
+ */
+const addComplaintTags = asyncHandler(async (req, res) => {
+  const complaint = await findTaggableComplaint(req.params.id, req.user);
+  const names = [...new Set(req.body.tags.map((tag) => tag.toLowerCase()))];
+
+  // Only active tags usable in the complaint's department can be applied
+  const usable = await Tag.findForDepartment(
+    complaint.category?.department
+  ).where({
+    name: { $in: names },
+  });
+  const unknown = names.filter(
+    (name) => !usable.some((tag) => tag.name === name)
+  );
+
+  if (unknown.length > 0) {
+    throw new AppError(
+      `Unknown or unavailable tags: ${unknown.join(", ")}`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  const updated = await Complaint.findByIdAndUpdate(
+    complaint._id,
+    { $addToSet: { tags: { $each: names } } },
+    { new: true }
+  ).select("tags");
+
+  logger.info(
+    `Complaint ${complaint._id} tagged with ${names.join(", ")} by user: ${
+      req.user.email
+    }`
+  );
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "Tags added successfully",
+    data: { tags: updated.tags },
+  });
+});
+
+/**
+ * @desc    Remove a tag from a complaint
+ * @route   DELETE /api/complaints/:id/tags/:tag
+ * @access  Private (Staff/Admin with access to the complaint)
+ */
+const removeComplaintTag = asyncHandler(async (req, res) => {
+  const complaint = await findTaggableComplaint(req.params.id, req.user);
+  const name = req.params.tag.toLowerCase();
+
+  const updated = await Complaint.findByIdAndUpdate(
+    complaint._id,
+    { $pull: { tags: name } },
+    { new: true }
+  ).select("tags");
+
+  logger.info(
+    `Tag ${name} removed from complaint ${complaint._id} by user: ${req.user.email}`
+  );
+
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    message: "Tag removed successfully",
+    data: { tags: updated.tags },
+  });
+});
+
+module.exports = {
+  createTag,
+  getTags,
+  updateTag,
+  deleteTag,
+  addComplaintTags,
+  removeComplaintTag,
+};
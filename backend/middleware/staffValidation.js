@@ -1,5 +1,6 @@
 const { body, param, query } = require("express-validator");
 const mongoose = require("mongoose");
+const { DEPARTMENTS } = require("../config/constants");
 
 /**
  * Staff Validation Middleware
@@ -103,6 +104,67 @@ const validatePerformanceQuery = [
     .withMessage("Days must be between 1 and 365"),
 ];
 
+// Validate availability updates
+const validateAvailability = [
+  body("shifts")
+    .optional()
+    .isArray({ max: 28 })
+    .withMessage("Shifts must be an array of at most 28 items"),
+
+  body("shifts.*.day")
+    .isInt({ min: 0, max: 6 })
+    .withMessage("Shift day must be between 0 (Sunday) and 6 (Saturday)"),
+
+  body(["shifts.*.start", "shifts.*.end"])
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$|^24:00$/)
+    .withMessage("Shift times must be in HH:mm format"),
+
+  body("outOfOffice")
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage("Out-of-office periods must be an array of at most 50 items"),
+
+  body(["outOfOffice.*.start", "outOfOffice.*.end"])
+    .isISO8601()
+    .withMessage("Out-of-office start and end must be valid dates"),
+
+  body("outOfOffice.*.reason")
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage("Reason cannot exceed 200 characters"),
+
+  body("outOfOffice.*.delegate")
+    .optional({ nullable: true })
+    .custom((value) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error("Invalid delegate ID format");
+      }
+      return true;
+    }),
+];
+
+// Validate workload queries
+const validateWorkloadQuery = [
+  query("department")
+    .optional()
+    .isIn(DEPARTMENTS)
+    .withMessage("Invalid department"),
+];
+
+// Validate rebalance moves
+const validateRebalance = [
+  body("moves")
+    .isArray({ min: 1, max: 100 })
+    .withMessage("Moves must be an array of 1 to 100 items"),
+
+  body(["moves.*.complaintId", "moves.*.toStaffId"]).custom((value) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      throw new Error("Invalid complaint or staff ID format");
+    }
+    return true;
+  }),
+];
+
 module.exports = {
   validateAssignComplaint,
   validateAutoAssign,
@@ -110,4 +172,7 @@ module.exports = {
   validateCategoryId,
   validateStaffQuery,
   validatePerformanceQuery,
+  validateAvailability,
+  validateWorkloadQuery,
+  validateRebalance,
 };
@@ -1,38 +1,32 @@
 const multer = require("multer");
 const path = require("path");
-const fs = require("fs-extra");
 const { v4: uuidv4 } = require("uuid");
 const { AppError } = require("./error.middleware");
+const { IMPORT_CONFIG } = require("../config/constants");
 
-// Ensure upload directories exist
-const uploadDir = path.join(__dirname, "../../uploads/attachments");
-fs.ensureDirSync(uploadDir);
+// Keep uploads in memory; they are handed to the storage service afterwards
+const storage = multer.memoryStorage();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = uuidv4();
-    const fileExtension = path.extname(file.originalname);
-    cb(null, `${uniqueSuffix}${fileExtension}`);
-  },
-});
+// Generate the stored filename for an uploaded file
+const generateFilename = (file) => {
+  const uniqueSuffix = uuidv4();
+  const fileExtension = path.extname(file.originalname);
+  return `${uniqueSuffix}${fileExtension}`;
+};
 
 // File filter function
 const fileFilter = (req, file, cb) => {
   // List of allowed MIME types
   const allowedTypes = [
     "image/jpeg",
-    "image/png", 
+    "image/png",
     "image/gif",
     "application/pdf",
     "text/plain",
     "application/msword",
     "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
     "application/vnd.ms-excel",
-    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
   ];
 
   if (allowedTypes.includes(file.mimetype)) {
@@ -52,13 +46,40 @@ const upload = multer({
   fileFilter: fileFilter,
 });
 
+// Spreadsheets for the complaint importer. Browsers report CSV files with
+// several MIME types, so the extension decides.
+const importUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: IMPORT_CONFIG.MAX_FILE_SIZE,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (
+      [".csv", ".xlsx"].includes(path.extname(file.originalname).toLowerCase())
+    ) {
+      cb(null, true);
+    } else {
+      cb(new AppError("Only CSV and XLSX files can be imported", 400), false);
+    }
+  },
+});
+
 // Error handling middleware for multer
 const handleMulterError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     switch (error.code) {
       case "LIMIT_FILE_SIZE":
+        // Import files are sent as "file", attachments as "files"
         return next(
-          new AppError("File too large. Maximum file size is 5MB.", 400)
+          new AppError(
+            error.field === "file"
+              ? `File too large. Maximum import file size is ${
+                  IMPORT_CONFIG.MAX_FILE_SIZE / (1024 * 1024)
+                }MB.`
+              : "File too large. Maximum file size is 5MB.",
+            400
+          )
         );
       case "LIMIT_FILE_COUNT":
         return next(
@@ -73,23 +94,9 @@ const handleMulterError = (error, req, res, next) => {
   next(error);
 };
 
-// Delete file function
-const deleteFile = async (filename) => {
-  try {
-    const filePath = path.join(uploadDir, filename);
-    if (await fs.pathExists(filePath)) {
-      await fs.remove(filePath);
-      return true;
-    }
-    return false;
-  } catch (error) {
-    throw new AppError("Error deleting file", 500);
-  }
-};
-
 module.exports = {
   upload,
+  importUpload,
   handleMulterError,
-  deleteFile,
-  uploadDir,
+  generateFilename,
 };
@@ -1,9 +1,27 @@
+const mongoose = require("mongoose");
 const { body, param, query, validationResult } = require("express-validator");
+const Category = require("../models/Category");
+const CustomFieldService = require("../services/customField.service");
+const ComplaintQueryService = require("../services/complaintQuery.service");
 const {
   HTTP_STATUS,
   USER_ROLES,
   DEPARTMENTS,
   COMPLAINT_PRIORITY,
+  COMPLAINT_STATUS,
+  ASSIGNMENT_RULE_CONDITIONS,
+  ASSIGNMENT_STRATEGIES,
+  COMMENT_CONFIG,
+  TICKET_CONFIG,
+  COMPLAINT_LINK_TYPES,
+  BULK_ACTIONS,
+  BULK_CONFIG,
+  CUSTOM_FIELD_TYPES,
+  CUSTOM_FIELD_CONFIG,
+  SEARCH_CONFIG,
+  SAVED_VIEW_VISIBILITY,
+  SAVED_VIEW_CONFIG,
+  EXPORT_FORMATS,
 } = require("../config/constants");
 
 /**
@@ -95,9 +113,10 @@ const validateUserLogin = [
 ];
 
 /**
- * Complaint creation validation rules
+ * Complaint creation validation rules, shared with the complaint importer
+ * (see ComplaintImportService)
  */
-const validateComplaintCreation = [
+const complaintCreationRules = [
   body("title")
     .trim()
     .notEmpty()
@@ -123,9 +142,43 @@ const validateComplaintCreation = [
     .isIn(Object.values(COMPLAINT_PRIORITY))
     .withMessage("Invalid priority level"),
 
-  handleValidation,
+  body("location")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Location cannot exceed 200 characters"),
+
+  body("ignoreDuplicates")
+    .optional()
+    .isBoolean()
+    .withMessage("ignoreDuplicates must be a boolean value")
+    .toBoolean(),
+
+  // Checked against the category's field definitions; the values are
+  // replaced with their typed form for the controller
+  body("customFields").custom(async (value, { req }) => {
+    if (!mongoose.isValidObjectId(req.body.category)) return true;
+
+    const category = await Category.findById(req.body.category)
+      .select("customFields")
+      .lean();
+    if (!category) return true; // Reported by the controller
+
+    const { values, errors } = CustomFieldService.validateValues(
+      category.customFields || [],
+      value === undefined ? {} : value
+    );
+    if (errors.length > 0) {
+      throw new Error(errors.join("; "));
+    }
+
+    req.body.customFields = values;
+    return true;
+  }),
 ];
 
+const validateComplaintCreation = [...complaintCreationRules, handleValidation];
+
 /**
  * Complaint update validation rules
  */
@@ -149,6 +202,20 @@ const validateComplaintUpdate = [
     .isIn(Object.values(COMPLAINT_PRIORITY))
     .withMessage("Invalid priority level"),
 
+  body("location")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Location cannot exceed 200 characters"),
+
+  // Checked against the category's fields by the controller, which knows
+  // the complaint's category
+  body("customFields")
+    .optional()
+    .isObject()
+    .withMessage("Custom fields must be an object"),
+
   handleValidation,
 ];
 
@@ -167,6 +234,20 @@ const validateStatusUpdate = [
   handleValidation,
 ];
 
+/**
+ * Complaint reopen validation rules
+ */
+const validateReopen = [
+  body("reason")
+    .trim()
+    .notEmpty()
+    .withMessage("A reason for reopening is required")
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters"),
+
+  handleValidation,
+];
+
 /**
  * Feedback validation rules
  */
@@ -183,6 +264,68 @@ const validateFeedback = [
     .isLength({ max: 1000 })
     .withMessage("Comments cannot exceed 1000 characters"),
 
+  body([
+    "aspects.resolution.rating",
+    "aspects.timeliness.rating",
+    "aspects.communication.rating",
+    "aspects.professionalism.rating",
+  ])
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage("Aspect ratings must be between 1 and 5"),
+
+  body("improvementSuggestions")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Improvement suggestions cannot exceed 1000 characters"),
+
+  body(["wouldRecommend", "isAnonymous", "isPublic"])
+    .optional()
+    .isBoolean()
+    .withMessage("Must be a boolean value"),
+
+  body("tags").optional().isArray({ max: 10 }).withMessage("Too many tags"),
+
+  handleValidation,
+];
+
+/**
+ * Admin feedback response validation rules
+ */
+const validateFeedbackResponse = [
+  body("message")
+    .trim()
+    .notEmpty()
+    .withMessage("Response message is required")
+    .isLength({ max: 1000 })
+    .withMessage("Response cannot exceed 1000 characters"),
+
+  handleValidation,
+];
+
+/**
+ * Internal note / public comment validation
+ */
+const validateComment = [
+  body("body")
+    .trim()
+    .notEmpty()
+    .withMessage("Comment text is required")
+    .isLength({ max: COMMENT_CONFIG.MAX_LENGTH })
+    .withMessage(
+      `Comment cannot exceed ${COMMENT_CONFIG.MAX_LENGTH} characters`
+    ),
+
+  body("mentions")
+    .optional()
+    .isArray({ max: COMMENT_CONFIG.MAX_MENTIONS })
+    .withMessage(
+      `Mentions must be a list of at most ${COMMENT_CONFIG.MAX_MENTIONS} staff members`
+    ),
+
+  body("mentions.*").isMongoId().withMessage("Invalid mentioned user"),
+
   handleValidation,
 ];
 
@@ -195,6 +338,19 @@ const validateObjectId = (field = "id") => [
   handleValidation,
 ];
 
+/**
+ * Ticket ID validation (e.g. IT-2026-000123)
+ */
+const validateTicketId = [
+  param("ticketId")
+    .trim()
+    .toUpperCase()
+    .matches(TICKET_CONFIG.PATTERN)
+    .withMessage("Invalid ticket ID"),
+
+  handleValidation,
+];
+
 /**
  * Category creation validation
  */
@@ -227,6 +383,505 @@ const validateCategoryCreation = [
   handleValidation,
 ];
 
+/**
+ * Category auto-assignment settings validation (category updates)
+ */
+const validateCategoryAutoAssignment = [
+  body("autoAssignment.enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("autoAssignment.enabled must be a boolean value"),
+
+  body("autoAssignment.strategy")
+    .optional()
+    .isIn(Object.values(ASSIGNMENT_STRATEGIES))
+    .withMessage("Invalid assignment strategy"),
+
+  body("autoAssignment.skills")
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage("Skills must be an array of at most 20 items"),
+
+  body("autoAssignment.rules")
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage("Rules must be an array of at most 50 items"),
+
+  body("autoAssignment.rules.*.condition")
+    .isIn(Object.values(ASSIGNMENT_RULE_CONDITIONS))
+    .withMessage("Invalid rule condition"),
+
+  body("autoAssignment.rules.*.value")
+    .exists({ checkNull: true })
+    .withMessage("Rule value is required"),
+
+  body("autoAssignment.rules.*.assignTo")
+    .isMongoId()
+    .withMessage("Rule assignee must be a valid user ID"),
+
+  body("autoAssignment.rules")
+    .optional()
+    .custom((rules) => {
+      const invalid = rules.findIndex(
+        (rule) =>
+          rule.condition === ASSIGNMENT_RULE_CONDITIONS.TIME_OF_DAY &&
+          !/^([01]\d|2[0-3]):[0-5]\d\s*-\s*(([01]\d|2[0-3]):[0-5]\d|24:00)$/.test(
+            typeof rule.value === "object"
+              ? `${rule.value?.start}-${rule.value?.end}`
+              : String(rule.value)
+          )
+      );
+      if (invalid !== -1) {
+        throw new Error(
+          `Rule ${invalid + 1} time of day must be in HH:mm-HH:mm format`
+        );
+      }
+      return true;
+    }),
+
+  handleValidation,
+];
+
+/**
+ * Category workflow validation
+ */
+const validateCategoryWorkflow = [
+  body("statuses")
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage("Statuses must be an array of at most 20 items"),
+
+  body("statuses.*.key")
+    .trim()
+    .notEmpty()
+    .withMessage("Status key is required"),
+
+  body("statuses.*.label")
+    .trim()
+    .notEmpty()
+    .withMessage("Status label is required"),
+
+  body("statuses.*.phase")
+    .isIn(Object.values(COMPLAINT_STATUS))
+    .withMessage("Invalid status phase"),
+
+  body("transitions")
+    .isArray({ min: 1, max: 100 })
+    .withMessage("Transitions must be an array of 1 to 100 items"),
+
+  body(["transitions.*.from", "transitions.*.to"])
+    .trim()
+    .notEmpty()
+    .withMessage("Transition statuses are required"),
+
+  body("transitions.*.roles")
+    .isArray({ min: 1 })
+    .withMessage("Each transition must allow at least one role"),
+
+  body("transitions.*.requiresRemarks")
+    .optional()
+    .isBoolean()
+    .withMessage("requiresRemarks must be a boolean value"),
+
+  handleValidation,
+];
+
+/**
+ * Category custom field definitions validation
+ */
+const validateCategoryCustomFields = [
+  body("fields")
+    .isArray({ max: CUSTOM_FIELD_CONFIG.MAX_FIELDS })
+    .withMessage(
+      `Fields must be an array of at most ${CUSTOM_FIELD_CONFIG.MAX_FIELDS} items`
+    ),
+
+  body("fields.*.key")
+    .trim()
+    .toLowerCase()
+    .matches(CUSTOM_FIELD_CONFIG.KEY_PATTERN)
+    .withMessage(
+      "Field key must be 2-40 lowercase letters, numbers or underscores"
+    ),
+
+  body("fields.*.label")
+    .trim()
+    .notEmpty()
+    .withMessage("Field label is required")
+    .isLength({ max: 100 })
+    .withMessage("Field label cannot exceed 100 characters"),
+
+  body("fields.*.type")
+    .isIn(Object.values(CUSTOM_FIELD_TYPES))
+    .withMessage("Invalid field type"),
+
+  body("fields.*.required")
+    .optional()
+    .isBoolean()
+    .withMessage("required must be a boolean value")
+    .toBoolean(),
+
+  body("fields.*.options")
+    .optional()
+    .isArray()
+    .withMessage("Options must be an array"),
+
+  body("fields.*.options.*")
+    .trim()
+    .notEmpty()
+    .withMessage("Options cannot be empty"),
+
+  body(["fields.*.validation.min", "fields.*.validation.max"])
+    .optional({ values: "null" })
+    .isFloat()
+    .withMessage("Validation bounds must be numbers")
+    .toFloat(),
+
+  handleValidation,
+];
+
+/**
+ * Business calendar validation
+ */
+const validateBusinessCalendar = [
+  body("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Calendar name is required")
+    .isLength({ max: 100 })
+    .withMessage("Calendar name cannot exceed 100 characters"),
+
+  body("department")
+    .optional({ values: "null" })
+    .isIn(DEPARTMENTS)
+    .withMessage("Invalid department"),
+
+  body("timeZone")
+    .optional()
+    .isString()
+    .withMessage("Time zone must be a string"),
+
+  body("workingHours")
+    .optional()
+    .isArray({ max: 21 })
+    .withMessage("Working hours must be an array of at most 21 windows"),
+
+  body("workingHours.*.day")
+    .isInt({ min: 0, max: 6 })
+    .withMessage("Day must be between 0 (Sunday) and 6 (Saturday)"),
+
+  body(["workingHours.*.start", "workingHours.*.end"])
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$|^24:00$/)
+    .withMessage("Working hours must be in HH:mm format"),
+
+  body("holidays")
+    .optional()
+    .isArray({ max: 366 })
+    .withMessage("Holidays must be an array of at most 366 dates"),
+
+  body("holidays.*.date")
+    .isISO8601({ strict: true })
+    .withMessage("Holiday date must be in YYYY-MM-DD format"),
+
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean value"),
+
+  handleValidation,
+];
+
+/**
+ * Escalation policy validation
+ */
+const validateEscalationPolicy = [
+  body("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Policy name is required")
+    .isLength({ max: 100 })
+    .withMessage("Policy name cannot exceed 100 characters"),
+
+  body("department")
+    .optional({ values: "null" })
+    .isIn(DEPARTMENTS)
+    .withMessage("Invalid department"),
+
+  body("levels")
+    .optional()
+    .isArray({ min: 1, max: 5 })
+    .withMessage("Levels must be an array of 1 to 5 items"),
+
+  body("levels.*.name").trim().notEmpty().withMessage("Level name is required"),
+
+  body("levels.*.users")
+    .optional()
+    .isArray()
+    .withMessage("Level users must be an array"),
+
+  body("levels.*.users.*").isMongoId().withMessage("Invalid user ID"),
+
+  body("levels.*.roles.*")
+    .isIn([USER_ROLES.STAFF, USER_ROLES.ADMIN])
+    .withMessage("Level roles must be staff or admin"),
+
+  body("levels.*.timeoutHours")
+    .optional({ values: "null" })
+    .isFloat({ min: 1, max: 168 })
+    .withMessage("Level timeout must be between 1 and 168 hours"),
+
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean value"),
+
+  handleValidation,
+];
+
+/**
+ * Capacity policy validation
+ */
+const validateCapacityPolicy = [
+  body("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Policy name is required")
+    .isLength({ max: 100 })
+    .withMessage("Policy name cannot exceed 100 characters"),
+
+  body("department")
+    .optional({ values: "null" })
+    .isIn(DEPARTMENTS)
+    .withMessage("Invalid department"),
+
+  body("defaultCapacity")
+    .optional()
+    .isFloat({ min: 1, max: 500 })
+    .withMessage("Default capacity must be between 1 and 500"),
+
+  body(
+    Object.values(COMPLAINT_PRIORITY).map(
+      (priority) => `priorityWeights.${priority}`
+    )
+  )
+    .optional()
+    .isFloat({ min: 0, max: 20 })
+    .withMessage("Priority weights must be between 0 and 20"),
+
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean value"),
+
+  handleValidation,
+];
+
+/**
+ * Tag vocabulary validation
+ */
+const validateTag = [
+  body("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Tag name is required")
+    .isLength({ max: 50 })
+    .withMessage("Tag name cannot exceed 50 characters"),
+
+  body("color")
+    .optional()
+    .matches(/^#[0-9a-f]{6}$/i)
+    .withMessage("Color must be a hex color such as #1976d2"),
+
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Description cannot exceed 200 characters"),
+
+  body("department")
+    .optional({ values: "null" })
+    .isIn(DEPARTMENTS)
+    .withMessage("Invalid department"),
+
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean value"),
+
+  handleValidation,
+];
+
+/**
+ * Complaint tagging validation
+ */
+const validateComplaintTags = [
+  body("tags")
+    .isArray({ min: 1, max: 20 })
+    .withMessage("Tags must be a list of 1 to 20 tag names"),
+
+  body("tags.*")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Tag names cannot be empty"),
+
+  handleValidation,
+];
+
+// Complaints can be referred to by database ID or ticket ID
+const isComplaintReference = (value) =>
+  typeof value === "string" &&
+  (/^[0-9a-f]{24}$/i.test(value) || TICKET_CONFIG.PATTERN.test(value));
+
+/**
+ * Complaint link validation
+ */
+const validateComplaintLink = [
+  body("complaintId")
+    .trim()
+    .toUpperCase()
+    .notEmpty()
+    .withMessage("Linked complaint is required")
+    .custom(isComplaintReference)
+    .withMessage("Invalid complaint or ticket ID"),
+
+  body("type")
+    .isIn(Object.values(COMPLAINT_LINK_TYPES))
+    .withMessage("Invalid link type"),
+
+  handleValidation,
+];
+
+/**
+ * Complaint merge validation
+ */
+const validateComplaintMerge = [
+  body("primaryId")
+    .trim()
+    .toUpperCase()
+    .notEmpty()
+    .withMessage("Primary complaint is required")
+    .custom(isComplaintReference)
+    .withMessage("Invalid complaint or ticket ID"),
+
+  handleValidation,
+];
+
+// Bulk action parameters are only required by the actions that use them
+const requiredFor =
+  (action, check) =>
+  (value, { req }) =>
+    req.body.action !== action || check(value);
+
+/**
+ * Bulk complaint action validation
+ */
+const validateBulkAction = [
+  body("action")
+    .isIn(Object.values(BULK_ACTIONS))
+    .withMessage("Invalid bulk action"),
+
+  body("ids")
+    .optional()
+    .isArray({ min: 1, max: BULK_CONFIG.MAX_ITEMS })
+    .withMessage(
+      `Select between 1 and ${BULK_CONFIG.MAX_ITEMS} complaints at a time`
+    ),
+
+  body("ids.*").isMongoId().withMessage("Invalid complaint ID"),
+
+  body("filter")
+    .optional()
+    .isObject()
+    .withMessage("Filter must be an object")
+    .custom((filter) =>
+      Object.values(filter).every((value) => typeof value === "string")
+    )
+    .withMessage("Filter values must be strings"),
+
+  body("ids")
+    .custom((ids, { req }) => Boolean(ids) !== Boolean(req.body.filter))
+    .withMessage("Provide either a list of complaint IDs or a filter"),
+
+  body("assignedTo")
+    .custom(
+      requiredFor(BULK_ACTIONS.ASSIGN, (value) =>
+        /^[0-9a-f]{24}$/i.test(value || "")
+      )
+    )
+    .withMessage("A staff member is required to assign complaints"),
+
+  body("status")
+    .custom(
+      requiredFor(BULK_ACTIONS.STATUS, (value) =>
+        Object.values(COMPLAINT_STATUS).includes(value)
+      )
+    )
+    .withMessage("A valid status is required to change status"),
+
+  body("priority")
+    .custom(
+      requiredFor(BULK_ACTIONS.PRIORITY, (value) =>
+        Object.values(COMPLAINT_PRIORITY).includes(value)
+      )
+    )
+    .withMessage("A valid priority is required to change priority"),
+
+  body("tags")
+    .custom(
+      requiredFor(
+        BULK_ACTIONS.TAG,
+        (value) =>
+          Array.isArray(value) &&
+          value.length > 0 &&
+          value.length <= 20 &&
+          value.every((tag) => typeof tag === "string" && tag.trim())
+      )
+    )
+    .withMessage("Tags must be a list of 1 to 20 tag names"),
+
+  body("remarks")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Remarks cannot exceed 500 characters"),
+
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters"),
+
+  handleValidation,
+];
+
+/**
+ * Deadline preview validation
+ */
+const validateDeadlinePreview = [
+  query("hours")
+    .notEmpty()
+    .withMessage("Hours are required")
+    .isFloat({ min: 0, max: 720 })
+    .withMessage("Hours must be between 0 and 720"),
+
+  query("department")
+    .optional()
+    .isIn(DEPARTMENTS)
+    .withMessage("Invalid department"),
+
+  query("start")
+    .optional()
+    .isISO8601()
+    .withMessage("Start must be a valid date"),
+
+  handleValidation,
+];
+
 /**
  * Query parameter validation for pagination
  */
@@ -256,15 +911,213 @@ const validatePagination = [
   handleValidation,
 ];
 
+/**
+ * Complaint search validation
+ */
+const validateComplaintSearch = [
+  query("search")
+    .optional()
+    .isString()
+    .withMessage("Search must be text")
+    .trim()
+    .isLength({ max: SEARCH_CONFIG.MAX_QUERY_LENGTH })
+    .withMessage(
+      `Search cannot exceed ${SEARCH_CONFIG.MAX_QUERY_LENGTH} characters`
+    ),
+
+  query("sortBy")
+    .optional()
+    .isIn([
+      "relevance",
+      "createdAt",
+      "updatedAt",
+      "deadline",
+      "priority",
+      "status",
+      "title",
+    ])
+    .withMessage("Invalid sort field"),
+
+  handleValidation,
+];
+
+/**
+ * Complaint export format and columns
+ */
+const validateComplaintExport = [
+  query("format")
+    .optional()
+    .isIn(Object.values(EXPORT_FORMATS))
+    .withMessage(
+      `Format must be one of: ${Object.values(EXPORT_FORMATS).join(", ")}`
+    ),
+
+  query("columns")
+    .optional()
+    .isString()
+    .withMessage("Columns must be a comma-separated list"),
+
+  handleValidation,
+];
+
+/**
+ * Complaint PDF report options
+ */
+const validateComplaintReport = [
+  query("includeInternal")
+    .optional()
+    .isBoolean()
+    .withMessage("includeInternal must be a boolean value")
+    .toBoolean(),
+
+  handleValidation,
+];
+
+/**
+ * Complaint import options (multipart fields sent with the file)
+ */
+const validateComplaintImport = [
+  body("dryRun")
+    .optional()
+    .isBoolean()
+    .withMessage("dryRun must be a boolean value")
+    .toBoolean(),
+
+  // Field -> column header, as a JSON object
+  body("mapping")
+    .optional()
+    .customSanitizer((value) => {
+      if (typeof value !== "string") return value;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return null;
+      }
+    })
+    .custom((mapping) => {
+      if (
+        mapping === null ||
+        typeof mapping !== "object" ||
+        Array.isArray(mapping) ||
+        Object.values(mapping).some((header) => typeof header !== "string")
+      ) {
+        throw new Error("Mapping must map field names to column headers");
+      }
+      return true;
+    }),
+
+  handleValidation,
+];
+
+// Parameters a saved view can store, besides custom field filters
+const SAVED_VIEW_FILTER_KEYS = [
+  ...ComplaintQueryService.FILTER_KEYS,
+  ...SAVED_VIEW_CONFIG.SORT_KEYS,
+];
+
+/**
+ * Saved view filters and visibility
+ */
+const savedViewRules = [
+  body("filters")
+    .optional()
+    .isObject()
+    .withMessage("Filters must be an object")
+    .custom((filters) =>
+      Object.entries(filters).every(
+        ([key, value]) =>
+          (SAVED_VIEW_FILTER_KEYS.includes(key) ||
+            (key.startsWith(CUSTOM_FIELD_CONFIG.FILTER_PREFIX) &&
+              CUSTOM_FIELD_CONFIG.KEY_PATTERN.test(
+                key.slice(CUSTOM_FIELD_CONFIG.FILTER_PREFIX.length)
+              ))) &&
+          typeof value === "string" &&
+          value.length <= SEARCH_CONFIG.MAX_QUERY_LENGTH
+      )
+    )
+    .withMessage(
+      `Filters may only contain text values for: ${SAVED_VIEW_FILTER_KEYS.join(
+        ", "
+      )} or custom fields (cf.<key>)`
+    ),
+
+  body("visibility")
+    .optional()
+    .isIn(Object.values(SAVED_VIEW_VISIBILITY))
+    .withMessage("Invalid view visibility"),
+];
+
+/**
+ * Saved view creation validation
+ */
+const validateSavedViewCreation = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("View name is required")
+    .isLength({ max: 100 })
+    .withMessage("View name cannot exceed 100 characters"),
+
+  ...savedViewRules,
+
+  body("pinned")
+    .optional()
+    .isBoolean()
+    .withMessage("pinned must be a boolean value")
+    .toBoolean(),
+
+  handleValidation,
+];
+
+/**
+ * Saved view update validation
+ */
+const validateSavedViewUpdate = [
+  body("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("View name cannot be empty")
+    .isLength({ max: 100 })
+    .withMessage("View name cannot exceed 100 characters"),
+
+  ...savedViewRules,
+
+  handleValidation,
+];
+
 module.exports = {
   validateUserRegistration,
   validateUserLogin,
+  complaintCreationRules,
   validateComplaintCreation,
   validateComplaintUpdate,
   validateStatusUpdate,
+  validateReopen,
   validateFeedback,
+  validateFeedbackResponse,
+  validateComment,
   validateObjectId,
+  validateTicketId,
   validateCategoryCreation,
+  validateCategoryAutoAssignment,
+  validateCategoryWorkflow,
+  validateCategoryCustomFields,
+  validateBusinessCalendar,
+  validateDeadlinePreview,
+  validateEscalationPolicy,
+  validateCapacityPolicy,
+  validateTag,
+  validateComplaintTags,
+  validateComplaintLink,
+  validateComplaintMerge,
+  validateBulkAction,
   validatePagination,
+  validateComplaintSearch,
+  validateComplaintExport,
+  validateComplaintImport,
+  validateComplaintReport,
+  validateSavedViewCreation,
+  validateSavedViewUpdate,
   handleValidation,
 };
@@ -0,0 +1,165 @@
+const mongoose = require("mongoose");
+const { DEPARTMENTS } = require("../config/constants");
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+/**
+ * Check that a string is an IANA time zone the runtime understands
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const businessCalendarSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Calendar name is required"],
+      trim: true,
+      maxlength: [100, "Calendar name cannot exceed 100 characters"],
+    },
+
+    // Department the calendar applies to. The calendar without a department
+    // is the organisation-wide default.
+    department: {
+      type: String,
+      enum: {
+        values: DEPARTMENTS,
+        message: "{VALUE} is not a valid department",
+      },
+      default: null,
+    },
+
+    timeZone: {
+      type: String,
+      required: [true, "Time zone is required"],
+      default: "UTC",
+      validate: {
+        validator: isValidTimeZone,
+        message: "{VALUE} is not a valid time zone",
+      },
+    },
+
+    // Working windows in local time. A day may have several windows (split
+    // shifts); days without a window are non-working days.
+    workingHours: [
+      {
+        _id: false,
+        day: {
+          type: Number,
+          required: [true, "Day of week is required"],
+          min: [0, "Day must be between 0 (Sunday) and 6 (Saturday)"],
+          max: [6, "Day must be between 0 (Sunday) and 6 (Saturday)"],
+        },
+        start: {
+          type: String,
+          required: [true, "Start time is required"],
+          match: [TIME_PATTERN, "Start time must be in HH:mm format"],
+        },
+        end: {
+          type: String,
+          required: [true, "End time is required"],
+          match: [TIME_PATTERN, "End time must be in HH:mm format"],
+        },
+      },
+    ],
+
+    holidays: [
+      {
+        _id: false,
+        date: {
+          type: String,
+          required: [true, "Holiday date is required"],
+          match: [DATE_PATTERN, "Holiday date must be in YYYY-MM-DD format"],
+        },
+        name: {
+          type: String,
+          trim: true,
+          maxlength: [100, "Holiday name cannot exceed 100 characters"],
+        },
+        // Recurring holidays fall on the same month and day every year
+        recurring: {
+          type: Boolean,
+          default: false,
+        },
+      },
+    ],
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// One calendar per department, and a single default (department: null)
+businessCalendarSchema.index({ department: 1 }, { unique: true });
+
+// Validate working windows
+businessCalendarSchema.pre("validate", function (next) {
+  const invalid = (this.workingHours || []).find(
+    (window) => window.start >= window.end
+  );
+
+  if (invalid) {
+    this.invalidate(
+      "workingHours",
+      `Working hours on day ${invalid.day} must end after they start`
+    );
+  }
+
+  if (this.isActive && (this.workingHours || []).length === 0) {
+    this.invalidate(
+      "workingHours",
+      "An active calendar needs at least one working window"
+    );
+  }
+
+  next();
+});
+
+// Static method to find the calendar that applies to a department
+businessCalendarSchema.statics.findForDepartment = async function (department) {
+  const calendars = await this.find({
+    department: { $in: [department || null, null] },
+    isActive: true,
+  }).lean();
+
+  return (
+    calendars.find((calendar) => calendar.department === department) ||
+    calendars.find((calendar) => !calendar.department) ||
+    null
+  );
+};
+
+// Transform JSON output
+businessCalendarSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("BusinessCalendar", businessCalendarSchema);
@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+const { DEPARTMENTS, WORKLOAD_CONFIG } = require("../config/constants");
+
+const weightField = (priority) => ({
+  type: Number,
+  default: WORKLOAD_CONFIG.PRIORITY_WEIGHTS[priority],
+  min: [0, "Priority weights cannot be negative"],
+  max: [20, "Priority weights cannot exceed 20"],
+});
+
+const capacityPolicySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Policy name is required"],
+      trim: true,
+      maxlength: [100, "Policy name cannot exceed 100 characters"],
+    },
+
+    // Department the policy applies to. The policy without a department is
+    // used for departments that have none of their own.
+    department: {
+      type: String,
+      enum: {
+        values: DEPARTMENTS,
+        message: "{VALUE} is not a valid department",
+      },
+      default: null,
+    },
+
+    // Weighted load a staff member can hold unless their own capacity is set
+    defaultCapacity: {
+      type: Number,
+      required: [true, "Default capacity is required"],
+      min: [1, "Capacity must be at least 1"],
+      max: [500, "Capacity cannot exceed 500"],
+    },
+
+    // How much each open complaint counts towards capacity
+    priorityWeights: {
+      low: weightField("low"),
+      medium: weightField("medium"),
+      high: weightField("high"),
+      urgent: weightField("urgent"),
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// One policy per department, and a single default (department: null)
+capacityPolicySchema.index({ department: 1 }, { unique: true });
+
+// Static method to find the policy that applies to a department
+capacityPolicySchema.statics.findForDepartment = async function (department) {
+  const policies = await this.find({
+    department: { $in: [department || null, null] },
+    isActive: true,
+  }).lean();
+
+  return (
+    policies.find((policy) => policy.department === department) ||
+    policies.find((policy) => !policy.department) ||
+    null
+  );
+};
+
+// Transform JSON output
+capacityPolicySchema.set("toJSON", {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("CapacityPolicy", capacityPolicySchema);
@@ -1,5 +1,13 @@
 const mongoose = require("mongoose");
-const { DEPARTMENTS } = require("../config/constants");
+const {
+  DEPARTMENTS,
+  COMPLAINT_STATUS,
+  ASSIGNMENT_RULE_CONDITIONS,
+  ASSIGNMENT_STRATEGIES,
+  CUSTOM_FIELD_TYPES,
+  CUSTOM_FIELD_CONFIG,
+} = require("../config/constants");
+const { WORKFLOW_ACTORS } = require("../config/workflow");
 
 const categorySchema = new mongoose.Schema(
   {
@@ -72,11 +80,31 @@ const categorySchema = new mongoose.Schema(
         type: Boolean,
         default: false,
       },
+      // Strategy used when no rule matches
+      strategy: {
+        type: String,
+        enum: {
+          values: Object.values(ASSIGNMENT_STRATEGIES),
+          message: "{VALUE} is not a valid assignment strategy",
+        },
+        default: ASSIGNMENT_STRATEGIES.LEAST_LOADED,
+      },
+      // Skills staff need for this category (skills strategy)
+      skills: [
+        {
+          type: String,
+          trim: true,
+          lowercase: true,
+        },
+      ],
+      // Evaluated in order; the first matching rule wins. Values may be a
+      // single value or an array; time_of_day takes "HH:mm-HH:mm" in the
+      // department's business calendar time zone.
       rules: [
         {
           condition: {
             type: String,
-            enum: ["priority", "keyword", "user_role", "time_of_day"],
+            enum: Object.values(ASSIGNMENT_RULE_CONDITIONS),
             required: function () {
               return this.parent().enabled;
             },
@@ -123,6 +151,130 @@ const categorySchema = new mongoose.Schema(
       },
     },
 
+    // Custom workflow. When transitions are defined they replace the default
+    // workflow (config/workflow.js) for complaints in this category.
+    workflow: {
+      statuses: [
+        {
+          _id: false,
+          key: {
+            type: String,
+            required: [true, "Status key is required"],
+            trim: true,
+            lowercase: true,
+            match: [
+              /^[a-z][a-z0-9-]{1,39}$/,
+              "Status key must be 2-40 lowercase letters, numbers or dashes",
+            ],
+          },
+          label: {
+            type: String,
+            required: [true, "Status label is required"],
+            trim: true,
+            maxlength: [50, "Status label cannot exceed 50 characters"],
+          },
+          description: {
+            type: String,
+            trim: true,
+            maxlength: [200, "Status description cannot exceed 200 characters"],
+          },
+          // Built-in status this one behaves like for escalation and analytics
+          phase: {
+            type: String,
+            required: [true, "Status phase is required"],
+            enum: {
+              values: Object.values(COMPLAINT_STATUS),
+              message: "{VALUE} is not a valid status phase",
+            },
+          },
+        },
+      ],
+      transitions: [
+        {
+          _id: false,
+          from: {
+            type: String,
+            required: [true, "Transition source status is required"],
+          },
+          to: {
+            type: String,
+            required: [true, "Transition target status is required"],
+          },
+          roles: [
+            {
+              type: String,
+              enum: {
+                values: Object.values(WORKFLOW_ACTORS),
+                message: "{VALUE} is not a valid workflow role",
+              },
+            },
+          ],
+          requiresRemarks: {
+            type: Boolean,
+            default: false,
+          },
+        },
+      ],
+    },
+
+    // Extra information complainants provide when submitting a complaint in
+    // this category. Values are stored on Complaint.customFields by key.
+    customFields: [
+      {
+        _id: false,
+        key: {
+          type: String,
+          required: [true, "Field key is required"],
+          trim: true,
+          lowercase: true,
+          match: [
+            CUSTOM_FIELD_CONFIG.KEY_PATTERN,
+            "Field key must be 2-40 lowercase letters, numbers or underscores",
+          ],
+        },
+        label: {
+          type: String,
+          required: [true, "Field label is required"],
+          trim: true,
+          maxlength: [100, "Field label cannot exceed 100 characters"],
+        },
+        type: {
+          type: String,
+          required: [true, "Field type is required"],
+          enum: {
+            values: Object.values(CUSTOM_FIELD_TYPES),
+            message: "{VALUE} is not a valid field type",
+          },
+        },
+        required: {
+          type: Boolean,
+          default: false,
+        },
+        helpText: {
+          type: String,
+          trim: true,
+          maxlength: [200, "Help text cannot exceed 200 characters"],
+        },
+        // Choices of select fields
+        options: [
+          {
+            type: String,
+            trim: true,
+          },
+        ],
+        // min/max bound numbers and the length of text; pattern is a regular
+        // expression text values must match
+        validation: {
+          min: Number,
+          max: Number,
+          pattern: {
+            type: String,
+            maxlength: [200, "Pattern cannot exceed 200 characters"],
+          },
+        },
+      },
+    ],
+
     keywords: [
       {
         type: String,
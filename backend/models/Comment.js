@@ -0,0 +1,119 @@
+const mongoose = require("mongoose");
+const {
+  USER_ROLES,
+  COMMENT_VISIBILITY,
+  COMMENT_CONFIG,
+} = require("../config/constants");
+
+const refId = (ref) => (ref && ref._id ? ref._id : ref);
+
+const commentSchema = new mongoose.Schema(
+  {
+    complaint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Complaint",
+      required: [true, "Complaint reference is required"],
+    },
+
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Author is required"],
+    },
+
+    // Internal notes are only visible to staff and admins; public comments
+    // form the thread between the complainant and staff
+    visibility: {
+      type: String,
+      enum: {
+        values: Object.values(COMMENT_VISIBILITY),
+        message: "{VALUE} is not a valid comment visibility",
+      },
+      required: true,
+    },
+
+    body: {
+      type: String,
+      required: [true, "Comment text is required"],
+      trim: true,
+      maxlength: [
+        COMMENT_CONFIG.MAX_LENGTH,
+        `Comment cannot exceed ${COMMENT_CONFIG.MAX_LENGTH} characters`,
+      ],
+    },
+
+    // Staff members mentioned with @name
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Deleted comments are kept for the audit trail but no longer listed
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Thread listing: one complaint, one visibility, in posting order
+commentSchema.index({ complaint: 1, visibility: 1, createdAt: 1 });
+
+/**
+ * Whether the comment is still within a window after posting
+ * @param {number} minutes
+ */
+commentSchema.methods.isWithinWindow = function (minutes) {
+  return Date.now() - this.createdAt.getTime() <= minutes * 60 * 1000;
+};
+
+// Authors can edit their own comment for a short while after posting
+commentSchema.methods.canBeEditedBy = function (user) {
+  return (
+    refId(this.author).toString() === user.id.toString() &&
+    this.isWithinWindow(COMMENT_CONFIG.EDIT_WINDOW_MINUTES)
+  );
+};
+
+// Authors can delete within the delete window; admins can always delete
+commentSchema.methods.canBeDeletedBy = function (user) {
+  if (user.role === USER_ROLES.ADMIN) return true;
+
+  return (
+    refId(this.author).toString() === user.id.toString() &&
+    this.isWithinWindow(COMMENT_CONFIG.DELETE_WINDOW_MINUTES)
+  );
+};
+
+// Keep the complaint's copy of its comments for full-text search current
+// (edits and deletions are saves too)
+commentSchema.post("save", async function (doc) {
+  await mongoose.model("Complaint").refreshSearchNotes(doc.complaint);
+});
+
+// Transform JSON output
+commentSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("Comment", commentSchema);
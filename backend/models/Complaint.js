@@ -3,10 +3,29 @@ const {
   COMPLAINT_STATUS,
   COMPLAINT_PRIORITY,
   DEFAULT_RESOLUTION_TIMES,
+  USER_ROLES,
+  SLA_TIERS,
+  TICKET_CONFIG,
+  COMPLAINT_LINK_TYPES,
+  RESOLUTION_CONFIG,
+  COMMENT_VISIBILITY,
+  SEARCH_CONFIG,
 } = require("../config/constants");
+const Counter = require("./Counter");
+const WorkflowService = require("../services/workflow.service");
+const BusinessCalendarService = require("../services/businessCalendar.service");
 
 const complaintSchema = new mongoose.Schema(
   {
+    // Human-readable reference, e.g. IT-2026-000123
+    ticketId: {
+      type: String,
+      unique: true,
+      sparse: true,
+      uppercase: true,
+      trim: true,
+    },
+
     title: {
       type: String,
       required: [true, "Complaint title is required"],
@@ -30,6 +49,13 @@ const complaintSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Where the issue is, e.g. "Building A, Room 101"
+    location: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Location cannot exceed 200 characters"],
+    },
+
     priority: {
       type: String,
       enum: {
@@ -39,13 +65,23 @@ const complaintSchema = new mongoose.Schema(
       default: COMPLAINT_PRIORITY.MEDIUM,
     },
 
+    // Built-in statuses or custom statuses from the category workflow;
+    // legality is enforced by the workflow on every transition
     status: {
+      type: String,
+      trim: true,
+      default: COMPLAINT_STATUS.SUBMITTED,
+      index: true,
+    },
+
+    // Built-in status the current (possibly custom) status behaves like.
+    // Used by escalation and analytics; older documents fall back to status.
+    statusPhase: {
       type: String,
       enum: {
         values: Object.values(COMPLAINT_STATUS),
-        message: "{VALUE} is not a valid status",
+        message: "{VALUE} is not a valid status phase",
       },
-      default: COMPLAINT_STATUS.SUBMITTED,
       index: true,
     },
 
@@ -63,21 +99,98 @@ const complaintSchema = new mongoose.Schema(
       index: true,
     },
 
+    // When the complaint was last assigned (see assignTo)
+    assignedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Values of the category's custom fields, by field key (see
+    // Category.customFields); validated when the complaint is submitted or
+    // updated
+    customFields: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    // Names of tags from the admin-managed vocabulary (see Tag)
+    tags: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    ],
+
+    // Users who reported the same issue and chose to follow this complaint
+    // instead of submitting their own; they are emailed on status changes
+    followers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+
+    // Links to related complaints (see COMPLAINT_LINK_TYPES). Each link is
+    // mirrored on the linked complaint with the inverse type.
+    links: [
+      {
+        _id: false,
+        type: {
+          type: String,
+          enum: {
+            values: Object.values(COMPLAINT_LINK_TYPES),
+            message: "{VALUE} is not a valid link type",
+          },
+          required: true,
+        },
+        complaint: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Complaint",
+          required: true,
+        },
+        createdBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    // Set when this complaint was closed as a duplicate of another one
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Complaint",
+      default: null,
+    },
+    mergedAt: {
+      type: Date,
+      default: null,
+    },
+    mergedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
     statusHistory: [
       {
         status: {
           type: String,
-          enum: Object.values(COMPLAINT_STATUS),
           required: true,
         },
         timestamp: {
           type: Date,
           default: Date.now,
         },
+        // Null for automatic (system) changes such as escalations
         updatedBy: {
           type: mongoose.Schema.Types.ObjectId,
           ref: "User",
-          required: true,
+          default: null,
         },
         remarks: {
           type: String,
@@ -107,6 +220,51 @@ const complaintSchema = new mongoose.Schema(
         trim: true,
         maxlength: [500, "Escalation reason cannot exceed 500 characters"],
       },
+      // Current level in the department's escalation chain (0 = none)
+      level: {
+        type: Number,
+        default: 0,
+      },
+      levelName: {
+        type: String,
+        trim: true,
+      },
+      // When the complaint moves to the next level if still unresolved
+      nextEscalationAt: {
+        type: Date,
+        default: null,
+      },
+      history: [
+        {
+          _id: false,
+          level: {
+            type: Number,
+            required: true,
+          },
+          levelName: String,
+          escalatedAt: {
+            type: Date,
+            default: Date.now,
+          },
+          // Null for automatic escalations
+          escalatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+          },
+          reason: {
+            type: String,
+            trim: true,
+            maxlength: [500, "Escalation reason cannot exceed 500 characters"],
+          },
+          notified: [
+            {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "User",
+            },
+          ],
+        },
+      ],
     },
 
     resolvedAt: {
@@ -114,12 +272,111 @@ const complaintSchema = new mongoose.Schema(
       default: null,
     },
 
+    // Times the complainant disputed a resolution and reopened the complaint
+    reopenCount: {
+      type: Number,
+      default: 0,
+    },
+    reopenHistory: [
+      {
+        _id: false,
+        reopenedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        reopenedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        fromStatus: String,
+        toStatus: String,
+        reason: {
+          type: String,
+          trim: true,
+          maxlength: [500, "Reopen reason cannot exceed 500 characters"],
+        },
+      },
+    ],
+
+    // Resolved complaints are closed automatically when the complainant does
+    // not respond, after a reminder
+    autoCloseReminderSentAt: {
+      type: Date,
+      default: null,
+    },
+    autoClosedAt: {
+      type: Date,
+      default: null,
+    },
+
     deadline: {
       type: Date,
       required: true,
       index: true,
     },
 
+    // Service level targets derived from the category's slaSettings
+    sla: {
+      acknowledgeDueAt: Date,
+      acknowledgedAt: {
+        type: Date,
+        default: null,
+      },
+      acknowledgedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      firstResponseDueAt: Date,
+      firstRespondedAt: {
+        type: Date,
+        default: null,
+      },
+      firstRespondedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      // When the complaint is auto-escalated if still unresolved (null when
+      // escalation is disabled for the category)
+      escalateAt: Date,
+      // The clock is paused while the complaint awaits the complainant.
+      // Pending targets move back by the business hours paused when it
+      // resumes.
+      pausedAt: {
+        type: Date,
+        default: null,
+      },
+      pausedMs: {
+        type: Number,
+        default: 0,
+      },
+      pauses: [
+        {
+          _id: false,
+          pausedAt: Date,
+          resumedAt: Date,
+          // Status the complaint was in when the clock was paused
+          fromStatus: String,
+        },
+      ],
+      breaches: [
+        {
+          _id: false,
+          tier: {
+            type: String,
+            enum: Object.values(SLA_TIERS),
+            required: true,
+          },
+          dueAt: Date,
+          detectedAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+    },
+
     feedback: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Feedback",
@@ -156,6 +413,8 @@ const complaintSchema = new mongoose.Schema(
       },
     ],
 
+    // Notes written before the Comment model was introduced. New notes are
+    // stored as internal Comments.
     internalNotes: [
       {
         note: {
@@ -176,6 +435,19 @@ const complaintSchema = new mongoose.Schema(
       },
     ],
 
+    // Text of the live public comments and internal notes (see Comment),
+    // copied here for the full-text index. Only returned when selected.
+    searchNotes: {
+      public: {
+        type: String,
+        select: false,
+      },
+      internal: {
+        type: String,
+        select: false,
+      },
+    },
+
     createdAt: {
       type: Date,
       default: Date.now,
@@ -199,38 +471,75 @@ complaintSchema.index({ assignedTo: 1, status: 1 });
 complaintSchema.index({ category: 1, priority: 1 });
 complaintSchema.index({ createdAt: -1 });
 complaintSchema.index({ deadline: 1, status: 1 }); // For escalation queries
+complaintSchema.index({ deadline: 1, statusPhase: 1 });
+complaintSchema.index({ "sla.escalateAt": 1 });
+complaintSchema.index({ "sla.acknowledgeDueAt": 1, "sla.acknowledgedAt": 1 });
+complaintSchema.index({
+  "sla.firstResponseDueAt": 1,
+  "sla.firstRespondedAt": 1,
+});
 complaintSchema.index({ "escalation.isEscalated": 1 });
+complaintSchema.index({ tags: 1 });
+complaintSchema.index({ "links.complaint": 1 });
+complaintSchema.index({ "escalation.nextEscalationAt": 1 });
+complaintSchema.index({ statusPhase: 1, resolvedAt: 1 }); // For auto-closing
+
+// Full-text search (see SearchService); a collection has one text index
+complaintSchema.index(
+  {
+    ticketId: "text",
+    title: "text",
+    description: "text",
+    "internalNotes.note": "text",
+    "searchNotes.public": "text",
+    "searchNotes.internal": "text",
+  },
+  {
+    name: "complaint_text_search",
+    weights: {
+      ticketId: 10,
+      title: 5,
+      description: 2,
+      "internalNotes.note": 1,
+      "searchNotes.public": 1,
+      "searchNotes.internal": 1,
+    },
+  }
+);
+
+// Fallback SLA targets (in business hours) when the category has none
+const DEFAULT_SLA_HOURS = {
+  acknowledge: 2,
+  firstResponse: 4,
+};
 
 // Pre-save middleware to set deadline based on category and priority
 complaintSchema.pre("save", async function (next) {
   if (this.isNew) {
     try {
-      // Populate category to get resolution time
+      // Populate category to get resolution time and SLA settings
       await this.populate("category");
+      const now = new Date();
+      const department = this.category?.department;
 
-      let resolutionHours;
-      if (this.category && this.category.resolutionTimeHours) {
-        resolutionHours = this.category.resolutionTimeHours;
-      } else {
-        // Fallback to default resolution times
-        resolutionHours =
-          DEFAULT_RESOLUTION_TIMES[this.priority] ||
-          DEFAULT_RESOLUTION_TIMES.medium;
+      // Imported historical complaints keep their own dates (see
+      // ComplaintImportService): nothing is recomputed from today
+      if (this.$locals.historical) {
+        await this.initializeHistorical(department);
+        return next();
       }
 
-      // Apply priority multiplier
-      const priorityMultipliers = {
-        [COMPLAINT_PRIORITY.URGENT]: 0.5, // Half time for urgent
-        [COMPLAINT_PRIORITY.HIGH]: 0.75, // 75% time for high
-        [COMPLAINT_PRIORITY.MEDIUM]: 1, // Standard time
-        [COMPLAINT_PRIORITY.LOW]: 1.5, // 50% more time for low
-      };
-
-      const adjustedHours =
-        resolutionHours * (priorityMultipliers[this.priority] || 1);
+      if (this.ticketId) {
+        await this.constructor.reserveTicketId(this.ticketId);
+      } else {
+        this.ticketId = await this.constructor.generateTicketId(
+          department,
+          now
+        );
+      }
+      await this.setSLATargets(this.category, now);
 
-      // Set deadline
-      this.deadline = new Date(Date.now() + adjustedHours * 60 * 60 * 1000);
+      this.statusPhase = this.statusPhase || this.status;
 
       // Add initial status to history
       this.statusHistory.push({
@@ -246,25 +555,188 @@ complaintSchema.pre("save", async function (next) {
   next();
 });
 
+// Instance method to set the deadline and the acknowledgement, first
+// response and escalation targets from a category's settings and the
+// priority, in business hours of its department from a start time (without
+// saving). Targets already met (and the deadline of a resolved complaint)
+// are left alone; pausedHours of SLA pauses are added to the others.
+complaintSchema.methods.setSLATargets = async function (
+  category,
+  start,
+  pausedHours = 0
+) {
+  let resolutionHours;
+  if (category && category.resolutionTimeHours) {
+    resolutionHours = category.resolutionTimeHours;
+  } else {
+    // Fallback to default resolution times
+    resolutionHours =
+      DEFAULT_RESOLUTION_TIMES[this.priority] ||
+      DEFAULT_RESOLUTION_TIMES.medium;
+  }
+
+  // Apply priority multiplier
+  const priorityMultipliers = {
+    [COMPLAINT_PRIORITY.URGENT]: 0.5, // Half time for urgent
+    [COMPLAINT_PRIORITY.HIGH]: 0.75, // 75% time for high
+    [COMPLAINT_PRIORITY.MEDIUM]: 1, // Standard time
+    [COMPLAINT_PRIORITY.LOW]: 1.5, // 50% more time for low
+  };
+
+  const adjustedHours =
+    resolutionHours * (priorityMultipliers[this.priority] || 1);
+
+  const department = category?.department;
+  const dueAfter = (hours) =>
+    BusinessCalendarService.addBusinessHours(
+      start,
+      hours + pausedHours,
+      department
+    );
+
+  if (
+    this.isNew ||
+    !this.isInPhase(COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED)
+  ) {
+    this.deadline = await dueAfter(adjustedHours);
+  }
+
+  const slaSettings = category?.slaSettings || {};
+  if (!this.sla.acknowledgedAt) {
+    this.sla.acknowledgeDueAt = await dueAfter(
+      slaSettings.acknowledgeWithinHours ?? DEFAULT_SLA_HOURS.acknowledge
+    );
+  }
+  if (!this.sla.firstRespondedAt) {
+    this.sla.firstResponseDueAt = await dueAfter(
+      slaSettings.firstResponseWithinHours ?? DEFAULT_SLA_HOURS.firstResponse
+    );
+  }
+  if (!this.escalation?.isEscalated) {
+    this.sla.escalateAt =
+      slaSettings.escalationEnabled === false
+        ? null
+        : await dueAfter(slaSettings.escalationHours ?? adjustedHours);
+  }
+};
+
+// Instance method to move the complaint to another category (without
+// saving). A status the new category's workflow does not have becomes its
+// built-in phase, the ticket ID is renumbered when the department's prefix
+// differs, and the SLA targets not met yet are recomputed from submission
+// with the new category's settings.
+complaintSchema.methods.changeCategory = async function (
+  category,
+  { updatedBy } = {}
+) {
+  const oldStatus = this.status;
+  const oldTicketId = this.ticketId;
+  const department = category.department;
+
+  this.category = category._id;
+
+  const workflow = WorkflowService.buildWorkflow(category.workflow);
+  if (!workflow.statuses[this.status]) {
+    this.status = this.statusPhase || this.status;
+  }
+  this.statusPhase = WorkflowService.getPhase(workflow, this.status);
+
+  if (
+    this.ticketId &&
+    !this.ticketId.startsWith(
+      `${this.constructor.getTicketPrefix(department)}-`
+    )
+  ) {
+    this.ticketId = await this.constructor.generateTicketId(
+      department,
+      this.createdAt
+    );
+  }
+
+  // Time already spent paused does not count against the new targets
+  let pausedHours = 0;
+  for (const pause of this.sla.pauses) {
+    if (pause.resumedAt) {
+      pausedHours += await BusinessCalendarService.businessHoursBetween(
+        pause.pausedAt,
+        pause.resumedAt,
+        department
+      );
+    }
+  }
+  await this.setSLATargets(category, this.createdAt, pausedHours);
+
+  const changes = [`Category changed to ${category.name}`];
+  if (this.status !== oldStatus) {
+    changes.push(
+      `status ${oldStatus} is not in its workflow and became ${this.status}`
+    );
+  }
+  if (this.ticketId !== oldTicketId) {
+    changes.push(`ticket ${oldTicketId} renumbered ${this.ticketId}`);
+  }
+
+  this.statusHistory.push({
+    status: this.status,
+    timestamp: new Date(),
+    updatedBy,
+    remarks: changes.join("; "),
+  });
+};
+
+// Instance method to complete an imported historical complaint before its
+// first save. The deadline defaults to when it was resolved (or submitted),
+// and complaints that old are never escalated.
+complaintSchema.methods.initializeHistorical = async function (department) {
+  if (this.ticketId) {
+    await this.constructor.reserveTicketId(this.ticketId);
+  } else {
+    this.ticketId = await this.constructor.generateTicketId(
+      department,
+      this.createdAt
+    );
+  }
+
+  this.deadline = this.deadline || this.resolvedAt || this.createdAt;
+  this.sla.escalateAt = null;
+  this.statusPhase = this.statusPhase || this.status;
+
+  this.statusHistory.push({
+    status: this.status,
+    timestamp: this.createdAt,
+    updatedBy: this.user,
+    remarks: "Complaint imported",
+  });
+};
+
 // Pre-update middleware to track status changes
 complaintSchema.pre("findOneAndUpdate", function (next) {
   this.set({ updatedAt: new Date() });
   next();
 });
 
-// Instance method to update status with history
-complaintSchema.methods.updateStatus = async function (
+// Instance method to move the complaint through its workflow. Validates the
+// transition, runs status side effects and records history (without saving).
+complaintSchema.methods.transitionTo = async function (
   newStatus,
-  updatedBy,
-  remarks
+  { updatedBy, remarks, actor } = {}
 ) {
   const oldStatus = this.status;
+  const workflow = await WorkflowService.getWorkflow(this);
 
-  if (oldStatus === newStatus) {
-    throw new Error("Status is already " + newStatus);
-  }
+  WorkflowService.assertTransition(workflow, oldStatus, newStatus, {
+    actor,
+    remarks,
+  });
 
   this.status = newStatus;
+  this.statusPhase = WorkflowService.getPhase(workflow, newStatus);
+  await WorkflowService.applyEffects(workflow, this, oldStatus, newStatus);
+
+  // Status changes by staff count as acknowledging the complaint
+  if (actor === USER_ROLES.STAFF || actor === USER_ROLES.ADMIN) {
+    this.recordAcknowledgement(updatedBy);
+  }
 
   // Add to status history
   this.statusHistory.push({
@@ -273,110 +745,427 @@ complaintSchema.methods.updateStatus = async function (
     updatedBy: updatedBy,
     remarks: remarks || `Status changed from ${oldStatus} to ${newStatus}`,
   });
+};
 
-  // Set resolved date if status is resolved
-  if (newStatus === COMPLAINT_STATUS.RESOLVED) {
-    this.resolvedAt = new Date();
+// Instance method to update status with history
+complaintSchema.methods.updateStatus = async function (
+  newStatus,
+  updatedBy,
+  remarks,
+  actor
+) {
+  if (this.status === newStatus) {
+    throw new Error("Status is already " + newStatus);
   }
 
-  // Clear resolved date if status is changed from resolved
+  await this.transitionTo(newStatus, { updatedBy, remarks, actor });
+
+  // Remarks from staff are shown to the complainant, so they (or resolving
+  // the complaint) count as the first response
   if (
-    oldStatus === COMPLAINT_STATUS.RESOLVED &&
-    newStatus !== COMPLAINT_STATUS.RESOLVED
+    (actor === USER_ROLES.STAFF || actor === USER_ROLES.ADMIN) &&
+    (remarks || this.isInPhase(COMPLAINT_STATUS.RESOLVED))
   ) {
-    this.resolvedAt = null;
+    this.recordFirstResponse(updatedBy);
   }
 
   return this.save();
 };
 
-// Instance method to escalate complaint
-complaintSchema.methods.escalate = async function (escalatedBy, reason) {
-  if (this.escalation.isEscalated) {
-    throw new Error("Complaint is already escalated");
+// Instance method to close a complaint as a duplicate of another one
+// (without saving). Merging is decided by staff, so it is not bound by the
+// workflow's transitions.
+complaintSchema.methods.closeAsMerged = async function (primary, mergedBy) {
+  const oldStatus = this.status;
+  const workflow = await WorkflowService.getWorkflow(this);
+
+  this.status = COMPLAINT_STATUS.CLOSED;
+  this.statusPhase = WorkflowService.getPhase(
+    workflow,
+    COMPLAINT_STATUS.CLOSED
+  );
+  await WorkflowService.applyEffects(
+    workflow,
+    this,
+    oldStatus,
+    COMPLAINT_STATUS.CLOSED
+  );
+
+  this.mergedInto = primary._id;
+  this.mergedAt = new Date();
+  this.mergedBy = mergedBy;
+
+  this.statusHistory.push({
+    status: COMPLAINT_STATUS.CLOSED,
+    timestamp: this.mergedAt,
+    updatedBy: mergedBy,
+    remarks: `Merged into complaint #${
+      primary.ticketId || primary._id.toString().slice(-6).toUpperCase()
+    }`,
+  });
+};
+
+// Instance method to list the status changes available to an actor
+complaintSchema.methods.getAvailableTransitions = async function (actor) {
+  return WorkflowService.getAvailableTransitions(
+    await WorkflowService.getWorkflow(this),
+    this.status,
+    actor
+  );
+};
+
+// Instance method to record a missed SLA tier (once per tier)
+complaintSchema.methods.recordBreach = function (tier, dueAt) {
+  if (this.sla.breaches.some((breach) => breach.tier === tier)) {
+    return false;
   }
 
+  this.sla.breaches.push({ tier, dueAt, detectedAt: new Date() });
+  return true;
+};
+
+// Instance method to record the first staff acknowledgement (without saving)
+complaintSchema.methods.recordAcknowledgement = function (userId) {
+  if (this.sla.acknowledgedAt) return;
+
+  this.sla.acknowledgedAt = new Date();
+  this.sla.acknowledgedBy = userId || null;
+
   if (
-    this.status === COMPLAINT_STATUS.RESOLVED ||
-    this.status === COMPLAINT_STATUS.CLOSED
+    this.sla.acknowledgeDueAt &&
+    this.sla.acknowledgedAt > this.sla.acknowledgeDueAt
   ) {
+    this.recordBreach(SLA_TIERS.ACKNOWLEDGE, this.sla.acknowledgeDueAt);
+  }
+};
+
+// Instance method to record the first staff response (without saving)
+complaintSchema.methods.recordFirstResponse = function (userId) {
+  this.recordAcknowledgement(userId);
+  if (this.sla.firstRespondedAt) return;
+
+  this.sla.firstRespondedAt = new Date();
+  this.sla.firstRespondedBy = userId || null;
+
+  if (
+    this.sla.firstResponseDueAt &&
+    this.sla.firstRespondedAt > this.sla.firstResponseDueAt
+  ) {
+    this.recordBreach(SLA_TIERS.FIRST_RESPONSE, this.sla.firstResponseDueAt);
+  }
+};
+
+// Instance method to pause the SLA clock (without saving)
+complaintSchema.methods.pauseSLA = function (fromStatus) {
+  if (this.sla.pausedAt) return;
+
+  this.sla.pausedAt = new Date();
+  this.sla.pauses.push({ pausedAt: this.sla.pausedAt, fromStatus });
+};
+
+// Instance method to resume the SLA clock (without saving). The deadline
+// and the targets not met yet are extended by the business hours of the
+// department that passed while paused.
+complaintSchema.methods.resumeSLA = async function () {
+  if (!this.sla.pausedAt) return 0;
+
+  const category = this.category?.department
+    ? this.category
+    : await mongoose
+        .model("Category")
+        .findById(this.category?._id || this.category)
+        .select("department");
+  const department = category?.department;
+
+  const resumedAt = new Date();
+  const pausedMs = resumedAt.getTime() - this.sla.pausedAt.getTime();
+  const pausedHours = await BusinessCalendarService.businessHoursBetween(
+    this.sla.pausedAt,
+    resumedAt,
+    department
+  );
+  const extend = (date) =>
+    BusinessCalendarService.addBusinessHours(date, pausedHours, department);
+
+  this.deadline = await extend(this.deadline);
+  if (this.sla.escalateAt) {
+    this.sla.escalateAt = await extend(this.sla.escalateAt);
+  }
+  if (this.sla.acknowledgeDueAt && !this.sla.acknowledgedAt) {
+    this.sla.acknowledgeDueAt = await extend(this.sla.acknowledgeDueAt);
+  }
+  if (this.sla.firstResponseDueAt && !this.sla.firstRespondedAt) {
+    this.sla.firstResponseDueAt = await extend(this.sla.firstResponseDueAt);
+  }
+  if (this.escalation.nextEscalationAt) {
+    this.escalation.nextEscalationAt = await extend(
+      this.escalation.nextEscalationAt
+    );
+  }
+
+  const pause = this.sla.pauses[this.sla.pauses.length - 1];
+  if (pause && !pause.resumedAt) {
+    pause.resumedAt = resumedAt;
+  }
+  this.sla.pausedMs += pausedMs;
+  this.sla.pausedAt = null;
+
+  return pausedMs;
+};
+
+// Instance method to get when the complaint is due for auto-escalation.
+// Complaints created before SLA tracking escalate at their deadline.
+complaintSchema.methods.getEscalationDueAt = function () {
+  return this.sla?.escalateAt === undefined
+    ? this.deadline
+    : this.sla.escalateAt;
+};
+
+// Instance method to check whether the complaint is in a given phase
+// (built-in status), taking custom workflow statuses into account
+complaintSchema.methods.isInPhase = function (...phases) {
+  return phases.includes(this.statusPhase || this.status);
+};
+
+// Instance method to escalate complaint to the next level of its escalation
+// chain. The first escalation moves the complaint to the escalated status.
+complaintSchema.methods.escalate = async function (
+  escalatedBy,
+  reason,
+  { level, levelName, notified = [], nextEscalationAt = null } = {}
+) {
+  const currentLevel = this.escalation.level || 0;
+  const newLevel = level || currentLevel + 1;
+
+  if (this.escalation.isEscalated && newLevel <= currentLevel) {
+    throw new Error(`Complaint is already escalated to level ${currentLevel}`);
+  }
+
+  if (this.isInPhase(COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED)) {
     throw new Error("Cannot escalate resolved or closed complaint");
   }
 
-  this.escalation = {
-    isEscalated: true,
-    escalatedAt: new Date(),
-    escalatedBy: escalatedBy,
-    reason: reason || "Deadline exceeded",
-  };
+  const levelLabel = levelName ? `L${newLevel} (${levelName})` : `L${newLevel}`;
+  reason = reason || "Deadline exceeded";
 
-  this.status = COMPLAINT_STATUS.ESCALATED;
+  if (!this.escalation.isEscalated) {
+    await this.transitionTo(COMPLAINT_STATUS.ESCALATED, {
+      updatedBy: escalatedBy || null,
+      remarks: `Complaint escalated to ${levelLabel}: ${reason}`,
+    });
 
-  // Add to status history
-  this.statusHistory.push({
-    status: COMPLAINT_STATUS.ESCALATED,
-    timestamp: new Date(),
-    updatedBy: escalatedBy,
-    remarks: `Complaint escalated: ${reason || "Deadline exceeded"}`,
+    this.escalation.isEscalated = true;
+    this.escalation.escalatedAt = new Date();
+    this.escalation.escalatedBy = escalatedBy || null;
+  }
+
+  this.escalation.reason = reason;
+  this.escalation.level = newLevel;
+  this.escalation.levelName = levelName;
+  this.escalation.nextEscalationAt = nextEscalationAt;
+  this.escalation.history.push({
+    level: newLevel,
+    levelName,
+    escalatedAt: new Date(),
+    escalatedBy: escalatedBy || null,
+    reason,
+    notified,
   });
 
   return this.save();
 };
 
 // Instance method to assign complaint to staff
-complaintSchema.methods.assignTo = async function (staffId, assignedBy) {
-  if (
-    this.status === COMPLAINT_STATUS.RESOLVED ||
-    this.status === COMPLAINT_STATUS.CLOSED
-  ) {
+complaintSchema.methods.assignTo = async function (
+  staffId,
+  assignedBy,
+  remarks
+) {
+  if (this.isInPhase(COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED)) {
     throw new Error("Cannot assign resolved or closed complaint");
   }
 
-  const oldAssignedTo = this.assignedTo;
-  this.assignedTo = staffId;
-  this.status = COMPLAINT_STATUS.ASSIGNED;
-
-  // Add to status history
-  this.statusHistory.push({
-    status: COMPLAINT_STATUS.ASSIGNED,
-    timestamp: new Date(),
+  await this.transitionTo(COMPLAINT_STATUS.ASSIGNED, {
     updatedBy: assignedBy,
-    remarks: `Complaint assigned to staff member`,
+    remarks: remarks || `Complaint assigned to staff member`,
   });
+  this.assignedTo = staffId;
+  this.assignedAt = new Date();
+
+  // Manual assignment means someone has picked up the complaint
+  if (assignedBy) {
+    this.recordAcknowledgement(assignedBy);
+  }
 
   return this.save();
 };
 
-// Static method to get complaints due for escalation
+// Instance method to get until when the complainant may reopen the
+// complaint (null when it is not resolved)
+complaintSchema.methods.getReopenDeadline = function () {
+  if (!this.resolvedAt || !this.isInPhase(COMPLAINT_STATUS.RESOLVED)) {
+    return null;
+  }
+
+  return new Date(
+    this.resolvedAt.getTime() +
+      RESOLUTION_CONFIG.REOPEN_WINDOW_DAYS * 24 * 60 * 60 * 1000
+  );
+};
+
+// Instance method to check whether a user may view this complaint and its
+// attachments. Works with both populated and unpopulated references.
+complaintSchema.methods.canBeAccessedBy = async function (user) {
+  const refId = (ref) => (ref && ref._id ? ref._id : ref);
+  const userId = user.id.toString();
+
+  if (user.role === USER_ROLES.ADMIN) return true;
+
+  if (user.role === USER_ROLES.USER) {
+    return refId(this.user).toString() === userId;
+  }
+
+  if (user.role === USER_ROLES.STAFF) {
+    // Staff can access complaints assigned to them or from their department
+    if (this.assignedTo && refId(this.assignedTo).toString() === userId) {
+      return true;
+    }
+
+    const category = this.category?.department
+      ? this.category
+      : await mongoose.model("Category").findById(refId(this.category));
+    return !!category && category.department === user.department;
+  }
+
+  return false;
+};
+
+// Static method to get the ticket ID prefix of a department
+complaintSchema.statics.getTicketPrefix = function (department) {
+  return (
+    TICKET_CONFIG.DEPARTMENT_PREFIXES[department] ||
+    TICKET_CONFIG.DEFAULT_PREFIX
+  );
+};
+
+// Static method to take the next ticket ID of a department, numbered per
+// year in the department's time zone
+complaintSchema.statics.generateTicketId = async function (
+  department,
+  date = new Date()
+) {
+  const prefix = this.getTicketPrefix(department);
+  const calendar = await BusinessCalendarService.getCalendar(department);
+  const { year } = BusinessCalendarService.getLocalDate(
+    date.getTime(),
+    calendar?.timeZone || "UTC"
+  );
+
+  const seq = await Counter.next(`ticket:${prefix}:${year}`);
+  return `${prefix}-${year}-${String(seq).padStart(
+    TICKET_CONFIG.SEQUENCE_LENGTH,
+    "0"
+  )}`;
+};
+
+// Static method to keep a ticket ID given to a new complaint (e.g. one
+// imported from another system) from being generated again later
+complaintSchema.statics.reserveTicketId = async function (ticketId) {
+  const [prefix, year, seq] = ticketId.split("-");
+  await Counter.raise(`ticket:${prefix}:${year}`, Number(seq));
+};
+
+// Static method to copy the live comments and internal notes of a complaint
+// into searchNotes, so searches find them. Called whenever a comment changes.
+complaintSchema.statics.refreshSearchNotes = async function (complaintId) {
+  const comments = await mongoose
+    .model("Comment")
+    .find({ complaint: complaintId, deletedAt: null })
+    .select("visibility body")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const joinBodies = (visibility) =>
+    comments
+      .filter((comment) => comment.visibility === visibility)
+      .map((comment) => comment.body)
+      .join(SEARCH_CONFIG.NOTE_SEPARATOR);
+
+  // Update directly so save hooks do not touch deadlines or history
+  await this.updateOne(
+    { _id: complaintId },
+    {
+      $set: {
+        "searchNotes.public": joinBodies(COMMENT_VISIBILITY.PUBLIC),
+        "searchNotes.internal": joinBodies(COMMENT_VISIBILITY.INTERNAL),
+      },
+    },
+    { timestamps: false }
+  );
+};
+
+// Static helpers to filter on the status phase. Documents created before
+// custom workflows have no statusPhase, in which case the status is used.
+complaintSchema.statics.phaseExpression = function () {
+  return { $ifNull: ["$statusPhase", "$status"] };
+};
+
+complaintSchema.statics.phaseIn = function (phases) {
+  return { $expr: { $in: [this.phaseExpression(), phases] } };
+};
+
+complaintSchema.statics.phaseNotIn = function (phases) {
+  return {
+    $nor: [
+      { statusPhase: { $in: phases } },
+      { statusPhase: { $exists: false }, status: { $in: phases } },
+    ],
+  };
+};
+
+// Static filter for complaints whose auto-escalation time is before a date.
+// Complaints without SLA tracking use their deadline; a null escalateAt
+// means escalation is disabled for the category.
+complaintSchema.statics.escalationDueBefore = function (date) {
+  return {
+    $or: [
+      { "sla.escalateAt": { $lt: date } },
+      { "sla.escalateAt": { $exists: false }, deadline: { $lt: date } },
+    ],
+  };
+};
+
+// Static method to get complaints due for escalation: complaints past their
+// escalation time, and escalated complaints whose current level timed out
 complaintSchema.statics.getDueForEscalation = function () {
   const now = new Date();
   return this.find({
-    deadline: { $lt: now },
-    status: {
-      $nin: [
-        COMPLAINT_STATUS.RESOLVED,
-        COMPLAINT_STATUS.CLOSED,
-        COMPLAINT_STATUS.ESCALATED,
-      ],
-    },
-    "escalation.isEscalated": false,
+    ...this.phaseNotIn([
+      COMPLAINT_STATUS.RESOLVED,
+      COMPLAINT_STATUS.CLOSED,
+      COMPLAINT_STATUS.AWAITING_REQUESTER,
+    ]),
+    $or: [
+      {
+        $and: [
+          this.escalationDueBefore(now),
+          this.phaseNotIn([COMPLAINT_STATUS.ESCALATED]),
+          { "escalation.isEscalated": false },
+        ],
+      },
+      {
+        "escalation.isEscalated": true,
+        "escalation.nextEscalationAt": { $lt: now },
+      },
+    ],
   }).populate("user category assignedTo");
 };
 
-// Static method to get analytics data
-complaintSchema.statics.getAnalytics = async function (dateRange = {}) {
-  const { startDate, endDate } = dateRange;
-  const matchStage = {};
-
-  if (startDate && endDate) {
-    matchStage.createdAt = {
-      $gte: new Date(startDate),
-      $lte: new Date(endDate),
-    };
-  }
-
+// Static method to get analytics data for the complaints matching a filter
+// (see ComplaintQueryService)
+complaintSchema.statics.getAnalytics = async function (filter = {}) {
   return this.aggregate([
-    { $match: matchStage },
+    { $match: filter },
     {
       $group: {
         _id: null,
@@ -385,19 +1174,23 @@ complaintSchema.statics.getAnalytics = async function (dateRange = {}) {
           $sum: {
             $cond: [
               {
-                $nin: [
-                  "$status",
+                $in: [
+                  this.phaseExpression(),
                   [COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED],
                 ],
               },
-              1,
               0,
+              1,
             ],
           },
         },
         resolvedComplaints: {
           $sum: {
-            $cond: [{ $eq: ["$status", COMPLAINT_STATUS.RESOLVED] }, 1, 0],
+            $cond: [
+              { $eq: [this.phaseExpression(), COMPLAINT_STATUS.RESOLVED] },
+              1,
+              0,
+            ],
           },
         },
         escalatedComplaints: {
@@ -433,10 +1226,19 @@ complaintSchema.virtual("hoursUntilDeadline").get(function () {
 complaintSchema.virtual("isOverdue").get(function () {
   return (
     new Date() > this.deadline &&
-    ![COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED].includes(this.status)
+    !this.isInPhase(
+      COMPLAINT_STATUS.RESOLVED,
+      COMPLAINT_STATUS.CLOSED,
+      COMPLAINT_STATUS.AWAITING_REQUESTER
+    )
   );
 });
 
+// Virtual for until when the complainant may reopen the complaint
+complaintSchema.virtual("reopenDeadline").get(function () {
+  return this.getReopenDeadline();
+});
+
 // Transform JSON output
 complaintSchema.set("toJSON", {
   virtuals: true,
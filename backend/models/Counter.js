@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// Named sequences, e.g. "ticket:IT:2026" for IT ticket numbers in 2026
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+// Static method to atomically take the next number of a sequence. Numbers
+// are never reused, so a failed save leaves a gap rather than a duplicate.
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+// Static method to make sure a sequence continues after a number taken
+// elsewhere, e.g. the ticket ID of an imported complaint
+counterSchema.statics.raise = async function (name, seq) {
+  await this.updateOne({ _id: name }, { $max: { seq } }, { upsert: true });
+};
+
+module.exports = mongoose.model("Counter", counterSchema);
@@ -0,0 +1,137 @@
+const mongoose = require("mongoose");
+const { DEPARTMENTS, USER_ROLES } = require("../config/constants");
+
+const escalationPolicySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Policy name is required"],
+      trim: true,
+      maxlength: [100, "Policy name cannot exceed 100 characters"],
+    },
+
+    // Department the policy applies to. The policy without a department is
+    // used for departments that have none of their own.
+    department: {
+      type: String,
+      enum: {
+        values: DEPARTMENTS,
+        message: "{VALUE} is not a valid department",
+      },
+      default: null,
+    },
+
+    // Ordered escalation chain, e.g. L1 team lead -> L2 department head ->
+    // L3 administrators
+    levels: [
+      {
+        _id: false,
+        name: {
+          type: String,
+          required: [true, "Level name is required"],
+          trim: true,
+          maxlength: [50, "Level name cannot exceed 50 characters"],
+        },
+        // Specific people to notify at this level
+        users: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+        ],
+        // Roles to notify at this level. Staff are limited to the policy's
+        // department; admins are notified regardless of department.
+        roles: [
+          {
+            type: String,
+            enum: {
+              values: [USER_ROLES.STAFF, USER_ROLES.ADMIN],
+              message: "{VALUE} is not a valid escalation role",
+            },
+          },
+        ],
+        // Business hours to wait at this level before escalating to the
+        // next one. Unset on the last level.
+        timeoutHours: {
+          type: Number,
+          min: [1, "Level timeout must be at least 1 hour"],
+          max: [168, "Level timeout cannot exceed 168 hours (1 week)"],
+        },
+      },
+    ],
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// One policy per department, and a single default (department: null)
+escalationPolicySchema.index({ department: 1 }, { unique: true });
+
+// Validate the escalation chain
+escalationPolicySchema.pre("validate", function (next) {
+  const levels = this.levels || [];
+
+  if (levels.length === 0 || levels.length > 5) {
+    this.invalidate("levels", "A policy must have between 1 and 5 levels");
+  }
+
+  levels.forEach((level, index) => {
+    if (level.users.length === 0 && level.roles.length === 0) {
+      this.invalidate(
+        "levels",
+        `Level ${index + 1} must notify at least one user or role`
+      );
+    }
+    if (index < levels.length - 1 && !level.timeoutHours) {
+      this.invalidate(
+        "levels",
+        `Level ${index + 1} needs a timeout before escalating further`
+      );
+    }
+  });
+
+  next();
+});
+
+// Static method to find the policy that applies to a department
+escalationPolicySchema.statics.findForDepartment = async function (department) {
+  const policies = await this.find({
+    department: { $in: [department || null, null] },
+    isActive: true,
+  }).lean();
+
+  return (
+    policies.find((policy) => policy.department === department) ||
+    policies.find((policy) => !policy.department) ||
+    null
+  );
+};
+
+// Transform JSON output
+escalationPolicySchema.set("toJSON", {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("EscalationPolicy", escalationPolicySchema);
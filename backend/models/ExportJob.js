@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+const { EXPORT_FORMATS, EXPORT_JOB_STATUS } = require("../config/constants");
+
+// Complaint exports too large to stream in a single request are generated in
+// the background; the file can be downloaded until the job expires.
+const exportJobSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    format: {
+      type: String,
+      enum: {
+        values: Object.values(EXPORT_FORMATS),
+        message: "{VALUE} is not a valid export format",
+      },
+      required: true,
+    },
+
+    // Requested columns and list filters (see ComplaintQueryService)
+    columns: [String],
+    filters: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    status: {
+      type: String,
+      enum: Object.values(EXPORT_JOB_STATUS),
+      default: EXPORT_JOB_STATUS.PENDING,
+    },
+
+    // Complaints matching when the job was created, and complaints written
+    total: {
+      type: Number,
+      default: 0,
+    },
+    rowCount: {
+      type: Number,
+      default: 0,
+    },
+
+    file: {
+      filename: String,
+      contentType: String,
+      size: Number,
+    },
+
+    error: {
+      type: String,
+      default: null,
+    },
+
+    startedAt: Date,
+    completedAt: Date,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+exportJobSchema.index({ user: 1, createdAt: -1 });
+exportJobSchema.index({ expiresAt: 1 });
+
+// Transform JSON output
+exportJobSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.filters;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("ExportJob", exportJobSchema);
@@ -0,0 +1,101 @@
+const mongoose = require("mongoose");
+const {
+  DEPARTMENTS,
+  USER_ROLES,
+  SAVED_VIEW_VISIBILITY,
+} = require("../config/constants");
+
+const savedViewSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "View name is required"],
+      trim: true,
+      maxlength: [100, "View name cannot exceed 100 characters"],
+    },
+
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Complaint list filters, as accepted by GET /api/complaints
+    // (see ComplaintQueryService)
+    filters: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    visibility: {
+      type: String,
+      enum: {
+        values: Object.values(SAVED_VIEW_VISIBILITY),
+        message: "{VALUE} is not a valid view visibility",
+      },
+      default: SAVED_VIEW_VISIBILITY.PRIVATE,
+    },
+
+    // Department a shared view is shared with (the owner's)
+    department: {
+      type: String,
+      enum: {
+        values: DEPARTMENTS,
+        message: "{VALUE} is not a valid department",
+      },
+      default: null,
+    },
+
+    // Users who open this view by default; each user pins at most one view
+    pinnedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+savedViewSchema.index({ owner: 1, name: 1 }, { unique: true });
+savedViewSchema.index({ visibility: 1, department: 1 });
+savedViewSchema.index({ pinnedBy: 1 });
+
+// Static filter for the views a user can use: their own and those shared
+// with their department. Counts and results are always limited to what the
+// viewer may see, so sharing a view never shares complaints.
+savedViewSchema.statics.visibleTo = function (user) {
+  const own = { owner: user.id };
+  if (user.role === USER_ROLES.USER || !user.department) return own;
+
+  return {
+    $or: [
+      own,
+      {
+        visibility: SAVED_VIEW_VISIBILITY.DEPARTMENT,
+        department: user.department,
+      },
+    ],
+  };
+};
+
+// Instance method to check if a user owns the view
+savedViewSchema.methods.isOwnedBy = function (user) {
+  const ownerId = this.owner._id || this.owner;
+  return ownerId.toString() === user.id.toString();
+};
+
+// Transform JSON output
+savedViewSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.pinnedBy;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("SavedView", savedViewSchema);
@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+const { DEPARTMENTS } = require("../config/constants");
+
+const tagSchema = new mongoose.Schema(
+  {
+    // Complaints store tag names, so names are unique and lowercase
+    name: {
+      type: String,
+      required: [true, "Tag name is required"],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      maxlength: [50, "Tag name cannot exceed 50 characters"],
+      match: [
+        /^[a-z0-9][a-z0-9 _-]*$/,
+        "Tag names may only contain letters, numbers, spaces, hyphens and underscores",
+      ],
+    },
+
+    color: {
+      type: String,
+      default: "#757575",
+      match: [/^#[0-9a-f]{6}$/i, "Color must be a hex color such as #1976d2"],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+    },
+
+    // Department whose complaints can use the tag. Tags without a
+    // department can be used on any complaint.
+    department: {
+      type: String,
+      enum: {
+        values: DEPARTMENTS,
+        message: "{VALUE} is not a valid department",
+      },
+      default: null,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+tagSchema.index({ department: 1, isActive: 1 });
+
+// Static method to find the active tags usable in a department
+tagSchema.statics.findForDepartment = function (department) {
+  return this.find({
+    department: { $in: [department || null, null] },
+    isActive: true,
+  }).sort({ name: 1 });
+};
+
+// Transform JSON output
+tagSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("Tag", tagSchema);
@@ -2,6 +2,8 @@ const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const { USER_ROLES, DEPARTMENTS } = require("../config/constants");
 
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
 const userSchema = new mongoose.Schema(
   {
     name: {
@@ -51,6 +53,73 @@ const userSchema = new mongoose.Schema(
       },
     },
 
+    // Areas of expertise used to match staff to complaints
+    skills: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxlength: [50, "Skill cannot exceed 50 characters"],
+      },
+    ],
+
+    // Weighted workload this user can hold; unset to use the department's
+    // capacity policy
+    capacity: {
+      type: Number,
+      min: [1, "Capacity must be at least 1"],
+      max: [500, "Capacity cannot exceed 500"],
+    },
+
+    // Weekly shifts and out-of-office periods. Shift times are local to the
+    // department's business calendar; staff without shifts are treated as
+    // always on shift.
+    availability: {
+      shifts: [
+        {
+          _id: false,
+          day: {
+            type: Number,
+            required: [true, "Shift day is required"],
+            min: [0, "Day must be between 0 (Sunday) and 6 (Saturday)"],
+            max: [6, "Day must be between 0 (Sunday) and 6 (Saturday)"],
+          },
+          start: {
+            type: String,
+            required: [true, "Shift start time is required"],
+            match: [TIME_PATTERN, "Shift start time must be in HH:mm format"],
+          },
+          end: {
+            type: String,
+            required: [true, "Shift end time is required"],
+            match: [TIME_PATTERN, "Shift end time must be in HH:mm format"],
+          },
+        },
+      ],
+      outOfOffice: [
+        {
+          start: {
+            type: Date,
+            required: [true, "Out-of-office start is required"],
+          },
+          end: {
+            type: Date,
+            required: [true, "Out-of-office end is required"],
+          },
+          reason: {
+            type: String,
+            trim: true,
+            maxlength: [200, "Reason cannot exceed 200 characters"],
+          },
+          // Receives assignments and escalations while this user is away
+          delegate: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+        },
+      ],
+    },
+
     isActive: {
       type: Boolean,
       default: true,
@@ -82,6 +151,36 @@ userSchema.index({ role: 1 });
 userSchema.index({ department: 1 });
 userSchema.index({ createdAt: -1 });
 
+// Validate shifts and out-of-office periods
+userSchema.pre("validate", function (next) {
+  const { shifts = [], outOfOffice = [] } = this.availability || {};
+
+  const invalidShift = shifts.find((shift) => shift.start >= shift.end);
+  if (invalidShift) {
+    this.invalidate(
+      "availability.shifts",
+      `Shift on day ${invalidShift.day} must end after it starts`
+    );
+  }
+
+  outOfOffice.forEach((period) => {
+    if (period.start && period.end && period.start >= period.end) {
+      this.invalidate(
+        "availability.outOfOffice",
+        "Out-of-office periods must end after they start"
+      );
+    }
+    if (period.delegate && period.delegate.equals(this._id)) {
+      this.invalidate(
+        "availability.outOfOffice",
+        "You cannot delegate to yourself"
+      );
+    }
+  });
+
+  next();
+});
+
 // Pre-save middleware to hash password
 userSchema.pre("save", async function (next) {
   // Only hash the password if it has been modified (or is new)
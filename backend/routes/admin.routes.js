@@ -7,15 +7,53 @@ const {
   getCategoryById,
   updateCategory,
   deleteCategory,
+  getCategoryWorkflow,
+  updateCategoryWorkflow,
+  resetCategoryWorkflow,
+  getCategoryCustomFields,
+  updateCategoryCustomFields,
   getUsers,
   updateUser,
   getDashboardStats,
 } = require("../controllers/admin.controller");
+const {
+  createCalendar,
+  getCalendars,
+  getCalendarById,
+  updateCalendar,
+  deleteCalendar,
+  previewDeadline,
+} = require("../controllers/calendar.controller");
+const {
+  createEscalationPolicy,
+  getEscalationPolicies,
+  getEscalationPolicyById,
+  updateEscalationPolicy,
+  deleteEscalationPolicy,
+} = require("../controllers/escalationPolicy.controller");
+const {
+  createCapacityPolicy,
+  getCapacityPolicies,
+  getCapacityPolicyById,
+  updateCapacityPolicy,
+  deleteCapacityPolicy,
+} = require("../controllers/capacityPolicy.controller");
+const {
+  createTag,
+  getTags,
+  updateTag,
+  deleteTag,
+} = require("../controllers/tag.controller");
+const {
+  importComplaints,
+  getImportFields,
+} = require("../controllers/import.controller");
 
 // Services
 const AnalyticsService = require("../services/analytics.service");
 const EscalationService = require("../services/escalation.service");
 const BackgroundJobsService = require("../services/backgroundJobs.service");
+const PdfReportService = require("../services/pdfReport.service");
 
 // Middleware
 const { authenticate } = require("../middleware/auth.middleware");
@@ -25,8 +63,21 @@ const {
 } = require("../middleware/roleCheck.middleware");
 const {
   validateCategoryCreation,
+  validateCategoryAutoAssignment,
+  validateCategoryWorkflow,
+  validateCategoryCustomFields,
+  validateBusinessCalendar,
+  validateDeadlinePreview,
+  validateEscalationPolicy,
+  validateCapacityPolicy,
+  validateTag,
+  validateComplaintImport,
   validateObjectId,
 } = require("../middleware/validation.middleware");
+const {
+  importUpload,
+  handleMulterError,
+} = require("../middleware/upload.middleware");
 
 // Constants
 const { HTTP_STATUS } = require("../config/constants");
@@ -63,9 +114,84 @@ router
 router
   .route("/categories/:id")
   .get(validateObjectId("id"), requireStaffOrAdmin, getCategoryById)
-  .put(validateObjectId("id"), requireAdmin, updateCategory)
+  .put(
+    validateObjectId("id"),
+    requireAdmin,
+    validateCategoryAutoAssignment,
+    updateCategory
+  )
   .delete(validateObjectId("id"), requireAdmin, deleteCategory);
 
+/**
+ * @desc    Get, define & reset a category's custom workflow
+ * @route   GET/PUT/DELETE /api/admin/categories/:id/workflow
+ * @access  Private (Staff/Admin for GET, Admin only for PUT/DELETE)
+ */
+router
+  .route("/categories/:id/workflow")
+  .get(validateObjectId("id"), requireStaffOrAdmin, getCategoryWorkflow)
+  .put(
+    validateObjectId("id"),
+    requireAdmin,
+    validateCategoryWorkflow,
+    updateCategoryWorkflow
+  )
+  .delete(validateObjectId("id"), requireAdmin, resetCategoryWorkflow);
+
+/**
+ * @desc    Get & replace a category's custom fields
+ * @route   GET/PUT /api/admin/categories/:id/fields
+ * @access  Private (Staff/Admin for GET, Admin only for PUT)
+ */
+router
+  .route("/categories/:id/fields")
+  .get(validateObjectId("id"), requireStaffOrAdmin, getCategoryCustomFields)
+  .put(
+    validateObjectId("id"),
+    requireAdmin,
+    validateCategoryCustomFields,
+    updateCategoryCustomFields
+  );
+
+// Business Calendar Routes
+/**
+ * @desc    Create business calendar & Get all calendars
+ * @route   POST/GET /api/admin/calendars
+ * @access  Private (Admin only for POST, Staff/Admin for GET)
+ */
+router
+  .route("/calendars")
+  .post(requireAdmin, validateBusinessCalendar, createCalendar)
+  .get(requireStaffOrAdmin, getCalendars);
+
+/**
+ * @desc    Preview a business-hours deadline
+ * @route   GET /api/admin/calendars/preview
+ * @access  Private (Staff/Admin)
+ */
+router.get(
+  "/calendars/preview",
+  requireStaffOrAdmin,
+  validateDeadlinePreview,
+  previewDeadline
+);
+
+/**
+ * @desc    Get, Update & Delete business calendar by ID
+ * @route   GET/PUT/DELETE /api/admin/calendars/:id
+ * @access  Private (Staff/Admin for GET, Admin only for PUT/DELETE)
+ */
+router
+  .route("/calendars/:id")
+  .get(validateObjectId("id"), requireStaffOrAdmin, getCalendarById)
+  .put(
+    validateObjectId("id"),
+    requireAdmin,
+    validateBusinessCalendar,
+    updateCalendar
+  )
+  .delete(validateObjectId("id"), requireAdmin, deleteCalendar);
+
 // User Management Routes
 /**
  * @desc    Get all users
@@ -81,6 +207,103 @@ router.get("/users", requireAdmin, getUsers);
  */
 router.patch("/users/:id", validateObjectId("id"), requireAdmin, updateUser);
 
+// Complaint Import Routes
+/**
+ * @desc    Import complaints from a CSV or XLSX file
+ * @route   POST /api/admin/complaints/import
+ * @access  Private (Admin only)
+ */
+router.post(
+  "/complaints/import",
+  requireAdmin,
+  importUpload.single("file"),
+  handleMulterError,
+  validateComplaintImport,
+  importComplaints
+);
+
+/**
+ * @desc    Get the fields import columns can be mapped to
+ * @route   GET /api/admin/complaints/import/fields
+ * @access  Private (Admin only)
+ */
+router.get("/complaints/import/fields", requireAdmin, getImportFields);
+
+// Escalation Policy Routes
+/**
+ * @desc    Create escalation policy & Get all policies
+ * @route   POST/GET /api/admin/escalation-policies
+ * @access  Private (Admin only for POST, Staff/Admin for GET)
+ */
+router
+  .route("/escalation-policies")
+  .post(requireAdmin, validateEscalationPolicy, createEscalationPolicy)
+  .get(requireStaffOrAdmin, getEscalationPolicies);
+
+/**
+ * @desc    Get, Update & Delete escalation policy by ID
+ * @route   GET/PUT/DELETE /api/admin/escalation-policies/:id
+ * @access  Private (Staff/Admin for GET, Admin only for PUT/DELETE)
+ */
+router
+  .route("/escalation-policies/:id")
+  .get(validateObjectId("id"), requireStaffOrAdmin, getEscalationPolicyById)
+  .put(
+    validateObjectId("id"),
+    requireAdmin,
+    validateEscalationPolicy,
+    updateEscalationPolicy
+  )
+  .delete(validateObjectId("id"), requireAdmin, deleteEscalationPolicy);
+
+// Capacity Policy Routes
+/**
+ * @desc    Create capacity policy & Get all policies
+ * @route   POST/GET /api/admin/capacity-policies
+ * @access  Private (Admin only for POST, Staff/Admin for GET)
+ */
+router
+  .route("/capacity-policies")
+  .post(requireAdmin, validateCapacityPolicy, createCapacityPolicy)
+  .get(requireStaffOrAdmin, getCapacityPolicies);
+
+/**
+ * @desc    Get, Update & Delete capacity policy by ID
+ * @route   GET/PUT/DELETE /api/admin/capacity-policies/:id
+ * @access  Private (Staff/Admin for GET, Admin only for PUT/DELETE)
+ */
+router
+  .route("/capacity-policies/:id")
+  .get(validateObjectId("id"), requireStaffOrAdmin, getCapacityPolicyById)
+  .put(
+    validateObjectId("id"),
+    requireAdmin,
+    validateCapacityPolicy,
+    updateCapacityPolicy
+  )
+  .delete(validateObjectId("id"), requireAdmin, deleteCapacityPolicy);
+
+// Tag Routes
+/**
+ * @desc    Create tag & Get all tags
+ * @route   POST/GET /api/admin/tags
+ * @access  Private (Admin only for POST, Staff/Admin for GET)
+ */
+router
+  .route("/tags")
+  .post(requireAdmin, validateTag, createTag)
+  .get(requireStaffOrAdmin, getTags);
+
+/**
+ * @desc    Update & Delete tag by ID
+ * @route   PUT/DELETE /api/admin/tags/:id
+ * @access  Private (Admin only)
+ */
+router
+  .route("/tags/:id")
+  .put(validateObjectId("id"), requireAdmin, validateTag, updateTag)
+  .delete(validateObjectId("id"), requireAdmin, deleteTag);
+
 // New Escalation Management Routes
 /**
  * @desc    Get escalation preview (what would be escalated)
@@ -158,7 +381,7 @@ router.get("/escalations/stats", requireAdmin, async (req, res) => {
 router.post("/escalations/manual", requireAdmin, async (req, res) => {
   try {
     const { complaintId, reason } = req.body;
-    const adminId = req.user._id;
+    const adminId = req.user.id;
 
     const result = await EscalationService.manualEscalation(
       complaintId,
@@ -223,6 +446,50 @@ router.post("/jobs/escalation/run", requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * @desc    Run SLA breach check manually
+ * @route   POST /api/admin/jobs/sla/run
+ * @access  Private (Admin only)
+ */
+router.post("/jobs/sla/run", requireAdmin, async (req, res) => {
+  try {
+    const result = await BackgroundJobsService.runSLACheckManually();
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: "Manual SLA check completed",
+      data: result,
+    });
+  } catch (error) {
+    logger.error("Error in manual SLA check:", error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: error.message || "Error running SLA check",
+    });
+  }
+});
+
+/**
+ * @desc    Run auto-close check of resolved complaints manually
+ * @route   POST /api/admin/jobs/auto-close/run
+ * @access  Private (Admin only)
+ */
+router.post("/jobs/auto-close/run", requireAdmin, async (req, res) => {
+  try {
+    const result = await BackgroundJobsService.runAutoCloseManually();
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: "Manual auto-close check completed",
+      data: result,
+    });
+  } catch (error) {
+    logger.error("Error in manual auto-close check:", error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: error.message || "Error running auto-close check",
+    });
+  }
+});
+
 // Analytics Routes
 /**
  * @desc    Get comprehensive analytics report
@@ -249,6 +516,33 @@ router.get("/analytics/report", requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * @desc    Download the analytics report as a PDF
+ * @route   GET /api/admin/analytics/report.pdf
+ * @access  Private (Admin only)
+ */
+router.get("/analytics/report.pdf", requireAdmin, async (req, res) => {
+  try {
+    const { startDate, endDate, trendDays = 30 } = req.query;
+    const report = await AnalyticsService.generateDashboardReport({
+      dateRange: { startDate, endDate },
+      trendDays: parseInt(trendDays),
+    });
+
+    res.attachment(
+      `analytics-report-${new Date().toISOString().split("T")[0]}.pdf`
+    );
+    res.setHeader("Content-Type", "application/pdf");
+    PdfReportService.writeAnalyticsReport(report, res);
+  } catch (error) {
+    logger.error("Error generating dashboard report PDF:", error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: "Error generating comprehensive report",
+    });
+  }
+});
+
 /**
  * @desc    Get overview analytics
  * @route   GET /api/admin/analytics/overview
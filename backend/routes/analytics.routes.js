@@ -2,8 +2,26 @@ const express = require("express");
 const router = express.Router();
 const { protect, authorize } = require("../middleware/auth.middleware");
 const AnalyticsService = require("../services/analytics.service");
+const ComplaintQueryService = require("../services/complaintQuery.service");
 const { AppError } = require("../middleware/error.middleware");
 
+// Complaint filter for a report over a timeframe ("30d"), or over all time
+// when the timeframe is null: the complaint list filters in the query,
+// limited to what the user can see. Text search is left out, as ranked
+// matches cannot be used in every aggregation.
+const buildReportFilter = (req, timeframe) => {
+  const { search, ...filters } = req.query;
+
+  if (timeframe) {
+    const days = parseInt(timeframe.replace("d", "")) || 30;
+    filters.endDate = new Date();
+    filters.startDate = new Date();
+    filters.startDate.setDate(filters.endDate.getDate() - days);
+  }
+
+  return ComplaintQueryService.buildFilter(filters, req.user);
+};
+
 // @desc    Get dashboard analytics
 // @route   GET /api/analytics/dashboard
 // @access  Private (Admin, Staff)
@@ -14,13 +32,11 @@ router.get(
   async (req, res, next) => {
     try {
       const { timeframe = "30d" } = req.query;
-      const userId = req.user._id;
-      const userRole = req.user.role;
+      const filter = await buildReportFilter(req, timeframe);
 
       const analytics = await AnalyticsService.getDashboardStats(
-        userId,
-        userRole,
-        timeframe
+        timeframe,
+        filter
       );
 
       res.status(200).json({
@@ -44,8 +60,11 @@ router.get(
     try {
       const { timeframe = "30d" } = req.query;
 
+      const filter = await buildReportFilter(req, timeframe);
+
       const metrics = await AnalyticsService.getStaffPerformanceMetrics(
-        timeframe
+        timeframe,
+        filter
       );
 
       res.status(200).json({
@@ -68,8 +87,12 @@ router.get(
   async (req, res, next) => {
     try {
       const { timeframe = "30d" } = req.query;
+      const filter = await buildReportFilter(req, timeframe);
 
-      const trends = await AnalyticsService.getComplaintVolumeTrends(timeframe);
+      const trends = await AnalyticsService.getComplaintVolumeTrends(
+        timeframe,
+        filter
+      );
 
       res.status(200).json({
         success: true,
@@ -90,7 +113,10 @@ router.get(
   authorize(["admin", "staff"]),
   async (req, res, next) => {
     try {
-      const metrics = await AnalyticsService.getRealtimeMetrics();
+      // Today's and open complaints, whenever they were submitted
+      const filter = await buildReportFilter(req, null);
+
+      const metrics = await AnalyticsService.getRealtimeMetrics(filter);
 
       res.status(200).json({
         success: true,
@@ -117,9 +143,12 @@ router.get(
       const startDate = new Date();
       startDate.setDate(endDate.getDate() - days);
 
+      const filter = await buildReportFilter(req, timeframe);
+
       const analytics = await AnalyticsService.getCategoryAnalytics({
         startDate,
         endDate,
+        filter,
       });
 
       res.status(200).json({
@@ -147,9 +176,12 @@ router.get(
       const startDate = new Date();
       startDate.setDate(endDate.getDate() - days);
 
+      const filter = await buildReportFilter(req, timeframe);
+
       const analytics = await AnalyticsService.getOverviewAnalytics({
         startDate,
         endDate,
+        filter,
       });
 
       res.status(200).json({
@@ -209,9 +241,12 @@ router.get("/export", protect, authorize(["admin"]), async (req, res, next) => {
       includeResolutionTimes = true,
     } = req.query;
 
+    const filter = await buildReportFilter(req, timeframe);
+
     const exportData = await AnalyticsService.exportAnalyticsData({
       format,
       timeframe,
+      filter,
       options: {
         includeCategories: includeCategories === "true",
         includeStaff: includeStaff === "true",
@@ -6,14 +6,61 @@ const {
   createComplaint,
   getComplaints,
   getComplaintById,
+  getComplaintByTicketId,
   updateComplaint,
   deleteComplaint,
   updateComplaintStatus,
+  reopenComplaint,
+  getComplaintTransitions,
+  acknowledgeComplaint,
   assignComplaint,
   unassignComplaint,
+  followComplaint,
+  unfollowComplaint,
+  bulkUpdateComplaints,
   getComplaintAnalytics,
-  exportComplaints,
 } = require("../controllers/complaint.controller");
+const {
+  submitFeedback,
+  getComplaintFeedback,
+  respondToFeedback,
+  toggleFeedbackHelpful,
+} = require("../controllers/feedback.controller");
+const {
+  getNotes,
+  addNote,
+  updateNote,
+  deleteNote,
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment,
+  getMentionableStaff,
+} = require("../controllers/comment.controller");
+const {
+  addComplaintTags,
+  removeComplaintTag,
+} = require("../controllers/tag.controller");
+const {
+  addComplaintLink,
+  removeComplaintLink,
+  mergeComplaint,
+} = require("../controllers/complaintLink.controller");
+const {
+  getSavedViews,
+  createSavedView,
+  updateSavedView,
+  deleteSavedView,
+  pinSavedView,
+  unpinSavedView,
+} = require("../controllers/savedView.controller");
+const {
+  exportComplaints,
+  getExportColumns,
+  getExportJob,
+  downloadExport,
+} = require("../controllers/export.controller");
+const { getComplaintReport } = require("../controllers/report.controller");
 
 // Middleware
 const { authenticate } = require("../middleware/auth.middleware");
@@ -26,8 +73,22 @@ const {
   validateComplaintCreation,
   validateComplaintUpdate,
   validateStatusUpdate,
+  validateReopen,
+  validateFeedback,
+  validateFeedbackResponse,
+  validateComment,
+  validateComplaintTags,
+  validateComplaintLink,
+  validateComplaintMerge,
+  validateBulkAction,
   validateObjectId,
+  validateTicketId,
   validatePagination,
+  validateComplaintSearch,
+  validateComplaintExport,
+  validateComplaintReport,
+  validateSavedViewCreation,
+  validateSavedViewUpdate,
 } = require("../middleware/validation.middleware");
 
 const router = express.Router();
@@ -78,12 +139,91 @@ router.post(
   createComplaint
 );
 
+/**
+ * @desc    Apply an action to many complaints
+ * @route   POST /api/complaints/bulk
+ * @access  Private (Staff/Admin; assign and escalate are Admin only)
+ */
+router.post(
+  "/bulk",
+  complaintLimiter,
+  requireStaffOrAdmin,
+  validateBulkAction,
+  bulkUpdateComplaints
+);
+
 /**
  * @desc    Get all complaints (with filtering and pagination)
  * @route   GET /api/complaints
  * @access  Private (role-based access)
  */
-router.get("/", validatePagination, getComplaints);
+router.get("/", validatePagination, validateComplaintSearch, getComplaints);
+
+/**
+ * @desc    Export complaints as CSV, XLSX or NDJSON (large exports run in
+ *          the background)
+ * @route   GET /api/complaints/export
+ * @access  Private (Staff/Admin only)
+ */
+router.get(
+  "/export",
+  requireStaffOrAdmin,
+  validateComplaintSearch,
+  validateComplaintExport,
+  exportComplaints
+);
+
+/**
+ * @desc    Get the columns complaints can be exported with
+ * @route   GET /api/complaints/export/columns
+ * @access  Private (Staff/Admin only)
+ */
+router.get("/export/columns", requireStaffOrAdmin, getExportColumns);
+
+/**
+ * @desc    Get a background export & Download its file
+ * @route   GET /api/complaints/exports/:id(/download)
+ * @access  Private (Requester/Admin)
+ */
+router.get("/exports/:id", validateObjectId("id"), getExportJob);
+router.get("/exports/:id/download", validateObjectId("id"), downloadExport);
+
+/**
+ * @desc    Get saved views (own and shared) & Save a view
+ * @route   GET/POST /api/complaints/views
+ * @access  Private
+ */
+router
+  .route("/views")
+  .get(getSavedViews)
+  .post(complaintLimiter, validateSavedViewCreation, createSavedView);
+
+/**
+ * @desc    Update & Delete a saved view
+ * @route   PUT/DELETE /api/complaints/views/:id
+ * @access  Private (Owner; Admin for shared views)
+ */
+router
+  .route("/views/:id")
+  .put(validateObjectId("id"), validateSavedViewUpdate, updateSavedView)
+  .delete(validateObjectId("id"), deleteSavedView);
+
+/**
+ * @desc    Pin & Unpin a saved view as the default view
+ * @route   PUT/DELETE /api/complaints/views/:id/pin
+ * @access  Private
+ */
+router
+  .route("/views/:id/pin")
+  .put(validateObjectId("id"), pinSavedView)
+  .delete(validateObjectId("id"), unpinSavedView);
+
+/**
+ * @desc    Get single complaint by ticket ID
+ * @route   GET /api/complaints/by-ticket/:ticketId
+ * @access  Private (role-based access)
+ */
+router.get("/by-ticket/:ticketId", validateTicketId, getComplaintByTicketId);
 
 /**
  * @desc    Get single complaint by ID
@@ -126,6 +266,52 @@ router.patch(
   updateComplaintStatus
 );
 
+/**
+ * @desc    Reopen a resolved complaint
+ * @route   POST /api/complaints/:id/reopen
+ * @access  Private (Complainant, within the reopen window)
+ */
+router.post(
+  "/:id/reopen",
+  complaintLimiter,
+  validateObjectId("id"),
+  authorize("user"),
+  validateReopen,
+  reopenComplaint
+);
+
+/**
+ * @desc    Get the status changes available to the current user
+ * @route   GET /api/complaints/:id/transitions
+ * @access  Private (Users with access to the complaint)
+ */
+router.get("/:id/transitions", validateObjectId("id"), getComplaintTransitions);
+
+/**
+ * @desc    Download the complaint's case file as a PDF
+ * @route   GET /api/complaints/:id/report.pdf
+ * @access  Private (Staff/Admin with access to the complaint)
+ */
+router.get(
+  "/:id/report.pdf",
+  validateObjectId("id"),
+  requireStaffOrAdmin,
+  validateComplaintReport,
+  getComplaintReport
+);
+
+/**
+ * @desc    Acknowledge complaint
+ * @route   PATCH /api/complaints/:id/acknowledge
+ * @access  Private (Staff/Admin only)
+ */
+router.patch(
+  "/:id/acknowledge",
+  validateObjectId("id"),
+  requireStaffOrAdmin,
+  acknowledgeComplaint
+);
+
 /**
  * @desc    Assign complaint to staff
  * @route   PATCH /api/complaints/:id/assign
@@ -151,16 +337,189 @@ router.patch(
 );
 
 /**
- * @desc    Export complaints to CSV
- * @route   GET /api/complaints/export
- * @access  Private (Staff/Admin only)
+ * @desc    Follow & Unfollow a complaint about the same issue
+ * @route   POST/DELETE /api/complaints/:id/follow
+ * @access  Private (User)
  */
-router.get(
-  "/export",
-  authenticate,
+router
+  .route("/:id/follow")
+  .post(validateObjectId("id"), authorize("user"), followComplaint)
+  .delete(validateObjectId("id"), authorize("user"), unfollowComplaint);
+
+/**
+ * @desc    Submit & Get feedback for a complaint
+ * @route   POST/GET /api/complaints/:id/feedback
+ * @access  Private (Complainant for POST; role-based or public for GET)
+ */
+router
+  .route("/:id/feedback")
+  .post(
+    complaintLimiter,
+    validateObjectId("id"),
+    validateFeedback,
+    submitFeedback
+  )
+  .get(validateObjectId("id"), getComplaintFeedback);
+
+/**
+ * @desc    Respond to complaint feedback
+ * @route   PATCH /api/complaints/:id/feedback/response
+ * @access  Private (Admin only)
+ */
+router.patch(
+  "/:id/feedback/response",
+  validateObjectId("id"),
+  requireAdmin,
+  validateFeedbackResponse,
+  respondToFeedback
+);
+
+/**
+ * @desc    Mark & Unmark public feedback as helpful
+ * @route   POST/DELETE /api/complaints/:id/feedback/helpful
+ * @access  Private (Any user except the feedback author)
+ */
+router
+  .route("/:id/feedback/helpful")
+  .post(validateObjectId("id"), toggleFeedbackHelpful)
+  .delete(validateObjectId("id"), toggleFeedbackHelpful);
+
+/**
+ * @desc    Get & Add internal notes of a complaint
+ * @route   GET/POST /api/complaints/:id/notes
+ * @access  Private (Staff/Admin with access to the complaint)
+ */
+router
+  .route("/:id/notes")
+  .get(
+    validateObjectId("id"),
+    requireStaffOrAdmin,
+    validatePagination,
+    getNotes
+  )
+  .post(
+    complaintLimiter,
+    validateObjectId("id"),
+    requireStaffOrAdmin,
+    validateComment,
+    addNote
+  );
+
+/**
+ * @desc    Edit & Delete an internal note
+ * @route   PATCH/DELETE /api/complaints/:id/notes/:commentId
+ * @access  Private (Author within the edit/delete window, or Admin to delete)
+ */
+router
+  .route("/:id/notes/:commentId")
+  .patch(
+    validateObjectId("id"),
+    validateObjectId("commentId"),
+    requireStaffOrAdmin,
+    validateComment,
+    updateNote
+  )
+  .delete(
+    validateObjectId("id"),
+    validateObjectId("commentId"),
+    requireStaffOrAdmin,
+    deleteNote
+  );
+
+/**
+ * @desc    Get & Add public comments of a complaint
+ * @route   GET/POST /api/complaints/:id/comments
+ * @access  Private (Users with access to the complaint)
+ */
+router
+  .route("/:id/comments")
+  .get(validateObjectId("id"), validatePagination, getComments)
+  .post(complaintLimiter, validateObjectId("id"), validateComment, addComment);
+
+/**
+ * @desc    Edit & Delete a public comment
+ * @route   PATCH/DELETE /api/complaints/:id/comments/:commentId
+ * @access  Private (Author within the edit/delete window, or Admin to delete)
+ */
+router
+  .route("/:id/comments/:commentId")
+  .patch(
+    validateObjectId("id"),
+    validateObjectId("commentId"),
+    validateComment,
+    updateComment
+  )
+  .delete(validateObjectId("id"), validateObjectId("commentId"), deleteComment);
+
+/**
+ * @desc    Get staff who can be @mentioned on a complaint
+ * @route   GET /api/complaints/:id/mentionable
+ * @access  Private (Users with access to the complaint)
+ */
+router.get("/:id/mentionable", validateObjectId("id"), getMentionableStaff);
+
+/**
+ * @desc    Add tags to a complaint
+ * @route   POST /api/complaints/:id/tags
+ * @access  Private (Staff/Admin with access to the complaint)
+ */
+router.post(
+  "/:id/tags",
+  validateObjectId("id"),
   requireStaffOrAdmin,
-  validatePagination,
-  exportComplaints
+  validateComplaintTags,
+  addComplaintTags
+);
+
+/**
+ * @desc    Remove a tag from a complaint
+ * @route   DELETE /api/complaints/:id/tags/:tag
+ * @access  Private (Staff/Admin with access to the complaint)
+ */
+router.delete(
+  "/:id/tags/:tag",
+  validateObjectId("id"),
+  requireStaffOrAdmin,
+  removeComplaintTag
+);
+
+/**
+ * @desc    Link a complaint to another complaint
+ * @route   POST /api/complaints/:id/links
+ * @access  Private (Staff/Admin with access to both complaints)
+ */
+router.post(
+  "/:id/links",
+  validateObjectId("id"),
+  requireStaffOrAdmin,
+  validateComplaintLink,
+  addComplaintLink
+);
+
+/**
+ * @desc    Remove the link between two complaints
+ * @route   DELETE /api/complaints/:id/links/:linkedId
+ * @access  Private (Staff/Admin with access to the complaint)
+ */
+router.delete(
+  "/:id/links/:linkedId",
+  validateObjectId("id"),
+  validateObjectId("linkedId"),
+  requireStaffOrAdmin,
+  removeComplaintLink
+);
+
+/**
+ * @desc    Merge a duplicate complaint into a primary complaint
+ * @route   POST /api/complaints/:id/merge
+ * @access  Private (Staff/Admin with access to both complaints)
+ */
+router.post(
+  "/:id/merge",
+  validateObjectId("id"),
+  requireStaffOrAdmin,
+  validateComplaintMerge,
+  mergeComplaint
 );
 
 module.exports = router;
@@ -14,6 +14,9 @@ const {
   validateCategoryId,
   validateStaffQuery,
   validatePerformanceQuery,
+  validateAvailability,
+  validateWorkloadQuery,
+  validateRebalance,
 } = require("../middleware/staffValidation");
 
 /**
@@ -57,6 +60,33 @@ router.post(
   StaffController.autoAssignComplaint
 );
 
+// Get workload against capacity for all staff (admin only)
+router.get(
+  "/workload",
+  authenticate,
+  requireAdmin,
+  validateWorkloadQuery,
+  StaffController.getWorkload
+);
+
+// Propose moves from overloaded staff (admin only)
+router.get(
+  "/workload/rebalance",
+  authenticate,
+  requireAdmin,
+  validateWorkloadQuery,
+  StaffController.getRebalanceProposal
+);
+
+// Apply rebalance moves (admin only)
+router.post(
+  "/workload/rebalance",
+  authenticate,
+  requireAdmin,
+  validateRebalance,
+  StaffController.applyRebalance
+);
+
 // Get available staff for a category (admin and staff can view)
 router.get(
   "/available/:categoryId",
@@ -76,4 +106,23 @@ router.get(
   StaffController.getStaffPerformance
 );
 
+// Get a staff member's shifts and out-of-office periods (staff and admin)
+router.get(
+  "/availability/:staffId",
+  authenticate,
+  requireStaffOrAdmin,
+  validateStaffId,
+  StaffController.getAvailability
+);
+
+// Update shifts and out-of-office periods (staff can update own, admin any)
+router.put(
+  "/availability/:staffId",
+  authenticate,
+  requireStaffOrAdmin,
+  validateStaffId,
+  validateAvailability,
+  StaffController.updateAvailability
+);
+
 module.exports = router;
@@ -0,0 +1,66 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Complaint = require("../models/Complaint");
+const Comment = require("../models/Comment");
+const logger = require("../utils/logger");
+
+const TEXT_INDEX = "complaint_text_search";
+
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGODB_URI);
+    logger.info(`MongoDB Connected: ${conn.connection.host}`);
+  } catch (error) {
+    logger.error("Database connection failed:", error);
+    process.exit(1);
+  }
+};
+
+/**
+ * Rebuild the complaint text index with the comment fields. A collection has
+ * one text index, so the old definition is dropped first.
+ */
+const rebuildTextIndex = async () => {
+  const indexes = await Complaint.collection.indexes();
+  if (indexes.some((index) => index.name === TEXT_INDEX)) {
+    await Complaint.collection.dropIndex(TEXT_INDEX);
+  }
+  await Complaint.createIndexes();
+  logger.info("Rebuilt the complaint text index");
+};
+
+/**
+ * Copy the comments and internal notes written before they were searchable
+ * into their complaints
+ */
+const backfillSearchNotes = async () => {
+  const complaintIds = await Comment.distinct("complaint", {
+    deletedAt: null,
+  });
+
+  for (const complaintId of complaintIds) {
+    await Complaint.refreshSearchNotes(complaintId);
+  }
+
+  logger.info(`Indexed the comments of ${complaintIds.length} complaint(s)`);
+  return complaintIds.length;
+};
+
+const run = async () => {
+  try {
+    await connectDB();
+    await rebuildTextIndex();
+    await backfillSearchNotes();
+    process.exit(0);
+  } catch (error) {
+    logger.error("Search notes backfill failed:", error);
+    process.exit(1);
+  }
+};
+
+// Run backfill if called directly
+if (require.main === module) {
+  run();
+}
+
+module.exports = { rebuildTextIndex, backfillSearchNotes };
@@ -0,0 +1,60 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Complaint = require("../models/Complaint");
+require("../models/Category");
+const logger = require("../utils/logger");
+
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGODB_URI);
+    logger.info(`MongoDB Connected: ${conn.connection.host}`);
+  } catch (error) {
+    logger.error("Database connection failed:", error);
+    process.exit(1);
+  }
+};
+
+/**
+ * Give ticket IDs to complaints created before ticket IDs existed, oldest
+ * first so numbers follow submission order within each department and year
+ */
+const backfillTicketIds = async () => {
+  const cursor = Complaint.find({ ticketId: { $exists: false } })
+    .select("category createdAt")
+    .populate("category", "department")
+    .sort({ createdAt: 1 })
+    .cursor();
+
+  let updated = 0;
+  for await (const complaint of cursor) {
+    const ticketId = await Complaint.generateTicketId(
+      complaint.category?.department,
+      complaint.createdAt
+    );
+
+    // Update directly so save hooks do not touch deadlines or history
+    await Complaint.updateOne({ _id: complaint._id }, { $set: { ticketId } });
+    updated++;
+  }
+
+  logger.info(`Assigned ticket IDs to ${updated} complaint(s)`);
+  return updated;
+};
+
+const run = async () => {
+  try {
+    await connectDB();
+    await backfillTicketIds();
+    process.exit(0);
+  } catch (error) {
+    logger.error("Ticket ID backfill failed:", error);
+    process.exit(1);
+  }
+};
+
+// Run backfill if called directly
+if (require.main === module) {
+  run();
+}
+
+module.exports = { backfillTicketIds };
@@ -15,7 +15,7 @@ const authRoutes = require("./routes/auth.routes");
 const complaintRoutes = require("./routes/complaint.routes");
 const adminRoutes = require("./routes/admin.routes");
 const staffRoutes = require("./routes/staff.routes");
-// const uploadRoutes = require("./routes/upload.routes"); // Temporarily disabled
+const uploadRoutes = require("./routes/upload.routes");
 const analyticsRoutes = require("./routes/analytics.routes");
 
 // Services
@@ -155,7 +155,7 @@ app.use("/api/auth", authRoutes);
 app.use("/api/complaints", complaintRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/staff", staffRoutes);
-// app.use("/api/uploads", uploadRoutes); // Temporarily disabled
+app.use("/api/uploads", uploadRoutes);
 app.use("/api/analytics", analyticsRoutes);
 
 // Welcome route
@@ -2,36 +2,66 @@ const Complaint = require("../models/Complaint");
 const User = require("../models/User");
 const Category = require("../models/Category");
 const Feedback = require("../models/Feedback");
+const Tag = require("../models/Tag");
+const BusinessCalendarService = require("./businessCalendar.service");
+const SLAService = require("./sla.service");
 const logger = require("../utils/logger");
 const {
   COMPLAINT_STATUS,
   COMPLAINT_PRIORITY,
   USER_ROLES,
+  SLA_TIERS,
 } = require("../config/constants");
 
+// Status phase of a complaint (custom workflow statuses roll up into the
+// built-in status they behave like)
+const STATUS_PHASE = Complaint.phaseExpression();
+
 /**
  * Analytics Service
  * Provides comprehensive analytics and insights for the complaint system
  */
 class AnalyticsService {
+  /**
+   * Complaint filter for a report: the filter built by ComplaintQueryService
+   * when one is given, otherwise the date range alone
+   * @param {Object} dateRange - { startDate, endDate, filter }
+   */
+  static buildMatchStage(dateRange = {}) {
+    const { startDate, endDate, filter } = dateRange;
+    if (filter) return filter;
+
+    const matchStage = {};
+    if (startDate && endDate) {
+      matchStage.createdAt = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate),
+      };
+    }
+    return matchStage;
+  }
+
   /**
    * Get overview dashboard analytics
    * @param {Object} dateRange - Optional date range filter
    */
   static async getOverviewAnalytics(dateRange = {}) {
     try {
-      const { startDate, endDate } = dateRange;
-      let matchStage = {};
+      const matchStage = this.buildMatchStage(dateRange);
 
-      if (startDate && endDate) {
-        matchStage.createdAt = {
-          $gte: new Date(startDate),
-          $lte: new Date(endDate),
-        };
-      }
-
-      // Total complaints by status
+      // Total complaints by status phase
       const statusStats = await Complaint.aggregate([
+        { $match: matchStage },
+        {
+          $group: {
+            _id: STATUS_PHASE,
+            count: { $sum: 1 },
+          },
+        },
+      ]);
+
+      // Total complaints by workflow status (including custom statuses)
+      const workflowStatusStats = await Complaint.aggregate([
         { $match: matchStage },
         {
           $group: {
@@ -57,7 +87,7 @@ class AnalyticsService {
         {
           $match: {
             ...matchStage,
-            status: COMPLAINT_STATUS.RESOLVED,
+            ...Complaint.phaseIn([COMPLAINT_STATUS.RESOLVED]),
             resolvedAt: { $ne: null },
           },
         },
@@ -78,22 +108,22 @@ class AnalyticsService {
       ]);
 
       // Get current active complaints
-      const activeComplaints = await Complaint.countDocuments({
-        status: {
-          $nin: [COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED],
-        },
-      });
+      const activeComplaints = await Complaint.countDocuments(
+        Complaint.phaseNotIn([
+          COMPLAINT_STATUS.RESOLVED,
+          COMPLAINT_STATUS.CLOSED,
+        ])
+      );
 
       // Get overdue complaints count
       const overdueComplaints = await Complaint.countDocuments({
         deadline: { $lt: new Date() },
-        status: {
-          $nin: [
-            COMPLAINT_STATUS.RESOLVED,
-            COMPLAINT_STATUS.CLOSED,
-            COMPLAINT_STATUS.ESCALATED,
-          ],
-        },
+        ...Complaint.phaseNotIn([
+          COMPLAINT_STATUS.RESOLVED,
+          COMPLAINT_STATUS.CLOSED,
+          COMPLAINT_STATUS.ESCALATED,
+          COMPLAINT_STATUS.AWAITING_REQUESTER,
+        ]),
       });
 
       // Get escalated complaints count
@@ -102,12 +132,38 @@ class AnalyticsService {
         ...matchStage,
       });
 
+      // Reopened by complainants and closed without a response
+      const [resolutionOutcomes] = await Complaint.aggregate([
+        { $match: matchStage },
+        {
+          $group: {
+            _id: null,
+            reopenedComplaints: {
+              $sum: { $cond: [{ $gt: ["$reopenCount", 0] }, 1, 0] },
+            },
+            totalReopens: { $sum: { $ifNull: ["$reopenCount", 0] } },
+            autoClosedComplaints: {
+              $sum: { $cond: [{ $ifNull: ["$autoClosedAt", false] }, 1, 0] },
+            },
+          },
+        },
+      ]);
+      const reopenedComplaints = resolutionOutcomes?.reopenedComplaints || 0;
+
       // Convert arrays to objects for easier consumption
       const statusBreakdown = statusStats.reduce((acc, stat) => {
         acc[stat._id] = stat.count;
         return acc;
       }, {});
 
+      const workflowStatusBreakdown = workflowStatusStats.reduce(
+        (acc, stat) => {
+          acc[stat._id] = stat.count;
+          return acc;
+        },
+        {}
+      );
+
       const priorityBreakdown = priorityStats.reduce((acc, stat) => {
         acc[stat._id] = stat.count;
         return acc;
@@ -123,11 +179,15 @@ class AnalyticsService {
           resolvedComplaints: statusBreakdown[COMPLAINT_STATUS.RESOLVED] || 0,
           overdueComplaints,
           escalatedComplaints,
+          reopenedComplaints,
+          totalReopens: resolutionOutcomes?.totalReopens || 0,
+          autoClosedComplaints: resolutionOutcomes?.autoClosedComplaints || 0,
           avgResolutionTimeHours:
             resolutionStats[0]?.avgResolutionTime?.toFixed(2) || 0,
         },
         breakdown: {
           status: statusBreakdown,
+          workflowStatus: workflowStatusBreakdown,
           priority: priorityBreakdown,
         },
         performance: {
@@ -147,6 +207,14 @@ class AnalyticsService {
                   100
                 ).toFixed(2)
               : 0,
+          reopenRate:
+            statusStats.reduce((sum, stat) => sum + stat.count, 0) > 0
+              ? (
+                  (reopenedComplaints /
+                    statusStats.reduce((sum, stat) => sum + stat.count, 0)) *
+                  100
+                ).toFixed(2)
+              : 0,
         },
       };
     } catch (error) {
@@ -164,6 +232,7 @@ class AnalyticsService {
       const {
         days = 30,
         granularity = "day", // 'day', 'week', 'month'
+        filter = null, // From ComplaintQueryService, covering the days
       } = options;
 
       const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
@@ -200,7 +269,7 @@ class AnalyticsService {
 
       const trendData = await Complaint.aggregate([
         {
-          $match: {
+          $match: filter || {
             createdAt: { $gte: startDate },
           },
         },
@@ -210,7 +279,11 @@ class AnalyticsService {
             submitted: { $sum: 1 },
             resolved: {
               $sum: {
-                $cond: [{ $eq: ["$status", "resolved"] }, 1, 0],
+                $cond: [
+                  { $eq: [STATUS_PHASE, COMPLAINT_STATUS.RESOLVED] },
+                  1,
+                  0,
+                ],
               },
             },
             escalated: {
@@ -271,15 +344,7 @@ class AnalyticsService {
    */
   static async getCategoryAnalytics(dateRange = {}) {
     try {
-      const { startDate, endDate } = dateRange;
-      let matchStage = {};
-
-      if (startDate && endDate) {
-        matchStage.createdAt = {
-          $gte: new Date(startDate),
-          $lte: new Date(endDate),
-        };
-      }
+      const matchStage = this.buildMatchStage(dateRange);
 
       const categoryStats = await Complaint.aggregate([
         { $match: matchStage },
@@ -300,7 +365,11 @@ class AnalyticsService {
             totalComplaints: { $sum: 1 },
             resolved: {
               $sum: {
-                $cond: [{ $eq: ["$status", "resolved"] }, 1, 0],
+                $cond: [
+                  { $eq: [STATUS_PHASE, COMPLAINT_STATUS.RESOLVED] },
+                  1,
+                  0,
+                ],
               },
             },
             escalated: {
@@ -308,6 +377,11 @@ class AnalyticsService {
                 $cond: [{ $eq: ["$escalation.isEscalated", true] }, 1, 0],
               },
             },
+            reopened: {
+              $sum: {
+                $cond: [{ $gt: [{ $ifNull: ["$reopenCount", 0] }, 0] }, 1, 0],
+              },
+            },
             avgResolutionTime: {
               $avg: {
                 $cond: [
@@ -325,6 +399,9 @@ class AnalyticsService {
             priorityBreakdown: {
               $push: "$priority",
             },
+            tagBreakdown: {
+              $push: "$tags",
+            },
           },
         },
         {
@@ -353,31 +430,93 @@ class AnalyticsService {
                 0,
               ],
             },
+            reopenRate: {
+              $cond: [
+                { $gt: ["$totalComplaints", 0] },
+                {
+                  $multiply: [
+                    { $divide: ["$reopened", "$totalComplaints"] },
+                    100,
+                  ],
+                },
+                0,
+              ],
+            },
           },
         },
         { $sort: { totalComplaints: -1 } },
       ]);
 
-      // Process priority breakdown for each category
+      // Process priority and tag breakdowns for each category
       const processedCategoryStats = categoryStats.map((cat) => {
         const priorityCount = {};
         cat.priorityBreakdown.forEach((priority) => {
           priorityCount[priority] = (priorityCount[priority] || 0) + 1;
         });
 
+        const tagCount = {};
+        cat.tagBreakdown.flat().forEach((tag) => {
+          tagCount[tag] = (tagCount[tag] || 0) + 1;
+        });
+
         return {
           ...cat,
           priorityBreakdown: priorityCount,
+          tagBreakdown: tagCount,
           avgResolutionTime: cat.avgResolutionTime
             ? cat.avgResolutionTime.toFixed(2)
             : 0,
           resolutionRate: cat.resolutionRate.toFixed(2),
           escalationRate: cat.escalationRate.toFixed(2),
+          reopenRate: cat.reopenRate.toFixed(2),
         };
       });
 
+      // Tag totals across all categories
+      const tagStats = await Complaint.aggregate([
+        { $match: { ...matchStage, "tags.0": { $exists: true } } },
+        { $unwind: "$tags" },
+        {
+          $group: {
+            _id: "$tags",
+            totalComplaints: { $sum: 1 },
+            resolved: {
+              $sum: {
+                $cond: [
+                  { $eq: [STATUS_PHASE, COMPLAINT_STATUS.RESOLVED] },
+                  1,
+                  0,
+                ],
+              },
+            },
+            escalated: {
+              $sum: {
+                $cond: [{ $eq: ["$escalation.isEscalated", true] }, 1, 0],
+              },
+            },
+          },
+        },
+        { $sort: { totalComplaints: -1 } },
+      ]);
+
+      const tagDefinitions = await Tag.find({
+        name: { $in: tagStats.map((tag) => tag._id) },
+      }).select("name color");
+
+      const processedTagStats = tagStats.map((tag) => ({
+        tag: tag._id,
+        color:
+          tagDefinitions.find((definition) => definition.name === tag._id)
+            ?.color || null,
+        totalComplaints: tag.totalComplaints,
+        resolved: tag.resolved,
+        escalated: tag.escalated,
+        resolutionRate: ((tag.resolved / tag.totalComplaints) * 100).toFixed(2),
+      }));
+
       return {
         categories: processedCategoryStats,
+        tags: processedTagStats,
         summary: {
           totalCategories: processedCategoryStats.length,
           mostActiveCategory: processedCategoryStats[0]?.categoryName || "N/A",
@@ -403,15 +542,7 @@ class AnalyticsService {
    */
   static async getStaffAnalytics(dateRange = {}) {
     try {
-      const { startDate, endDate } = dateRange;
-      let matchStage = {};
-
-      if (startDate && endDate) {
-        matchStage.createdAt = {
-          $gte: new Date(startDate),
-          $lte: new Date(endDate),
-        };
-      }
+      const matchStage = this.buildMatchStage(dateRange);
 
       const staffStats = await Complaint.aggregate([
         {
@@ -439,7 +570,11 @@ class AnalyticsService {
             totalAssigned: { $sum: 1 },
             resolved: {
               $sum: {
-                $cond: [{ $eq: ["$status", "resolved"] }, 1, 0],
+                $cond: [
+                  { $eq: [STATUS_PHASE, COMPLAINT_STATUS.RESOLVED] },
+                  1,
+                  0,
+                ],
               },
             },
             escalated: {
@@ -447,6 +582,11 @@ class AnalyticsService {
                 $cond: [{ $eq: ["$escalation.isEscalated", true] }, 1, 0],
               },
             },
+            reopened: {
+              $sum: {
+                $cond: [{ $gt: [{ $ifNull: ["$reopenCount", 0] }, 0] }, 1, 0],
+              },
+            },
             avgResolutionTime: {
               $avg: {
                 $cond: [
@@ -489,6 +629,18 @@ class AnalyticsService {
                 0,
               ],
             },
+            reopenRate: {
+              $cond: [
+                { $gt: ["$totalAssigned", 0] },
+                {
+                  $multiply: [
+                    { $divide: ["$reopened", "$totalAssigned"] },
+                    100,
+                  ],
+                },
+                0,
+              ],
+            },
           },
         },
         { $sort: { totalAssigned: -1 } },
@@ -501,6 +653,7 @@ class AnalyticsService {
           : 0,
         resolutionRate: staff.resolutionRate.toFixed(2),
         escalationRate: staff.escalationRate.toFixed(2),
+        reopenRate: staff.reopenRate.toFixed(2),
       }));
 
       return {
@@ -554,11 +707,21 @@ class AnalyticsService {
           $group: {
             _id: null,
             totalFeedbacks: { $sum: 1 },
-            avgOverallRating: { $avg: "$overallRating" },
-            avgResponseTimeRating: { $avg: "$responseTimeRating" },
-            avgResolutionQualityRating: { $avg: "$resolutionQualityRating" },
-            avgCommunicationRating: { $avg: "$communicationRating" },
-            ratings: { $push: "$overallRating" },
+            avgOverallRating: { $avg: "$rating" },
+            avgResponseTimeRating: { $avg: "$aspects.timeliness.rating" },
+            avgResolutionQualityRating: {
+              $avg: "$aspects.resolution.rating",
+            },
+            avgCommunicationRating: { $avg: "$aspects.communication.rating" },
+            avgProfessionalismRating: {
+              $avg: "$aspects.professionalism.rating",
+            },
+            recommendCount: {
+              $sum: { $cond: [{ $eq: ["$wouldRecommend", true] }, 1, 0] },
+            },
+            recommendAnswered: {
+              $sum: { $cond: [{ $ne: ["$wouldRecommend", null] }, 1, 0] },
+            },
           },
         },
       ]);
@@ -568,7 +731,7 @@ class AnalyticsService {
         { $match: matchStage },
         {
           $group: {
-            _id: "$overallRating",
+            _id: "$rating",
             count: { $sum: 1 },
           },
         },
@@ -581,6 +744,9 @@ class AnalyticsService {
         avgResponseTimeRating: 0,
         avgResolutionQualityRating: 0,
         avgCommunicationRating: 0,
+        avgProfessionalismRating: 0,
+        recommendCount: 0,
+        recommendAnswered: 0,
       };
 
       return {
@@ -598,6 +764,16 @@ class AnalyticsService {
           avgCommunicationRating: stats.avgCommunicationRating
             ? stats.avgCommunicationRating.toFixed(2)
             : 0,
+          avgProfessionalismRating: stats.avgProfessionalismRating
+            ? stats.avgProfessionalismRating.toFixed(2)
+            : 0,
+          recommendationRate:
+            stats.recommendAnswered > 0
+              ? (
+                  (stats.recommendCount / stats.recommendAnswered) *
+                  100
+                ).toFixed(2)
+              : 0,
         },
         ratingDistribution: ratingDistribution.reduce((acc, item) => {
           acc[`${item._id}star`] = item.count;
@@ -618,15 +794,8 @@ class AnalyticsService {
    */
   static async getSLAPerformance(dateRange = {}) {
     try {
-      const { startDate, endDate } = dateRange;
-      let matchStage = {};
-
-      if (startDate && endDate) {
-        matchStage.createdAt = {
-          $gte: new Date(startDate),
-          $lte: new Date(endDate),
-        };
-      }
+      const now = new Date();
+      const matchStage = this.buildMatchStage(dateRange);
 
       const slaStats = await Complaint.aggregate([
         { $match: matchStage },
@@ -636,19 +805,52 @@ class AnalyticsService {
               $cond: [
                 {
                   $and: [
-                    { $lt: ["$deadline", new Date()] },
-                    { $nin: ["$status", ["resolved", "closed"]] },
+                    { $lt: ["$deadline", now] },
+                    {
+                      $not: [
+                        {
+                          $in: [
+                            STATUS_PHASE,
+                            [
+                              COMPLAINT_STATUS.RESOLVED,
+                              COMPLAINT_STATUS.CLOSED,
+                              COMPLAINT_STATUS.AWAITING_REQUESTER,
+                            ],
+                          ],
+                        },
+                      ],
+                    },
                   ],
                 },
                 true,
                 false,
               ],
             },
+            // Time spent awaiting the complainant, including a pause that
+            // is still running
+            pausedHours: {
+              $divide: [
+                {
+                  $add: [
+                    { $ifNull: ["$sla.pausedMs", 0] },
+                    {
+                      $cond: [
+                        { $ifNull: ["$sla.pausedAt", false] },
+                        { $subtract: [now, "$sla.pausedAt"] },
+                        0,
+                      ],
+                    },
+                  ],
+                },
+                1000 * 60 * 60,
+              ],
+            },
+            isPaused: { $cond: [{ $ifNull: ["$sla.pausedAt", false] }, 1, 0] },
             resolvedOnTime: {
               $cond: [
                 {
                   $and: [
-                    { $eq: ["$status", "resolved"] },
+                    { $eq: [STATUS_PHASE, COMPLAINT_STATUS.RESOLVED] },
                     { $lt: ["$resolvedAt", "$deadline"] },
                   ],
                 },
@@ -682,6 +884,31 @@ class AnalyticsService {
                 ],
               },
             },
+            // Resolution time the SLA clock was running
+            avgActiveTimeToResolution: {
+              $avg: {
+                $cond: [
+                  { $ne: ["$resolvedAt", null] },
+                  {
+                    $subtract: [
+                      {
+                        $divide: [
+                          { $subtract: ["$resolvedAt", "$createdAt"] },
+                          1000 * 60 * 60,
+                        ],
+                      },
+                      "$pausedHours",
+                    ],
+                  },
+                  null,
+                ],
+              },
+            },
+            pausedCount: {
+              $sum: { $cond: [{ $gt: ["$pausedHours", 0] }, 1, 0] },
+            },
+            currentlyPausedCount: { $sum: "$isPaused" },
+            totalPausedHours: { $sum: "$pausedHours" },
           },
         },
         {
@@ -702,6 +929,11 @@ class AnalyticsService {
         },
       ]);
 
+      const [businessResolution, byTier] = await Promise.all([
+        this.getBusinessResolutionHours(matchStage),
+        this.getSLATierCompliance(matchStage),
+      ]);
+
       const processedSLAStats = slaStats.map((stat) => ({
         priority: stat._id,
         totalComplaints: stat.totalComplaints,
@@ -711,8 +943,32 @@ class AnalyticsService {
         avgTimeToResolution: stat.avgTimeToResolution
           ? stat.avgTimeToResolution.toFixed(2)
           : 0,
+        avgBusinessHoursToResolution: businessResolution.byPriority[stat._id]
+          ? businessResolution.byPriority[stat._id].toFixed(2)
+          : 0,
+        avgActiveTimeToResolution: stat.avgActiveTimeToResolution
+          ? stat.avgActiveTimeToResolution.toFixed(2)
+          : 0,
+        paused: {
+          complaints: stat.pausedCount,
+          currentlyPaused: stat.currentlyPausedCount,
+          totalHours: stat.totalPausedHours.toFixed(2),
+          avgHours:
+            stat.pausedCount > 0
+              ? (stat.totalPausedHours / stat.pausedCount).toFixed(2)
+              : 0,
+        },
       }));
 
+      const pausedComplaints = slaStats.reduce(
+        (sum, stat) => sum + stat.pausedCount,
+        0
+      );
+      const totalPausedHours = slaStats.reduce(
+        (sum, stat) => sum + stat.totalPausedHours,
+        0
+      );
+
       // Calculate overall SLA compliance
       const overallCompliance =
         slaStats.length > 0
@@ -724,6 +980,7 @@ class AnalyticsService {
 
       return {
         byPriority: processedSLAStats,
+        byTier,
         overall: {
           compliance: overallCompliance,
           totalComplaints: slaStats.reduce(
@@ -738,6 +995,22 @@ class AnalyticsService {
             (sum, stat) => sum + stat.resolvedOnTimeCount,
             0
           ),
+          avgBusinessHoursToResolution: businessResolution.overall
+            ? businessResolution.overall.toFixed(2)
+            : 0,
+        },
+        // Time awaiting complainants is excluded from the SLA clock
+        paused: {
+          complaints: pausedComplaints,
+          currentlyPaused: slaStats.reduce(
+            (sum, stat) => sum + stat.currentlyPausedCount,
+            0
+          ),
+          totalHours: totalPausedHours.toFixed(2),
+          avgHours:
+            pausedComplaints > 0
+              ? (totalPausedHours / pausedComplaints).toFixed(2)
+              : 0,
         },
       };
     } catch (error) {
@@ -746,6 +1019,168 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * Compliance per SLA tier (acknowledge, first response, resolution)
+   * @param {Object} matchStage - Filter applied to complaints
+   */
+  static async getSLATierCompliance(matchStage = {}) {
+    const now = new Date();
+    const isOpen = {
+      $not: [
+        {
+          $in: [
+            STATUS_PHASE,
+            [COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED],
+          ],
+        },
+      ],
+    };
+    const tiers = {
+      [SLA_TIERS.ACKNOWLEDGE]: ["$sla.acknowledgeDueAt", "$sla.acknowledgedAt"],
+      [SLA_TIERS.FIRST_RESPONSE]: [
+        "$sla.firstResponseDueAt",
+        "$sla.firstRespondedAt",
+      ],
+      [SLA_TIERS.RESOLUTION]: ["$deadline", "$resolvedAt"],
+    };
+
+    // Build tracked/met/breached counters and the average time to meet
+    // each tier in a single pass
+    const groupStage = { _id: null };
+    Object.entries(tiers).forEach(([tier, [dueAt, doneAt]]) => {
+      const isTracked = { $gt: [dueAt, null] };
+      const isDone = { $gt: [doneAt, null] };
+
+      groupStage[`${tier}_tracked`] = {
+        $sum: { $cond: [isTracked, 1, 0] },
+      };
+      groupStage[`${tier}_met`] = {
+        $sum: {
+          $cond: [
+            { $and: [isTracked, isDone, { $lte: [doneAt, dueAt] }] },
+            1,
+            0,
+          ],
+        },
+      };
+      groupStage[`${tier}_breached`] = {
+        $sum: {
+          $cond: [
+            {
+              $and: [
+                isTracked,
+                {
+                  $or: [
+                    { $and: [isDone, { $gt: [doneAt, dueAt] }] },
+                    {
+                      $and: [{ $not: [isDone] }, { $lt: [dueAt, now] }, isOpen],
+                    },
+                  ],
+                },
+              ],
+            },
+            1,
+            0,
+          ],
+        },
+      };
+      groupStage[`${tier}_avgHours`] = {
+        $avg: {
+          $cond: [
+            { $and: [isTracked, isDone] },
+            {
+              $divide: [{ $subtract: [doneAt, "$createdAt"] }, 1000 * 60 * 60],
+            },
+            null,
+          ],
+        },
+      };
+    });
+
+    const [stats = {}] = await Complaint.aggregate([
+      { $match: matchStage },
+      { $group: groupStage },
+    ]);
+
+    return Object.keys(tiers).map((tier) => {
+      const tracked = stats[`${tier}_tracked`] || 0;
+      const met = stats[`${tier}_met`] || 0;
+      const breached = stats[`${tier}_breached`] || 0;
+      const decided = met + breached;
+
+      return {
+        tier,
+        label: SLAService.getTierLabel(tier),
+        tracked,
+        met,
+        breached,
+        pending: tracked - decided,
+        compliance: decided > 0 ? ((met / decided) * 100).toFixed(2) : 0,
+        avgHoursToMeet: stats[`${tier}_avgHours`]
+          ? stats[`${tier}_avgHours`].toFixed(2)
+          : 0,
+      };
+    });
+  }
+
+  /**
+   * Average resolution time in business hours (per the business calendar of
+   * each complaint's department), overall and by priority
+   * @param {Object} matchStage - Filter applied to complaints
+   */
+  static async getBusinessResolutionHours(matchStage = {}) {
+    const cursor = Complaint.aggregate([
+      { $match: { ...matchStage, resolvedAt: { $ne: null } } },
+      {
+        $lookup: {
+          from: "categories",
+          localField: "category",
+          foreignField: "_id",
+          as: "categoryInfo",
+        },
+      },
+      {
+        $project: {
+          priority: 1,
+          createdAt: 1,
+          resolvedAt: 1,
+          department: { $arrayElemAt: ["$categoryInfo.department", 0] },
+        },
+      },
+    ]).cursor();
+
+    const totals = {};
+    let overallHours = 0;
+    let overallCount = 0;
+
+    for await (const complaint of cursor) {
+      const hours = await BusinessCalendarService.businessHoursBetween(
+        complaint.createdAt,
+        complaint.resolvedAt,
+        complaint.department
+      );
+
+      totals[complaint.priority] = totals[complaint.priority] || {
+        hours: 0,
+        count: 0,
+      };
+      totals[complaint.priority].hours += hours;
+      totals[complaint.priority].count++;
+      overallHours += hours;
+      overallCount++;
+    }
+
+    return {
+      byPriority: Object.fromEntries(
+        Object.entries(totals).map(([priority, total]) => [
+          priority,
+          total.hours / total.count,
+        ])
+      ),
+      overall: overallCount > 0 ? overallHours / overallCount : null,
+    };
+  }
+
   /**
    * Helper method to format period labels
    */
@@ -817,8 +1252,11 @@ class AnalyticsService {
 
   /**
    * Get dashboard stats with improved interface
+   * @param {string} timeframe - e.g. "30d"
+   * @param {Object} [filter] - Complaint filter from ComplaintQueryService,
+   *   covering the timeframe
    */
-  static async getDashboardStats(userId, userRole, timeframe = "30d") {
+  static async getDashboardStats(timeframe = "30d", filter = null) {
     try {
       // Parse timeframe
       const days = parseInt(timeframe.replace("d", "")) || 30;
@@ -826,7 +1264,7 @@ class AnalyticsService {
       const startDate = new Date();
       startDate.setDate(endDate.getDate() - days);
 
-      const dateRange = { startDate, endDate };
+      const dateRange = { startDate, endDate, filter };
 
       // Get base analytics
       const overview = await this.getOverviewAnalytics(dateRange);
@@ -864,15 +1302,18 @@ class AnalyticsService {
 
   /**
    * Get staff performance metrics
+   * @param {string} timeframe - e.g. "30d"
+   * @param {Object} [filter] - Complaint filter from ComplaintQueryService,
+   *   covering the timeframe
    */
-  static async getStaffPerformanceMetrics(timeframe = "30d") {
+  static async getStaffPerformanceMetrics(timeframe = "30d", filter = null) {
     try {
       const days = parseInt(timeframe.replace("d", "")) || 30;
       const endDate = new Date();
       const startDate = new Date();
       startDate.setDate(endDate.getDate() - days);
 
-      const dateRange = { startDate, endDate };
+      const dateRange = { startDate, endDate, filter };
       const staffAnalytics = await this.getStaffAnalytics(dateRange);
 
       return staffAnalytics.staffPerformance || [];
@@ -884,11 +1325,14 @@ class AnalyticsService {
 
   /**
    * Get complaint volume trends
+   * @param {string} timeframe - e.g. "30d"
+   * @param {Object} [filter] - Complaint filter from ComplaintQueryService,
+   *   covering the timeframe
    */
-  static async getComplaintVolumeTrends(timeframe = "30d") {
+  static async getComplaintVolumeTrends(timeframe = "30d", filter = null) {
     try {
       const days = parseInt(timeframe.replace("d", "")) || 30;
-      const trends = await this.getTrendAnalytics({ days });
+      const trends = await this.getTrendAnalytics({ days, filter });
 
       return trends.volumeTrends || [];
     } catch (error) {
@@ -899,8 +1343,9 @@ class AnalyticsService {
 
   /**
    * Get real-time metrics
+   * @param {Object} [filter] - Complaint filter from ComplaintQueryService
    */
-  static async getRealtimeMetrics() {
+  static async getRealtimeMetrics(filter = null) {
     try {
       const now = new Date();
       const todayStart = new Date(
@@ -908,16 +1353,21 @@ class AnalyticsService {
         now.getMonth(),
         now.getDate()
       );
+      const count = (condition) =>
+        Complaint.countDocuments(
+          filter ? { $and: [filter, condition] } : condition
+        );
 
       const [todayComplaints, pendingComplaints, overdueComplaints] =
         await Promise.all([
-          Complaint.countDocuments({ createdAt: { $gte: todayStart } }),
-          Complaint.countDocuments({ status: COMPLAINT_STATUS.SUBMITTED }),
-          Complaint.countDocuments({
+          count({ createdAt: { $gte: todayStart } }),
+          count(Complaint.phaseIn([COMPLAINT_STATUS.SUBMITTED])),
+          count({
             deadline: { $lt: now },
-            status: {
-              $in: [COMPLAINT_STATUS.SUBMITTED, COMPLAINT_STATUS.IN_PROGRESS],
-            },
+            ...Complaint.phaseIn([
+              COMPLAINT_STATUS.SUBMITTED,
+              COMPLAINT_STATUS.IN_PROGRESS,
+            ]),
           }),
         ]);
 
@@ -941,6 +1391,7 @@ class AnalyticsService {
       const {
         format = "json",
         timeframe = "30d",
+        filter = null,
         options: exportOptions = {},
       } = options;
 
@@ -948,7 +1399,7 @@ class AnalyticsService {
       const endDate = new Date();
       const startDate = new Date();
       startDate.setDate(endDate.getDate() - days);
-      const dateRange = { startDate, endDate };
+      const dateRange = { startDate, endDate, filter };
 
       const data = {};
 
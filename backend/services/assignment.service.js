@@ -0,0 +1,489 @@
+const Category = require("../models/Category");
+const Complaint = require("../models/Complaint");
+const User = require("../models/User");
+const BusinessCalendarService = require("./businessCalendar.service");
+const AvailabilityService = require("./availability.service");
+const WorkloadService = require("./workload.service");
+const emailService = require("./email/emailService");
+const WebSocketService = require("./websocket.service");
+const logger = require("../utils/logger");
+const {
+  USER_ROLES,
+  ASSIGNMENT_RULE_CONDITIONS,
+  ASSIGNMENT_STRATEGIES,
+} = require("../config/constants");
+
+const TIME_RANGE_PATTERN =
+  /^([01]\d|2[0-3]):([0-5]\d)\s*-\s*([01]\d|2[0-3]|24):([0-5]\d)$/;
+
+// Shown as the assigner in notifications for automatic assignments
+const SYSTEM_ASSIGNER = { _id: null, name: "Auto-assignment" };
+
+const refId = (ref) => (ref && ref._id ? ref._id : ref);
+
+/**
+ * Normalise a rule value (single value or array) to lowercase strings
+ */
+const toList = (value) =>
+  (Array.isArray(value) ? value : [value])
+    .filter((item) => item !== null && item !== undefined && item !== "")
+    .map((item) => String(item).trim().toLowerCase());
+
+/**
+ * Readable form of a rule value for history remarks
+ */
+const describeValue = (value) =>
+  value && typeof value === "object" && !Array.isArray(value)
+    ? `${value.start}-${value.end}`
+    : toList(value).join(", ");
+
+/**
+ * Parse a "HH:mm-HH:mm" range (or { start, end }) into minutes after midnight
+ * @returns {{start: number, end: number}|null}
+ */
+const parseTimeRange = (value) => {
+  const range =
+    value && typeof value === "object" && !Array.isArray(value)
+      ? `${value.start}-${value.end}`
+      : String(value);
+  const match = range.trim().match(TIME_RANGE_PATTERN);
+  if (!match) return null;
+
+  return {
+    start: Number(match[1]) * 60 + Number(match[2]),
+    end: Number(match[3]) * 60 + Number(match[4]),
+  };
+};
+
+// Rule matchers keyed by condition: (rule, context) => boolean
+const RULE_MATCHERS = {
+  [ASSIGNMENT_RULE_CONDITIONS.PRIORITY]: (rule, { complaint }) =>
+    toList(rule.value).includes(complaint.priority),
+
+  [ASSIGNMENT_RULE_CONDITIONS.KEYWORD]: (rule, { text }) =>
+    toList(rule.value).some((keyword) => text.includes(keyword)),
+
+  [ASSIGNMENT_RULE_CONDITIONS.DEPARTMENT]: (rule, { submitter }) =>
+    !!submitter?.department &&
+    toList(rule.value).includes(submitter.department.toLowerCase()),
+
+  [ASSIGNMENT_RULE_CONDITIONS.USER_ROLE]: (rule, { submitter }) =>
+    !!submitter?.role && toList(rule.value).includes(submitter.role),
+
+  // Windows may wrap past midnight, e.g. "18:00-08:00" for out of hours
+  [ASSIGNMENT_RULE_CONDITIONS.TIME_OF_DAY]: (rule, { minuteOfDay }) => {
+    const range = parseTimeRange(rule.value);
+    if (!range) return false;
+
+    return range.start <= range.end
+      ? minuteOfDay >= range.start && minuteOfDay < range.end
+      : minuteOfDay >= range.start || minuteOfDay < range.end;
+  },
+};
+
+/**
+ * Assignment Service
+ * Picks an assignee for a complaint: the category's auto-assignment rules
+ * are evaluated in order first, then the category's fallback strategy
+ * (least loaded, round robin or skills match) chooses among the staff who
+ * can handle the category's department. Staff who are away or at capacity
+ * are never chosen.
+ */
+class AssignmentService {
+  static strategies = new Map();
+
+  /**
+   * Register a fallback strategy
+   * @param {string} name - Strategy name stored in Category.autoAssignment
+   * @param {Function} strategy - async (candidates, { complaint, category,
+   *   workloads }) => { staff, reason } | null. Candidates are available
+   *   and have capacity for the complaint.
+   */
+  static registerStrategy(name, strategy) {
+    this.strategies.set(name, strategy);
+  }
+
+  /**
+   * Auto-assign a newly created complaint if its category enables it
+   * @param {Object} complaint - Complaint document
+   * @param {Object} [submitter] - User who submitted the complaint
+   * @returns {Promise<Object|null>} Assignment decision, or null
+   */
+  static async assignOnCreate(complaint, submitter) {
+    const category = await Category.findById(refId(complaint.category)).lean();
+
+    if (!category?.autoAssignment?.enabled) {
+      return null;
+    }
+
+    return this.autoAssign(complaint, { submitter, category });
+  }
+
+  /**
+   * Choose an assignee and assign the complaint, recording the reason in
+   * its status history
+   * @param {Object} complaint - Complaint document
+   * @param {Object} [options]
+   * @param {Object} [options.submitter] - Defaults to the complaint's user
+   * @param {Object} [options.category] - Defaults to the complaint's category
+   * @param {string} [options.assignedBy] - Null for automatic assignment
+   * @returns {Promise<Object|null>} Decision { staff, method, strategy?,
+   *   rule?, reason }, or null if nobody could be chosen
+   */
+  static async autoAssign(
+    complaint,
+    { submitter, category, assignedBy = null } = {}
+  ) {
+    const decision = await this.decide(complaint, { submitter, category });
+    if (!decision) {
+      return null;
+    }
+
+    const remarks = `Auto-assigned to ${decision.staff.name}: ${decision.reason}`;
+    await complaint.assignTo(
+      decision.staff._id,
+      assignedBy,
+      remarks.slice(0, 500)
+    );
+
+    logger.info(
+      `Complaint ${complaint._id} auto-assigned to ${decision.staff.email} (${decision.reason})`
+    );
+
+    return decision;
+  }
+
+  /**
+   * Decide who a complaint should be assigned to, without assigning it
+   * @returns {Promise<Object|null>}
+   */
+  static async decide(complaint, { submitter, category } = {}) {
+    category =
+      category || (await Category.findById(refId(complaint.category)).lean());
+    if (!category) {
+      return null;
+    }
+
+    const settings = category.autoAssignment || {};
+
+    const ruleDecision = await this.evaluateRules(complaint, settings.rules, {
+      submitter,
+      category,
+    });
+    if (ruleDecision) {
+      return ruleDecision;
+    }
+
+    const available = await this.getCandidates(category.department);
+    const workloads = await WorkloadService.getStaffWorkloads(available);
+    const candidates = available.filter((staff) =>
+      WorkloadService.hasCapacityFor(
+        workloads.get(staff._id.toString()),
+        complaint.priority
+      )
+    );
+
+    if (candidates.length === 0) {
+      logger.warn(
+        `No staff with capacity available to auto-assign complaint ${complaint._id} (${category.department})`
+      );
+      return null;
+    }
+
+    const strategyName = this.strategies.has(settings.strategy)
+      ? settings.strategy
+      : ASSIGNMENT_STRATEGIES.LEAST_LOADED;
+    const result = await this.strategies.get(strategyName)(candidates, {
+      complaint,
+      category,
+      workloads,
+    });
+
+    return result
+      ? { ...result, method: "strategy", strategy: strategyName }
+      : null;
+  }
+
+  /**
+   * Evaluate a category's rules in order and return the first match whose
+   * assignee is still active staff
+   * @returns {Promise<Object|null>}
+   */
+  static async evaluateRules(complaint, rules = [], { submitter, category }) {
+    if (!rules?.length) {
+      return null;
+    }
+
+    const context = {
+      complaint,
+      submitter: submitter || (await this.getSubmitter(complaint)),
+      text: `${complaint.title} ${complaint.description}`.toLowerCase(),
+      minuteOfDay: await this.getMinuteOfDay(category.department),
+    };
+
+    for (const [index, rule] of rules.entries()) {
+      const matcher = RULE_MATCHERS[rule.condition];
+      if (!matcher || !rule.assignTo || !matcher(rule, context)) continue;
+
+      const target = await User.findOne({
+        _id: rule.assignTo,
+        role: { $in: [USER_ROLES.STAFF, USER_ROLES.ADMIN] },
+        isActive: true,
+      }).select(AvailabilityService.STAFF_FIELDS);
+
+      // Hand over to the target's delegate while they are out of office
+      const resolved =
+        target && (await AvailabilityService.resolveAssignee(target));
+
+      if (!resolved) {
+        logger.warn(
+          `Auto-assignment rule ${index + 1} of category ${
+            category.name
+          } targets an unavailable user with no available delegate; skipping`
+        );
+        continue;
+      }
+
+      const workloads = await WorkloadService.getStaffWorkloads([
+        resolved.user,
+      ]);
+      if (
+        !WorkloadService.hasCapacityFor(
+          workloads.get(resolved.user._id.toString()),
+          complaint.priority
+        )
+      ) {
+        logger.warn(
+          `Auto-assignment rule ${index + 1} of category ${
+            category.name
+          } targets ${resolved.user.email}, who is at capacity; skipping`
+        );
+        continue;
+      }
+
+      return {
+        staff: resolved.user,
+        method: "rule",
+        rule: index + 1,
+        reason: `matched rule ${index + 1} (${rule.condition}: ${describeValue(
+          rule.value
+        )})${
+          resolved.delegatedFrom
+            ? `; delegated from ${resolved.delegatedFrom.name} (out of office)`
+            : ""
+        }`,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Staff who can take complaints for a department right now: its own
+   * staff, general staff and admins who are on shift and not out of office
+   */
+  static async getCandidates(department) {
+    const staff = await User.find({
+      role: { $in: [USER_ROLES.STAFF, USER_ROLES.ADMIN] },
+      isActive: true,
+      $or: [
+        { department },
+        { department: "General" },
+        { role: USER_ROLES.ADMIN },
+      ],
+    }).select(AvailabilityService.STAFF_FIELDS);
+
+    return AvailabilityService.filterAvailable(staff);
+  }
+
+  /**
+   * Load the submitter's role and department
+   */
+  static async getSubmitter(complaint) {
+    const user = complaint.user;
+    if (user?.role) {
+      return user;
+    }
+    return User.findById(refId(user)).select("role department").lean();
+  }
+
+  /**
+   * Current minute of the day in the department's business calendar time
+   * zone (server time if the department has no calendar)
+   */
+  static async getMinuteOfDay(department) {
+    const calendar = await BusinessCalendarService.getCalendar(department);
+    if (!calendar) {
+      const now = new Date();
+      return now.getHours() * 60 + now.getMinutes();
+    }
+
+    const parts = BusinessCalendarService.getZonedParts(
+      Date.now(),
+      calendar.timeZone
+    );
+    return parts.hour * 60 + parts.minute;
+  }
+
+  /**
+   * Notify the assignee and the complainant of an automatic assignment
+   * @param {Object} complaint - Complaint with user and category populated
+   * @param {Object} staff - Assigned staff member
+   * @param {Object} [assignedBy] - Defaults to the system
+   */
+  static async notifyAssignment(
+    complaint,
+    staff,
+    assignedBy = SYSTEM_ASSIGNER
+  ) {
+    try {
+      await emailService.sendStaffAssignment(complaint, staff, assignedBy);
+    } catch (emailError) {
+      logger.error(
+        `Failed to send assignment email for complaint ${complaint._id}:`,
+        emailError
+      );
+      // Don't fail the assignment if email fails
+    }
+
+    try {
+      WebSocketService.notifyStaffAssignment(complaint, staff, assignedBy);
+    } catch (socketError) {
+      logger.error(
+        `Failed to send WebSocket assignment notification for complaint ${complaint._id}:`,
+        socketError
+      );
+      // Don't fail the assignment if WebSocket fails
+    }
+  }
+}
+
+/**
+ * Least loaded: lowest share of capacity used once the complaint is added,
+ * preferring the category's own department on ties
+ */
+const leastLoaded = async (candidates, { complaint, category, workloads }) => {
+  let best = null;
+  for (const staff of candidates) {
+    const workload = workloads.get(staff._id.toString());
+    const score =
+      (workload.weightedLoad +
+        WorkloadService.getWeight(workload, complaint.priority)) /
+      workload.capacity;
+    const sameDepartment = staff.department === category.department;
+
+    if (
+      !best ||
+      score < best.workloadScore ||
+      (score === best.workloadScore && sameDepartment && !best.sameDepartment)
+    ) {
+      best = { staff, workload, workloadScore: score, sameDepartment };
+    }
+  }
+
+  return {
+    staff: best.staff,
+    workloadScore: Math.round(best.workloadScore * 100) / 100,
+    reason: `least loaded (${best.workload.weightedLoad}/${best.workload.capacity} capacity used, ${best.workload.total} open)`,
+  };
+};
+
+/**
+ * Round robin: rotate through the department's staff (all candidates if the
+ * department has none), choosing whoever was assigned a complaint in this
+ * category least recently
+ */
+const roundRobin = async (candidates, { complaint, category }) => {
+  const departmentStaff = candidates.filter(
+    (staff) =>
+      staff.role === USER_ROLES.STAFF &&
+      staff.department === category.department
+  );
+  const pool = departmentStaff.length > 0 ? departmentStaff : candidates;
+
+  const lastAssigned = await Complaint.aggregate([
+    {
+      $match: {
+        _id: { $ne: complaint._id },
+        category: category._id,
+        assignedTo: { $in: pool.map((staff) => staff._id) },
+      },
+    },
+    // Complaints assigned before assignedAt was recorded count from creation
+    {
+      $group: {
+        _id: "$assignedTo",
+        lastAssignedAt: { $max: { $ifNull: ["$assignedAt", "$createdAt"] } },
+      },
+    },
+  ]);
+  const lastAssignedAt = new Map(
+    lastAssigned.map((entry) => [
+      entry._id.toString(),
+      entry.lastAssignedAt.getTime(),
+    ])
+  );
+
+  // Never-assigned staff first, then in a stable order
+  const [staff] = [...pool].sort(
+    (a, b) =>
+      (lastAssignedAt.get(a._id.toString()) || 0) -
+        (lastAssignedAt.get(b._id.toString()) || 0) ||
+      a._id.toString().localeCompare(b._id.toString())
+  );
+
+  return { staff, reason: "next in round-robin rotation" };
+};
+
+/**
+ * Skills match: staff whose skills cover the most of the category's required
+ * skills and the skills mentioned in the complaint; ties (or nobody with a
+ * matching skill) fall back to least loaded
+ */
+const skillsMatch = async (candidates, context) => {
+  const required = new Set(context.category.autoAssignment?.skills || []);
+  const text =
+    `${context.complaint.title} ${context.complaint.description}`.toLowerCase();
+
+  const matches = new Map();
+  let bestScore = 0;
+  for (const staff of candidates) {
+    const matched = (staff.skills || []).filter(
+      (skill) => required.has(skill) || text.includes(skill)
+    );
+    matches.set(staff._id.toString(), matched);
+    bestScore = Math.max(bestScore, matched.length);
+  }
+
+  if (bestScore === 0) {
+    const fallback = await leastLoaded(candidates, context);
+    return { ...fallback, reason: `no skills match; ${fallback.reason}` };
+  }
+
+  const bestStaff = candidates.filter(
+    (staff) => matches.get(staff._id.toString()).length === bestScore
+  );
+  const result =
+    bestStaff.length === 1
+      ? { staff: bestStaff[0] }
+      : await leastLoaded(bestStaff, context);
+
+  return {
+    ...result,
+    reason: `skills match (${matches
+      .get(result.staff._id.toString())
+      .join(", ")})${result.reason ? `; ${result.reason}` : ""}`,
+  };
+};
+
+AssignmentService.registerStrategy(
+  ASSIGNMENT_STRATEGIES.LEAST_LOADED,
+  leastLoaded
+);
+AssignmentService.registerStrategy(
+  ASSIGNMENT_STRATEGIES.ROUND_ROBIN,
+  roundRobin
+);
+AssignmentService.registerStrategy(ASSIGNMENT_STRATEGIES.SKILLS, skillsMatch);
+
+module.exports = AssignmentService;
@@ -0,0 +1,171 @@
+const User = require("../models/User");
+const BusinessCalendarService = require("./businessCalendar.service");
+const logger = require("../utils/logger");
+const { USER_ROLES, STAFF_AVAILABILITY } = require("../config/constants");
+
+// Fields needed to route work to a staff member (skills, availability and
+// capacity)
+const STAFF_FIELDS = "name email role department skills availability capacity";
+
+// Stop following delegates after this many hops (A -> B -> C ...)
+const MAX_DELEGATION_DEPTH = 3;
+
+// How far ahead to look for the next shift
+const SHIFT_LOOKAHEAD_DAYS = 7;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Availability Service
+ * Works out whether staff are on shift or out of office, and who covers for
+ * them, so that assignment and escalation skip people who are away
+ */
+class AvailabilityService {
+  static STAFF_FIELDS = STAFF_FIELDS;
+
+  /**
+   * Availability of a staff member at an instant
+   * @param {Object} user - User with availability loaded
+   * @param {Date} [at]
+   * @returns {Promise<Object>} { available, status, until?, availableAt?,
+   *   reason?, delegate? }
+   */
+  static async getStatus(user, at = new Date()) {
+    const { shifts = [], outOfOffice = [] } = user.availability || {};
+
+    const absence = outOfOffice.find(
+      (period) => period.start <= at && period.end > at
+    );
+    if (absence) {
+      return {
+        available: false,
+        status: STAFF_AVAILABILITY.OUT_OF_OFFICE,
+        until: absence.end,
+        reason: absence.reason,
+        delegate: absence.delegate || null,
+      };
+    }
+
+    if (shifts.length === 0) {
+      return { available: true, status: STAFF_AVAILABILITY.AVAILABLE };
+    }
+
+    const calendar = await BusinessCalendarService.getCalendar(user.department);
+    const timeZone = calendar?.timeZone || "UTC";
+    const today = BusinessCalendarService.getLocalDate(at.getTime(), timeZone);
+
+    for (let offset = 0; offset <= SHIFT_LOOKAHEAD_DAYS; offset++) {
+      const date = BusinessCalendarService.shiftDate(today, offset);
+      const weekday = new Date(
+        Date.UTC(date.year, date.month - 1, date.day)
+      ).getUTCDay();
+
+      const windows = shifts
+        .filter((shift) => shift.day === weekday)
+        .map((shift) => ({
+          start: BusinessCalendarService.zonedTimeToUtc(
+            date,
+            toMinutes(shift.start),
+            timeZone
+          ),
+          end: BusinessCalendarService.zonedTimeToUtc(
+            date,
+            toMinutes(shift.end),
+            timeZone
+          ),
+        }))
+        .sort((a, b) => a.start - b.start);
+
+      for (const window of windows) {
+        if (window.start <= at.getTime() && at.getTime() < window.end) {
+          return {
+            available: true,
+            status: STAFF_AVAILABILITY.ON_SHIFT,
+            until: new Date(window.end),
+          };
+        }
+        if (window.start > at.getTime()) {
+          return {
+            available: false,
+            status: STAFF_AVAILABILITY.OFF_SHIFT,
+            availableAt: new Date(window.start),
+          };
+        }
+      }
+    }
+
+    return { available: false, status: STAFF_AVAILABILITY.OFF_SHIFT };
+  }
+
+  /**
+   * Find who should take work meant for a staff member: the member if
+   * available, otherwise their out-of-office delegate (followed through
+   * further delegations)
+   * @param {Object} user - User with availability loaded
+   * @param {Date} [at]
+   * @returns {Promise<{user: Object, delegatedFrom: Object|null}|null>}
+   *   Null if nobody in the chain is available
+   */
+  static async resolveAssignee(user, at = new Date()) {
+    let current = user;
+
+    for (let depth = 0; depth <= MAX_DELEGATION_DEPTH && current; depth++) {
+      const status = await this.getStatus(current, at);
+
+      if (status.available) {
+        return { user: current, delegatedFrom: depth > 0 ? user : null };
+      }
+      if (!status.delegate) {
+        return null;
+      }
+
+      current = await User.findOne({
+        _id: status.delegate,
+        role: { $in: [USER_ROLES.STAFF, USER_ROLES.ADMIN] },
+        isActive: true,
+      }).select(STAFF_FIELDS);
+    }
+
+    logger.warn(`No available delegate found for ${user.email}`);
+    return null;
+  }
+
+  /**
+   * Keep only the staff members available at an instant
+   * @param {Array} users - Users with availability loaded
+   * @param {Date} [at]
+   */
+  static async filterAvailable(users, at = new Date()) {
+    const available = [];
+    for (const user of users) {
+      if ((await this.getStatus(user, at)).available) {
+        available.push(user);
+      }
+    }
+    return available;
+  }
+
+  /**
+   * Replace unavailable people with their delegates, dropping those without
+   * one. Duplicates are removed.
+   * @param {Array} users - Users with availability loaded
+   * @param {Date} [at]
+   */
+  static async resolveRecipients(users, at = new Date()) {
+    const recipients = new Map();
+
+    for (const user of users) {
+      const resolved = await this.resolveAssignee(user, at);
+      if (resolved) {
+        recipients.set(resolved.user._id.toString(), resolved.user);
+      }
+    }
+
+    return [...recipients.values()];
+  }
+}
+
+module.exports = AvailabilityService;
@@ -1,7 +1,16 @@
 const cron = require("node-cron");
 const EscalationService = require("../services/escalation.service");
+const SLAService = require("../services/sla.service");
+const ResolutionService = require("../services/resolution.service");
+const ComplaintExportService = require("../services/complaintExport.service");
 const logger = require("../utils/logger");
-const { ESCALATION_CONFIG } = require("../config/constants");
+const {
+  ESCALATION_CONFIG,
+  SLA_CONFIG,
+  RESOLUTION_CONFIG,
+  EXPORT_CONFIG,
+  COMPLAINT_STATUS,
+} = require("../config/constants");
 
 /**
  * Background Jobs Service
@@ -10,6 +19,11 @@ const { ESCALATION_CONFIG } = require("../config/constants");
 class BackgroundJobsService {
   static escalationJob = null;
   static isRunning = false;
+  static slaJob = null;
+  static isSLACheckRunning = false;
+  static autoCloseJob = null;
+  static isAutoCloseRunning = false;
+  static exportCleanupJob = null;
 
   /**
    * Start all background jobs
@@ -19,6 +33,9 @@ class BackgroundJobsService {
       logger.info("Starting background jobs...");
 
       this.startEscalationJob();
+      this.startSLAJob();
+      this.startAutoCloseJob();
+      this.startExportCleanupJob();
 
       logger.info("All background jobs started successfully");
     } catch (error) {
@@ -82,6 +99,192 @@ class BackgroundJobsService {
     }
   }
 
+  /**
+   * Start the SLA breach monitoring job (acknowledge, first response and
+   * resolution targets)
+   */
+  static startSLAJob() {
+    try {
+      if (this.slaJob) {
+        logger.warn("SLA job is already running");
+        return;
+      }
+
+      const cronPattern = `*/${SLA_CONFIG.CHECK_INTERVAL_MINUTES} * * * *`;
+
+      logger.info(
+        `Starting SLA job with pattern: ${cronPattern} (every ${SLA_CONFIG.CHECK_INTERVAL_MINUTES} minutes)`
+      );
+
+      this.slaJob = cron.schedule(
+        cronPattern,
+        async () => {
+          if (this.isSLACheckRunning) {
+            logger.warn(
+              "Previous SLA job is still running, skipping this cycle"
+            );
+            return;
+          }
+
+          this.isSLACheckRunning = true;
+
+          try {
+            const results = await SLAService.detectBreaches();
+            const breached = Object.entries(results)
+              .filter(([, result]) => result.breached > 0)
+              .map(([tier, result]) => `${tier}: ${result.breached}`);
+
+            if (breached.length > 0) {
+              logger.info(`SLA check completed: ${breached.join(", ")}`);
+            }
+          } catch (error) {
+            logger.error("Error in scheduled SLA job:", error);
+          } finally {
+            this.isSLACheckRunning = false;
+          }
+        },
+        {
+          scheduled: true,
+          timezone: "UTC",
+        }
+      );
+
+      logger.info("SLA job scheduled successfully");
+    } catch (error) {
+      logger.error("Error starting SLA job:", error);
+    }
+  }
+
+  /**
+   * Start the job that reminds complainants of resolved complaints and
+   * closes those left without a response
+   */
+  static startAutoCloseJob() {
+    try {
+      if (this.autoCloseJob) {
+        logger.warn("Auto-close job is already running");
+        return;
+      }
+
+      const cronPattern = `*/${RESOLUTION_CONFIG.CHECK_INTERVAL_MINUTES} * * * *`;
+
+      logger.info(
+        `Starting auto-close job with pattern: ${cronPattern} (every ${RESOLUTION_CONFIG.CHECK_INTERVAL_MINUTES} minutes)`
+      );
+
+      this.autoCloseJob = cron.schedule(
+        cronPattern,
+        async () => {
+          if (this.isAutoCloseRunning) {
+            logger.warn(
+              "Previous auto-close job is still running, skipping this cycle"
+            );
+            return;
+          }
+
+          this.isAutoCloseRunning = true;
+
+          try {
+            const results = await ResolutionService.processAutoClose();
+
+            if (
+              results.reminded > 0 ||
+              results.closed > 0 ||
+              results.errors > 0
+            ) {
+              logger.info(
+                `Auto-close check completed: ${results.reminded} reminded, ${results.closed} closed, ${results.errors} errors`
+              );
+            }
+          } catch (error) {
+            logger.error("Error in scheduled auto-close job:", error);
+          } finally {
+            this.isAutoCloseRunning = false;
+          }
+        },
+        {
+          scheduled: true,
+          timezone: "UTC",
+        }
+      );
+
+      logger.info("Auto-close job scheduled successfully");
+    } catch (error) {
+      logger.error("Error starting auto-close job:", error);
+    }
+  }
+
+  /**
+   * Start the job deleting expired complaint exports
+   */
+  static startExportCleanupJob() {
+    try {
+      if (this.exportCleanupJob) {
+        logger.warn("Export cleanup job is already running");
+        return;
+      }
+
+      const cronPattern = `*/${EXPORT_CONFIG.CLEANUP_INTERVAL_MINUTES} * * * *`;
+
+      this.exportCleanupJob = cron.schedule(
+        cronPattern,
+        async () => {
+          try {
+            const removed = await ComplaintExportService.removeExpiredJobs();
+            if (removed > 0) {
+              logger.info(
+                `Export cleanup removed ${removed} expired export(s)`
+              );
+            }
+          } catch (error) {
+            logger.error("Error in scheduled export cleanup job:", error);
+          }
+        },
+        {
+          scheduled: true,
+          timezone: "UTC",
+        }
+      );
+
+      logger.info("Export cleanup job scheduled successfully");
+    } catch (error) {
+      logger.error("Error starting export cleanup job:", error);
+    }
+  }
+
+  /**
+   * Stop the export cleanup job
+   */
+  static stopExportCleanupJob() {
+    if (this.exportCleanupJob) {
+      this.exportCleanupJob.stop();
+      this.exportCleanupJob = null;
+      logger.info("Export cleanup job stopped");
+    }
+  }
+
+  /**
+   * Stop the auto-close job
+   */
+  static stopAutoCloseJob() {
+    if (this.autoCloseJob) {
+      this.autoCloseJob.stop();
+      this.autoCloseJob = null;
+      logger.info("Auto-close job stopped");
+    }
+  }
+
+  /**
+   * Stop the SLA job
+   */
+  static stopSLAJob() {
+    if (this.slaJob) {
+      this.slaJob.stop();
+      this.slaJob = null;
+      logger.info("SLA job stopped");
+    }
+  }
+
   /**
    * Stop the escalation job
    */
@@ -101,6 +304,9 @@ class BackgroundJobsService {
       logger.info("Stopping all background jobs...");
 
       this.stopEscalationJob();
+      this.stopSLAJob();
+      this.stopAutoCloseJob();
+      this.stopExportCleanupJob();
 
       logger.info("All background jobs stopped");
     } catch (error) {
@@ -131,6 +337,20 @@ class BackgroundJobsService {
           ? "Next scheduled run in system cron"
           : null,
       },
+      slaJob: {
+        isActive: this.slaJob ? true : false,
+        isRunning: this.isSLACheckRunning,
+        intervalMinutes: SLA_CONFIG.CHECK_INTERVAL_MINUTES,
+      },
+      autoCloseJob: {
+        isActive: this.autoCloseJob ? true : false,
+        isRunning: this.isAutoCloseRunning,
+        intervalMinutes: RESOLUTION_CONFIG.CHECK_INTERVAL_MINUTES,
+      },
+      exportCleanupJob: {
+        isActive: this.exportCleanupJob ? true : false,
+        intervalMinutes: EXPORT_CONFIG.CLEANUP_INTERVAL_MINUTES,
+      },
       timestamp: new Date(),
     };
   }
@@ -158,6 +378,60 @@ class BackgroundJobsService {
     }
   }
 
+  /**
+   * Run SLA breach check manually (for testing/admin)
+   */
+  static async runSLACheckManually() {
+    try {
+      logger.info("Running manual SLA check...");
+
+      if (this.isSLACheckRunning) {
+        throw new Error(
+          "SLA job is currently running. Please wait for it to complete."
+        );
+      }
+
+      this.isSLACheckRunning = true;
+      try {
+        const results = await SLAService.detectBreaches();
+        logger.info("Manual SLA check completed:", results);
+        return results;
+      } finally {
+        this.isSLACheckRunning = false;
+      }
+    } catch (error) {
+      logger.error("Error in manual SLA check:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run auto-close check manually (for testing/admin)
+   */
+  static async runAutoCloseManually() {
+    try {
+      logger.info("Running manual auto-close check...");
+
+      if (this.isAutoCloseRunning) {
+        throw new Error(
+          "Auto-close job is currently running. Please wait for it to complete."
+        );
+      }
+
+      this.isAutoCloseRunning = true;
+      try {
+        const results = await ResolutionService.processAutoClose();
+        logger.info("Manual auto-close check completed:", results);
+        return results;
+      } finally {
+        this.isAutoCloseRunning = false;
+      }
+    } catch (error) {
+      logger.error("Error in manual auto-close check:", error);
+      throw error;
+    }
+  }
+
   /**
    * Update escalation job frequency
    * @param {number} minutes - New interval in minutes
@@ -218,11 +492,16 @@ class BackgroundJobsService {
             return;
           }
 
-          // Check if complaint is overdue and not escalated
+          // Check if complaint is past its escalation time and not escalated
+          const escalationDueAt = complaint.getEscalationDueAt();
           if (
-            complaint.deadline < new Date() &&
+            escalationDueAt &&
+            escalationDueAt < new Date() &&
             !complaint.escalation.isEscalated &&
-            !["resolved", "closed"].includes(complaint.status)
+            !complaint.isInPhase(
+              COMPLAINT_STATUS.RESOLVED,
+              COMPLAINT_STATUS.CLOSED
+            )
           ) {
             await EscalationService.escalateComplaint(complaint);
             logger.info(
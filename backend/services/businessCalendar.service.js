@@ -0,0 +1,310 @@
+const BusinessCalendar = require("../models/BusinessCalendar");
+const logger = require("../utils/logger");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Calendars change rarely, so lookups are cached briefly
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Give up walking the calendar after this many days (e.g. a calendar whose
+// only working day is covered by a recurring holiday)
+const MAX_DAYS = 2 * 366;
+
+/**
+ * Business Calendar Service
+ * Converts between business hours and wall-clock time using the working
+ * hours, holidays and time zone configured per department. Departments
+ * without a calendar (and no default calendar) fall back to wall-clock time.
+ */
+class BusinessCalendarService {
+  static cache = new Map();
+
+  /**
+   * Get the compiled calendar that applies to a department
+   * @param {string} [department]
+   * @returns {Promise<Object|null>} Compiled calendar, or null for wall-clock
+   */
+  static async getCalendar(department) {
+    const key = department || "";
+    const cached = this.cache.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.calendar;
+    }
+
+    let calendar = null;
+    try {
+      const definition = await BusinessCalendar.findForDepartment(department);
+      calendar = definition ? this.compile(definition) : null;
+    } catch (error) {
+      logger.error(
+        `Failed to load business calendar for ${department || "default"}:`,
+        error
+      );
+      return cached ? cached.calendar : null;
+    }
+
+    this.cache.set(key, { calendar, expiresAt: Date.now() + CACHE_TTL_MS });
+    return calendar;
+  }
+
+  /**
+   * Drop cached calendars (after a calendar is created, updated or deleted)
+   */
+  static invalidateCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Pre-process a calendar definition for fast lookups
+   * @param {Object} definition - BusinessCalendar document or plain object
+   */
+  static compile(definition) {
+    const windowsByDay = [[], [], [], [], [], [], []];
+
+    (definition.workingHours || []).forEach((window) => {
+      const [startHour, startMinute] = window.start.split(":").map(Number);
+      const [endHour, endMinute] = window.end.split(":").map(Number);
+
+      windowsByDay[window.day].push({
+        start: startHour * 60 + startMinute,
+        end: endHour * 60 + endMinute,
+      });
+    });
+    windowsByDay.forEach((windows) =>
+      windows.sort((a, b) => a.start - b.start)
+    );
+
+    const holidays = new Set();
+    const recurringHolidays = new Set();
+    (definition.holidays || []).forEach((holiday) => {
+      if (holiday.recurring) {
+        recurringHolidays.add(holiday.date.slice(5));
+      } else {
+        holidays.add(holiday.date);
+      }
+    });
+
+    return {
+      id: definition._id,
+      name: definition.name,
+      timeZone: definition.timeZone || "UTC",
+      windowsByDay,
+      holidays,
+      recurringHolidays,
+    };
+  }
+
+  /**
+   * Add business hours to a start time
+   * @param {Date} start
+   * @param {number} hours - Business hours to add
+   * @param {string} [department]
+   */
+  static async addBusinessHours(start, hours, department) {
+    const calendar = await this.getCalendar(department);
+    return this.addWorkingTime(start, hours * HOUR_MS, calendar);
+  }
+
+  /**
+   * Business hours elapsed between two instants (negative if end < start)
+   * @param {Date} start
+   * @param {Date} end
+   * @param {string} [department]
+   */
+  static async businessHoursBetween(start, end, department) {
+    const calendar = await this.getCalendar(department);
+    return this.workingTimeBetween(start, end, calendar) / HOUR_MS;
+  }
+
+  /**
+   * Add working time (ms) to a start time using a compiled calendar
+   * @param {Date} start
+   * @param {number} durationMs
+   * @param {Object|null} calendar
+   */
+  static addWorkingTime(start, durationMs, calendar) {
+    const startMs = new Date(start).getTime();
+
+    if (!calendar) {
+      return new Date(startMs + durationMs);
+    }
+    if (durationMs <= 0) {
+      return new Date(startMs);
+    }
+
+    let remaining = durationMs;
+    let cursor = startMs;
+    const firstDay = this.getLocalDate(startMs, calendar.timeZone);
+
+    for (let offset = 0; offset < MAX_DAYS; offset++) {
+      for (const window of this.getWorkingWindows(
+        calendar,
+        this.shiftDate(firstDay, offset)
+      )) {
+        const from = Math.max(window.start, cursor);
+        if (from >= window.end) continue;
+
+        const available = window.end - from;
+        if (remaining <= available) {
+          return new Date(from + remaining);
+        }
+
+        remaining -= available;
+        cursor = window.end;
+      }
+    }
+
+    logger.warn(
+      `Business calendar "${calendar.name}" has no working time within ${MAX_DAYS} days; using wall-clock time`
+    );
+    return new Date(startMs + durationMs);
+  }
+
+  /**
+   * Working time (ms) between two instants using a compiled calendar
+   * @param {Date} start
+   * @param {Date} end
+   * @param {Object|null} calendar
+   */
+  static workingTimeBetween(start, end, calendar) {
+    const startMs = new Date(start).getTime();
+    const endMs = new Date(end).getTime();
+
+    if (!calendar) {
+      return endMs - startMs;
+    }
+    if (endMs < startMs) {
+      return -this.workingTimeBetween(end, start, calendar);
+    }
+
+    let total = 0;
+    const firstDay = this.getLocalDate(startMs, calendar.timeZone);
+    const days = Math.min(Math.ceil((endMs - startMs) / DAY_MS) + 1, MAX_DAYS);
+
+    for (let offset = 0; offset <= days; offset++) {
+      for (const window of this.getWorkingWindows(
+        calendar,
+        this.shiftDate(firstDay, offset)
+      )) {
+        if (window.start >= endMs) return total;
+
+        const from = Math.max(window.start, startMs);
+        const to = Math.min(window.end, endMs);
+        if (to > from) total += to - from;
+      }
+    }
+
+    return total;
+  }
+
+  /**
+   * Working windows (as UTC instants) for a local calendar date
+   * @param {Object} calendar - Compiled calendar
+   * @param {{year: number, month: number, day: number}} date
+   */
+  static getWorkingWindows(calendar, date) {
+    const isoDate = `${date.year}-${String(date.month).padStart(
+      2,
+      "0"
+    )}-${String(date.day).padStart(2, "0")}`;
+
+    if (
+      calendar.holidays.has(isoDate) ||
+      calendar.recurringHolidays.has(isoDate.slice(5))
+    ) {
+      return [];
+    }
+
+    const weekday = new Date(
+      Date.UTC(date.year, date.month - 1, date.day)
+    ).getUTCDay();
+
+    return calendar.windowsByDay[weekday].map((window) => ({
+      start: this.zonedTimeToUtc(date, window.start, calendar.timeZone),
+      end: this.zonedTimeToUtc(date, window.end, calendar.timeZone),
+    }));
+  }
+
+  /**
+   * Local calendar date of an instant in a time zone
+   * @param {number} instant - Epoch ms
+   * @param {string} timeZone
+   */
+  static getLocalDate(instant, timeZone) {
+    const parts = this.getZonedParts(instant, timeZone);
+    return { year: parts.year, month: parts.month, day: parts.day };
+  }
+
+  /**
+   * Add whole days to a local calendar date
+   */
+  static shiftDate(date, days) {
+    const shifted = new Date(
+      Date.UTC(date.year, date.month - 1, date.day + days)
+    );
+    return {
+      year: shifted.getUTCFullYear(),
+      month: shifted.getUTCMonth() + 1,
+      day: shifted.getUTCDate(),
+    };
+  }
+
+  /**
+   * Convert local wall-clock time in a time zone to a UTC instant
+   * @param {{year: number, month: number, day: number}} date
+   * @param {number} minutes - Minutes after local midnight (1440 = 24:00)
+   * @param {string} timeZone
+   * @returns {number} Epoch ms
+   */
+  static zonedTimeToUtc(date, minutes, timeZone) {
+    const asUtc = Date.UTC(date.year, date.month - 1, date.day, 0, minutes);
+
+    // Correct by the zone offset, re-checking once for DST transitions
+    const firstGuess = asUtc - this.getOffset(asUtc, timeZone);
+    const offset = this.getOffset(firstGuess, timeZone);
+    return asUtc - offset;
+  }
+
+  /**
+   * Offset (ms) of a time zone from UTC at an instant
+   */
+  static getOffset(instant, timeZone) {
+    const parts = this.getZonedParts(instant, timeZone);
+    const asUtc = Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second
+    );
+    return asUtc - Math.floor(instant / 1000) * 1000;
+  }
+
+  /**
+   * Wall-clock components of an instant in a time zone
+   */
+  static getZonedParts(instant, timeZone) {
+    const formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    });
+
+    return formatter.formatToParts(new Date(instant)).reduce((parts, part) => {
+      if (part.type !== "literal") {
+        parts[part.type] = Number(part.value);
+      }
+      return parts;
+    }, {});
+  }
+}
+
+module.exports = BusinessCalendarService;
@@ -0,0 +1,485 @@
+const Complaint = require("../models/Complaint");
+const User = require("../models/User");
+const Tag = require("../models/Tag");
+const emailService = require("./email/emailService");
+const WebSocketService = require("./websocket.service");
+const EscalationService = require("./escalation.service");
+const ComplaintLinkService = require("./complaintLink.service");
+const { AppError } = require("../middleware/error.middleware");
+const logger = require("../utils/logger");
+const {
+  HTTP_STATUS,
+  USER_ROLES,
+  COMPLAINT_STATUS,
+  BULK_ACTIONS,
+  RESPONSE_MESSAGES,
+} = require("../config/constants");
+
+const refId = (ref) => (ref && ref._id ? ref._id : ref);
+
+/**
+ * Complaint Bulk Service
+ * Applies one action to many complaints with the same checks as the
+ * single-complaint endpoints, reports the outcome for each complaint and
+ * sends every person one notification for the whole batch
+ */
+class ComplaintBulkService {
+  /**
+   * Check the action is allowed for the user and load what it needs once
+   * for the whole batch
+   * @param {string} action - BULK_ACTIONS value
+   * @param {Object} params - Action parameters from the request body
+   * @param {Object} user - The user performing the action (req.user)
+   * @returns {Promise<Object>} Context passed to the action handler
+   */
+  static async prepare(action, params, user) {
+    switch (action) {
+      case BULK_ACTIONS.ASSIGN: {
+        if (user.role !== USER_ROLES.ADMIN) {
+          throw new AppError(
+            "Only administrators can assign complaints",
+            HTTP_STATUS.FORBIDDEN
+          );
+        }
+
+        const staffMember = await User.findOne({
+          _id: params.assignedTo,
+          role: USER_ROLES.STAFF,
+          isActive: true,
+        });
+        if (!staffMember) {
+          throw new AppError(
+            "Staff member not found or inactive",
+            HTTP_STATUS.BAD_REQUEST
+          );
+        }
+        return { staffMember };
+      }
+
+      case BULK_ACTIONS.ESCALATE: {
+        if (user.role !== USER_ROLES.ADMIN) {
+          throw new AppError(
+            "Only administrators can manually escalate complaints",
+            HTTP_STATUS.FORBIDDEN
+          );
+        }
+        return { admin: await User.findById(user.id) };
+      }
+
+      case BULK_ACTIONS.TAG:
+        return {
+          names: [
+            ...new Set(params.tags.map((tag) => tag.trim().toLowerCase())),
+          ],
+          usableTags: new Map(), // Tag names usable per department
+        };
+
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Apply an action to a list of complaints
+   * @param {string} action - BULK_ACTIONS value
+   * @param {Array<string>} complaintIds
+   * @param {Object} params - Action parameters from the request body
+   * @param {Object} user - The user performing the action (req.user)
+   * @returns {Promise<Object>} Counts and the result for each complaint
+   */
+  static async run(action, complaintIds, params, user) {
+    const context = await this.prepare(action, params, user);
+
+    const complaints = await Complaint.find({ _id: { $in: complaintIds } })
+      .populate("category")
+      .populate("user", "name email role isActive");
+    const byId = new Map(
+      complaints.map((complaint) => [complaint._id.toString(), complaint])
+    );
+
+    const batches = new Map();
+    const notify = (recipient, complaint, detail, channels) =>
+      this.addToBatch(batches, recipient, complaint, detail, channels);
+
+    const results = [];
+    const updated = [];
+    for (const id of complaintIds) {
+      const complaint = byId.get(id.toString());
+      if (!complaint) {
+        results.push({
+          id,
+          success: false,
+          message: RESPONSE_MESSAGES.ERROR.COMPLAINT_NOT_FOUND,
+        });
+        continue;
+      }
+
+      try {
+        const message = await this.apply(
+          action,
+          complaint,
+          params,
+          user,
+          context,
+          notify
+        );
+        results.push({
+          id: complaint._id,
+          ticketId: complaint.ticketId,
+          success: true,
+          message,
+        });
+        updated.push(complaint);
+      } catch (error) {
+        // Checks fail with operational errors; anything else is a bug
+        if (!error.isOperational) {
+          logger.error(
+            `Bulk ${action} failed for complaint ${complaint._id}:`,
+            error
+          );
+        }
+        results.push({
+          id: complaint._id,
+          ticketId: complaint.ticketId,
+          success: false,
+          message: error.message,
+        });
+      }
+    }
+
+    await this.sendNotifications(batches, user);
+
+    if (updated.length > 0) {
+      try {
+        WebSocketService.notifyBulkSummary(action, updated, user);
+      } catch (socketError) {
+        logger.error(
+          `Failed to send WebSocket bulk ${action} summary:`,
+          socketError
+        );
+        // Don't fail the request if WebSocket fails
+      }
+    }
+
+    logger.info(
+      `Bulk ${action} by user ${user.email}: ${updated.length} of ${complaintIds.length} complaint(s) updated`
+    );
+
+    return {
+      action,
+      total: results.length,
+      succeeded: updated.length,
+      failed: results.length - updated.length,
+      results,
+    };
+  }
+
+  /**
+   * Apply an action to one complaint
+   * @returns {Promise<string>} What was changed
+   */
+  static async apply(action, complaint, params, user, context, notify) {
+    switch (action) {
+      case BULK_ACTIONS.ASSIGN:
+        return this.assign(complaint, user, context, notify);
+      case BULK_ACTIONS.STATUS:
+        return this.changeStatus(
+          complaint,
+          params.status,
+          params.remarks,
+          user,
+          notify
+        );
+      case BULK_ACTIONS.CLOSE:
+        return this.changeStatus(
+          complaint,
+          COMPLAINT_STATUS.CLOSED,
+          params.remarks,
+          user,
+          notify
+        );
+      case BULK_ACTIONS.PRIORITY:
+        return this.changePriority(complaint, params.priority);
+      case BULK_ACTIONS.TAG:
+        return this.tag(complaint, user, context);
+      case BULK_ACTIONS.ESCALATE:
+        return this.escalate(complaint, params.reason, context, notify);
+      default:
+        throw new AppError("Invalid bulk action", HTTP_STATUS.BAD_REQUEST);
+    }
+  }
+
+  /**
+   * Assign a complaint to the staff member loaded by prepare()
+   */
+  static async assign(complaint, user, { staffMember }, notify) {
+    if (staffMember.department !== complaint.category?.department) {
+      throw new AppError(
+        "Staff member must be from the same department as the complaint category",
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    try {
+      await complaint.assignTo(staffMember._id, user.id);
+    } catch (error) {
+      if (error.message.includes("Cannot assign")) {
+        throw new AppError(error.message, HTTP_STATUS.BAD_REQUEST);
+      }
+      throw error;
+    }
+
+    notify(staffMember, complaint, "Assigned to you", {
+      email: true,
+      socket: true,
+    });
+    notify(complaint.user, complaint, `Assigned to ${staffMember.name}`, {
+      socket: true,
+    });
+
+    return `Assigned to ${staffMember.name}`;
+  }
+
+  /**
+   * Change the status of a complaint through its workflow
+   */
+  static async changeStatus(complaint, status, remarks, user, notify) {
+    if (!(await complaint.canBeAccessedBy(user))) {
+      throw new AppError(
+        RESPONSE_MESSAGES.ERROR.FORBIDDEN,
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    if (complaint.mergedInto) {
+      throw new AppError(
+        RESPONSE_MESSAGES.ERROR.COMPLAINT_MERGED,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    const previousStatus = complaint.status;
+    const wasResolved = complaint.isInPhase(COMPLAINT_STATUS.RESOLVED);
+    try {
+      await complaint.updateStatus(status, user.id, remarks, user.role);
+    } catch (error) {
+      if (error.message.includes("Status is already")) {
+        throw new AppError(error.message, HTTP_STATUS.BAD_REQUEST);
+      }
+      throw error;
+    }
+
+    const detail = `Status changed from ${previousStatus} to ${complaint.status}`;
+    notify(complaint.user, complaint, detail, { email: true, socket: true });
+
+    if (complaint.followers.length > 0) {
+      const followers = await User.find({
+        _id: { $in: complaint.followers },
+        isActive: true,
+      }).select("name email role");
+      followers.forEach((follower) =>
+        notify(follower, complaint, detail, { email: true })
+      );
+    }
+
+    if (
+      complaint.assignedTo &&
+      refId(complaint.assignedTo).toString() !== user.id.toString()
+    ) {
+      notify(
+        { _id: refId(complaint.assignedTo), role: USER_ROLES.STAFF },
+        complaint,
+        detail,
+        { socket: true }
+      );
+    }
+
+    // Resolving a parent resolves the wider issue its children are part of
+    if (!wasResolved && complaint.isInPhase(COMPLAINT_STATUS.RESOLVED)) {
+      try {
+        await ComplaintLinkService.notifyChildrenOfResolution(complaint, user);
+      } catch (linkError) {
+        logger.error(
+          `Failed to notify child complaints of ${complaint._id}:`,
+          linkError
+        );
+        // Don't fail the item if notifications fail
+      }
+    }
+
+    return detail;
+  }
+
+  /**
+   * Change the priority of a complaint
+   */
+  static async changePriority(complaint, priority) {
+    if (complaint.priority === priority) {
+      throw new AppError(
+        `Priority is already ${priority}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    const previousPriority = complaint.priority;
+    await Complaint.updateOne(
+      { _id: complaint._id },
+      { priority },
+      { runValidators: true }
+    );
+    complaint.priority = priority;
+
+    return `Priority changed from ${previousPriority} to ${priority}`;
+  }
+
+  /**
+   * Add the tags loaded by prepare() to a complaint
+   */
+  static async tag(complaint, user, { names, usableTags }) {
+    if (!(await complaint.canBeAccessedBy(user))) {
+      throw new AppError(
+        RESPONSE_MESSAGES.ERROR.FORBIDDEN,
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    // Only active tags usable in the complaint's department can be applied
+    const department = complaint.category?.department;
+    if (!usableTags.has(department)) {
+      const usable = await Tag.findForDepartment(department).where({
+        name: { $in: names },
+      });
+      usableTags.set(department, new Set(usable.map((tag) => tag.name)));
+    }
+    const unknown = names.filter(
+      (name) => !usableTags.get(department).has(name)
+    );
+
+    if (unknown.length > 0) {
+      throw new AppError(
+        `Unknown or unavailable tags: ${unknown.join(", ")}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    await Complaint.updateOne(
+      { _id: complaint._id },
+      { $addToSet: { tags: { $each: names } } }
+    );
+
+    return `Tagged ${names.join(", ")}`;
+  }
+
+  /**
+   * Escalate a complaint to the next level of its escalation chain
+   */
+  static async escalate(complaint, reason, { admin }, notify) {
+    if (
+      complaint.isInPhase(COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED)
+    ) {
+      throw new AppError(
+        "Cannot escalate resolved or closed complaint",
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    const escalation = await EscalationService.escalateComplaint(complaint, {
+      escalatedBy: admin,
+      reason: reason || "Manual escalation by administrator",
+      notify: false,
+    });
+
+    if (!escalation) {
+      throw new AppError(
+        "Complaint is already at the highest escalation level",
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    const detail = `Escalated to L${escalation.level}${
+      escalation.levelName ? ` (${escalation.levelName})` : ""
+    }`;
+    escalation.recipients.forEach((recipient) =>
+      notify(recipient, complaint, `${detail}: ${escalation.reason}`, {
+        email: true,
+        socket: true,
+      })
+    );
+
+    // Complainants hear about the first escalation only
+    if (escalation.level === 1) {
+      notify(complaint.user, complaint, "Escalated for priority handling", {
+        socket: true,
+      });
+    }
+
+    return detail;
+  }
+
+  /**
+   * Collect a change for a recipient, so each recipient is notified once
+   * @param {Map} batches - Batches by recipient ID
+   * @param {Object} recipient - User (or { _id, role } for socket only)
+   * @param {Object} complaint
+   * @param {string} detail - What changed on the complaint
+   * @param {Object} channels - { email, socket }
+   */
+  static addToBatch(batches, recipient, complaint, detail, channels) {
+    if (!recipient || recipient.isActive === false) return;
+
+    const key = refId(recipient).toString();
+    if (!batches.has(key)) {
+      batches.set(key, {
+        recipient,
+        items: [],
+        email: false,
+        socket: false,
+      });
+    }
+
+    const batch = batches.get(key);
+    // A recipient seen without contact details may be seen again with them
+    if (!batch.recipient.email && recipient.email) batch.recipient = recipient;
+    batch.items.push({ complaint, detail });
+    batch.email = batch.email || Boolean(channels.email);
+    batch.socket = batch.socket || Boolean(channels.socket);
+  }
+
+  /**
+   * Send each recipient one email and/or real-time notification listing
+   * the complaints that changed for them
+   * @param {Map} batches - Batches by recipient ID
+   * @param {Object} updatedBy - The user who performed the action (req.user)
+   */
+  static async sendNotifications(batches, updatedBy) {
+    for (const { recipient, items, email, socket } of batches.values()) {
+      if (email && recipient.email) {
+        try {
+          await emailService.sendBulkUpdate(recipient, items, updatedBy);
+        } catch (emailError) {
+          logger.error(
+            `Failed to send bulk update email to ${recipient.email}:`,
+            emailError
+          );
+          // Don't fail the request if email fails
+        }
+      }
+
+      if (socket) {
+        try {
+          WebSocketService.notifyBulkUpdate(recipient, items, updatedBy);
+        } catch (socketError) {
+          logger.error(
+            `Failed to send WebSocket bulk update notification to ${refId(
+              recipient
+            )}:`,
+            socketError
+          );
+          // Don't fail the request if WebSocket fails
+        }
+      }
+    }
+  }
+}
+
+module.exports = ComplaintBulkService;
@@ -0,0 +1,726 @@
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const { once } = require("events");
+const { finished } = require("stream/promises");
+const ExcelJS = require("exceljs");
+const Complaint = require("../models/Complaint");
+const Category = require("../models/Category");
+const Comment = require("../models/Comment");
+const ExportJob = require("../models/ExportJob");
+const ComplaintQueryService = require("./complaintQuery.service");
+const CustomFieldService = require("./customField.service");
+const StorageService = require("./storage/storageService");
+const WebSocketService = require("./websocket.service");
+const { AppError } = require("../middleware/error.middleware");
+const logger = require("../utils/logger");
+const {
+  HTTP_STATUS,
+  EXPORT_FORMATS,
+  EXPORT_JOB_STATUS,
+  EXPORT_CONFIG,
+  CUSTOM_FIELD_TYPES,
+  CUSTOM_FIELD_CONFIG,
+  COMMENT_VISIBILITY,
+} = require("../config/constants");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Longest text an XLSX cell can hold
+const XLSX_MAX_CELL_LENGTH = 32767;
+
+const CONTENT_TYPES = {
+  [EXPORT_FORMATS.CSV]: "text/csv; charset=utf-8",
+  [EXPORT_FORMATS.XLSX]:
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  [EXPORT_FORMATS.NDJSON]: "application/x-ndjson",
+};
+
+// Parameters of an export request that are not list filters
+const EXPORT_PARAMS = ["format", "columns", "page", "limit"];
+
+const formatTimestamp = (date) => (date ? new Date(date).toISOString() : "");
+
+// Comments of a complaint with one visibility, as loaded by attachComments
+const toNoteEntries = (complaint, visibility) =>
+  (complaint.comments?.[visibility] || []).map((comment) => ({
+    note: comment.body,
+    addedBy: comment.author?.name ?? null,
+    addedAt: comment.createdAt,
+  }));
+
+const formatNotes = (notes) =>
+  notes
+    .map(
+      (note) =>
+        `${formatTimestamp(note.addedAt)}${
+          note.addedBy ? ` ${note.addedBy}` : ""
+        }: ${note.note}`
+    )
+    .join("\n");
+
+/**
+ * Exportable complaint columns. value() returns the typed value written to
+ * XLSX and NDJSON; format() turns lists into text for CSV and XLSX. Columns
+ * with default: false are only exported when asked for; columns with
+ * comments: <visibility> need the complaints' comments of that visibility.
+ */
+const COLUMNS = [
+  {
+    key: "ticketId",
+    header: "Ticket ID",
+    value: (complaint) =>
+      complaint.ticketId || complaint._id.toString().slice(-8).toUpperCase(),
+  },
+  { key: "title", header: "Title", value: (complaint) => complaint.title },
+  {
+    key: "description",
+    header: "Description",
+    value: (complaint) => complaint.description,
+  },
+  {
+    key: "category",
+    header: "Category",
+    value: (complaint) => complaint.category?.name ?? null,
+  },
+  {
+    key: "department",
+    header: "Department",
+    default: false,
+    value: (complaint) => complaint.category?.department ?? null,
+  },
+  { key: "status", header: "Status", value: (complaint) => complaint.status },
+  {
+    key: "priority",
+    header: "Priority",
+    value: (complaint) => complaint.priority,
+  },
+  {
+    key: "userName",
+    header: "User Name",
+    value: (complaint) => complaint.user?.name ?? null,
+  },
+  {
+    key: "userEmail",
+    header: "User Email",
+    value: (complaint) => complaint.user?.email ?? null,
+  },
+  {
+    key: "assignedTo",
+    header: "Assigned To",
+    value: (complaint) => complaint.assignedTo?.name ?? null,
+  },
+  {
+    key: "assignedToEmail",
+    header: "Assigned To Email",
+    default: false,
+    value: (complaint) => complaint.assignedTo?.email ?? null,
+  },
+  {
+    key: "tags",
+    header: "Tags",
+    default: false,
+    value: (complaint) => complaint.tags || [],
+    format: (tags) => tags.join(", "),
+  },
+  {
+    key: "createdAt",
+    header: "Created At",
+    type: "date",
+    value: (complaint) => complaint.createdAt,
+  },
+  {
+    key: "updatedAt",
+    header: "Updated At",
+    type: "date",
+    value: (complaint) => complaint.updatedAt,
+  },
+  {
+    key: "deadline",
+    header: "Deadline",
+    type: "date",
+    default: false,
+    value: (complaint) => complaint.deadline ?? null,
+  },
+  {
+    key: "resolvedAt",
+    header: "Resolved At",
+    type: "date",
+    default: false,
+    value: (complaint) => complaint.resolvedAt ?? null,
+  },
+  {
+    key: "resolutionTimeHours",
+    header: "Resolution Time (Hours)",
+    type: "number",
+    value: (complaint) =>
+      complaint.resolvedAt
+        ? Math.round(
+            (new Date(complaint.resolvedAt) - new Date(complaint.createdAt)) /
+              HOUR_MS
+          )
+        : null,
+  },
+  {
+    key: "isEscalated",
+    header: "Is Escalated",
+    type: "boolean",
+    value: (complaint) => Boolean(complaint.escalation?.isEscalated),
+  },
+  {
+    key: "hasAttachments",
+    header: "Has Attachments",
+    type: "boolean",
+    value: (complaint) => (complaint.attachments || []).length > 0,
+  },
+  {
+    key: "statusHistory",
+    header: "Status History",
+    default: false,
+    populate: { path: "statusHistory.updatedBy", select: "name" },
+    value: (complaint) =>
+      (complaint.statusHistory || []).map((entry) => ({
+        status: entry.status,
+        timestamp: entry.timestamp,
+        updatedBy: entry.updatedBy?.name ?? null,
+        remarks: entry.remarks || null,
+      })),
+    format: (entries) =>
+      entries
+        .map(
+          (entry) =>
+            `${formatTimestamp(entry.timestamp)} ${entry.status}${
+              entry.updatedBy ? ` by ${entry.updatedBy}` : ""
+            }${entry.remarks ? `: ${entry.remarks}` : ""}`
+        )
+        .join("\n"),
+  },
+  {
+    key: "comments",
+    header: "Comments",
+    default: false,
+    comments: COMMENT_VISIBILITY.PUBLIC,
+    value: (complaint) => toNoteEntries(complaint, COMMENT_VISIBILITY.PUBLIC),
+    format: formatNotes,
+  },
+  {
+    key: "internalNotes",
+    header: "Internal Notes",
+    default: false,
+    comments: COMMENT_VISIBILITY.INTERNAL,
+    populate: { path: "internalNotes.addedBy", select: "name" },
+    // Notes from before the Comment model come first
+    value: (complaint) => [
+      ...(complaint.internalNotes || []).map((note) => ({
+        note: note.note,
+        addedBy: note.addedBy?.name ?? null,
+        addedAt: note.addedAt,
+      })),
+      ...toNoteEntries(complaint, COMMENT_VISIBILITY.INTERNAL),
+    ],
+    format: formatNotes,
+  },
+];
+
+/**
+ * RFC 4180 field: quoted when it contains a comma, quote or line break
+ */
+const toCsvField = (text) =>
+  /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+
+/**
+ * Write to a stream, waiting while its buffer is full. Fails once the stream
+ * is closed, e.g. when the client of a download disconnects.
+ */
+const writeChunk = async (output, chunk) => {
+  if (output.destroyed) {
+    throw new Error("Export stream closed before the export finished");
+  }
+  if (!output.write(chunk)) {
+    await Promise.race([once(output, "drain"), once(output, "close")]);
+  }
+};
+
+/**
+ * Complaint Export Service
+ * Streams complaint exports (CSV, XLSX, NDJSON) from a database cursor, so
+ * large exports never sit in memory, and runs exports above
+ * EXPORT_CONFIG.ASYNC_THRESHOLD complaints as background jobs whose files are
+ * kept in storage for download.
+ */
+class ComplaintExportService {
+  /**
+   * Columns that can be exported, with the custom fields of every category
+   * @returns {Promise<Array<{ key: string, header: string, default: boolean }>>}
+   */
+  static async getAvailableColumns() {
+    const customColumns = await this.getCustomFieldColumns({});
+    return [...COLUMNS, ...customColumns].map((column) => ({
+      key: column.key,
+      header: column.header,
+      default: column.default !== false,
+    }));
+  }
+
+  /**
+   * Columns of an export
+   * @param {string} [requested] - Comma-separated column keys; "customFields"
+   *   stands for the custom fields of the exported complaints' categories.
+   *   Defaults to the default columns plus those custom fields.
+   * @param {Object} filter - Complaint filter of the export
+   * @returns {Promise<Object[]>}
+   * @throws {AppError} 400 for unknown columns
+   */
+  static async resolveColumns(requested, filter) {
+    const keys = requested
+      ? [
+          ...new Set(
+            String(requested)
+              .split(",")
+              .map((key) => key.trim())
+              .filter(Boolean)
+          ),
+        ]
+      : null;
+
+    // Custom fields of the categories the exported complaints are in
+    const exportedFields =
+      !keys || keys.includes("customFields")
+        ? await this.getCustomFieldColumns({
+            _id: { $in: await this.getExportedCategoryIds(filter) },
+          })
+        : [];
+
+    if (!keys) {
+      return [
+        ...COLUMNS.filter((column) => column.default !== false),
+        ...exportedFields,
+      ];
+    }
+
+    // Custom fields asked for by key, from any category
+    const namedFields = keys.some((key) =>
+      key.startsWith(CUSTOM_FIELD_CONFIG.FILTER_PREFIX)
+    )
+      ? await this.getCustomFieldColumns({})
+      : [];
+
+    const columns = keys.flatMap((key) => {
+      if (key === "customFields") return exportedFields;
+      const column =
+        COLUMNS.find((item) => item.key === key) ||
+        namedFields.find((item) => item.key === key);
+      if (!column) {
+        throw new AppError(
+          `Unknown export column: ${key}`,
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+      return [column];
+    });
+
+    return columns.filter(
+      (column, index) =>
+        columns.findIndex((item) => item.key === column.key) === index
+    );
+  }
+
+  /**
+   * IDs of the categories of the complaints matching a filter
+   * @returns {Promise<ObjectId[]>}
+   */
+  static async getExportedCategoryIds(filter) {
+    const groups = await Complaint.aggregate([
+      { $match: filter },
+      { $group: { _id: "$category" } },
+    ]);
+    return groups.map((group) => group._id);
+  }
+
+  /**
+   * One column per custom field of the matching categories
+   * @param {Object} query - Category query
+   * @returns {Promise<Object[]>}
+   */
+  static async getCustomFieldColumns(query) {
+    const categories = await Category.find({
+      ...query,
+      "customFields.0": { $exists: true },
+    })
+      .select("customFields")
+      .sort({ name: 1 })
+      .lean();
+
+    const columns = [];
+    categories.forEach((category) =>
+      category.customFields.forEach((field) => {
+        const key = `${CUSTOM_FIELD_CONFIG.FILTER_PREFIX}${field.key}`;
+        if (columns.some((column) => column.key === key)) return;
+
+        columns.push({
+          key,
+          header: field.label,
+          type:
+            field.type === CUSTOM_FIELD_TYPES.NUMBER
+              ? "number"
+              : field.type === CUSTOM_FIELD_TYPES.DATE
+              ? "day"
+              : undefined,
+          value: (complaint) => complaint.customFields?.[field.key] ?? null,
+        });
+      })
+    );
+    return columns;
+  }
+
+  /**
+   * Database cursor over the complaints of an export, with their comments
+   * when a column needs them
+   * @returns {AsyncIterable<Object>}
+   */
+  static openCursor(filter, sort, columns) {
+    let query = Complaint.find(filter)
+      .populate("user", "name email")
+      .populate("category", "name department")
+      .populate("assignedTo", "name email")
+      .sort(sort);
+
+    columns
+      .filter((column) => column.populate)
+      .forEach((column) => {
+        query = query.populate(column.populate);
+      });
+
+    const visibilities = [
+      ...new Set(
+        columns.filter((column) => column.comments).map((c) => c.comments)
+      ),
+    ];
+    const cursor = query.lean().cursor();
+
+    return visibilities.length > 0
+      ? this.attachComments(cursor, visibilities)
+      : cursor;
+  }
+
+  /**
+   * Add the live comments of the given visibilities to the complaints of a
+   * cursor, as complaint.comments[visibility] in posting order. Comments are
+   * loaded for EXPORT_CONFIG.COMMENT_BATCH_SIZE complaints at a time.
+   * @param {QueryCursor} cursor
+   * @param {string[]} visibilities
+   */
+  static async *attachComments(cursor, visibilities) {
+    let batch = [];
+
+    const loadBatch = async () => {
+      const comments = await Comment.find({
+        complaint: { $in: batch.map((complaint) => complaint._id) },
+        visibility: { $in: visibilities },
+        deletedAt: null,
+      })
+        .select("complaint visibility body author createdAt")
+        .populate("author", "name")
+        .sort({ createdAt: 1 })
+        .lean();
+
+      const byComplaint = new Map(
+        batch.map((complaint) => [complaint._id.toString(), complaint])
+      );
+      batch.forEach((complaint) => {
+        complaint.comments = Object.fromEntries(
+          visibilities.map((visibility) => [visibility, []])
+        );
+      });
+      comments.forEach((comment) => {
+        byComplaint
+          .get(comment.complaint.toString())
+          ?.comments[comment.visibility].push(comment);
+      });
+
+      const loaded = batch;
+      batch = [];
+      return loaded;
+    };
+
+    for await (const complaint of cursor) {
+      batch.push(complaint);
+      if (batch.length >= EXPORT_CONFIG.COMMENT_BATCH_SIZE) {
+        yield* await loadBatch();
+      }
+    }
+    if (batch.length > 0) {
+      yield* await loadBatch();
+    }
+  }
+
+  /**
+   * Text of a value for CSV
+   */
+  static formatText(column, value) {
+    if (value === null || value === undefined) return "";
+    if (column.format) return column.format(value);
+    if (column.type === "boolean") return value ? "Yes" : "No";
+    if (column.type === "day") return CustomFieldService.formatValue(value);
+    if (value instanceof Date) return value.toISOString();
+    return String(value);
+  }
+
+  /**
+   * Write the complaints of a cursor to a stream, and end the stream
+   * @param {AsyncIterable<Object>} cursor - From openCursor
+   * @param {Object[]} columns - From resolveColumns
+   * @param {string} format - csv | xlsx | ndjson
+   * @param {stream.Writable} output - Response or file stream
+   * @returns {Promise<number>} Number of complaints written
+   */
+  static async write(cursor, columns, format, output) {
+    if (format === EXPORT_FORMATS.XLSX) {
+      return this.writeXlsx(cursor, columns, output);
+    }
+
+    let rowCount = 0;
+
+    if (format === EXPORT_FORMATS.CSV) {
+      await writeChunk(
+        output,
+        `${columns.map((column) => toCsvField(column.header)).join(",")}\r\n`
+      );
+    }
+
+    for await (const complaint of cursor) {
+      let line;
+      if (format === EXPORT_FORMATS.NDJSON) {
+        const record = {};
+        columns.forEach((column) => {
+          record[column.key] = column.value(complaint);
+        });
+        line = `${JSON.stringify(record)}\n`;
+      } else {
+        line = `${columns
+          .map((column) =>
+            toCsvField(this.formatText(column, column.value(complaint)))
+          )
+          .join(",")}\r\n`;
+      }
+
+      await writeChunk(output, line);
+      rowCount++;
+    }
+
+    output.end();
+    return rowCount;
+  }
+
+  /**
+   * Write an XLSX workbook with typed cells
+   * @returns {Promise<number>} Number of complaints written
+   */
+  static async writeXlsx(cursor, columns, output) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: output,
+      useStyles: true,
+    });
+    const worksheet = workbook.addWorksheet("Complaints", {
+      views: [{ state: "frozen", ySplit: 1 }],
+    });
+
+    worksheet.columns = columns.map((column) => ({
+      header: column.header,
+      key: column.key,
+      width: column.type === "date" ? 20 : Math.max(12, column.header.length),
+      style:
+        column.type === "date"
+          ? { numFmt: "yyyy-mm-dd hh:mm:ss" }
+          : column.type === "day"
+          ? { numFmt: "yyyy-mm-dd" }
+          : {},
+    }));
+    worksheet.getRow(1).font = { bold: true };
+
+    let rowCount = 0;
+    for await (const complaint of cursor) {
+      const row = {};
+      columns.forEach((column) => {
+        const value = column.value(complaint);
+        if (value === null || value === undefined) return;
+
+        if (column.type === "date" || column.type === "day") {
+          row[column.key] = new Date(value);
+        } else if (column.type === "number" || column.type === "boolean") {
+          row[column.key] = value;
+        } else {
+          row[column.key] = this.formatText(column, value).slice(
+            0,
+            XLSX_MAX_CELL_LENGTH
+          );
+        }
+      });
+      worksheet.addRow(row).commit();
+      rowCount++;
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+    return rowCount;
+  }
+
+  /**
+   * File name of an export
+   * @param {string} format
+   */
+  static getFilename(format) {
+    return `complaints-export-${
+      new Date().toISOString().split("T")[0]
+    }.${format}`;
+  }
+
+  /**
+   * Content type of an export
+   * @param {string} format
+   */
+  static getContentType(format) {
+    return CONTENT_TYPES[format];
+  }
+
+  /**
+   * List filters of an export request, without the export parameters
+   * @param {Object} query - req.query
+   */
+  static getFilters(query) {
+    const filters = { ...query };
+    EXPORT_PARAMS.forEach((param) => delete filters[param]);
+    return filters;
+  }
+
+  /**
+   * Create a background export job and start it
+   * @param {Object} options - { format, columns, filters, total }
+   * @param {Object} currentUser - req.user; the export sees what they see
+   * @returns {Promise<Object>} The job
+   */
+  static async startJob({ format, columns, filters, total }, currentUser) {
+    const job = await ExportJob.create({
+      user: currentUser.id,
+      format,
+      columns: columns
+        ? String(columns)
+            .split(",")
+            .map((key) => key.trim())
+            .filter(Boolean)
+        : [],
+      filters,
+      total,
+      expiresAt: new Date(Date.now() + EXPORT_CONFIG.RETENTION_HOURS * HOUR_MS),
+    });
+
+    // Not awaited: the request returns while the export runs
+    setImmediate(() => this.runJob(job, currentUser));
+
+    logger.info(
+      `Export job ${job._id} started for ${total} complaints by user: ${currentUser.email}`
+    );
+    return job;
+  }
+
+  /**
+   * Generate the file of a background export and store it
+   * @param {Object} job - ExportJob document
+   * @param {Object} currentUser - req.user of the requester
+   */
+  static async runJob(job, currentUser) {
+    const tempPath = path.join(
+      os.tmpdir(),
+      `complaint-export-${job._id}.${job.format}`
+    );
+
+    try {
+      job.status = EXPORT_JOB_STATUS.PROCESSING;
+      job.startedAt = new Date();
+      await job.save();
+
+      const { sortBy, sortOrder = "desc", search } = job.filters;
+      const filter = await ComplaintQueryService.buildFilter(
+        job.filters,
+        currentUser
+      );
+      const sort = ComplaintQueryService.buildSort(
+        sortBy || (search ? "relevance" : "createdAt"),
+        sortOrder,
+        Boolean(filter.$text)
+      );
+      const columns = await this.resolveColumns(job.columns.join(","), filter);
+
+      const output = fs.createWriteStream(tempPath);
+      const rowCount = await this.write(
+        this.openCursor(filter, sort, columns),
+        columns,
+        job.format,
+        output
+      );
+      await finished(output);
+
+      const filename = this.getFilename(job.format);
+      const contentType = this.getContentType(job.format);
+      const size = await StorageService.saveExport(
+        job._id.toString(),
+        filename,
+        tempPath,
+        contentType
+      );
+
+      job.status = EXPORT_JOB_STATUS.COMPLETED;
+      job.rowCount = rowCount;
+      job.file = { filename, contentType, size };
+      job.completedAt = new Date();
+      await job.save();
+
+      logger.info(`Export job ${job._id} completed: ${rowCount} complaints`);
+    } catch (error) {
+      logger.error(`Export job ${job._id} failed:`, error);
+      job.status = EXPORT_JOB_STATUS.FAILED;
+      job.error =
+        error instanceof AppError
+          ? error.message
+          : "Failed to export complaints";
+      job.completedAt = new Date();
+      await job
+        .save()
+        .catch((saveError) =>
+          logger.error(`Could not save export job ${job._id}:`, saveError)
+        );
+    } finally {
+      await fs.remove(tempPath).catch(() => {});
+    }
+
+    try {
+      WebSocketService.notifyExportFinished(currentUser, job);
+    } catch (error) {
+      logger.error(`Export job ${job._id} notification failed:`, error);
+    }
+  }
+
+  /**
+   * Delete expired export jobs and their files
+   * @returns {Promise<number>} Number of jobs removed
+   */
+  static async removeExpiredJobs() {
+    const jobs = await ExportJob.find({ expiresAt: { $lt: new Date() } });
+
+    for (const job of jobs) {
+      if (job.file?.filename) {
+        await StorageService.deleteExport(
+          job._id.toString(),
+          job.file.filename
+        ).catch((error) =>
+          logger.error(`Could not delete export file of job ${job._id}:`, error)
+        );
+      }
+      await job.deleteOne();
+    }
+
+    return jobs.length;
+  }
+}
+
+module.exports = ComplaintExportService;
@@ -0,0 +1,532 @@
+const path = require("path");
+const { Readable } = require("stream");
+const ExcelJS = require("exceljs");
+const { validationResult } = require("express-validator");
+const Complaint = require("../models/Complaint");
+const Category = require("../models/Category");
+const User = require("../models/User");
+const Tag = require("../models/Tag");
+const WorkflowService = require("./workflow.service");
+const { AppError } = require("../middleware/error.middleware");
+const {
+  complaintCreationRules,
+} = require("../middleware/validation.middleware");
+const logger = require("../utils/logger");
+const {
+  HTTP_STATUS,
+  USER_ROLES,
+  COMPLAINT_STATUS,
+  TICKET_CONFIG,
+  IMPORT_CONFIG,
+  CUSTOM_FIELD_CONFIG,
+} = require("../config/constants");
+
+/**
+ * Complaint fields columns can be mapped to. Without a mapping, columns are
+ * matched by one of the headers (ignoring case, spaces and punctuation), so
+ * files from the complaint export import as they are.
+ * Custom fields are read from "cf.<key>" columns.
+ */
+const FIELDS = [
+  { key: "ticketId", headers: ["Ticket ID"] },
+  { key: "title", headers: ["Title", "Subject"], required: true },
+  { key: "description", headers: ["Description"], required: true },
+  { key: "category", headers: ["Category"], required: true }, // By name
+  { key: "priority", headers: ["Priority"] },
+  { key: "location", headers: ["Location"] },
+  { key: "status", headers: ["Status"] },
+  {
+    key: "user",
+    headers: ["User Email", "Email", "Complainant Email"],
+    required: true,
+  }, // By email
+  { key: "assignedTo", headers: ["Assigned To Email"] }, // By email
+  { key: "tags", headers: ["Tags"] },
+  { key: "createdAt", headers: ["Created At", "Submitted At"] },
+  { key: "resolvedAt", headers: ["Resolved At"] },
+  { key: "deadline", headers: ["Deadline"] },
+];
+
+const RESOLVED_PHASES = [COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED];
+
+const normalizeHeader = (header) =>
+  String(header)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+const isCustomFieldColumn = (name) =>
+  String(name).toLowerCase().startsWith(CUSTOM_FIELD_CONFIG.FILTER_PREFIX);
+
+// Plain value of an XLSX cell (formulas, links and rich text are read as
+// their text or result)
+const cellValue = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date || typeof value !== "object") return value;
+  if (value.richText) return value.richText.map((part) => part.text).join("");
+  if (value.result !== undefined) return cellValue(value.result);
+  if (value.text !== undefined) return cellValue(value.text);
+  return "";
+};
+
+const isBlank = (value) => value === "" || String(value).trim() === "";
+
+const toText = (value) =>
+  value instanceof Date ? value.toISOString() : String(value).trim();
+
+/**
+ * Complaint Import Service
+ * Loads complaints from CSV/XLSX files, e.g. when migrating from paper logs
+ * or another helpdesk. Rows are checked with the same rules as complaints
+ * submitted through the API; rows with a creation date are imported as
+ * historical complaints, which keep their original dates and deadline.
+ */
+class ComplaintImportService {
+  /**
+   * Fields columns can be mapped to, with the headers matched by default
+   */
+  static getFields() {
+    return FIELDS.map(({ key, headers, required }) => ({
+      key,
+      headers,
+      required: !!required,
+    }));
+  }
+
+  /**
+   * Import complaints from an uploaded file
+   * @param {Object} file - Uploaded file (multer, in memory)
+   * @param {Object} options
+   * @param {Object} [options.mapping] - Field (or cf.<key>) -> column header
+   * @param {boolean} [options.dryRun] - Only check the rows
+   * @param {Object} user - The admin importing (req.user)
+   * @returns {Promise<Object>} Report: row counts and the errors of each
+   *   rejected row (by spreadsheet row number)
+   */
+  static async importFile(file, { mapping = {}, dryRun = false }, user) {
+    const { headers, rows } = await this.readRows(file);
+    const columns = this.resolveColumns(headers, mapping);
+    const lookups = await this.loadLookups(rows, columns);
+
+    const errors = [];
+    const imported = [];
+    let valid = 0;
+
+    for (const row of rows) {
+      const {
+        data,
+        historical,
+        errors: rowErrors,
+      } = await this.buildRow(row.values, columns, lookups);
+
+      if (rowErrors.length > 0) {
+        errors.push({ row: row.number, errors: rowErrors });
+        continue;
+      }
+
+      valid += 1;
+      if (dryRun) continue;
+
+      try {
+        const complaint = new Complaint(data);
+        complaint.$locals.historical = historical;
+        await complaint.save({ timestamps: !historical });
+        imported.push({
+          row: row.number,
+          id: complaint._id,
+          ticketId: complaint.ticketId,
+        });
+      } catch (error) {
+        logger.error(
+          `Failed to import complaint from row ${row.number}:`,
+          error
+        );
+        errors.push({ row: row.number, errors: [error.message] });
+      }
+    }
+
+    if (!dryRun) {
+      logger.info(
+        `${imported.length} of ${rows.length} complaint(s) imported from ${file.originalname} by admin: ${user.email}`
+      );
+    }
+
+    return {
+      dryRun,
+      total: rows.length,
+      valid,
+      imported: imported.length,
+      failed: errors.length,
+      errors,
+      complaints: imported,
+    };
+  }
+
+  /**
+   * Read the rows of a CSV or XLSX file. The first row holds the headers;
+   * blank rows are skipped.
+   * @returns {Promise<{ headers: string[], rows: Object[] }>} Rows as
+   *   { number, values } with values by header
+   */
+  static async readRows(file) {
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+
+    try {
+      if (path.extname(file.originalname).toLowerCase() === ".xlsx") {
+        await workbook.xlsx.load(file.buffer);
+        worksheet = workbook.worksheets[0];
+      } else {
+        // Keep CSV values as text; fields are converted when mapped
+        worksheet = await workbook.csv.read(Readable.from(file.buffer), {
+          map: (value) => value,
+        });
+      }
+    } catch (error) {
+      throw new AppError(
+        `Could not read the file: ${error.message}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    if (!worksheet || worksheet.rowCount < 2) {
+      throw new AppError(
+        "The file has no complaints to import",
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    const headers = [];
+    worksheet.getRow(1).eachCell((cell, column) => {
+      headers[column] = toText(cellValue(cell.value)).replace(/^\uFEFF/, "");
+    });
+
+    const rows = [];
+    worksheet.eachRow((row, number) => {
+      if (number === 1) return;
+
+      const values = {};
+      row.eachCell((cell, column) => {
+        if (headers[column]) values[headers[column]] = cellValue(cell.value);
+      });
+      if (Object.values(values).every(isBlank)) return;
+
+      rows.push({ number, values });
+    });
+
+    if (rows.length > IMPORT_CONFIG.MAX_ROWS) {
+      throw new AppError(
+        `Files can hold at most ${IMPORT_CONFIG.MAX_ROWS} complaints; please split the file`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    return { headers: headers.filter(Boolean), rows };
+  }
+
+  /**
+   * Match the file's columns to complaint fields
+   * @param {string[]} headers - Column headers of the file
+   * @param {Object} mapping - Field (or cf.<key>) -> column header; fields
+   *   not mapped are matched by header
+   * @returns {{ fields: Object, customFields: Object }} Column header of each
+   *   field, and of each custom field by key
+   * @throws {AppError} 400 for unknown fields or headers, and when a
+   *   required field has no column
+   */
+  static resolveColumns(headers, mapping) {
+    const byNormalized = new Map(
+      headers.map((header) => [normalizeHeader(header), header])
+    );
+    const findHeader = (name) => byNormalized.get(normalizeHeader(name));
+
+    const fields = {};
+    const customFields = {};
+
+    Object.entries(mapping).forEach(([field, header]) => {
+      const column = findHeader(header);
+      if (!column) {
+        throw new AppError(
+          `Column "${header}" mapped to ${field} is not in the file`,
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+
+      if (isCustomFieldColumn(field)) {
+        customFields[field.slice(CUSTOM_FIELD_CONFIG.FILTER_PREFIX.length)] =
+          column;
+      } else if (FIELDS.some(({ key }) => key === field)) {
+        fields[field] = column;
+      } else {
+        throw new AppError(
+          `Unknown import field: ${field}`,
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+    });
+
+    FIELDS.forEach(({ key, headers: aliases }) => {
+      if (fields[key]) return;
+      const column = aliases.map(findHeader).find(Boolean);
+      if (column) fields[key] = column;
+    });
+
+    headers.filter(isCustomFieldColumn).forEach((header) => {
+      const key = header.slice(CUSTOM_FIELD_CONFIG.FILTER_PREFIX.length);
+      if (!customFields[key]) customFields[key] = header;
+    });
+
+    const missing = FIELDS.filter(
+      ({ key, required }) => required && !fields[key]
+    ).map(({ key }) => key);
+    if (missing.length > 0) {
+      throw new AppError(
+        `No column found for: ${missing.join(
+          ", "
+        )}. Map them to columns of the file.`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    return { fields, customFields };
+  }
+
+  /**
+   * Load the categories, users, tags and existing ticket IDs the rows refer
+   * to, once for the whole file
+   */
+  static async loadLookups(rows, { fields }) {
+    const columnValues = (field) =>
+      fields[field]
+        ? rows
+            .map((row) => row.values[fields[field]])
+            .filter((value) => !isBlank(value ?? ""))
+            .map((value) => toText(value))
+        : [];
+
+    // Inactive categories too: old complaints may belong to retired ones
+    const categories = await Category.find().select(
+      "name department workflow isActive"
+    );
+
+    const emails = [...columnValues("user"), ...columnValues("assignedTo")].map(
+      (email) => email.toLowerCase()
+    );
+    const users = await User.find({ email: { $in: [...new Set(emails)] } })
+      .select("email role")
+      .lean();
+
+    const ticketIds = columnValues("ticketId").map((id) => id.toUpperCase());
+    const existing = await Complaint.find({ ticketId: { $in: ticketIds } })
+      .select("ticketId")
+      .lean();
+
+    return {
+      categories: new Map(
+        categories.map((category) => [category.name.toLowerCase(), category])
+      ),
+      users: new Map(users.map((user) => [user.email, user])),
+      ticketIds: new Set(existing.map((complaint) => complaint.ticketId)),
+      // Filled per department as rows need them
+      tags: new Map(),
+    };
+  }
+
+  /**
+   * Turn a row into complaint data and check it
+   * @returns {Promise<{ data: Object, historical: boolean, errors: string[] }>}
+   */
+  static async buildRow(values, { fields, customFields }, lookups) {
+    const errors = [];
+    const get = (field) => {
+      const value = fields[field] ? values[fields[field]] : undefined;
+      return value === undefined || isBlank(value) ? undefined : value;
+    };
+    const getText = (field) => {
+      const value = get(field);
+      return value === undefined ? undefined : toText(value);
+    };
+    const getDate = (field, label) => {
+      const value = get(field);
+      if (value === undefined) return undefined;
+      const date = value instanceof Date ? value : new Date(toText(value));
+      if (Number.isNaN(date.getTime())) {
+        errors.push(`${label} is not a valid date: ${value}`);
+        return undefined;
+      }
+      return date;
+    };
+
+    // Category by name
+    const categoryName = getText("category");
+    const category = categoryName
+      ? lookups.categories.get(categoryName.toLowerCase())
+      : null;
+    if (categoryName && !category) {
+      errors.push(`Unknown category: ${categoryName}`);
+    }
+
+    // Same rules as complaints submitted through the API
+    const customFieldValues = {};
+    Object.entries(customFields).forEach(([key, header]) => {
+      if (!isBlank(values[header] ?? "")) {
+        customFieldValues[key] = values[header];
+      }
+    });
+    const req = {
+      body: {
+        title: getText("title"),
+        description: getText("description"),
+        category: category?._id.toString(),
+        priority: getText("priority")?.toLowerCase(),
+        location: getText("location"),
+        customFields: customFieldValues,
+      },
+    };
+    for (const rule of complaintCreationRules) {
+      await rule.run(req);
+    }
+    validationResult(req)
+      .array()
+      // Unknown categories are reported above
+      .filter((error) => !(categoryName && error.path === "category"))
+      .forEach((error) => errors.push(error.msg));
+
+    // Complainant and assignee by email
+    const userEmail = getText("user")?.toLowerCase();
+    const complainant = userEmail ? lookups.users.get(userEmail) : null;
+    if (!userEmail) {
+      errors.push("User email is required");
+    } else if (!complainant || complainant.role !== USER_ROLES.USER) {
+      errors.push(`No complainant with email ${userEmail}`);
+    }
+
+    const assigneeEmail = getText("assignedTo")?.toLowerCase();
+    const assignee = assigneeEmail ? lookups.users.get(assigneeEmail) : null;
+    if (assigneeEmail && (!assignee || assignee.role !== USER_ROLES.STAFF)) {
+      errors.push(`No staff member with email ${assigneeEmail}`);
+    }
+
+    // Status of the category's workflow
+    const status =
+      getText("status")?.toLowerCase() || COMPLAINT_STATUS.SUBMITTED;
+    const workflow = category
+      ? WorkflowService.buildWorkflow(category.workflow)
+      : null;
+    if (workflow && !workflow.statuses[status]) {
+      errors.push(`Invalid status for ${category.name}: ${status}`);
+    }
+    const statusPhase = workflow
+      ? WorkflowService.getPhase(workflow, status)
+      : status;
+
+    // Ticket IDs are kept when they follow the ticket format
+    const ticketId = getText("ticketId")?.toUpperCase();
+    if (ticketId) {
+      if (!TICKET_CONFIG.PATTERN.test(ticketId)) {
+        errors.push(`Invalid ticket ID: ${ticketId}`);
+      } else if (lookups.ticketIds.has(ticketId)) {
+        errors.push(`Ticket ID ${ticketId} is already in use`);
+      }
+    }
+
+    // Tags usable in the category's department
+    const tags = [
+      ...new Set(
+        (getText("tags") || "")
+          .split(",")
+          .map((tag) => tag.trim().toLowerCase())
+          .filter(Boolean)
+      ),
+    ];
+    if (tags.length > 0 && category) {
+      const usable = await this.getUsableTags(category.department, lookups);
+      const unknown = tags.filter((tag) => !usable.has(tag));
+      if (unknown.length > 0) {
+        errors.push(`Unknown or unavailable tags: ${unknown.join(", ")}`);
+      }
+    }
+
+    // Original dates of historical complaints
+    const now = new Date();
+    const createdAt = getDate("createdAt", "Created At");
+    const resolvedAt = getDate("resolvedAt", "Resolved At");
+    const deadline = getDate("deadline", "Deadline");
+    const historical = Boolean(createdAt);
+
+    if (createdAt && createdAt > now) {
+      errors.push("Created At cannot be in the future");
+    }
+    if (!createdAt && (resolvedAt || deadline)) {
+      errors.push("Resolved At and Deadline require Created At");
+    }
+    if (resolvedAt) {
+      if (resolvedAt > now) {
+        errors.push("Resolved At cannot be in the future");
+      } else if (createdAt && resolvedAt < createdAt) {
+        errors.push("Resolved At cannot be before Created At");
+      }
+      if (!RESOLVED_PHASES.includes(statusPhase)) {
+        errors.push(`Resolved At is set but the status is ${status}`);
+      }
+    }
+    // Resolved and closed complaints are only imported with their dates, as
+    // the resolution date is only set when a complaint moves to resolved
+    if (RESOLVED_PHASES.includes(statusPhase)) {
+      if (!createdAt) {
+        errors.push(`Created At is required for ${status} complaints`);
+      }
+      if (statusPhase === COMPLAINT_STATUS.RESOLVED && !resolvedAt) {
+        errors.push(`Resolved At is required for ${status} complaints`);
+      }
+    }
+
+    if (errors.length > 0) {
+      return { data: null, historical, errors: [...new Set(errors)] };
+    }
+
+    if (ticketId) lookups.ticketIds.add(ticketId);
+
+    const data = {
+      ticketId,
+      title: req.body.title,
+      description: req.body.description,
+      category: category._id,
+      location: req.body.location,
+      priority: req.body.priority,
+      // Validated and typed against the category's fields by the rules
+      customFields: req.body.customFields,
+      status,
+      statusPhase,
+      user: complainant._id,
+      assignedTo: assignee?._id || null,
+      // Historical assignments date from the complaint's creation
+      assignedAt: assignee ? createdAt || now : null,
+      tags,
+    };
+
+    if (historical) {
+      Object.assign(data, {
+        createdAt,
+        updatedAt: resolvedAt || createdAt,
+        resolvedAt: resolvedAt || null,
+        deadline,
+      });
+    }
+
+    return { data, historical, errors };
+  }
+
+  /**
+   * Names of the active tags usable in a department
+   */
+  static async getUsableTags(department, lookups) {
+    const key = department || "";
+    if (!lookups.tags.has(key)) {
+      const tags = await Tag.findForDepartment(department).select("name");
+      lookups.tags.set(key, new Set(tags.map((tag) => tag.name)));
+    }
+    return lookups.tags.get(key);
+  }
+}
+
+module.exports = ComplaintImportService;
@@ -0,0 +1,368 @@
+const Complaint = require("../models/Complaint");
+const Comment = require("../models/Comment");
+const emailService = require("./email/emailService");
+const WebSocketService = require("./websocket.service");
+const StorageService = require("./storage/storageService");
+const { AppError } = require("../middleware/error.middleware");
+const logger = require("../utils/logger");
+const {
+  HTTP_STATUS,
+  COMPLAINT_STATUS,
+  COMPLAINT_LINK_TYPES,
+  COMPLAINT_LINK_INVERSES,
+  COMMENT_VISIBILITY,
+  COMMENT_CONFIG,
+} = require("../config/constants");
+
+const refId = (ref) => (ref && ref._id ? ref._id : ref);
+
+const reference = (complaint) =>
+  complaint.ticketId || complaint._id.toString().slice(-6).toUpperCase();
+
+/**
+ * Complaint Link Service
+ * Links related complaints (duplicate, related, cause, parent/child),
+ * merges duplicates into a primary complaint and tells the complainants of
+ * child complaints when their parent is resolved
+ */
+class ComplaintLinkService {
+  /**
+   * The link from one complaint to another, if any
+   * @param {Object} complaint
+   * @param {ObjectId|string} otherId
+   * @returns {Object|undefined}
+   */
+  static findLink(complaint, otherId) {
+    return complaint.links.find(
+      (link) => refId(link.complaint).toString() === otherId.toString()
+    );
+  }
+
+  /**
+   * Link two complaints, storing the inverse link on the other complaint
+   * @param {Object} complaint
+   * @param {Object} other
+   * @param {string} type - COMPLAINT_LINK_TYPES value, read from complaint
+   * @param {string} userId
+   */
+  static async link(complaint, other, type, userId) {
+    if (complaint._id.equals(other._id)) {
+      throw new AppError(
+        "A complaint cannot be linked to itself",
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    const existing = this.findLink(complaint, other._id);
+    if (existing) {
+      throw new AppError(
+        `These complaints are already linked (${existing.type})`,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    const createdAt = new Date();
+    await Complaint.bulkWrite([
+      {
+        updateOne: {
+          filter: { _id: complaint._id },
+          update: {
+            $push: {
+              links: {
+                type,
+                complaint: other._id,
+                createdBy: userId,
+                createdAt,
+              },
+            },
+          },
+        },
+      },
+      {
+        updateOne: {
+          filter: { _id: other._id },
+          update: {
+            $push: {
+              links: {
+                type: COMPLAINT_LINK_INVERSES[type],
+                complaint: complaint._id,
+                createdBy: userId,
+                createdAt,
+              },
+            },
+          },
+        },
+      },
+    ]);
+  }
+
+  /**
+   * Remove the link between two complaints from both of them
+   * @param {ObjectId|string} complaintId
+   * @param {ObjectId|string} otherId
+   * @returns {Promise<boolean>} Whether a link was removed
+   */
+  static async unlink(complaintId, otherId) {
+    const result = await Complaint.bulkWrite([
+      {
+        updateOne: {
+          filter: { _id: complaintId },
+          update: { $pull: { links: { complaint: otherId } } },
+        },
+      },
+      {
+        updateOne: {
+          filter: { _id: otherId },
+          update: { $pull: { links: { complaint: complaintId } } },
+        },
+      },
+    ]);
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Remove the links other complaints keep to a complaint (when it is
+   * deleted)
+   * @param {ObjectId|string} complaintId
+   * @returns {Promise<number>} Number of complaints that linked to it
+   */
+  static async unlinkAll(complaintId) {
+    const result = await Complaint.updateMany(
+      { "links.complaint": complaintId },
+      { $pull: { links: { complaint: complaintId } } }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Internal note recording a merged complaint and its status history
+   */
+  static buildMergeNote(duplicate) {
+    const history = duplicate.statusHistory
+      .map(
+        (entry) =>
+          `- ${entry.timestamp.toISOString().slice(0, 16).replace("T", " ")}: ${
+            entry.status
+          }${entry.remarks ? ` (${entry.remarks})` : ""}`
+      )
+      .join("\n");
+
+    const note = `Merged duplicate complaint #${reference(duplicate)}: "${
+      duplicate.title
+    }"\n\n${duplicate.description}\n\nHistory of #${reference(
+      duplicate
+    )}:\n${history}`;
+
+    return note.length > COMMENT_CONFIG.MAX_LENGTH
+      ? `${note.slice(0, COMMENT_CONFIG.MAX_LENGTH - 1)}…`
+      : note;
+  }
+
+  /**
+   * Copy the attachments of one complaint to another, storing the files
+   * under the other complaint as well so they can be downloaded from it.
+   * The source keeps its own copies.
+   * @param {Object} source
+   * @param {Object} target
+   */
+  static async copyAttachments(source, target) {
+    const copied = [];
+    try {
+      for (const attachment of source.attachments) {
+        const stored = await StorageService.copyAttachment(
+          source._id,
+          target._id,
+          attachment
+        );
+        if (stored) {
+          copied.push(attachment.filename);
+        } else {
+          logger.warn(
+            `Attachment ${attachment.filename} of complaint ${source._id} is missing from storage`
+          );
+        }
+      }
+    } catch (error) {
+      // Clean up anything already copied
+      await Promise.all(
+        copied.map((filename) =>
+          StorageService.deleteAttachment(target._id, filename).catch(
+            (cleanupError) =>
+              logger.error(
+                `Failed to clean up attachment ${filename}:`,
+                cleanupError
+              )
+          )
+        )
+      );
+      throw error;
+    }
+
+    source.attachments.forEach((attachment) => {
+      const { _id, ...copy } = attachment.toObject();
+      target.attachments.push(copy);
+    });
+  }
+
+  /**
+   * Merge a duplicate into a primary complaint. The primary takes over the
+   * duplicate's attachments, internal notes and history, and the
+   * duplicate's complainant and followers follow the primary. The
+   * duplicate is closed with a pointer to the primary.
+   * @param {Object} duplicate
+   * @param {Object} primary
+   * @param {Object} user - Staff member merging (req.user)
+   */
+  static async merge(duplicate, primary, user) {
+    if (duplicate._id.equals(primary._id)) {
+      throw new AppError(
+        "A complaint cannot be merged into itself",
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    if (duplicate.mergedInto) {
+      throw new AppError(
+        "This complaint has already been merged",
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    if (primary.mergedInto) {
+      throw new AppError(
+        "Cannot merge into a complaint that was itself merged",
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    if (primary.isInPhase(COMPLAINT_STATUS.CLOSED)) {
+      throw new AppError(
+        "Cannot merge into a closed complaint",
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    // Attachments (with their stored files) and legacy notes are copied
+    await this.copyAttachments(duplicate, primary);
+    duplicate.internalNotes.forEach((note) => {
+      const { _id, ...copy } = note.toObject();
+      primary.internalNotes.push(copy);
+    });
+
+    // The duplicate's complainant and followers hear about the primary
+    const primaryOwner = refId(primary.user).toString();
+    [refId(duplicate.user), ...duplicate.followers].forEach((follower) => {
+      if (
+        follower.toString() !== primaryOwner &&
+        !primary.followers.some((f) => f.toString() === follower.toString())
+      ) {
+        primary.followers.push(follower);
+      }
+    });
+
+    // Replace any existing link between the two with duplicate-of
+    primary.links = primary.links.filter(
+      (link) => !refId(link.complaint).equals(duplicate._id)
+    );
+    duplicate.links = duplicate.links.filter(
+      (link) => !refId(link.complaint).equals(primary._id)
+    );
+    const createdAt = new Date();
+    primary.links.push({
+      type: COMPLAINT_LINK_TYPES.DUPLICATED_BY,
+      complaint: duplicate._id,
+      createdBy: user.id,
+      createdAt,
+    });
+    duplicate.links.push({
+      type: COMPLAINT_LINK_TYPES.DUPLICATE_OF,
+      complaint: primary._id,
+      createdBy: user.id,
+      createdAt,
+    });
+
+    primary.statusHistory.push({
+      status: primary.status,
+      timestamp: createdAt,
+      updatedBy: user.id,
+      remarks: `Merged duplicate complaint #${reference(duplicate)}`,
+    });
+
+    await duplicate.closeAsMerged(primary, user.id);
+
+    await primary.save();
+    await duplicate.save();
+
+    // Internal notes move to the primary; public comments stay with the
+    // duplicate because they were written for its complainant
+    await Comment.updateMany(
+      { complaint: duplicate._id, visibility: COMMENT_VISIBILITY.INTERNAL },
+      { $set: { complaint: primary._id } }
+    );
+    // The primary's notes are refreshed when the merge note is saved
+    await Complaint.refreshSearchNotes(duplicate._id);
+    await Comment.create({
+      complaint: primary._id,
+      author: user.id,
+      visibility: COMMENT_VISIBILITY.INTERNAL,
+      body: this.buildMergeNote(duplicate),
+    });
+
+    logger.info(
+      `Complaint ${duplicate._id} merged into ${primary._id} by user: ${user.email}`
+    );
+  }
+
+  /**
+   * Tell the complainants of a complaint's children that it was resolved
+   * @param {Object} parent - The resolved complaint
+   * @param {Object} resolvedBy - Staff member who resolved it (req.user)
+   * @returns {Promise<number>} Number of children notified
+   */
+  static async notifyChildrenOfResolution(parent, resolvedBy) {
+    const childIds = parent.links
+      .filter((link) => link.type === COMPLAINT_LINK_TYPES.PARENT_OF)
+      .map((link) => refId(link.complaint));
+
+    if (childIds.length === 0) return 0;
+
+    const children = await Complaint.find({ _id: { $in: childIds } })
+      .select("ticketId title status statusPhase user")
+      .populate("user", "name email isActive");
+
+    for (const child of children) {
+      if (!child.user || child.user.isActive === false) continue;
+
+      try {
+        await emailService.sendParentResolved(
+          child,
+          parent,
+          child.user,
+          resolvedBy
+        );
+      } catch (emailError) {
+        logger.error(
+          `Failed to send parent resolution email for complaint ${child._id}:`,
+          emailError
+        );
+        // Don't fail the request if email fails
+      }
+
+      try {
+        WebSocketService.notifyParentResolved(child, parent);
+      } catch (socketError) {
+        logger.error(
+          `Failed to send parent resolution notification for complaint ${child._id}:`,
+          socketError
+        );
+        // Don't fail the request if WebSocket fails
+      }
+    }
+
+    return children.length;
+  }
+}
+
+module.exports = ComplaintLinkService;
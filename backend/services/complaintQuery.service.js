@@ -0,0 +1,308 @@
+const mongoose = require("mongoose");
+const Category = require("../models/Category");
+const SearchService = require("./search.service");
+const CustomFieldService = require("./customField.service");
+const { AppError } = require("../middleware/error.middleware");
+const {
+  HTTP_STATUS,
+  USER_ROLES,
+  COMPLAINT_PRIORITY,
+} = require("../config/constants");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Values of list filters may name several options: status=assigned,escalated
+const splitValues = (value) =>
+  String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const invalid = (message) => new AppError(message, HTTP_STATUS.BAD_REQUEST);
+
+// Ids are cast here rather than by Mongoose so that filters also work in
+// aggregation pipelines
+const toObjectIds = (name, value) =>
+  splitValues(value).map((id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw invalid(`Invalid ${name} filter: ${id}`);
+    }
+    return new mongoose.Types.ObjectId(id);
+  });
+
+const toDate = (name, value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw invalid(`Invalid ${name} filter: ${value}`);
+  }
+  return date;
+};
+
+const toBoolean = (name, value) => {
+  if (value === true || value === "true") return true;
+  if (value === false || value === "false") return false;
+  throw invalid(`Invalid ${name} filter: ${value} (use true or false)`);
+};
+
+const toHours = (name, value) => {
+  const hours = Number(value);
+  if (value === "" || !Number.isFinite(hours) || hours < 0) {
+    throw invalid(`Invalid ${name} filter: ${value}`);
+  }
+  return hours;
+};
+
+const isSet = (value) => value !== undefined && value !== null && value !== "";
+
+/**
+ * Complaint Query Service
+ * The complaint query language shared by the complaint list, exports, bulk
+ * actions, saved views and analytics: turns filter parameters into a
+ * validated Mongo filter limited to the complaints the current user can see,
+ * so every one of them selects exactly the same complaints.
+ *
+ * Filters (all optional; lists are comma-separated):
+ *   status, priority, category, assignedTo, user, department, tags
+ *   startDate, endDate          - creation date range (ISO dates)
+ *   escalated, hasAttachments   - true | false
+ *   minResolutionTime, maxResolutionTime - hours from creation to resolution
+ *   search                      - full-text search (see SearchService)
+ *   cf.<field key>              - custom field value (see CustomFieldService)
+ */
+class ComplaintQueryService {
+  // Filter parameters buildFilter understands, besides cf.<field key>
+  static FILTER_KEYS = [
+    "status",
+    "priority",
+    "category",
+    "assignedTo",
+    "user",
+    "department",
+    "tags",
+    "search",
+    "startDate",
+    "endDate",
+    "escalated",
+    "hasAttachments",
+    "minResolutionTime",
+    "maxResolutionTime",
+  ];
+
+  /**
+   * Build the complaint query for list filters
+   * @param {Object} filters - Filter parameters (see above), e.g. req.query
+   * @param {Object} currentUser - req.user
+   * @returns {Promise<Object>} Mongo filter. Conditions are combined under
+   *   $and (with $text, for searches, at the top level) so callers can add
+   *   their own fields without replacing any of them.
+   * @throws {AppError} 400 when a filter value is invalid
+   */
+  static async buildFilter(filters, currentUser) {
+    const {
+      status,
+      priority,
+      category,
+      assignedTo,
+      user,
+      department,
+      tags,
+      search,
+      startDate,
+      endDate,
+      escalated,
+      hasAttachments,
+      minResolutionTime,
+      maxResolutionTime,
+    } = filters;
+
+    const filter = {};
+    const conditions = [];
+
+    const scope = await this.buildScope(currentUser);
+    if (scope) conditions.push(scope);
+
+    if (isSet(status)) {
+      conditions.push({ status: { $in: splitValues(status) } });
+    }
+
+    if (isSet(priority)) {
+      const priorities = splitValues(priority).map((item) =>
+        item.toLowerCase()
+      );
+      const unknown = priorities.find(
+        (item) => !Object.values(COMPLAINT_PRIORITY).includes(item)
+      );
+      if (unknown) throw invalid(`Invalid priority filter: ${unknown}`);
+      conditions.push({ priority: { $in: priorities } });
+    }
+
+    if (isSet(category)) {
+      conditions.push({
+        category: { $in: toObjectIds("category", category) },
+      });
+    }
+
+    if (isSet(assignedTo)) {
+      // "none" selects unassigned complaints
+      const values = splitValues(assignedTo);
+      const ids = values.filter((value) => value.toLowerCase() !== "none");
+      conditions.push({
+        assignedTo: {
+          $in: [
+            ...toObjectIds("assignedTo", ids.join(",")),
+            ...(ids.length < values.length ? [null] : []),
+          ],
+        },
+      });
+    }
+
+    // Complainants only ever see their own complaints
+    if (isSet(user) && currentUser.role !== USER_ROLES.USER) {
+      conditions.push({ user: { $in: toObjectIds("user", user) } });
+    }
+
+    if (isSet(department)) {
+      const categories = await Category.find({
+        department: { $in: splitValues(department) },
+      }).select("_id");
+      conditions.push({
+        category: { $in: categories.map((item) => item._id) },
+      });
+    }
+
+    if (isSet(tags)) {
+      conditions.push({
+        tags: { $in: splitValues(tags).map((tag) => tag.toLowerCase()) },
+      });
+    }
+
+    if (isSet(startDate) || isSet(endDate)) {
+      const createdAt = {};
+      if (isSet(startDate)) createdAt.$gte = toDate("startDate", startDate);
+      if (isSet(endDate)) createdAt.$lte = toDate("endDate", endDate);
+      conditions.push({ createdAt });
+    }
+
+    if (isSet(escalated)) {
+      conditions.push(
+        toBoolean("escalated", escalated)
+          ? { "escalation.isEscalated": true }
+          : { "escalation.isEscalated": { $ne: true } }
+      );
+    }
+
+    if (isSet(hasAttachments)) {
+      conditions.push({
+        "attachments.0": {
+          $exists: toBoolean("hasAttachments", hasAttachments),
+        },
+      });
+    }
+
+    if (isSet(minResolutionTime) || isSet(maxResolutionTime)) {
+      conditions.push(
+        this.buildResolutionTimeCondition(
+          isSet(minResolutionTime)
+            ? toHours("minResolutionTime", minResolutionTime)
+            : null,
+          isSet(maxResolutionTime)
+            ? toHours("maxResolutionTime", maxResolutionTime)
+            : null
+        )
+      );
+    }
+
+    // Full-text search with field filters (see SearchService)
+    if (isSet(search)) {
+      const { text, conditions: searchConditions } =
+        await SearchService.buildSearch(search, currentUser);
+      if (text) filter.$text = { $search: text };
+      conditions.push(...searchConditions);
+    }
+
+    // Custom field filters, e.g. cf.floor=3
+    conditions.push(...(await CustomFieldService.buildFilter(filters)));
+
+    if (conditions.length > 0) {
+      filter.$and = conditions;
+    }
+
+    return filter;
+  }
+
+  /**
+   * Condition limiting complaints to those a user can see: complainants see
+   * their own, staff those assigned to them or in their department's
+   * categories, admins all
+   * @param {Object} currentUser - req.user
+   * @returns {Promise<Object|null>} null when the user can see every complaint
+   */
+  static async buildScope(currentUser) {
+    if (currentUser.role === USER_ROLES.USER) {
+      return { user: currentUser.id };
+    }
+
+    if (currentUser.role === USER_ROLES.STAFF) {
+      const staffCategories = await Category.find({
+        department: currentUser.department,
+        isActive: true,
+      }).select("_id");
+
+      return {
+        $or: [
+          { assignedTo: currentUser.id },
+          { category: { $in: staffCategories.map((cat) => cat._id) } },
+        ],
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Condition on the hours it took to resolve a complaint; unresolved
+   * complaints never match
+   * @param {number|null} minHours
+   * @param {number|null} maxHours
+   * @returns {Object}
+   */
+  static buildResolutionTimeCondition(minHours, maxHours) {
+    if (minHours !== null && maxHours !== null && minHours > maxHours) {
+      throw invalid(
+        "minResolutionTime cannot be greater than maxResolutionTime"
+      );
+    }
+
+    const duration = { $subtract: ["$resolvedAt", "$createdAt"] };
+    const bounds = [];
+    if (minHours !== null)
+      bounds.push({ $gte: [duration, minHours * HOUR_MS] });
+    if (maxHours !== null)
+      bounds.push({ $lte: [duration, maxHours * HOUR_MS] });
+
+    return {
+      $and: [{ resolvedAt: { $ne: null } }, { $expr: { $and: bounds } }],
+    };
+  }
+
+  /**
+   * Sort for a complaint query
+   * @param {string} sortBy - Field, or "relevance" for text searches
+   * @param {string} sortOrder - asc | desc
+   * @param {boolean} isTextSearch - Whether the filter has $text
+   * @returns {Object}
+   */
+  static buildSort(sortBy, sortOrder, isTextSearch) {
+    const sortOptions = {};
+    if (sortBy === "relevance") {
+      // Searches with only field filters have no relevance to sort by
+      if (isTextSearch) sortOptions.score = { $meta: "textScore" };
+      sortOptions.createdAt = -1;
+    } else {
+      sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
+    }
+    return sortOptions;
+  }
+}
+
+module.exports = ComplaintQueryService;
@@ -0,0 +1,267 @@
+const Category = require("../models/Category");
+const {
+  CUSTOM_FIELD_TYPES,
+  CUSTOM_FIELD_CONFIG,
+} = require("../config/constants");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "");
+
+const compilePattern = (pattern) => {
+  try {
+    return new RegExp(pattern);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Custom Field Service
+ * Validates the custom field schemas admins define on categories, the values
+ * complainants submit for them, and filters complaint lists on those values
+ */
+class CustomFieldService {
+  /**
+   * Check a category's field definitions for problems the schema cannot
+   * express on its own
+   * @param {Array} fields - Field definitions
+   * @returns {string[]} Error messages; empty when the definitions are valid
+   */
+  static validateDefinitions(fields) {
+    const errors = [];
+
+    if (fields.length > CUSTOM_FIELD_CONFIG.MAX_FIELDS) {
+      errors.push(
+        `A category can have at most ${CUSTOM_FIELD_CONFIG.MAX_FIELDS} custom fields`
+      );
+    }
+
+    const keys = fields.map((field) => field.key);
+
+    fields.forEach((field, index) => {
+      const { key, type, options = [], validation = {} } = field;
+
+      if (keys.indexOf(key) !== index) {
+        errors.push(`Field "${key}" is defined more than once`);
+      }
+
+      if (type === CUSTOM_FIELD_TYPES.SELECT) {
+        if (options.length === 0) {
+          errors.push(`Select field "${key}" needs at least one option`);
+        } else if (options.length > CUSTOM_FIELD_CONFIG.MAX_OPTIONS) {
+          errors.push(
+            `Select field "${key}" can have at most ${CUSTOM_FIELD_CONFIG.MAX_OPTIONS} options`
+          );
+        } else if (new Set(options).size !== options.length) {
+          errors.push(`Select field "${key}" has duplicate options`);
+        }
+      } else if (options.length > 0) {
+        errors.push(`Only select fields can have options ("${key}")`);
+      }
+
+      const { min, max, pattern } = validation;
+      if (min != null && max != null && Number(min) > Number(max)) {
+        errors.push(`Field "${key}" has a minimum greater than its maximum`);
+      }
+      if (pattern) {
+        if (type !== CUSTOM_FIELD_TYPES.TEXT) {
+          errors.push(`Only text fields can have a pattern ("${key}")`);
+        } else if (!compilePattern(pattern)) {
+          errors.push(`Field "${key}" has an invalid pattern`);
+        }
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validate submitted values against a category's field definitions
+   * @param {Array} fields - Field definitions of the complaint's category
+   * @param {Object} [values] - Submitted values by field key
+   * @returns {{ values: Object, errors: string[] }} Values converted to their
+   *   field types (numbers, dates), without empty optional fields
+   */
+  static validateValues(fields, values = {}) {
+    const errors = [];
+    const result = {};
+
+    if (
+      values === null ||
+      typeof values !== "object" ||
+      Array.isArray(values)
+    ) {
+      return { values: result, errors: ["Custom fields must be an object"] };
+    }
+
+    Object.keys(values).forEach((key) => {
+      if (!fields.some((field) => field.key === key)) {
+        errors.push(`Unknown field "${key}" for this category`);
+      }
+    });
+
+    fields.forEach((field) => {
+      const { key, label, type, required, options = [] } = field;
+      const { min, max, pattern } = field.validation || {};
+      const raw = values[key];
+
+      if (isEmpty(raw)) {
+        if (required) errors.push(`${label} is required`);
+        return;
+      }
+
+      switch (type) {
+        case CUSTOM_FIELD_TYPES.NUMBER: {
+          const number = Number(raw);
+          if (typeof raw === "boolean" || !Number.isFinite(number)) {
+            errors.push(`${label} must be a number`);
+          } else if (min != null && number < min) {
+            errors.push(`${label} must be at least ${min}`);
+          } else if (max != null && number > max) {
+            errors.push(`${label} cannot exceed ${max}`);
+          } else {
+            result[key] = number;
+          }
+          break;
+        }
+
+        case CUSTOM_FIELD_TYPES.DATE: {
+          const date = new Date(raw);
+          if (typeof raw === "boolean" || Number.isNaN(date.getTime())) {
+            errors.push(`${label} must be a valid date`);
+          } else {
+            result[key] = date;
+          }
+          break;
+        }
+
+        case CUSTOM_FIELD_TYPES.SELECT: {
+          if (!options.includes(String(raw))) {
+            errors.push(`${label} must be one of: ${options.join(", ")}`);
+          } else {
+            result[key] = String(raw);
+          }
+          break;
+        }
+
+        default: {
+          const text = String(raw).trim();
+          const maxLength = Math.min(
+            max != null ? max : CUSTOM_FIELD_CONFIG.MAX_TEXT_LENGTH,
+            CUSTOM_FIELD_CONFIG.MAX_TEXT_LENGTH
+          );
+          if (typeof raw === "object") {
+            errors.push(`${label} must be text`);
+          } else if (min != null && text.length < min) {
+            errors.push(`${label} must be at least ${min} characters long`);
+          } else if (text.length > maxLength) {
+            errors.push(`${label} cannot exceed ${maxLength} characters`);
+          } else if (pattern && !compilePattern(pattern)?.test(text)) {
+            errors.push(`${label} is not in the expected format`);
+          } else {
+            result[key] = text;
+          }
+        }
+      }
+    });
+
+    return { values: result, errors };
+  }
+
+  /**
+   * Build complaint query conditions from "cf.<key>" query parameters. Text
+   * fields match case-insensitively anywhere in the value, dates match the
+   * whole day and other types match exactly.
+   * @param {Object} query - Request query parameters
+   * @returns {Promise<Object[]>} Conditions to combine with $and
+   */
+  static async buildFilter(query = {}) {
+    const requested = Object.keys(query)
+      .filter((param) => param.startsWith(CUSTOM_FIELD_CONFIG.FILTER_PREFIX))
+      .map((param) => ({
+        key: param.slice(CUSTOM_FIELD_CONFIG.FILTER_PREFIX.length),
+        value: query[param],
+      }))
+      .filter(
+        ({ key, value }) =>
+          CUSTOM_FIELD_CONFIG.KEY_PATTERN.test(key) &&
+          typeof value === "string" &&
+          value.trim() !== ""
+      );
+
+    if (requested.length === 0) return [];
+
+    // A key may be defined by several categories, possibly with different types
+    const categories = await Category.find({
+      "customFields.key": { $in: requested.map(({ key }) => key) },
+    })
+      .select("customFields")
+      .lean();
+
+    return requested.map(({ key, value }) => {
+      const types = new Set();
+      categories.forEach((category) =>
+        category.customFields
+          .filter((field) => field.key === key)
+          .forEach((field) => types.add(field.type))
+      );
+      if (types.size === 0) types.add(CUSTOM_FIELD_TYPES.SELECT);
+
+      const path = `customFields.${key}`;
+      const conditions = [...types]
+        .map((type) => this.buildCondition(path, type, value.trim()))
+        .filter(Boolean);
+
+      // A value no type can match (e.g. "abc" for a number) matches nothing
+      if (conditions.length === 0) return { _id: null };
+      return conditions.length === 1 ? conditions[0] : { $or: conditions };
+    });
+  }
+
+  /**
+   * Query condition matching one filter value for a field type
+   * @returns {Object|null} Condition, or null if the value cannot match
+   */
+  static buildCondition(path, type, value) {
+    switch (type) {
+      case CUSTOM_FIELD_TYPES.NUMBER: {
+        const number = Number(value);
+        return Number.isFinite(number) ? { [path]: number } : null;
+      }
+
+      case CUSTOM_FIELD_TYPES.DATE: {
+        const day = new Date(value);
+        if (Number.isNaN(day.getTime())) return null;
+        day.setUTCHours(0, 0, 0, 0);
+        return {
+          [path]: { $gte: day, $lt: new Date(day.getTime() + DAY_MS) },
+        };
+      }
+
+      case CUSTOM_FIELD_TYPES.TEXT:
+        return { [path]: { $regex: escapeRegex(value), $options: "i" } };
+
+      default:
+        return { [path]: value };
+    }
+  }
+
+  /**
+   * Format a stored value for exports
+   * @param {*} value
+   * @returns {string}
+   */
+  static formatValue(value) {
+    if (isEmpty(value)) return "";
+    if (value instanceof Date) return value.toISOString().split("T")[0];
+    return String(value);
+  }
+}
+
+module.exports = CustomFieldService;
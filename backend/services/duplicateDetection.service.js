@@ -0,0 +1,178 @@
+const Complaint = require("../models/Complaint");
+const {
+  COMPLAINT_STATUS,
+  DUPLICATE_DETECTION,
+} = require("../config/constants");
+
+// Words too common in complaints to say anything about similarity
+const STOP_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "are",
+  "as",
+  "at",
+  "be",
+  "but",
+  "by",
+  "for",
+  "from",
+  "has",
+  "have",
+  "in",
+  "is",
+  "it",
+  "its",
+  "my",
+  "of",
+  "on",
+  "or",
+  "our",
+  "please",
+  "so",
+  "that",
+  "the",
+  "there",
+  "this",
+  "to",
+  "was",
+  "we",
+  "with",
+]);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Duplicate Detection Service
+ * Finds recent open complaints in the same category that look like the
+ * same issue, so the complainant can follow one instead of filing again
+ */
+class DuplicateDetectionService {
+  /**
+   * Lowercase word set of a text, without stop words
+   * @param {string} [text]
+   * @returns {Set<string>}
+   */
+  static tokenize(text = "") {
+    return new Set(
+      text
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter((word) => word && !STOP_WORDS.has(word))
+    );
+  }
+
+  /**
+   * Dice coefficient of two word sets (0 = nothing shared, 1 = same words)
+   * @param {Set<string>} a
+   * @param {Set<string>} b
+   * @returns {number}
+   */
+  static similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+
+    let shared = 0;
+    a.forEach((word) => {
+      if (b.has(word)) shared++;
+    });
+    return (2 * shared) / (a.size + b.size);
+  }
+
+  /**
+   * Locations compared ignoring case, spacing and punctuation
+   * @param {string} [location]
+   * @returns {string}
+   */
+  static normalizeLocation(location = "") {
+    return [...this.tokenize(location)].join(" ");
+  }
+
+  /**
+   * Similarity of a submission to an existing complaint, or null when both
+   * name a location and the locations differ
+   * @param {Object} submission - Tokenized title/description and location
+   * @param {Object} complaint
+   * @returns {number|null}
+   */
+  static score(submission, complaint) {
+    const location = this.normalizeLocation(complaint.location);
+    if (submission.location && location && submission.location !== location) {
+      return null;
+    }
+
+    const score =
+      DUPLICATE_DETECTION.TITLE_WEIGHT *
+        this.similarity(submission.title, this.tokenize(complaint.title)) +
+      DUPLICATE_DETECTION.DESCRIPTION_WEIGHT *
+        this.similarity(
+          submission.description,
+          this.tokenize(complaint.description)
+        ) +
+      (submission.location && location
+        ? DUPLICATE_DETECTION.LOCATION_BONUS
+        : 0);
+
+    return Math.min(score, 1);
+  }
+
+  /**
+   * Likely duplicates of a complaint that is about to be submitted
+   * @param {Object} submission - { title, description, category, location }
+   * @param {Object} user - The submitting user (req.user)
+   * @returns {Promise<Array>} Best matches first, at most MAX_RESULTS
+   */
+  static async findDuplicates(submission, user) {
+    const since = new Date(
+      Date.now() - DUPLICATE_DETECTION.WINDOW_DAYS * 24 * 60 * 60 * 1000
+    );
+
+    const candidates = await Complaint.find({
+      category: submission.category,
+      createdAt: { $gte: since },
+      ...Complaint.phaseNotIn([
+        COMPLAINT_STATUS.RESOLVED,
+        COMPLAINT_STATUS.CLOSED,
+      ]),
+    })
+      .select(
+        "ticketId title description location status statusPhase user followers createdAt"
+      )
+      .sort({ createdAt: -1 })
+      .limit(DUPLICATE_DETECTION.MAX_CANDIDATES);
+
+    const tokens = {
+      title: this.tokenize(submission.title),
+      description: this.tokenize(submission.description),
+      location: this.normalizeLocation(submission.location),
+    };
+    const userId = user.id.toString();
+
+    return candidates
+      .map((complaint) => ({
+        complaint,
+        score: this.score(tokens, complaint),
+      }))
+      .filter(
+        ({ score }) => score !== null && score >= DUPLICATE_DETECTION.MIN_SCORE
+      )
+      .sort((a, b) => b.score - a.score)
+      .slice(0, DUPLICATE_DETECTION.MAX_RESULTS)
+      .map(({ complaint, score }) => ({
+        // Only what the complainant needs to recognise the issue; other
+        // people's complaints stay private
+        id: complaint._id,
+        ticketId: complaint.ticketId,
+        title: complaint.title,
+        location: complaint.location,
+        status: complaint.statusPhase || complaint.status,
+        createdAt: complaint.createdAt,
+        similarity: round(score),
+        isOwn: complaint.user.toString() === userId,
+        isFollowing: complaint.followers.some(
+          (follower) => follower.toString() === userId
+        ),
+      }));
+  }
+}
+
+module.exports = DuplicateDetectionService;
@@ -86,9 +86,9 @@ class EmailService {
    * Send complaint created notification to user
    */
   async sendComplaintCreated(complaint, user) {
-    const subject = `Complaint Submitted Successfully - #${
-      complaint.ticketId || complaint._id.slice(-6).toUpperCase()
-    }`;
+    const subject = `Complaint Submitted Successfully - #${this.getReference(
+      complaint
+    )}`;
 
     const html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -101,9 +101,9 @@ class EmailService {
           
           <p>Dear ${user.name},</p>
           
-          <p>Your complaint has been successfully submitted and assigned ticket ID: <strong>#${
-            complaint.ticketId || complaint._id.slice(-6).toUpperCase()
-          }</strong></p>
+          <p>Your complaint has been successfully submitted and assigned ticket ID: <strong>#${this.getReference(
+            complaint
+          )}</strong></p>
           
           <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
             <h3 style="margin-top: 0; color: #333;">Complaint Details:</h3>
@@ -141,9 +141,9 @@ Complaint Submitted Successfully
 
 Dear ${user.name},
 
-Your complaint has been successfully submitted and assigned ticket ID: #${
-      complaint.ticketId || complaint._id.slice(-6).toUpperCase()
-    }
+Your complaint has been successfully submitted and assigned ticket ID: #${this.getReference(
+      complaint
+    )}
 
 Complaint Details:
 - Title: ${complaint.title}
@@ -171,9 +171,9 @@ This is an automated message. Please do not reply to this email.
    * Send status update notification to user
    */
   async sendStatusUpdate(complaint, user, previousStatus, updatedBy) {
-    const subject = `Complaint Status Updated - #${
-      complaint.ticketId || complaint._id.slice(-6).toUpperCase()
-    }`;
+    const subject = `Complaint Status Updated - #${this.getReference(
+      complaint
+    )}`;
 
     const statusColor = this.getStatusColor(complaint.status);
 
@@ -188,9 +188,9 @@ This is an automated message. Please do not reply to this email.
           
           <p>Dear ${user.name},</p>
           
-          <p>Your complaint <strong>#${
-            complaint.ticketId || complaint._id.slice(-6).toUpperCase()
-          }</strong> status has been updated.</p>
+          <p>Your complaint <strong>#${this.getReference(
+            complaint
+          )}</strong> status has been updated.</p>
           
           <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
             <h3 style="margin-top: 0; color: #333;">Status Change:</h3>
@@ -242,9 +242,7 @@ Complaint Status Updated
 
 Dear ${user.name},
 
-Your complaint #${
-      complaint.ticketId || complaint._id.slice(-6).toUpperCase()
-    } status has been updated.
+Your complaint #${this.getReference(complaint)} status has been updated.
 
 Status Change:
 - From: ${previousStatus.replace("-", " ")}
@@ -279,9 +277,9 @@ This is an automated message. Please do not reply to this email.
    * Send assignment notification to staff
    */
   async sendStaffAssignment(complaint, staffMember, assignedBy) {
-    const subject = `New Complaint Assignment - #${
-      complaint.ticketId || complaint._id.slice(-6).toUpperCase()
-    }`;
+    const subject = `New Complaint Assignment - #${this.getReference(
+      complaint
+    )}`;
 
     const html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -298,9 +296,7 @@ This is an automated message. Please do not reply to this email.
           
           <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
             <h3 style="margin-top: 0; color: #333;">Complaint Details:</h3>
-            <p><strong>Ticket ID:</strong> #${
-              complaint.ticketId || complaint._id.slice(-6).toUpperCase()
-            }</p>
+            <p><strong>Ticket ID:</strong> #${this.getReference(complaint)}</p>
             <p><strong>Title:</strong> ${complaint.title}</p>
             <p><strong>Priority:</strong> <span style="text-transform: capitalize; color: ${this.getPriorityColor(
               complaint.priority
@@ -345,7 +341,7 @@ Dear ${staffMember.name},
 A new complaint has been assigned to you. Please review the details below and take appropriate action.
 
 Complaint Details:
-- Ticket ID: #${complaint.ticketId || complaint._id.slice(-6).toUpperCase()}
+- Ticket ID: #${this.getReference(complaint)}
 - Title: ${complaint.title}
 - Priority: ${complaint.priority}
 - Category: ${complaint.category.name || complaint.category}
@@ -373,10 +369,21 @@ This is an automated message. Please do not reply to this email.
   /**
    * Send escalation notification
    */
-  async sendEscalationNotification(complaint, escalatedTo) {
-    const subject = `URGENT: Complaint Escalated - #${
-      complaint.ticketId || complaint._id.slice(-6).toUpperCase()
-    }`;
+  async sendEscalationNotification(complaint, escalatedTo, escalation = {}) {
+    const reference = this.getReference(complaint);
+    const levelLabel = escalation.level
+      ? `L${escalation.level}${
+          escalation.levelName ? ` (${escalation.levelName})` : ""
+        }`
+      : null;
+    const reason =
+      escalation.reason ||
+      complaint.escalation.reason ||
+      "Resolution deadline exceeded";
+
+    const subject = `URGENT: Complaint Escalated${
+      levelLabel ? ` to ${levelLabel}` : ""
+    } - #${reference}`;
 
     const html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -389,13 +396,18 @@ This is an automated message. Please do not reply to this email.
           
           <p>Dear ${escalatedTo.name},</p>
           
-          <p>A complaint has been escalated and requires immediate attention. This escalation occurred due to the resolution deadline being exceeded.</p>
+          <p>A complaint has been escalated${
+            levelLabel ? ` to ${levelLabel}` : ""
+          } and requires immediate attention.</p>
           
           <div style="background-color: #f8d7da; padding: 20px; border-radius: 5px; margin: 20px 0; border: 1px solid #f5c6cb;">
             <h3 style="margin-top: 0; color: #721c24;">Escalated Complaint Details:</h3>
-            <p><strong>Ticket ID:</strong> #${
-              complaint.ticketId || complaint._id.slice(-6).toUpperCase()
-            }</p>
+            <p><strong>Ticket ID:</strong> #${reference}</p>
+            ${
+              levelLabel
+                ? `<p><strong>Escalation Level:</strong> ${levelLabel}</p>`
+                : ""
+            }
             <p><strong>Title:</strong> ${complaint.title}</p>
             <p><strong>Priority:</strong> <span style="text-transform: capitalize; color: #dc3545; font-weight: bold;">${
               complaint.priority
@@ -423,9 +435,7 @@ This is an automated message. Please do not reply to this email.
           </div>
           
           <div style="background-color: #d1ecf1; padding: 15px; border-radius: 5px; margin: 20px 0; border: 1px solid #bee5eb;">
-            <p style="margin: 0; color: #0c5460;"><strong>Escalation Reason:</strong> ${
-              complaint.escalation.reason || "Resolution deadline exceeded"
-            }</p>
+            <p style="margin: 0; color: #0c5460;"><strong>Escalation Reason:</strong> ${reason}</p>
           </div>
           
           <p><strong>IMMEDIATE ACTION REQUIRED:</strong> Please log into the system immediately to review and address this escalated complaint.</p>
@@ -444,10 +454,14 @@ This is an automated message. Please do not reply to this email.
 
 Dear ${escalatedTo.name},
 
-A complaint has been escalated and requires immediate attention. This escalation occurred due to the resolution deadline being exceeded.
+A complaint has been escalated${
+      levelLabel ? ` to ${levelLabel}` : ""
+    } and requires immediate attention.
 
 Escalated Complaint Details:
-- Ticket ID: #${complaint.ticketId || complaint._id.slice(-6).toUpperCase()}
+- Ticket ID: #${reference}${
+      levelLabel ? `\n- Escalation Level: ${levelLabel}` : ""
+    }
 - Title: ${complaint.title}
 - Priority: ${complaint.priority}
 - Category: ${complaint.category.name || complaint.category}
@@ -463,9 +477,7 @@ ${
 Description:
 ${complaint.description}
 
-Escalation Reason: ${
-      complaint.escalation.reason || "Resolution deadline exceeded"
-    }
+Escalation Reason: ${reason}
 
 IMMEDIATE ACTION REQUIRED: Please log into the system immediately to review and address this escalated complaint.
 
@@ -480,6 +492,349 @@ This is an automated escalation message. Please do not reply to this email.
     });
   }
 
+  /**
+   * Send notification to a staff member mentioned in a note or comment
+   */
+  async sendMentionNotification(complaint, comment, mentioned, author) {
+    const reference = this.getReference(complaint);
+    const where =
+      comment.visibility === "internal" ? "an internal note" : "a comment";
+
+    const subject = `${author.name} mentioned you on complaint #${reference}`;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #f8f9fa; padding: 20px; text-align: center;">
+          <h1 style="color: #333; margin: 0;">Complaint Management System</h1>
+        </div>
+        
+        <div style="padding: 30px;">
+          <h2 style="color: #007bff;">You Were Mentioned</h2>
+          
+          <p>Dear ${mentioned.name},</p>
+          
+          <p>${author.name} mentioned you in ${where} on complaint <strong>#${reference}</strong> (${complaint.title}).</p>
+          
+          <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #007bff;">
+            <p style="margin: 0; white-space: pre-wrap;">${comment.body}</p>
+          </div>
+          
+          <p>Please log into the complaint management system to reply.</p>
+          
+          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #dee2e6;">
+            <p style="color: #6c757d; font-size: 14px;">
+              This is an automated message. Please do not reply to this email.
+            </p>
+          </div>
+        </div>
+      </div>
+    `;
+
+    const text = `
+You Were Mentioned
+
+Dear ${mentioned.name},
+
+${author.name} mentioned you in ${where} on complaint #${reference} (${complaint.title}):
+
+${comment.body}
+
+Please log into the complaint management system to reply.
+
+This is an automated message. Please do not reply to this email.
+    `;
+
+    return this.sendEmail({
+      to: mentioned.email,
+      subject,
+      html,
+      text,
+    });
+  }
+
+  /**
+   * Send notification to a complainant whose complaint is part of a parent
+   * complaint that has been resolved
+   */
+  async sendParentResolved(child, parent, user, resolvedBy) {
+    const childReference = this.getReference(child);
+    const parentReference = this.getReference(parent);
+
+    const subject = `Related Issue Resolved - #${childReference}`;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #f8f9fa; padding: 20px; text-align: center;">
+          <h1 style="color: #333; margin: 0;">Complaint Management System</h1>
+        </div>
+        
+        <div style="padding: 30px;">
+          <h2 style="color: #28a745;">Related Issue Resolved</h2>
+          
+          <p>Dear ${user.name},</p>
+          
+          <p>Your complaint <strong>#${childReference}</strong> (${child.title}) is part of a wider issue, <strong>#${parentReference}</strong> (${parent.title}), which has been resolved by ${resolvedBy.name}.</p>
+          
+          <p>This should also address your complaint. If the problem persists, please add a comment to your complaint so our team can follow up.</p>
+          
+          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #dee2e6;">
+            <p style="color: #6c757d; font-size: 14px;">
+              This is an automated message. Please do not reply to this email.
+            </p>
+          </div>
+        </div>
+      </div>
+    `;
+
+    const text = `
+Related Issue Resolved
+
+Dear ${user.name},
+
+Your complaint #${childReference} (${child.title}) is part of a wider issue, #${parentReference} (${parent.title}), which has been resolved by ${resolvedBy.name}.
+
+This should also address your complaint. If the problem persists, please add a comment to your complaint so our team can follow up.
+
+This is an automated message. Please do not reply to this email.
+    `;
+
+    return this.sendEmail({
+      to: user.email,
+      subject,
+      html,
+      text,
+    });
+  }
+
+  /**
+   * Remind a complainant that their resolved complaint will be closed
+   * automatically unless they respond
+   */
+  async sendAutoCloseReminder(complaint, user, closesAt, reopenDeadline) {
+    const reference = this.getReference(complaint);
+    const subject = `Your Complaint Will Be Closed Soon - #${reference}`;
+
+    const reopenNote = reopenDeadline
+      ? `If the issue has not been resolved, you can reopen the complaint with a reason until ${reopenDeadline.toLocaleDateString()}.`
+      : "If the issue has not been resolved, please add a comment to your complaint.";
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #f8f9fa; padding: 20px; text-align: center;">
+          <h1 style="color: #333; margin: 0;">Complaint Management System</h1>
+        </div>
+        
+        <div style="padding: 30px;">
+          <h2 style="color: #28a745;">Your Complaint Will Be Closed Soon</h2>
+          
+          <p>Dear ${user.name},</p>
+          
+          <p>Your complaint <strong>#${reference}</strong> (${
+      complaint.title
+    }) was resolved and will be closed automatically on <strong>${closesAt.toLocaleDateString()}</strong> unless you respond.</p>
+          
+          <p>${reopenNote}</p>
+          
+          <p>If you are satisfied with the resolution, no action is needed.</p>
+          
+          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #dee2e6;">
+            <p style="color: #6c757d; font-size: 14px;">
+              This is an automated message. Please do not reply to this email.
+            </p>
+          </div>
+        </div>
+      </div>
+    `;
+
+    const text = `
+Your Complaint Will Be Closed Soon
+
+Dear ${user.name},
+
+Your complaint #${reference} (${
+      complaint.title
+    }) was resolved and will be closed automatically on ${closesAt.toLocaleDateString()} unless you respond.
+
+${reopenNote}
+
+If you are satisfied with the resolution, no action is needed.
+
+This is an automated message. Please do not reply to this email.
+    `;
+
+    return this.sendEmail({
+      to: user.email,
+      subject,
+      html,
+      text,
+    });
+  }
+
+  /**
+   * Send notification to the assigned staff member when a complainant
+   * reopens a resolved complaint
+   */
+  async sendComplaintReopened(complaint, staffMember, complainant, reason) {
+    const reference = this.getReference(complaint);
+    const subject = `Complaint Reopened - #${reference}`;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #f8f9fa; padding: 20px; text-align: center;">
+          <h1 style="color: #333; margin: 0;">Complaint Management System</h1>
+        </div>
+        
+        <div style="padding: 30px;">
+          <h2 style="color: #fd7e14;">Complaint Reopened</h2>
+          
+          <p>Dear ${staffMember.name},</p>
+          
+          <p>${
+            complainant.name
+          } has reopened complaint <strong>#${reference}</strong> (${
+      complaint.title
+    }), which is now <strong style="text-transform: capitalize;">${complaint.status.replace(
+      "-",
+      " "
+    )}</strong>.</p>
+          
+          <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+            <h3 style="margin-top: 0; color: #333;">Reason:</h3>
+            <p>${reason}</p>
+          </div>
+          
+          <p>Please log into the complaint management system to follow up.</p>
+          
+          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #dee2e6;">
+            <p style="color: #6c757d; font-size: 14px;">
+              This is an automated message. Please do not reply to this email.
+            </p>
+          </div>
+        </div>
+      </div>
+    `;
+
+    const text = `
+Complaint Reopened
+
+Dear ${staffMember.name},
+
+${complainant.name} has reopened complaint #${reference} (${
+      complaint.title
+    }), which is now ${complaint.status.replace("-", " ")}.
+
+Reason:
+${reason}
+
+Please log into the complaint management system to follow up.
+
+This is an automated message. Please do not reply to this email.
+    `;
+
+    return this.sendEmail({
+      to: staffMember.email,
+      subject,
+      html,
+      text,
+    });
+  }
+
+  /**
+   * Send one notification listing the complaints that changed for a
+   * recipient in a bulk update
+   */
+  async sendBulkUpdate(recipient, items, updatedBy) {
+    const count = items.length;
+    const subject =
+      count === 1
+        ? `Complaint Updated - #${this.getReference(items[0].complaint)}`
+        : `${count} Complaints Updated`;
+
+    const rows = items
+      .map(
+        ({ complaint, detail }) => `
+            <tr>
+              <td style="padding: 8px; border-bottom: 1px solid #dee2e6;"><strong>#${this.getReference(
+                complaint
+              )}</strong></td>
+              <td style="padding: 8px; border-bottom: 1px solid #dee2e6;">${
+                complaint.title
+              }</td>
+              <td style="padding: 8px; border-bottom: 1px solid #dee2e6;">${detail}</td>
+            </tr>`
+      )
+      .join("");
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #f8f9fa; padding: 20px; text-align: center;">
+          <h1 style="color: #333; margin: 0;">Complaint Management System</h1>
+        </div>
+        
+        <div style="padding: 30px;">
+          <h2 style="color: #007bff;">${
+            count === 1 ? "Complaint Updated" : "Complaints Updated"
+          }</h2>
+          
+          <p>Dear ${recipient.name},</p>
+          
+          <p>${updatedBy.name} updated ${
+      count === 1 ? "a complaint" : `${count} complaints`
+    } you are involved in:</p>
+          
+          <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">${rows}
+          </table>
+          
+          <p>Please log into the complaint management system for details.</p>
+          
+          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #dee2e6;">
+            <p style="color: #6c757d; font-size: 14px;">
+              This is an automated message. Please do not reply to this email.
+            </p>
+          </div>
+        </div>
+      </div>
+    `;
+
+    const text = `
+${count === 1 ? "Complaint Updated" : "Complaints Updated"}
+
+Dear ${recipient.name},
+
+${updatedBy.name} updated ${
+      count === 1 ? "a complaint" : `${count} complaints`
+    } you are involved in:
+
+${items
+  .map(
+    ({ complaint, detail }) =>
+      `- #${this.getReference(complaint)} (${complaint.title}): ${detail}`
+  )
+  .join("\n")}
+
+Please log into the complaint management system for details.
+
+This is an automated message. Please do not reply to this email.
+    `;
+
+    return this.sendEmail({
+      to: recipient.email,
+      subject,
+      html,
+      text,
+    });
+  }
+
+  /**
+   * Ticket ID of a complaint, or a short ID for complaints created before
+   * ticket IDs existed
+   */
+  getReference(complaint) {
+    return (
+      complaint.ticketId || complaint._id.toString().slice(-6).toUpperCase()
+    );
+  }
+
   /**
    * Get status color for styling
    */
@@ -491,6 +846,8 @@ This is an automated escalation message. Please do not reply to this email.
         return "#007bff";
       case "in-progress":
         return "#ffc107";
+      case "awaiting-requester":
+        return "#6f42c1";
       case "resolved":
         return "#28a745";
       case "closed":
@@ -527,6 +884,8 @@ This is an automated escalation message. Please do not reply to this email.
     switch (status) {
       case "assigned":
         return '<p style="background-color: #d1ecf1; padding: 15px; border-radius: 5px; border: 1px solid #bee5eb;"><strong>Good news!</strong> Your complaint has been assigned to a staff member who will begin working on it shortly.</p>';
+      case "awaiting-requester":
+        return '<p style="background-color: #e2e3f5; padding: 15px; border-radius: 5px; border: 1px solid #c5c7ea;"><strong>Action Needed:</strong> Our team needs more information from you to continue. Please log into your account and reply with a comment on your complaint. The resolution deadline is paused until you reply.</p>';
       case "in-progress":
         return '<p style="background-color: #fff3cd; padding: 15px; border-radius: 5px; border: 1px solid #ffeaa7;"><strong>In Progress:</strong> Our team is actively working on resolving your complaint. We will keep you updated on the progress.</p>';
       case "resolved":
@@ -1,5 +1,11 @@
 const Complaint = require("../models/Complaint");
 const User = require("../models/User");
+const Category = require("../models/Category");
+const EscalationPolicy = require("../models/EscalationPolicy");
+const BusinessCalendarService = require("./businessCalendar.service");
+const AvailabilityService = require("./availability.service");
+const WebSocketService = require("./websocket.service");
+const emailService = require("./email/emailService");
 const logger = require("../utils/logger");
 const {
   COMPLAINT_STATUS,
@@ -7,9 +13,17 @@ const {
   ESCALATION_CONFIG,
 } = require("../config/constants");
 
+// Escalation chain used when neither the department nor the organisation has
+// an escalation policy
+const DEFAULT_ESCALATION_POLICY = {
+  name: "Default",
+  levels: [{ name: "Administrators", users: [], roles: [USER_ROLES.ADMIN] }],
+};
+
 /**
  * Escalation Service
- * Handles automatic escalation of overdue complaints
+ * Handles automatic escalation of overdue complaints through each
+ * department's escalation chain
  */
 class EscalationService {
   /**
@@ -41,12 +55,23 @@ class EscalationService {
       // Process each overdue complaint
       for (const complaint of overdueComplaints) {
         try {
-          await this.escalateComplaint(complaint);
+          const escalation = await this.escalateComplaint(complaint);
+          if (!escalation) {
+            results.details.push({
+              complaintId: complaint._id,
+              status: "skipped",
+              reason: "Highest escalation level already reached",
+            });
+            continue;
+          }
+
           results.escalated++;
           results.details.push({
             complaintId: complaint._id,
             status: "escalated",
-            reason: "Deadline exceeded",
+            level: escalation.level,
+            levelName: escalation.levelName,
+            reason: escalation.reason,
           });
         } catch (error) {
           logger.error(`Failed to escalate complaint ${complaint._id}:`, error);
@@ -76,37 +101,134 @@ class EscalationService {
   }
 
   /**
-   * Escalate a specific complaint
+   * Get the escalation policy that applies to a department
+   * @param {string} [department]
+   */
+  static async getPolicy(department) {
+    const policy = await EscalationPolicy.findForDepartment(department);
+    return policy || DEFAULT_ESCALATION_POLICY;
+  }
+
+  /**
+   * Find the active users to notify at an escalation level, replacing
+   * anyone who is away with their delegate
+   * @param {Object} level - Escalation policy level
+   * @param {string} [department] - Department for staff role recipients
+   */
+  static async getLevelRecipients(level, department) {
+    const conditions = [];
+
+    if (level.users?.length > 0) {
+      conditions.push({ _id: { $in: level.users } });
+    }
+    if (level.roles?.includes(USER_ROLES.ADMIN)) {
+      conditions.push({ role: USER_ROLES.ADMIN });
+    }
+    if (level.roles?.includes(USER_ROLES.STAFF) && department) {
+      conditions.push({ role: USER_ROLES.STAFF, department });
+    }
+
+    if (conditions.length === 0) return [];
+
+    const users = await User.find({ isActive: true, $or: conditions }).select(
+      AvailabilityService.STAFF_FIELDS
+    );
+
+    // Skip people who are away (in favour of their delegates), unless that
+    // would leave nobody to notify at this level
+    const available = await AvailabilityService.resolveRecipients(users);
+    return available.length > 0 ? available : users;
+  }
+
+  /**
+   * Escalate a complaint to the next level of its escalation chain
    * @param {Object} complaint - The complaint to escalate
+   * @param {Object} [options]
+   * @param {Object} [options.escalatedBy] - User escalating manually
+   * @param {string} [options.reason]
+   * @param {boolean} [options.notify] - Notify the new level's recipients
+   *   (false when the caller batches notifications itself)
+   * @returns {Promise<Object|null>} The new level, or null when the complaint
+   *   is already at the last level
    */
-  static async escalateComplaint(complaint) {
+  static async escalateComplaint(
+    complaint,
+    { escalatedBy, reason, notify = true } = {}
+  ) {
     try {
-      // Find an admin user to assign as escalator
-      const adminUser = await User.findOne({
-        role: USER_ROLES.ADMIN,
-        isActive: true,
-      });
+      const department = complaint.category?.department;
+      const policy = await this.getPolicy(department);
 
-      if (!adminUser) {
-        throw new Error("No active admin user found for escalation");
+      const currentLevel = complaint.escalation.level || 0;
+      const level = policy.levels[currentLevel];
+
+      if (!level) {
+        // End of the chain: stop re-checking this complaint
+        if (complaint.escalation.nextEscalationAt) {
+          complaint.escalation.nextEscalationAt = null;
+          await complaint.save();
+        }
+        return null;
       }
 
-      // Calculate how long the complaint is overdue
-      const overdueHours = Math.floor(
-        (Date.now() - complaint.deadline) / (1000 * 60 * 60)
-      );
-      const reason = `Complaint exceeded deadline by ${overdueHours} hours`;
+      if (!reason) {
+        if (currentLevel === 0) {
+          // Calculate how long the complaint is past its escalation time
+          const escalationDueAt = complaint.getEscalationDueAt();
+          const overdueHours = Math.floor(
+            (Date.now() - escalationDueAt) / (1000 * 60 * 60)
+          );
+          reason =
+            escalationDueAt === complaint.deadline
+              ? `Complaint exceeded deadline by ${overdueHours} hours`
+              : `Complaint unresolved ${overdueHours} hours past its escalation time`;
+        } else {
+          reason = `Not resolved within ${
+            policy.levels[currentLevel - 1].timeoutHours
+          } business hours at L${currentLevel}`;
+        }
+      }
 
-      // Escalate the complaint
-      await complaint.escalate(adminUser._id, reason);
+      const recipients = await this.getLevelRecipients(level, department);
+      const hasNextLevel = currentLevel + 1 < policy.levels.length;
+      const nextEscalationAt =
+        hasNextLevel && level.timeoutHours
+          ? await BusinessCalendarService.addBusinessHours(
+              new Date(),
+              level.timeoutHours,
+              department
+            )
+          : null;
+
+      await complaint.escalate(escalatedBy?._id || null, reason, {
+        level: currentLevel + 1,
+        levelName: level.name,
+        notified: recipients.map((recipient) => recipient._id),
+        nextEscalationAt,
+      });
 
-      // Log the escalation
       logger.warn(
-        `Complaint escalated: ${complaint._id} - ${complaint.title} (User: ${complaint.user.email})`
+        `Complaint escalated to L${currentLevel + 1} (${level.name}): ${
+          complaint._id
+        } - ${complaint.title}`
       );
 
-      // TODO: Send notification emails/SMS
-      await this.sendEscalationNotifications(complaint, adminUser, reason);
+      const escalation = {
+        level: currentLevel + 1,
+        levelName: level.name,
+        reason,
+        recipients,
+      };
+
+      if (notify) {
+        await this.sendEscalationNotifications(
+          complaint,
+          escalation,
+          escalatedBy
+        );
+      }
+
+      return escalation;
     } catch (error) {
       logger.error(`Error escalating complaint ${complaint._id}:`, error);
       throw error;
@@ -197,6 +319,18 @@ class EscalationService {
         { $sort: { escalationCount: -1 } },
       ]);
 
+      // Get how far complaints went up their escalation chains
+      const levelStats = await Complaint.aggregate([
+        { $match: matchStage },
+        {
+          $group: {
+            _id: { $ifNull: ["$escalation.level", 1] },
+            count: { $sum: 1 },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]);
+
       return {
         general: stats[0] || {
           totalEscalated: 0,
@@ -204,6 +338,10 @@ class EscalationService {
           categoryBreakdown: [],
         },
         byCategory: categoryStats,
+        byLevel: levelStats.map((stat) => ({
+          level: stat._id,
+          count: stat.count,
+        })),
       };
     } catch (error) {
       logger.error("Error getting escalation stats:", error);
@@ -213,23 +351,37 @@ class EscalationService {
 
   /**
    * Get complaints at risk of escalation
-   * @param {number} hoursBuffer - Hours before deadline to consider "at risk"
+   * @param {number} hoursBuffer - Business hours before escalation to consider "at risk"
    */
   static async getAtRiskComplaints(
     hoursBuffer = ESCALATION_CONFIG.BUFFER_HOURS
   ) {
     try {
-      const riskDeadline = new Date(Date.now() + hoursBuffer * 60 * 60 * 1000);
-
-      const atRiskComplaints = await Complaint.find({
-        deadline: { $lt: riskDeadline, $gt: new Date() },
-        status: {
-          $nin: [
-            COMPLAINT_STATUS.RESOLVED,
-            COMPLAINT_STATUS.CLOSED,
-            COMPLAINT_STATUS.ESCALATED,
-          ],
-        },
+      const now = new Date();
+
+      // The buffer is in business hours, which can span nights, weekends and
+      // holidays. Query up to the latest wall-clock cut-off of any calendar,
+      // then keep complaints within the buffer of their own calendar.
+      // Risk is measured against the escalation time (see slaSettings).
+      const departments = await Category.distinct("department");
+      const cutoffs = await Promise.all(
+        [undefined, ...departments].map((department) =>
+          BusinessCalendarService.addBusinessHours(now, hoursBuffer, department)
+        )
+      );
+      const riskDeadline = new Date(Math.max(...cutoffs));
+
+      const candidates = await Complaint.find({
+        $and: [
+          Complaint.escalationDueBefore(riskDeadline),
+          { $nor: [Complaint.escalationDueBefore(now)] },
+        ],
+        ...Complaint.phaseNotIn([
+          COMPLAINT_STATUS.RESOLVED,
+          COMPLAINT_STATUS.CLOSED,
+          COMPLAINT_STATUS.ESCALATED,
+          COMPLAINT_STATUS.AWAITING_REQUESTER,
+        ]),
         "escalation.isEscalated": false,
       })
         .populate("user", "name email")
@@ -237,17 +389,39 @@ class EscalationService {
         .populate("assignedTo", "name email department")
         .sort({ deadline: 1 });
 
-      // Calculate time remaining for each complaint
-      const complaintsWithTimeInfo = atRiskComplaints.map((complaint) => ({
-        ...complaint.toObject(),
-        hoursUntilDeadline: Math.floor(
-          (complaint.deadline - Date.now()) / (1000 * 60 * 60)
-        ),
-        minutesUntilDeadline: Math.floor(
-          (complaint.deadline - Date.now()) / (1000 * 60)
-        ),
-        riskLevel: this.calculateRiskLevel(complaint.deadline),
-      }));
+      // Calculate business time remaining for each complaint
+      const complaintsWithTimeInfo = [];
+      for (const complaint of candidates) {
+        const department = complaint.category?.department;
+        const escalationDueAt = complaint.getEscalationDueAt();
+        const hoursUntilEscalation =
+          await BusinessCalendarService.businessHoursBetween(
+            now,
+            escalationDueAt,
+            department
+          );
+
+        if (hoursUntilEscalation > hoursBuffer) continue;
+
+        const businessHoursLeft =
+          await BusinessCalendarService.businessHoursBetween(
+            now,
+            complaint.deadline,
+            department
+          );
+
+        complaintsWithTimeInfo.push({
+          ...complaint.toObject(),
+          escalationDueAt,
+          hoursUntilEscalation: Math.floor(hoursUntilEscalation),
+          hoursUntilDeadline: Math.floor(businessHoursLeft),
+          minutesUntilDeadline: Math.floor(businessHoursLeft * 60),
+          riskLevel: this.calculateRiskLevel(
+            escalationDueAt,
+            hoursUntilEscalation
+          ),
+        });
+      }
 
       return complaintsWithTimeInfo;
     } catch (error) {
@@ -259,10 +433,12 @@ class EscalationService {
   /**
    * Calculate risk level based on time until deadline
    * @param {Date} deadline
+   * @param {number} [hoursUntilDeadline] - Business hours left, if known
    */
-  static calculateRiskLevel(deadline) {
-    const hoursUntilDeadline = (deadline - Date.now()) / (1000 * 60 * 60);
-
+  static calculateRiskLevel(
+    deadline,
+    hoursUntilDeadline = (deadline - Date.now()) / (1000 * 60 * 60)
+  ) {
     if (hoursUntilDeadline <= 1) return "critical";
     if (hoursUntilDeadline <= 4) return "high";
     if (hoursUntilDeadline <= 12) return "medium";
@@ -289,14 +465,8 @@ class EscalationService {
         throw new Error("Complaint not found");
       }
 
-      if (complaint.escalation.isEscalated) {
-        throw new Error("Complaint is already escalated");
-      }
-
       if (
-        [COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED].includes(
-          complaint.status
-        )
+        complaint.isInPhase(COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED)
       ) {
         throw new Error("Cannot escalate resolved or closed complaint");
       }
@@ -306,13 +476,19 @@ class EscalationService {
         throw new Error("Only administrators can manually escalate complaints");
       }
 
-      // Escalate the complaint
-      await complaint.escalate(adminId, reason);
+      // Escalate the complaint to the next level of its chain
+      const escalation = await this.escalateComplaint(complaint, {
+        escalatedBy: admin,
+        reason,
+      });
 
-      logger.info(`Manual escalation: ${complaintId} by admin: ${admin.email}`);
+      if (!escalation) {
+        throw new Error("Complaint is already at the highest escalation level");
+      }
 
-      // Send notifications
-      await this.sendEscalationNotifications(complaint, admin, reason);
+      logger.info(
+        `Manual escalation: ${complaintId} to L${escalation.level} by admin: ${admin.email}`
+      );
 
       return complaint;
     } catch (error) {
@@ -322,36 +498,41 @@ class EscalationService {
   }
 
   /**
-   * Send escalation notifications
+   * Notify the people at the complaint's new escalation level
    * @param {Object} complaint
-   * @param {Object} escalatedBy
-   * @param {string} reason
+   * @param {Object} escalation - Level, level name, reason and recipients
+   * @param {Object} [escalatedBy] - User who escalated manually
    */
-  static async sendEscalationNotifications(complaint, escalatedBy, reason) {
+  static async sendEscalationNotifications(complaint, escalation, escalatedBy) {
+    for (const recipient of escalation.recipients) {
+      try {
+        await emailService.sendEscalationNotification(
+          complaint,
+          recipient,
+          escalation
+        );
+      } catch (emailError) {
+        logger.error(
+          `Failed to send escalation email to ${recipient.email} for complaint ${complaint._id}:`,
+          emailError
+        );
+        // Don't stop the escalation process if email fails
+      }
+    }
+
     try {
-      // TODO: Implement email/SMS notifications
-      logger.info(
-        `Escalation notifications sent for complaint: ${complaint._id}`
+      WebSocketService.notifyEscalation(complaint, escalation, escalatedBy);
+    } catch (socketError) {
+      logger.error(
+        `Failed to send WebSocket escalation notification for complaint ${complaint._id}:`,
+        socketError
       );
+    }
 
-      // For now, just log the notification details
-      const notificationData = {
-        complaintId: complaint._id,
-        complaintTitle: complaint.title,
-        userEmail: complaint.user?.email,
-        assignedTo: complaint.assignedTo?.email,
-        escalatedBy: escalatedBy.email,
-        reason: reason,
-        escalatedAt: new Date(),
-      };
-
-      logger.info("Escalation notification data:", notificationData);
-
-      // TODO: Integrate with notification service (email/SMS)
-      // await NotificationService.sendEscalationEmail(notificationData);
-    } catch (error) {
-      logger.error("Error sending escalation notifications:", error);
-      // Don't throw here as this shouldn't stop the escalation process
+    if (escalation.recipients.length === 0) {
+      logger.warn(
+        `No active recipients at L${escalation.level} (${escalation.levelName}) for complaint ${complaint._id}`
+      );
     }
   }
 
@@ -413,8 +594,9 @@ class EscalationService {
           user: complaint.user?.name || "Unknown",
           category: complaint.category?.name || "Unknown",
           deadline: complaint.deadline,
+          escalationDueAt: complaint.getEscalationDueAt(),
           overdueHours: Math.floor(
-            (Date.now() - complaint.deadline) / (1000 * 60 * 60)
+            (Date.now() - complaint.getEscalationDueAt()) / (1000 * 60 * 60)
           ),
           assignedTo: complaint.assignedTo?.name || "Unassigned",
         })),
@@ -0,0 +1,603 @@
+const PDFDocument = require("pdfkit");
+
+const COLORS = {
+  text: "#222222",
+  muted: "#666666",
+  rule: "#cccccc",
+  header: "#eeeeee",
+};
+
+const CELL_PADDING = 4;
+
+const FEEDBACK_ASPECTS = [
+  "resolution",
+  "timeliness",
+  "communication",
+  "professionalism",
+];
+
+const formatDate = (date) =>
+  date
+    ? `${new Date(date).toISOString().replace("T", " ").slice(0, 16)} UTC`
+    : null;
+
+const formatPerson = (person) =>
+  person?.name ? `${person.name} <${person.email}>` : null;
+
+const formatSize = (bytes) => {
+  if (!bytes) return "0 B";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const toCell = (value) =>
+  value === null || value === undefined || value === "" ? "-" : String(value);
+
+const contentWidth = (doc) =>
+  doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+// Start a new page unless `height` still fits on this one
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+};
+
+const writeTitle = (doc, title, subtitle) => {
+  doc.font("Helvetica-Bold").fontSize(18).fillColor(COLORS.text).text(title);
+  doc.font("Helvetica").fontSize(10).fillColor(COLORS.muted).text(subtitle);
+  doc.moveDown();
+};
+
+const writeSection = (doc, title) => {
+  ensureSpace(doc, 60);
+  doc.moveDown(0.5);
+  doc.font("Helvetica-Bold").fontSize(13).fillColor(COLORS.text).text(title);
+
+  const y = doc.y + 2;
+  doc
+    .moveTo(doc.page.margins.left, y)
+    .lineTo(doc.page.width - doc.page.margins.right, y)
+    .lineWidth(0.5)
+    .strokeColor(COLORS.rule)
+    .stroke();
+  doc.y = y + 6;
+};
+
+const writeParagraph = (doc, text) => {
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .fillColor(COLORS.text)
+    .text(toCell(text), doc.page.margins.left, doc.y, {
+      width: contentWidth(doc),
+    });
+  doc.moveDown(0.5);
+};
+
+// Label/value lines; fields with an undefined value are left out
+const writeFields = (doc, fields) => {
+  const left = doc.page.margins.left;
+  const labelWidth = 150;
+  const valueWidth = contentWidth(doc) - labelWidth;
+
+  fields
+    .filter(([, value]) => value !== undefined)
+    .forEach(([label, value]) => {
+      const text = toCell(value);
+      doc.font("Helvetica").fontSize(10);
+      ensureSpace(doc, doc.heightOfString(text, { width: valueWidth }));
+
+      const y = doc.y;
+      doc
+        .font("Helvetica-Bold")
+        .fillColor(COLORS.muted)
+        .text(label, left, y, { width: labelWidth - 10 });
+      const labelBottom = doc.y;
+      doc
+        .font("Helvetica")
+        .fillColor(COLORS.text)
+        .text(text, left + labelWidth, y, { width: valueWidth });
+
+      doc.x = left;
+      doc.y = Math.max(doc.y, labelBottom) + 2;
+    });
+  doc.moveDown(0.5);
+};
+
+/**
+ * Table with a header row, repeated on every page it spans
+ * @param {Object[]} columns - { header, width (fraction of the page), align }
+ * @param {Array[]} rows - Cell values, in column order
+ */
+const writeTable = (doc, columns, rows) => {
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  const widths = columns.map((column) => column.width * width);
+
+  const drawRow = (cells, isHeader) => {
+    const font = isHeader ? "Helvetica-Bold" : "Helvetica";
+    doc.font(font).fontSize(9);
+    const height =
+      Math.max(
+        ...cells.map((cell, index) =>
+          doc.heightOfString(cell, { width: widths[index] - CELL_PADDING * 2 })
+        )
+      ) +
+      CELL_PADDING * 2;
+
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      if (!isHeader) drawRow(headers, true);
+      doc.font(font).fontSize(9);
+    }
+
+    const y = doc.y;
+    if (isHeader) {
+      doc.rect(left, y, width, height).fill(COLORS.header);
+    }
+
+    let x = left;
+    cells.forEach((cell, index) => {
+      doc
+        .fillColor(COLORS.text)
+        .text(cell, x + CELL_PADDING, y + CELL_PADDING, {
+          width: widths[index] - CELL_PADDING * 2,
+          align: columns[index].align || "left",
+        });
+      x += widths[index];
+    });
+
+    doc
+      .moveTo(left, y + height)
+      .lineTo(left + width, y + height)
+      .lineWidth(0.5)
+      .strokeColor(COLORS.rule)
+      .stroke();
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  const headers = columns.map((column) => column.header);
+  ensureSpace(doc, 40);
+  drawRow(headers, true);
+  if (rows.length === 0) {
+    drawRow(
+      columns.map((column, index) => (index === 0 ? "None" : "")),
+      false
+    );
+  }
+  rows.forEach((row) => drawRow(row.map(toCell), false));
+  doc.moveDown(0.5);
+};
+
+// Page numbers on every page, once the content is complete
+const writePageNumbers = (doc, label) => {
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    const { bottom } = doc.page.margins;
+    // Writing inside the bottom margin would otherwise add a page
+    doc.page.margins.bottom = 0;
+    doc
+      .font("Helvetica")
+      .fontSize(8)
+      .fillColor(COLORS.muted)
+      .text(
+        `${label} - page ${index + 1} of ${range.count}`,
+        doc.page.margins.left,
+        doc.page.height - bottom / 2 - 4,
+        { width: contentWidth(doc), align: "center", lineBreak: false }
+      );
+    doc.page.margins.bottom = bottom;
+  }
+};
+
+/**
+ * PDF Report Service
+ * Printable documents: the case file of one complaint, and the analytics
+ * report of AnalyticsService.generateDashboardReport. Documents are written
+ * straight to a stream (e.g. the response).
+ */
+class PdfReportService {
+  static createDocument(title) {
+    return new PDFDocument({
+      size: "A4",
+      margin: 50,
+      bufferPages: true,
+      info: { Title: title, Author: "Complaint Management System" },
+    });
+  }
+
+  /**
+   * Write the case file of a complaint
+   * @param {Object} complaint - Complaint with category (incl. customFields),
+   *   user, assignedTo, feedback, statusHistory.updatedBy,
+   *   attachments.uploadedBy and internalNotes.addedBy populated
+   * @param {Object} options
+   * @param {Object[]} options.comments - Comments (author populated) to
+   *   list, already limited to the visibilities to include
+   * @param {boolean} options.includeInternal - Whether internal notes are
+   *   included
+   * @param {Object} options.generatedBy - req.user
+   * @param {Writable} output
+   */
+  static writeComplaintReport(
+    complaint,
+    { comments, includeInternal, generatedBy },
+    output
+  ) {
+    const reference =
+      complaint.ticketId || complaint._id.toString().slice(-8).toUpperCase();
+    const doc = this.createDocument(`Complaint ${reference}`);
+    doc.pipe(output);
+
+    writeTitle(
+      doc,
+      `Complaint ${reference}`,
+      `Case file generated ${formatDate(new Date())} by ${generatedBy.name}${
+        includeInternal ? "" : " (internal notes excluded)"
+      }`
+    );
+
+    // Complaint
+    writeSection(doc, "Complaint");
+    const customFields = (complaint.category?.customFields || [])
+      .filter((field) => complaint.customFields?.[field.key] != null)
+      .map((field) => {
+        const value = complaint.customFields[field.key];
+        return [
+          field.label,
+          value instanceof Date ? formatDate(value) : String(value),
+        ];
+      });
+    writeFields(doc, [
+      ["Title", complaint.title],
+      [
+        "Status",
+        complaint.statusPhase && complaint.statusPhase !== complaint.status
+          ? `${complaint.status} (${complaint.statusPhase})`
+          : complaint.status,
+      ],
+      ["Priority", complaint.priority],
+      [
+        "Category",
+        complaint.category
+          ? `${complaint.category.name} (${complaint.category.department})`
+          : null,
+      ],
+      ["Location", complaint.location],
+      ["Tags", complaint.tags?.join(", ")],
+      ["Submitted by", formatPerson(complaint.user)],
+      ["Submitted at", formatDate(complaint.createdAt)],
+      ["Deadline", formatDate(complaint.deadline)],
+      ["Resolved at", formatDate(complaint.resolvedAt)],
+      [
+        "Escalated",
+        complaint.escalation?.isEscalated
+          ? `Level ${complaint.escalation.level || 1} on ${formatDate(
+              complaint.escalation.escalatedAt
+            )}`
+          : "No",
+      ],
+      ["Times reopened", complaint.reopenCount || 0],
+      ...customFields,
+    ]);
+    writeParagraph(doc, complaint.description);
+
+    // Assignee
+    writeSection(doc, "Assignee");
+    writeFields(doc, [
+      ["Assigned to", formatPerson(complaint.assignedTo) || "Unassigned"],
+      ["Department", complaint.assignedTo?.department],
+    ]);
+
+    // Status timeline
+    writeSection(doc, "Status History");
+    writeTable(
+      doc,
+      [
+        { header: "Date", width: 0.22 },
+        { header: "Status", width: 0.16 },
+        { header: "By", width: 0.22 },
+        { header: "Remarks", width: 0.4 },
+      ],
+      [...complaint.statusHistory]
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        .map((entry) => [
+          formatDate(entry.timestamp),
+          entry.status,
+          entry.updatedBy?.name || "System",
+          entry.remarks,
+        ])
+    );
+
+    // Comments and notes, oldest first
+    writeSection(doc, includeInternal ? "Comments and Notes" : "Comments");
+    const notes = [
+      ...comments.map((comment) => ({
+        date: comment.createdAt,
+        author: comment.author?.name,
+        visibility: comment.visibility,
+        text: comment.body,
+      })),
+      ...(includeInternal ? complaint.internalNotes || [] : []).map((note) => ({
+        date: note.addedAt,
+        author: note.addedBy?.name,
+        visibility: "internal",
+        text: note.note,
+      })),
+    ].sort((a, b) => new Date(a.date) - new Date(b.date));
+    writeTable(
+      doc,
+      [
+        { header: "Date", width: 0.22 },
+        { header: "Author", width: 0.18 },
+        { header: "Visibility", width: 0.12 },
+        { header: "Comment", width: 0.48 },
+      ],
+      notes.map((note) => [
+        formatDate(note.date),
+        note.author,
+        note.visibility,
+        note.text,
+      ])
+    );
+
+    // Attachments
+    writeSection(doc, "Attachments");
+    writeTable(
+      doc,
+      [
+        { header: "File", width: 0.34 },
+        { header: "Type", width: 0.2 },
+        { header: "Size", width: 0.1, align: "right" },
+        { header: "Uploaded", width: 0.36 },
+      ],
+      (complaint.attachments || []).map((attachment) => [
+        attachment.originalName,
+        attachment.mimetype,
+        formatSize(attachment.size),
+        [formatDate(attachment.uploadedAt), attachment.uploadedBy?.name]
+          .filter(Boolean)
+          .join(" by "),
+      ])
+    );
+
+    // Feedback
+    writeSection(doc, "Feedback");
+    const { feedback } = complaint;
+    if (feedback) {
+      const aspects = FEEDBACK_ASPECTS.filter(
+        (aspect) => feedback.aspects?.[aspect]?.rating
+      ).map((aspect) => [
+        `${aspect[0].toUpperCase()}${aspect.slice(1)} rating`,
+        `${feedback.aspects[aspect].rating}/5${
+          feedback.aspects[aspect].comment
+            ? ` - ${feedback.aspects[aspect].comment}`
+            : ""
+        }`,
+      ]);
+      writeFields(doc, [
+        ["Rating", `${feedback.rating}/5`],
+        ["Comments", feedback.comments],
+        ...aspects,
+        [
+          "Would recommend",
+          feedback.wouldRecommend == null
+            ? undefined
+            : feedback.wouldRecommend
+            ? "Yes"
+            : "No",
+        ],
+        ["Submitted at", formatDate(feedback.createdAt)],
+        [
+          "Response",
+          feedback.adminResponse?.message
+            ? `${feedback.adminResponse.message} (${formatDate(
+                feedback.adminResponse.respondedAt
+              )})`
+            : undefined,
+        ],
+      ]);
+    } else {
+      writeParagraph(doc, "No feedback has been given.");
+    }
+
+    writePageNumbers(doc, `Complaint ${reference}`);
+    doc.end();
+  }
+
+  /**
+   * Write the analytics report of AnalyticsService.generateDashboardReport
+   * @param {Object} report
+   * @param {Writable} output
+   */
+  static writeAnalyticsReport(report, output) {
+    const doc = this.createDocument("Complaint Analytics Report");
+    doc.pipe(output);
+
+    const { startDate, endDate } = report.dateRange || {};
+    const period =
+      startDate || endDate
+        ? `${formatDate(startDate) || "the start"} to ${
+            formatDate(endDate) || "now"
+          }`
+        : "all time";
+    writeTitle(
+      doc,
+      "Complaint Analytics Report",
+      `Complaints from ${period}. Generated ${formatDate(
+        report.reportGenerated
+      )}.`
+    );
+
+    // Overview
+    const { overview, breakdown, performance } = report.overview;
+    writeSection(doc, "Overview");
+    writeFields(doc, [
+      ["Total complaints", overview.totalComplaints],
+      ["Active", overview.activeComplaints],
+      ["Resolved", overview.resolvedComplaints],
+      ["Overdue", overview.overdueComplaints],
+      ["Escalated", overview.escalatedComplaints],
+      ["Reopened", overview.reopenedComplaints],
+      ["Closed automatically", overview.autoClosedComplaints],
+      ["Avg resolution time", `${overview.avgResolutionTimeHours} hours`],
+      ["Resolution rate", `${performance.resolutionRate}%`],
+      ["Escalation rate", `${performance.escalationRate}%`],
+      ["Reopen rate", `${performance.reopenRate}%`],
+    ]);
+
+    writeTable(
+      doc,
+      [
+        { header: "Status", width: 0.5 },
+        { header: "Complaints", width: 0.5, align: "right" },
+      ],
+      Object.entries(breakdown.workflowStatus || breakdown.status)
+    );
+    writeTable(
+      doc,
+      [
+        { header: "Priority", width: 0.5 },
+        { header: "Complaints", width: 0.5, align: "right" },
+      ],
+      Object.entries(breakdown.priority)
+    );
+
+    // Trends
+    const { trends } = report;
+    writeSection(doc, `Trends (${trends.period})`);
+    writeTable(
+      doc,
+      [
+        { header: "Period", width: 0.4 },
+        { header: "Submitted", width: 0.2, align: "right" },
+        { header: "Resolved", width: 0.2, align: "right" },
+        { header: "Escalated", width: 0.2, align: "right" },
+      ],
+      [
+        ...trends.data.map((item) => [
+          item.period,
+          item.submitted,
+          item.resolved,
+          item.escalated,
+        ]),
+        [
+          "Total",
+          trends.summary.totalSubmitted,
+          trends.summary.totalResolved,
+          trends.summary.totalEscalated,
+        ],
+      ]
+    );
+
+    // Categories
+    writeSection(doc, "Categories");
+    writeTable(
+      doc,
+      [
+        { header: "Category", width: 0.24 },
+        { header: "Department", width: 0.2 },
+        { header: "Complaints", width: 0.12, align: "right" },
+        { header: "Resolved", width: 0.11, align: "right" },
+        { header: "Escalated", width: 0.11, align: "right" },
+        { header: "Resolution rate", width: 0.11, align: "right" },
+        { header: "Avg hours", width: 0.11, align: "right" },
+      ],
+      report.categories.categories.map((category) => [
+        category.categoryName,
+        category.department,
+        category.totalComplaints,
+        category.resolved,
+        category.escalated,
+        `${category.resolutionRate}%`,
+        category.avgResolutionTime,
+      ])
+    );
+
+    // Staff
+    writeSection(doc, "Staff");
+    writeTable(
+      doc,
+      [
+        { header: "Staff member", width: 0.26 },
+        { header: "Department", width: 0.2 },
+        { header: "Assigned", width: 0.11, align: "right" },
+        { header: "Resolved", width: 0.11, align: "right" },
+        { header: "Escalated", width: 0.1, align: "right" },
+        { header: "Resolution rate", width: 0.11, align: "right" },
+        { header: "Avg hours", width: 0.11, align: "right" },
+      ],
+      report.staff.staff.map((staff) => [
+        staff.staffName,
+        staff.department,
+        staff.totalAssigned,
+        staff.resolved,
+        staff.escalated,
+        `${staff.resolutionRate}%`,
+        staff.avgResolutionTime,
+      ])
+    );
+
+    // SLA
+    const { sla } = report;
+    writeSection(doc, "Service Levels");
+    writeFields(doc, [
+      ["Compliance", `${sla.overall.compliance}%`],
+      ["Resolved on time", sla.overall.totalResolvedOnTime],
+      ["Overdue", sla.overall.totalOverdue],
+      [
+        "Avg business hours to resolve",
+        sla.overall.avgBusinessHoursToResolution,
+      ],
+    ]);
+    writeTable(
+      doc,
+      [
+        { header: "Priority", width: 0.2 },
+        { header: "Complaints", width: 0.16, align: "right" },
+        { header: "Overdue", width: 0.16, align: "right" },
+        { header: "On time", width: 0.16, align: "right" },
+        { header: "Compliance", width: 0.16, align: "right" },
+        { header: "Avg hours", width: 0.16, align: "right" },
+      ],
+      sla.byPriority.map((item) => [
+        item.priority,
+        item.totalComplaints,
+        item.overdueCount,
+        item.resolvedOnTimeCount,
+        `${item.slaCompliance}%`,
+        item.avgTimeToResolution,
+      ])
+    );
+
+    // Feedback
+    const { feedback } = report;
+    writeSection(doc, "Feedback");
+    writeFields(doc, [
+      ["Responses", feedback.summary.totalFeedbacks],
+      ["Avg rating", `${feedback.summary.avgOverallRating}/5`],
+      ["Would recommend", `${feedback.summary.recommendationRate}%`],
+      ["Satisfaction", feedback.satisfactionLevel],
+    ]);
+    writeTable(
+      doc,
+      [
+        { header: "Rating", width: 0.5 },
+        { header: "Responses", width: 0.5, align: "right" },
+      ],
+      [5, 4, 3, 2, 1].map((rating) => [
+        `${rating} star${rating === 1 ? "" : "s"}`,
+        feedback.ratingDistribution[`${rating}star`] || 0,
+      ])
+    );
+
+    writePageNumbers(doc, "Complaint Analytics Report");
+    doc.end();
+  }
+}
+
+module.exports = PdfReportService;
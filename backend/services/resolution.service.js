@@ -0,0 +1,283 @@
+const Complaint = require("../models/Complaint");
+const Comment = require("../models/Comment");
+const WorkflowService = require("./workflow.service");
+const emailService = require("./email/emailService");
+const WebSocketService = require("./websocket.service");
+const { AppError } = require("../middleware/error.middleware");
+const logger = require("../utils/logger");
+const { WORKFLOW_ACTORS } = require("../config/workflow");
+const {
+  HTTP_STATUS,
+  USER_ROLES,
+  COMPLAINT_STATUS,
+  COMMENT_VISIBILITY,
+  RESOLUTION_CONFIG,
+} = require("../config/constants");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shown as the updater of complaints closed by the auto-close job
+const SYSTEM_USER = { name: "System", role: "automatic" };
+
+const refId = (ref) => (ref && ref._id ? ref._id : ref);
+
+/**
+ * Resolution Service
+ * Lets complainants reopen resolved complaints they dispute, and closes
+ * resolved complaints automatically when the complainant does not respond
+ */
+class ResolutionService {
+  /**
+   * Reopen a resolved complaint on behalf of its complainant. The workflow
+   * decides which status the complaint goes back to.
+   * @param {Object} complaint - Complaint document
+   * @param {Object} user - The complainant (req.user)
+   * @param {string} reason - Why the resolution is disputed
+   * @returns {Promise<Object>} The saved complaint
+   */
+  static async reopen(complaint, user, reason) {
+    if (complaint.mergedInto) {
+      throw new AppError(
+        "This complaint was merged into another complaint and cannot be reopened",
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    const reopenDeadline = complaint.getReopenDeadline();
+    if (!reopenDeadline) {
+      throw new AppError(
+        "Only resolved complaints can be reopened",
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    if (reopenDeadline < new Date()) {
+      throw new AppError(
+        `Complaints can only be reopened within ${RESOLUTION_CONFIG.REOPEN_WINDOW_DAYS} days of being resolved`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    const workflow = await WorkflowService.getWorkflow(complaint);
+    const target = WorkflowService.getAvailableTransitions(
+      workflow,
+      complaint.status,
+      USER_ROLES.USER
+    ).find(
+      (transition) =>
+        ![COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED].includes(
+          transition.phase
+        )
+    );
+
+    if (!target) {
+      throw new AppError(
+        "The workflow of this complaint does not allow reopening it",
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    const fromStatus = complaint.status;
+    await complaint.transitionTo(target.status, {
+      updatedBy: user.id,
+      remarks: `Reopened by complainant: ${reason}`,
+      actor: USER_ROLES.USER,
+    });
+
+    complaint.reopenCount += 1;
+    complaint.reopenHistory.push({
+      reopenedAt: new Date(),
+      reopenedBy: user.id,
+      fromStatus,
+      toStatus: target.status,
+      reason,
+    });
+
+    await complaint.save();
+
+    logger.info(
+      `Complaint reopened: ${complaint._id} (${fromStatus} -> ${target.status}) by user: ${user.email}`
+    );
+
+    return complaint;
+  }
+
+  /**
+   * Start of the no-response period of a resolved complaint: its resolution
+   * or the complainant's latest public comment after it, whichever is later
+   * @param {Object} complaint - Resolved complaint document
+   * @returns {Promise<Date>}
+   */
+  static async getLastResponseAt(complaint) {
+    const lastComment = await Comment.findOne({
+      complaint: complaint._id,
+      author: refId(complaint.user),
+      visibility: COMMENT_VISIBILITY.PUBLIC,
+      createdAt: { $gt: complaint.resolvedAt },
+    })
+      .sort({ createdAt: -1 })
+      .select("createdAt");
+
+    return lastComment ? lastComment.createdAt : complaint.resolvedAt;
+  }
+
+  /**
+   * Remind complainants of resolved complaints that are about to be closed,
+   * and close those whose reminder has run out without a response
+   * @returns {Promise<Object>} { checked, reminded, closed, errors }
+   */
+  static async processAutoClose() {
+    const now = new Date();
+    const reminderDelay =
+      (RESOLUTION_CONFIG.AUTO_CLOSE_AFTER_DAYS -
+        RESOLUTION_CONFIG.AUTO_CLOSE_REMINDER_DAYS) *
+      DAY_MS;
+
+    const complaints = await Complaint.find({
+      ...Complaint.phaseIn([COMPLAINT_STATUS.RESOLVED]),
+      resolvedAt: { $ne: null, $lte: new Date(now.getTime() - reminderDelay) },
+      mergedInto: null,
+    })
+      .populate("user", "name email isActive")
+      .populate("category", "name department")
+      .populate("assignedTo", "name email department");
+
+    const results = {
+      checked: complaints.length,
+      reminded: 0,
+      closed: 0,
+      errors: 0,
+    };
+
+    for (const complaint of complaints) {
+      try {
+        const lastResponseAt = await this.getLastResponseAt(complaint);
+        const reminderSentAt = complaint.autoCloseReminderSentAt;
+
+        // A response since the last reminder starts the period again
+        if (!reminderSentAt || reminderSentAt < lastResponseAt) {
+          if (now.getTime() >= lastResponseAt.getTime() + reminderDelay) {
+            await this.sendReminder(complaint, lastResponseAt, now);
+            results.reminded++;
+          }
+          continue;
+        }
+
+        // Complainants always get the full reminder period
+        const closeAt = Math.max(
+          lastResponseAt.getTime() +
+            RESOLUTION_CONFIG.AUTO_CLOSE_AFTER_DAYS * DAY_MS,
+          reminderSentAt.getTime() +
+            RESOLUTION_CONFIG.AUTO_CLOSE_REMINDER_DAYS * DAY_MS
+        );
+        if (now.getTime() >= closeAt && (await this.autoClose(complaint))) {
+          results.closed++;
+        }
+      } catch (error) {
+        logger.error(`Error auto-closing complaint ${complaint._id}:`, error);
+        results.errors++;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Tell the complainant their resolved complaint will be closed soon
+   * @param {Object} complaint
+   * @param {Date} lastResponseAt
+   * @param {Date} now
+   */
+  static async sendReminder(complaint, lastResponseAt, now) {
+    const closesAt = new Date(
+      Math.max(
+        lastResponseAt.getTime() +
+          RESOLUTION_CONFIG.AUTO_CLOSE_AFTER_DAYS * DAY_MS,
+        now.getTime() + RESOLUTION_CONFIG.AUTO_CLOSE_REMINDER_DAYS * DAY_MS
+      )
+    );
+
+    if (complaint.user && complaint.user.isActive !== false) {
+      await emailService.sendAutoCloseReminder(
+        complaint,
+        complaint.user,
+        closesAt,
+        complaint.getReopenDeadline()
+      );
+    }
+
+    complaint.autoCloseReminderSentAt = now;
+    await complaint.save();
+
+    logger.info(
+      `Auto-close reminder sent for complaint ${
+        complaint._id
+      } (closes ${closesAt.toISOString()})`
+    );
+  }
+
+  /**
+   * Close a resolved complaint on behalf of the system
+   * @param {Object} complaint
+   * @returns {Promise<boolean>} Whether the complaint was closed
+   */
+  static async autoClose(complaint) {
+    const workflow = await WorkflowService.getWorkflow(complaint);
+    const target = WorkflowService.getAvailableTransitions(
+      workflow,
+      complaint.status,
+      WORKFLOW_ACTORS.SYSTEM
+    ).find((transition) => transition.phase === COMPLAINT_STATUS.CLOSED);
+
+    if (!target) {
+      logger.warn(
+        `Complaint ${complaint._id} cannot be closed automatically: its workflow has no system transition to a closed status`
+      );
+      return false;
+    }
+
+    const previousStatus = complaint.status;
+    await complaint.transitionTo(target.status, {
+      remarks: `Closed automatically after ${RESOLUTION_CONFIG.AUTO_CLOSE_AFTER_DAYS} days without a response to the resolution`,
+    });
+    complaint.autoClosedAt = new Date();
+    await complaint.save();
+
+    logger.info(`Complaint auto-closed: ${complaint._id}`);
+
+    if (complaint.user && complaint.user.isActive !== false) {
+      try {
+        await emailService.sendStatusUpdate(
+          complaint,
+          complaint.user,
+          previousStatus,
+          SYSTEM_USER
+        );
+      } catch (emailError) {
+        logger.error(
+          `Failed to send auto-close email for complaint ${complaint._id}:`,
+          emailError
+        );
+        // Don't stop the job if email fails
+      }
+    }
+
+    try {
+      WebSocketService.notifyStatusUpdate(
+        complaint,
+        null,
+        previousStatus,
+        complaint.status
+      );
+    } catch (socketError) {
+      logger.error(
+        `Failed to send WebSocket auto-close notification for complaint ${complaint._id}:`,
+        socketError
+      );
+    }
+
+    return true;
+  }
+}
+
+module.exports = ResolutionService;
@@ -0,0 +1,363 @@
+const Complaint = require("../models/Complaint");
+const Category = require("../models/Category");
+const User = require("../models/User");
+const CustomFieldService = require("./customField.service");
+const { AppError } = require("../middleware/error.middleware");
+const {
+  HTTP_STATUS,
+  USER_ROLES,
+  COMPLAINT_STATUS,
+  COMPLAINT_PRIORITY,
+  TICKET_CONFIG,
+  CUSTOM_FIELD_CONFIG,
+  SEARCH_CONFIG,
+} = require("../config/constants");
+
+// A field filter ("status:open", 'category:"IT Support"'), a quoted phrase,
+// or a word
+const TOKEN_PATTERN = /([a-z][a-z0-9_.]*):("[^"]*"|\S+)|"[^"]*"|\S+/gi;
+
+const FIELDS = [
+  "status",
+  "priority",
+  "category",
+  "tag",
+  "assignee",
+  "ticket",
+  "is",
+  "before",
+  "after",
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const unquote = (value) => value.replace(/^"|"$/g, "").trim();
+
+const splitValues = (value) =>
+  value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Search Service
+ * Parses complaint search queries into text and field filters, and builds the
+ * highlighted snippets shown with search results.
+ *
+ * Query syntax: words and "quoted phrases" are matched against the text
+ * index (ticket ID, title, description, comments and internal notes); field
+ * filters
+ * narrow the results:
+ *   status:open | status:in-progress,escalated   priority:high,urgent
+ *   category:"IT Support"   tag:network   assignee:me | none | <email>
+ *   ticket:IT-2024-000123   is:escalated | unassigned | overdue
+ *   before:2024-06-30   after:2024-06-01   cf.<field key>:<value>
+ */
+class SearchService {
+  /**
+   * Split a search query into text and field filters
+   * @param {string} query
+   * @returns {{ text: string, terms: string[], fields: Object[] }} text is
+   *   passed to $text; terms are the words and phrases to highlight
+   */
+  static parseQuery(query = "") {
+    const textTokens = [];
+    const terms = [];
+    const fields = [];
+
+    for (const match of query.matchAll(TOKEN_PATTERN)) {
+      const [token, name, value] = match;
+      const field = name?.toLowerCase();
+
+      if (
+        field &&
+        (FIELDS.includes(field) ||
+          field.startsWith(CUSTOM_FIELD_CONFIG.FILTER_PREFIX))
+      ) {
+        const cleaned = unquote(value);
+        if (cleaned) fields.push({ field, value: cleaned });
+        continue;
+      }
+
+      // Ticket IDs are split into parts by the text index; match them exactly
+      if (TICKET_CONFIG.PATTERN.test(token.toUpperCase())) {
+        fields.push({ field: "ticket", value: token });
+        continue;
+      }
+
+      textTokens.push(token);
+      // Excluded words ("-printer") are not highlighted
+      if (!token.startsWith("-")) {
+        const term = unquote(token).toLowerCase();
+        if (term) terms.push(term);
+      }
+    }
+
+    return { text: textTokens.join(" "), terms, fields };
+  }
+
+  /**
+   * Build the query for a search, to be combined with the caller's filters
+   * @param {string} query - Search query
+   * @param {Object} currentUser - req.user
+   * @returns {Promise<{ text: string|null, terms: string[], conditions: Object[] }>}
+   *   text goes to $text at the top level of the filter; conditions are
+   *   combined with $and
+   */
+  static async buildSearch(query, currentUser) {
+    const { text, terms, fields } = this.parseQuery(query);
+    const conditions = [];
+
+    for (const { field, value } of fields) {
+      conditions.push(
+        await this.buildFieldCondition(field, value, currentUser)
+      );
+    }
+
+    // Internal notes are in the text index but complainants may not see
+    // them, so their matches must come from the visible text
+    if (text && currentUser.role === USER_ROLES.USER && terms.length > 0) {
+      conditions.push({
+        $or: terms.flatMap((term) =>
+          ["title", "description", "ticketId", "searchNotes.public"].map(
+            (path) => ({
+              [path]: { $regex: escapeRegex(term), $options: "i" },
+            })
+          )
+        ),
+      });
+    }
+
+    return { text: text || null, terms, conditions };
+  }
+
+  /**
+   * Query condition for one field filter of a search
+   * @returns {Promise<Object>}
+   */
+  static async buildFieldCondition(field, value, currentUser) {
+    const values = splitValues(value);
+
+    switch (field) {
+      case "status": {
+        // "open" covers every status not yet resolved or closed
+        return {
+          $or: values.map((status) =>
+            status.toLowerCase() === "open"
+              ? Complaint.phaseNotIn([
+                  COMPLAINT_STATUS.RESOLVED,
+                  COMPLAINT_STATUS.CLOSED,
+                ])
+              : { $or: [{ status }, Complaint.phaseIn([status])] }
+          ),
+        };
+      }
+
+      case "priority": {
+        const priorities = values.map((priority) => priority.toLowerCase());
+        const invalid = priorities.find(
+          (priority) => !Object.values(COMPLAINT_PRIORITY).includes(priority)
+        );
+        if (invalid) {
+          throw new AppError(
+            `Unknown priority in search: ${invalid}`,
+            HTTP_STATUS.BAD_REQUEST
+          );
+        }
+        return { priority: { $in: priorities } };
+      }
+
+      case "category": {
+        const categories = await Category.find({
+          name: {
+            $in: values.map(
+              (name) => new RegExp(`^${escapeRegex(name)}$`, "i")
+            ),
+          },
+        }).select("_id");
+        return {
+          category: { $in: categories.map((category) => category._id) },
+        };
+      }
+
+      case "tag":
+        return {
+          tags: { $in: values.map((tag) => tag.toLowerCase()) },
+        };
+
+      case "assignee": {
+        if (value.toLowerCase() === "none") return { assignedTo: null };
+        if (value.toLowerCase() === "me") return { assignedTo: currentUser.id };
+
+        const staff = await User.find({
+          email: { $in: values.map((email) => email.toLowerCase()) },
+        }).select("_id");
+        return { assignedTo: { $in: staff.map((member) => member._id) } };
+      }
+
+      case "ticket":
+        return {
+          ticketId: { $in: values.map((ticketId) => ticketId.toUpperCase()) },
+        };
+
+      case "is":
+        return this.buildFlagCondition(value.toLowerCase());
+
+      case "before":
+      case "after": {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          throw new AppError(
+            `Invalid date in search: ${field}:${value}`,
+            HTTP_STATUS.BAD_REQUEST
+          );
+        }
+        return {
+          createdAt: field === "before" ? { $lt: date } : { $gte: date },
+        };
+      }
+
+      default: {
+        // cf.<key>
+        const conditions = await CustomFieldService.buildFilter({
+          [field]: value,
+        });
+        if (conditions.length === 0) {
+          throw new AppError(
+            `Invalid custom field filter in search: ${field}`,
+            HTTP_STATUS.BAD_REQUEST
+          );
+        }
+        return conditions[0];
+      }
+    }
+  }
+
+  /**
+   * Condition for an "is:" filter
+   * @param {string} flag
+   * @returns {Object}
+   */
+  static buildFlagCondition(flag) {
+    switch (flag) {
+      case "escalated":
+        return { "escalation.isEscalated": true };
+      case "unassigned":
+        return { assignedTo: null };
+      case "overdue":
+        return {
+          $and: [
+            { deadline: { $lt: new Date() } },
+            Complaint.phaseNotIn([
+              COMPLAINT_STATUS.RESOLVED,
+              COMPLAINT_STATUS.CLOSED,
+              COMPLAINT_STATUS.AWAITING_REQUESTER,
+            ]),
+          ],
+        };
+      default:
+        throw new AppError(
+          `Unknown search filter: is:${flag} (use escalated, unassigned or overdue)`,
+          HTTP_STATUS.BAD_REQUEST
+        );
+    }
+  }
+
+  /**
+   * Regular expression matching the search terms in text. Words also match
+   * other forms of the word ("printers" finds "printer", "printing").
+   * @param {string[]} terms
+   * @returns {RegExp|null}
+   */
+  static buildHighlighter(terms) {
+    const patterns = terms.map((term) => {
+      if (term.includes(" ")) return escapeRegex(term);
+      const stem = term.length > 4 ? term.replace(/(ing|ed|es|s)$/, "") : term;
+      return `${escapeRegex(stem)}\\w*`;
+    });
+    return patterns.length > 0
+      ? new RegExp(`(${patterns.join("|")})`, "gi")
+      : null;
+  }
+
+  /**
+   * Excerpt of a text around its first match, with the positions of the
+   * matches in the excerpt
+   * @returns {{ text: string, highlights: number[][] }|null} null if the
+   *   text does not match
+   */
+  static buildSnippet(text, highlighter) {
+    if (!text) return null;
+
+    const first = text.search(highlighter);
+    if (first === -1) return null;
+
+    let start = Math.max(0, first - SEARCH_CONFIG.SNIPPET_LEAD);
+    let end = Math.min(text.length, start + SEARCH_CONFIG.SNIPPET_LENGTH);
+    // Avoid cutting words in half
+    if (start > 0) {
+      const space = text.indexOf(" ", start);
+      if (space !== -1 && space < first) start = space + 1;
+    }
+    if (end < text.length) {
+      const space = text.lastIndexOf(" ", end);
+      if (space > first) end = space;
+    }
+
+    const prefix = start > 0 ? "…" : "";
+    const excerpt = `${prefix}${text.slice(start, end).trim()}${
+      end < text.length ? "…" : ""
+    }`;
+
+    const highlights = [];
+    for (const match of excerpt.matchAll(highlighter)) {
+      highlights.push([match.index, match.index + match[0].length]);
+    }
+
+    return { text: excerpt, highlights };
+  }
+
+  /**
+   * Highlighted excerpts of the fields of a complaint that match a search
+   * @param {Object} complaint - Complaint document or plain object, with
+   *   searchNotes selected for comment and note excerpts
+   * @param {string[]} terms - Terms from parseQuery
+   * @param {Object} currentUser - req.user; internal notes are staff only
+   * @returns {Object[]} [{ field, text, highlights: [[start, end]] }]
+   */
+  static buildSnippets(complaint, terms, currentUser) {
+    const highlighter = this.buildHighlighter(terms);
+    if (!highlighter) return [];
+
+    // searchNotes holds the comments one after another
+    const splitNotes = (text) =>
+      text ? text.split(SEARCH_CONFIG.NOTE_SEPARATOR) : [];
+
+    const sources = [
+      { field: "title", text: complaint.title },
+      { field: "description", text: complaint.description },
+    ];
+    splitNotes(complaint.searchNotes?.public).forEach((text) =>
+      sources.push({ field: "comment", text })
+    );
+    if (currentUser.role !== USER_ROLES.USER) {
+      splitNotes(complaint.searchNotes?.internal).forEach((text) =>
+        sources.push({ field: "internalNote", text })
+      );
+      (complaint.internalNotes || []).forEach((note) =>
+        sources.push({ field: "internalNote", text: note.note })
+      );
+    }
+
+    const snippets = [];
+    for (const source of sources) {
+      if (snippets.length >= SEARCH_CONFIG.MAX_SNIPPETS) break;
+      const snippet = this.buildSnippet(source.text, highlighter);
+      if (snippet) snippets.push({ field: source.field, ...snippet });
+    }
+
+    return snippets;
+  }
+}
+
+module.exports = SearchService;
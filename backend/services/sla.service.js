@@ -0,0 +1,184 @@
+const Complaint = require("../models/Complaint");
+const WorkflowService = require("./workflow.service");
+const WebSocketService = require("./websocket.service");
+const logger = require("../utils/logger");
+const { WORKFLOW_ACTORS } = require("../config/workflow");
+const { COMPLAINT_STATUS, SLA_TIERS } = require("../config/constants");
+
+// How each SLA tier is measured: the field holding the target time and the
+// filter matching complaints that have not met it yet
+const TIER_DEFINITIONS = {
+  [SLA_TIERS.ACKNOWLEDGE]: {
+    label: "Acknowledgement",
+    dueField: "sla.acknowledgeDueAt",
+    pending: () => ({ "sla.acknowledgedAt": null }),
+  },
+  [SLA_TIERS.FIRST_RESPONSE]: {
+    label: "First response",
+    dueField: "sla.firstResponseDueAt",
+    pending: () => ({ "sla.firstRespondedAt": null }),
+  },
+  [SLA_TIERS.RESOLUTION]: {
+    label: "Resolution",
+    dueField: "deadline",
+    pending: () => ({}),
+  },
+};
+
+/**
+ * SLA Service
+ * Detects breaches of the acknowledgement, first response and resolution
+ * targets set from each category's slaSettings
+ */
+class SLAService {
+  /**
+   * Record and notify breaches for every SLA tier
+   * This method is called by the cron job
+   */
+  static async detectBreaches() {
+    const results = {};
+
+    for (const tier of Object.values(SLA_TIERS)) {
+      try {
+        results[tier] = await this.detectTierBreaches(tier);
+      } catch (error) {
+        logger.error(`Error detecting ${tier} SLA breaches:`, error);
+        results[tier] = { breached: 0, error: error.message };
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Record and notify breaches of a single SLA tier
+   * @param {string} tier - One of SLA_TIERS
+   */
+  static async detectTierBreaches(tier) {
+    const definition = TIER_DEFINITIONS[tier];
+    const now = new Date();
+
+    const complaints = await Complaint.find({
+      [definition.dueField]: { $lt: now },
+      ...definition.pending(),
+      ...Complaint.phaseNotIn([
+        COMPLAINT_STATUS.RESOLVED,
+        COMPLAINT_STATUS.CLOSED,
+        COMPLAINT_STATUS.AWAITING_REQUESTER,
+      ]),
+      "sla.breaches.tier": { $ne: tier },
+    }).select("title priority deadline sla assignedTo user");
+
+    let breached = 0;
+    for (const complaint of complaints) {
+      const dueAt = complaint.get(definition.dueField);
+
+      // Guard against a concurrent run recording the same breach
+      const update = await Complaint.updateOne(
+        { _id: complaint._id, "sla.breaches.tier": { $ne: tier } },
+        {
+          $push: { "sla.breaches": { tier, dueAt, detectedAt: now } },
+        }
+      );
+      if (update.modifiedCount === 0) continue;
+
+      breached++;
+      logger.warn(
+        `${definition.label} SLA breached for complaint ${
+          complaint._id
+        } (due ${dueAt.toISOString()})`
+      );
+
+      try {
+        WebSocketService.notifySLABreach(
+          complaint,
+          tier,
+          dueAt,
+          definition.label
+        );
+      } catch (socketError) {
+        logger.error(
+          `Failed to send WebSocket SLA breach notification for complaint ${complaint._id}:`,
+          socketError
+        );
+      }
+    }
+
+    return { breached };
+  }
+
+  /**
+   * Take a complaint that awaits its complainant back into work, restarting
+   * the SLA clock. It returns to the status it was paused from when the
+   * workflow allows it.
+   * @param {Object} complaint - Complaint document awaiting the requester
+   * @param {Object} options
+   * @param {string} [options.updatedBy] - User the resume is recorded for
+   * @param {string} [options.remarks] - Status history remarks
+   * @returns {Promise<boolean>} Whether the complaint was resumed
+   */
+  static async resumeForRequester(complaint, { updatedBy, remarks } = {}) {
+    const workflow = await WorkflowService.getWorkflow(complaint);
+    const options = WorkflowService.getAvailableTransitions(
+      workflow,
+      complaint.status,
+      WORKFLOW_ACTORS.SYSTEM
+    ).filter(
+      (transition) =>
+        ![
+          COMPLAINT_STATUS.AWAITING_REQUESTER,
+          COMPLAINT_STATUS.RESOLVED,
+          COMPLAINT_STATUS.CLOSED,
+        ].includes(transition.phase)
+    );
+
+    const pauses = complaint.sla.pauses;
+    const pausedFrom = pauses.length
+      ? pauses[pauses.length - 1].fromStatus
+      : null;
+    const target =
+      options.find((transition) => transition.status === pausedFrom) ||
+      options[0];
+
+    if (!target) {
+      logger.warn(
+        `Complaint ${complaint._id} cannot be resumed automatically: its workflow has no system transition out of ${complaint.status}`
+      );
+      return false;
+    }
+
+    const previousStatus = complaint.status;
+    await complaint.transitionTo(target.status, { updatedBy, remarks });
+    await complaint.save();
+
+    logger.info(
+      `Complaint ${complaint._id} resumed (${previousStatus} -> ${target.status}), SLA clock restarted`
+    );
+
+    try {
+      WebSocketService.notifyStatusUpdate(
+        complaint,
+        null,
+        previousStatus,
+        complaint.status
+      );
+    } catch (socketError) {
+      logger.error(
+        `Failed to send WebSocket resume notification for complaint ${complaint._id}:`,
+        socketError
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Human readable name of an SLA tier
+   * @param {string} tier
+   */
+  static getTierLabel(tier) {
+    return TIER_DEFINITIONS[tier]?.label || tier;
+  }
+}
+
+module.exports = SLAService;
@@ -0,0 +1,106 @@
+const path = require("path");
+const fs = require("fs-extra");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+
+/**
+ * Storage driver that keeps objects on the local filesystem
+ */
+class LocalDriver {
+  /**
+   * @param {Object} options
+   * @param {string} options.root - Directory objects are stored under
+   */
+  constructor({ root }) {
+    this.name = "local";
+    this.root = path.resolve(root);
+    fs.ensureDirSync(this.root);
+  }
+
+  /**
+   * Resolve an object key to a path, refusing keys that escape the root
+   * @param {string} key - Object key
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Object key
+   * @param {Buffer|stream.Readable} body - Object content
+   */
+  async put(key, body) {
+    const filePath = this.resolve(key);
+    await fs.ensureDir(path.dirname(filePath));
+    try {
+      if (body instanceof Readable) {
+        await pipeline(body, fs.createWriteStream(filePath));
+      } else {
+        await fs.writeFile(filePath, body);
+      }
+    } catch (error) {
+      // Don't leave a partly written object behind
+      await fs.remove(filePath);
+      throw error;
+    }
+  }
+
+  /**
+   * Open a read stream for an object
+   * @param {string} key - Object key
+   * @returns {Promise<stream.Readable|null>} Stream, or null if missing
+   */
+  async getStream(key) {
+    const filePath = this.resolve(key);
+    if (!(await fs.pathExists(filePath))) {
+      return null;
+    }
+    return fs.createReadStream(filePath);
+  }
+
+  /**
+   * Delete an object
+   * @param {string} key - Object key
+   * @returns {Promise<boolean>} Whether the object existed
+   */
+  async remove(key) {
+    const filePath = this.resolve(key);
+    if (!(await fs.pathExists(filePath))) {
+      return false;
+    }
+    await fs.remove(filePath);
+    return true;
+  }
+
+  /**
+   * List objects whose keys start with a prefix
+   * @param {string} prefix - Key prefix (a directory, e.g. "complaints/123/")
+   * @returns {Promise<Array<{key: string, size: number, lastModified: Date}>>}
+   */
+  async list(prefix) {
+    const dir = this.resolve(prefix);
+    if (!(await fs.pathExists(dir))) {
+      return [];
+    }
+
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const objects = [];
+    for (const entry of entries) {
+      if (!entry.isFile()) continue;
+      const stats = await fs.stat(path.join(dir, entry.name));
+      objects.push({
+        key: path.posix.join(prefix, entry.name),
+        size: stats.size,
+        lastModified: stats.mtime,
+      });
+    }
+    return objects;
+  }
+}
+
+module.exports = LocalDriver;
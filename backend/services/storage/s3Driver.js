@@ -0,0 +1,152 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require("@aws-sdk/client-s3");
+
+/**
+ * Storage driver for Amazon S3 and S3-compatible services (e.g. MinIO)
+ */
+class S3Driver {
+  /**
+   * @param {Object} options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} [options.region] - Bucket region
+   * @param {string} [options.endpoint] - Custom endpoint for S3-compatible services
+   * @param {string} [options.accessKeyId] - Access key (falls back to the AWS credential chain)
+   * @param {string} [options.secretAccessKey] - Secret key
+   * @param {boolean} [options.forcePathStyle] - Use path-style URLs (required by MinIO)
+   */
+  constructor({
+    bucket,
+    region,
+    endpoint,
+    accessKeyId,
+    secretAccessKey,
+    forcePathStyle,
+  }) {
+    if (!bucket) {
+      throw new Error("S3 storage requires a bucket name (S3_BUCKET)");
+    }
+
+    this.name = "s3";
+    this.bucket = bucket;
+    this.client = new S3Client({
+      region: region || "us-east-1",
+      endpoint: endpoint || undefined,
+      forcePathStyle: !!forcePathStyle,
+      credentials:
+        accessKeyId && secretAccessKey
+          ? { accessKeyId, secretAccessKey }
+          : undefined,
+    });
+  }
+
+  /**
+   * Check whether an SDK error means the object does not exist
+   */
+  static isNotFound(error) {
+    return (
+      error.name === "NoSuchKey" ||
+      error.name === "NotFound" ||
+      error.$metadata?.httpStatusCode === 404
+    );
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Object key
+   * @param {Buffer|stream.Readable} body - Object content
+   * @param {Object} [options]
+   * @param {string} [options.contentType] - MIME type stored with the object
+   * @param {number} [options.contentLength] - Size in bytes; required for streams
+   */
+  async put(key, body, { contentType, contentLength } = {}) {
+    await this.client.send(
+      new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        ContentLength: contentLength,
+      })
+    );
+  }
+
+  /**
+   * Open a read stream for an object
+   * @param {string} key - Object key
+   * @returns {Promise<stream.Readable|null>} Stream, or null if missing
+   */
+  async getStream(key) {
+    try {
+      const result = await this.client.send(
+        new GetObjectCommand({ Bucket: this.bucket, Key: key })
+      );
+      return result.Body;
+    } catch (error) {
+      if (S3Driver.isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an object
+   * @param {string} key - Object key
+   * @returns {Promise<boolean>} Whether the object existed
+   */
+  async remove(key) {
+    try {
+      await this.client.send(
+        new HeadObjectCommand({ Bucket: this.bucket, Key: key })
+      );
+    } catch (error) {
+      if (S3Driver.isNotFound(error)) return false;
+      throw error;
+    }
+
+    await this.client.send(
+      new DeleteObjectCommand({ Bucket: this.bucket, Key: key })
+    );
+    return true;
+  }
+
+  /**
+   * List objects whose keys start with a prefix
+   * @param {string} prefix - Key prefix (e.g. "complaints/123/")
+   * @returns {Promise<Array<{key: string, size: number, lastModified: Date}>>}
+   */
+  async list(prefix) {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const result = await this.client.send(
+        new ListObjectsV2Command({
+          Bucket: this.bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken,
+        })
+      );
+
+      (result.Contents || []).forEach((object) =>
+        objects.push({
+          key: object.Key,
+          size: object.Size,
+          lastModified: object.LastModified,
+        })
+      );
+
+      continuationToken = result.IsTruncated
+        ? result.NextContinuationToken
+        : undefined;
+    } while (continuationToken);
+
+    return objects;
+  }
+}
+
+module.exports = S3Driver;
@@ -0,0 +1,195 @@
+const path = require("path");
+const fs = require("fs-extra");
+const LocalDriver = require("./localDriver");
+const S3Driver = require("./s3Driver");
+const logger = require("../../utils/logger");
+
+// Default location for the local driver (repository-level uploads folder)
+const DEFAULT_UPLOAD_DIR = path.join(__dirname, "../../../uploads/attachments");
+
+/**
+ * Attachment storage facade. Routes and controllers only talk to this
+ * service; the underlying driver is chosen with STORAGE_DRIVER. Generated
+ * complaint exports are kept alongside attachments, under exports/.
+ *
+ * Every driver implements:
+ *   put(key, body, { contentType, contentLength }), getStream(key),
+ *   remove(key), list(prefix)
+ */
+class StorageService {
+  constructor() {
+    this.driver = null;
+    this.init();
+  }
+
+  /**
+   * Initialize the configured storage driver
+   */
+  init() {
+    const driverName = (process.env.STORAGE_DRIVER || "local").toLowerCase();
+
+    switch (driverName) {
+      case "s3":
+        this.driver = new S3Driver({
+          bucket: process.env.S3_BUCKET,
+          region: process.env.S3_REGION,
+          endpoint: process.env.S3_ENDPOINT,
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+          forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+        });
+        break;
+      case "local":
+        this.driver = new LocalDriver({
+          root: process.env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR,
+        });
+        break;
+      default:
+        throw new Error(`Unknown storage driver: ${driverName}`);
+    }
+
+    logger.info(`Storage service initialized with ${this.driver.name} driver`);
+  }
+
+  /**
+   * Key prefix holding all attachments of a complaint
+   * @param {string} complaintId - Complaint ID
+   */
+  getComplaintPrefix(complaintId) {
+    return `complaints/${complaintId}/`;
+  }
+
+  /**
+   * Storage key of a single attachment
+   * @param {string} complaintId - Complaint ID
+   * @param {string} filename - Stored filename of the attachment
+   */
+  getAttachmentKey(complaintId, filename) {
+    return `${this.getComplaintPrefix(complaintId)}${filename}`;
+  }
+
+  /**
+   * Save an uploaded file as a complaint attachment
+   * @param {string} complaintId - Complaint ID
+   * @param {string} filename - Stored filename of the attachment
+   * @param {Object} file - Multer file (memory storage)
+   */
+  async saveAttachment(complaintId, filename, file) {
+    await this.driver.put(
+      this.getAttachmentKey(complaintId, filename),
+      file.buffer,
+      { contentType: file.mimetype }
+    );
+  }
+
+  /**
+   * Open a read stream for an attachment
+   * @returns {Promise<stream.Readable|null>} Stream, or null if missing
+   */
+  async getAttachmentStream(complaintId, filename) {
+    return this.driver.getStream(this.getAttachmentKey(complaintId, filename));
+  }
+
+  /**
+   * Delete an attachment
+   * @returns {Promise<boolean>} Whether the attachment existed in storage
+   */
+  async deleteAttachment(complaintId, filename) {
+    return this.driver.remove(this.getAttachmentKey(complaintId, filename));
+  }
+
+  /**
+   * List the attachments stored for a complaint
+   * @returns {Promise<Array<{filename: string, size: number, lastModified: Date}>>}
+   */
+  async listAttachments(complaintId) {
+    const prefix = this.getComplaintPrefix(complaintId);
+    const objects = await this.driver.list(prefix);
+    return objects.map((object) => ({
+      filename: object.key.slice(prefix.length),
+      size: object.size,
+      lastModified: object.lastModified,
+    }));
+  }
+
+  /**
+   * Delete every stored attachment of a complaint
+   * @returns {Promise<number>} Number of attachments removed
+   */
+  async deleteAllAttachments(complaintId) {
+    const attachments = await this.listAttachments(complaintId);
+    for (const attachment of attachments) {
+      await this.deleteAttachment(complaintId, attachment.filename);
+    }
+    return attachments.length;
+  }
+
+  /**
+   * Copy a stored attachment to another complaint
+   * @param {string} fromComplaintId - Complaint the attachment is stored under
+   * @param {string} toComplaintId - Complaint to copy it to
+   * @param {Object} attachment - Attachment record (filename, mimetype, size)
+   * @returns {Promise<boolean>} Whether the attachment existed in storage
+   */
+  async copyAttachment(fromComplaintId, toComplaintId, attachment) {
+    const stream = await this.getAttachmentStream(
+      fromComplaintId,
+      attachment.filename
+    );
+    if (!stream) {
+      return false;
+    }
+
+    await this.driver.put(
+      this.getAttachmentKey(toComplaintId, attachment.filename),
+      stream,
+      { contentType: attachment.mimetype, contentLength: attachment.size }
+    );
+    return true;
+  }
+
+  /**
+   * Storage key of a generated export file
+   * @param {string} exportId - Export job ID
+   * @param {string} filename - File name
+   */
+  getExportKey(exportId, filename) {
+    return `exports/${exportId}/${filename}`;
+  }
+
+  /**
+   * Store a generated export file
+   * @param {string} exportId - Export job ID
+   * @param {string} filename - File name
+   * @param {string} filePath - Local file to store
+   * @param {string} contentType - MIME type of the file
+   * @returns {Promise<number>} Size of the file in bytes
+   */
+  async saveExport(exportId, filename, filePath, contentType) {
+    const { size } = await fs.stat(filePath);
+    await this.driver.put(
+      this.getExportKey(exportId, filename),
+      fs.createReadStream(filePath),
+      { contentType, contentLength: size }
+    );
+    return size;
+  }
+
+  /**
+   * Open a read stream for an export file
+   * @returns {Promise<stream.Readable|null>} Stream, or null if missing
+   */
+  async getExportStream(exportId, filename) {
+    return this.driver.getStream(this.getExportKey(exportId, filename));
+  }
+
+  /**
+   * Delete an export file
+   * @returns {Promise<boolean>} Whether the file existed in storage
+   */
+  async deleteExport(exportId, filename) {
+    return this.driver.remove(this.getExportKey(exportId, filename));
+  }
+}
+
+module.exports = new StorageService();
@@ -1,6 +1,7 @@
 const { Server } = require("socket.io");
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const Complaint = require("../models/Complaint");
 const logger = require("../utils/logger");
 
 class WebSocketService {
@@ -75,15 +76,42 @@ class WebSocketService {
       this.userRooms.delete(user._id.toString());
     });
 
-    // Handle joining specific complaint room
-    socket.on("join_complaint", (complaintId) => {
-      socket.join(`complaint_${complaintId}`);
-      logger.info(`User ${user.name} joined complaint room: ${complaintId}`);
+    // Handle joining specific complaint room. Staff and admins also join
+    // the room that receives internal notes.
+    socket.on("join_complaint", async (complaintId) => {
+      try {
+        const complaint = await Complaint.findById(complaintId).select(
+          "user assignedTo category"
+        );
+        const canAccess =
+          complaint &&
+          (await complaint.canBeAccessedBy({
+            id: user._id,
+            role: user.role,
+            department: user.department,
+          }));
+
+        if (!canAccess) {
+          logger.warn(
+            `User ${user.name} denied access to complaint room: ${complaintId}`
+          );
+          return;
+        }
+
+        socket.join(`complaint_${complaintId}`);
+        if (user.role !== "user") {
+          socket.join(`complaint_${complaintId}_internal`);
+        }
+        logger.info(`User ${user.name} joined complaint room: ${complaintId}`);
+      } catch (error) {
+        logger.error(`Failed to join complaint room ${complaintId}:`, error);
+      }
     });
 
     // Handle leaving complaint room
     socket.on("leave_complaint", (complaintId) => {
       socket.leave(`complaint_${complaintId}`);
+      socket.leave(`complaint_${complaintId}_internal`);
       logger.info(`User ${user.name} left complaint room: ${complaintId}`);
     });
 
@@ -129,10 +157,12 @@ class WebSocketService {
         socket.join("admin_notifications");
         socket.join("staff_notifications");
         socket.join("escalation_notifications");
+        socket.join(`admin_${user._id}`); // Individual admin room
         rooms.push(
           "admin_notifications",
           "staff_notifications",
-          "escalation_notifications"
+          "escalation_notifications",
+          `admin_${user._id}`
         );
         break;
 
@@ -154,14 +184,24 @@ class WebSocketService {
 
   // Notification methods
 
+  // Title of a complaint with its ticket ID, for notification messages
+  describeComplaint(complaint) {
+    return complaint.ticketId
+      ? `${complaint.ticketId} "${complaint.title}"`
+      : `"${complaint.title}"`;
+  }
+
   // Send complaint created notification
   notifyComplaintCreated(complaint, complainant) {
     const notification = {
       type: "complaint_created",
       title: "New Complaint Created",
-      message: `${complainant.name} has created a new complaint: "${complaint.title}"`,
+      message: `${
+        complainant.name
+      } has created a new complaint: ${this.describeComplaint(complaint)}`,
       data: {
         complaintId: complaint._id,
+        ticketId: complaint.ticketId,
         complainantId: complainant._id,
         priority: complaint.priority,
         category: complaint.category,
@@ -178,33 +218,39 @@ class WebSocketService {
     );
   }
 
-  // Send complaint status update notification
+  // Send complaint status update notification. updatedBy is null for
+  // changes made by the system
   notifyStatusUpdate(complaint, updatedBy, oldStatus, newStatus) {
+    const updaterId = updatedBy ? updatedBy._id || updatedBy.id : null;
+    const updaterName = updatedBy ? updatedBy.name : "System";
+    const complainantId = complaint.user._id || complaint.user;
+    const assignedId = complaint.assignedTo
+      ? complaint.assignedTo._id || complaint.assignedTo
+      : null;
+
     const notification = {
       type: "status_update",
       title: "Complaint Status Updated",
-      message: `Complaint "${complaint.title}" status changed from ${oldStatus} to ${newStatus}`,
+      message: `Complaint ${this.describeComplaint(
+        complaint
+      )} status changed from ${oldStatus} to ${newStatus}`,
       data: {
         complaintId: complaint._id,
+        ticketId: complaint.ticketId,
         oldStatus,
         newStatus,
-        updatedBy: updatedBy._id,
-        updaterName: updatedBy.name,
+        updatedBy: updaterId,
+        updaterName,
       },
       timestamp: new Date().toISOString(),
     };
 
     // Notify the complainant
-    this.io.to(`user_${complaint.user}`).emit("notification", notification);
+    this.io.to(`user_${complainantId}`).emit("notification", notification);
 
     // Notify assigned staff if different from updater
-    if (
-      complaint.assignedTo &&
-      complaint.assignedTo.toString() !== updatedBy._id.toString()
-    ) {
-      this.io
-        .to(`staff_${complaint.assignedTo}`)
-        .emit("notification", notification);
+    if (assignedId && assignedId.toString() !== String(updaterId)) {
+      this.io.to(`staff_${assignedId}`).emit("notification", notification);
     }
 
     // Notify admins
@@ -213,8 +259,9 @@ class WebSocketService {
     // Notify users in complaint room
     this.io.to(`complaint_${complaint._id}`).emit("complaint_updated", {
       complaintId: complaint._id,
+      ticketId: complaint.ticketId,
       status: newStatus,
-      updatedBy: updatedBy.name,
+      updatedBy: updaterName,
       timestamp: new Date().toISOString(),
     });
 
@@ -228,9 +275,12 @@ class WebSocketService {
     const notification = {
       type: "staff_assignment",
       title: "Complaint Assigned",
-      message: `You have been assigned to complaint: "${complaint.title}"`,
+      message: `You have been assigned to complaint: ${this.describeComplaint(
+        complaint
+      )}`,
       data: {
         complaintId: complaint._id,
+        ticketId: complaint.ticketId,
         assignedBy: assignedBy._id,
         assignerName: assignedBy.name,
         priority: complaint.priority,
@@ -245,9 +295,14 @@ class WebSocketService {
     const complainantNotification = {
       type: "staff_assignment",
       title: "Staff Assigned to Your Complaint",
-      message: `${assignedStaff.name} has been assigned to your complaint: "${complaint.title}"`,
+      message: `${
+        assignedStaff.name
+      } has been assigned to your complaint: ${this.describeComplaint(
+        complaint
+      )}`,
       data: {
         complaintId: complaint._id,
+        ticketId: complaint.ticketId,
         staffId: assignedStaff._id,
         staffName: assignedStaff.name,
       },
@@ -255,7 +310,7 @@ class WebSocketService {
     };
 
     this.io
-      .to(`user_${complaint.user}`)
+      .to(`user_${complaint.user?._id || complaint.user}`)
       .emit("notification", complainantNotification);
 
     logger.info(
@@ -263,36 +318,56 @@ class WebSocketService {
     );
   }
 
-  // Send escalation notification
-  notifyEscalation(complaint, escalatedBy, reason) {
+  // Send escalation notification to the people at the new escalation level
+  notifyEscalation(complaint, escalation, escalatedBy) {
+    const levelLabel = `L${escalation.level}${
+      escalation.levelName ? ` (${escalation.levelName})` : ""
+    }`;
+
     const notification = {
       type: "escalation",
       title: "Complaint Escalated",
-      message: `Complaint "${complaint.title}" has been escalated. Reason: ${reason}`,
+      message: `Complaint ${this.describeComplaint(
+        complaint
+      )} has been escalated to ${levelLabel}. Reason: ${escalation.reason}`,
       data: {
         complaintId: complaint._id,
-        escalatedBy: escalatedBy._id,
-        escalatorName: escalatedBy.name,
-        reason,
+        ticketId: complaint.ticketId,
+        level: escalation.level,
+        levelName: escalation.levelName,
+        escalatedBy: escalatedBy?._id || null,
+        escalatorName: escalatedBy?.name || "System",
+        reason: escalation.reason,
         priority: complaint.priority,
       },
       timestamp: new Date().toISOString(),
     };
 
-    // High priority - notify all admins immediately
-    this.io.to("admin_notifications").emit("notification", notification);
-    this.io
-      .to("escalation_notifications")
-      .emit("urgent_notification", notification);
+    escalation.recipients.forEach((recipient) => {
+      const room =
+        recipient.role === "admin"
+          ? `admin_${recipient._id}`
+          : `staff_${recipient._id}`;
+      this.io.to(room).emit("urgent_notification", notification);
+    });
 
-    // Notify complainant
-    const userNotification = {
-      ...notification,
-      message: `Your complaint "${complaint.title}" has been escalated for priority handling.`,
-    };
-    this.io.to(`user_${complaint.user}`).emit("notification", userNotification);
+    // Notify complainant on the first escalation only
+    if (escalation.level === 1) {
+      const userNotification = {
+        ...notification,
+        message: `Your complaint ${this.describeComplaint(
+          complaint
+        )} has been escalated for priority handling.`,
+      };
+      const complainantId = complaint.user?._id || complaint.user;
+      this.io
+        .to(`user_${complainantId}`)
+        .emit("notification", userNotification);
+    }
 
-    logger.info(`Escalation notification sent for complaint ${complaint._id}`);
+    logger.info(
+      `Escalation notification (${levelLabel}) sent for complaint ${complaint._id} to ${escalation.recipients.length} recipient(s)`
+    );
   }
 
   // Send deadline reminder notification
@@ -300,9 +375,12 @@ class WebSocketService {
     const notification = {
       type: "deadline_reminder",
       title: "Complaint Deadline Approaching",
-      message: `Complaint "${complaint.title}" deadline is in ${hoursUntilDeadline} hours`,
+      message: `Complaint ${this.describeComplaint(
+        complaint
+      )} deadline is in ${hoursUntilDeadline} hours`,
       data: {
         complaintId: complaint._id,
+        ticketId: complaint.ticketId,
         hoursUntilDeadline,
         priority: complaint.priority,
         deadline: complaint.deadline,
@@ -330,9 +408,10 @@ class WebSocketService {
     const notification = {
       type: "complaint_overdue",
       title: "Complaint Overdue",
-      message: `Complaint "${complaint.title}" is now overdue!`,
+      message: `Complaint ${this.describeComplaint(complaint)} is now overdue!`,
       data: {
         complaintId: complaint._id,
+        ticketId: complaint.ticketId,
         priority: complaint.priority,
         deadline: complaint.deadline,
         overdueDays: Math.ceil(
@@ -354,15 +433,51 @@ class WebSocketService {
     logger.info(`Overdue notification sent for complaint ${complaint._id}`);
   }
 
+  // Send SLA breach notification (acknowledge, first response or resolution)
+  notifySLABreach(complaint, tier, dueAt, tierLabel = tier) {
+    const notification = {
+      type: "sla_breach",
+      title: "SLA Breached",
+      message: `Complaint ${this.describeComplaint(
+        complaint
+      )} missed its ${tierLabel.toLowerCase()} target`,
+      data: {
+        complaintId: complaint._id,
+        ticketId: complaint.ticketId,
+        tier,
+        dueAt,
+        priority: complaint.priority,
+      },
+      timestamp: new Date().toISOString(),
+    };
+
+    this.io.to("admin_notifications").emit("urgent_notification", notification);
+
+    if (complaint.assignedTo) {
+      this.io
+        .to(`staff_${complaint.assignedTo}`)
+        .emit("urgent_notification", notification);
+    }
+
+    logger.info(
+      `SLA breach (${tier}) notification sent for complaint ${complaint._id}`
+    );
+  }
+
   // Send file upload notification
   notifyFileUpload(complaint, uploadedBy, fileCount) {
     const notification = {
       type: "file_upload",
       title: "New Files Uploaded",
-      message: `${uploadedBy.name} uploaded ${fileCount} file(s) to complaint "${complaint.title}"`,
+      message: `${
+        uploadedBy.name
+      } uploaded ${fileCount} file(s) to complaint ${this.describeComplaint(
+        complaint
+      )}`,
       data: {
         complaintId: complaint._id,
-        uploadedBy: uploadedBy._id,
+        ticketId: complaint.ticketId,
+        uploadedBy: uploadedBy.id,
         uploaderName: uploadedBy.name,
         fileCount,
       },
@@ -375,7 +490,7 @@ class WebSocketService {
     // Notify assigned staff if different from uploader
     if (
       complaint.assignedTo &&
-      complaint.assignedTo.toString() !== uploadedBy._id.toString()
+      complaint.assignedTo.toString() !== uploadedBy.id.toString()
     ) {
       this.io
         .to(`staff_${complaint.assignedTo}`)
@@ -385,6 +500,269 @@ class WebSocketService {
     logger.info(`File upload notification sent for complaint ${complaint._id}`);
   }
 
+  // Send feedback submitted notification
+  notifyFeedbackSubmitted(complaint, feedback, submittedBy) {
+    const notification = {
+      type: "feedback_submitted",
+      title: "Feedback Received",
+      message: `${
+        feedback.isAnonymous ? "A user" : submittedBy.name
+      } rated complaint ${this.describeComplaint(complaint)} ${
+        feedback.rating
+      }/5`,
+      data: {
+        complaintId: complaint._id,
+        ticketId: complaint.ticketId,
+        feedbackId: feedback._id,
+        rating: feedback.rating,
+      },
+      timestamp: new Date().toISOString(),
+    };
+
+    // Notify the staff member who handled the complaint
+    if (complaint.assignedTo) {
+      this.io
+        .to(`staff_${complaint.assignedTo}`)
+        .emit("notification", notification);
+    }
+
+    // Notify admins
+    this.io.to("admin_notifications").emit("notification", notification);
+
+    logger.info(
+      `Feedback submitted notification sent for complaint ${complaint._id}`
+    );
+  }
+
+  // Send admin feedback response notification
+  notifyFeedbackResponse(complaint, respondedBy) {
+    const notification = {
+      type: "feedback_response",
+      title: "Response to Your Feedback",
+      message: `${
+        respondedBy.name
+      } responded to your feedback on ${this.describeComplaint(complaint)}`,
+      data: {
+        complaintId: complaint._id,
+        ticketId: complaint.ticketId,
+        respondedBy: respondedBy.id,
+      },
+      timestamp: new Date().toISOString(),
+    };
+
+    // Notify the complainant
+    this.io.to(`user_${complaint.user}`).emit("notification", notification);
+
+    logger.info(
+      `Feedback response notification sent for complaint ${complaint._id}`
+    );
+  }
+
+  // Tell the complainant of a child complaint that its parent was resolved
+  notifyParentResolved(child, parent) {
+    const notification = {
+      type: "parent_resolved",
+      title: "Related Issue Resolved",
+      message: `Complaint ${this.describeComplaint(
+        parent
+      )}, which your complaint ${this.describeComplaint(
+        child
+      )} is part of, has been resolved`,
+      data: {
+        complaintId: child._id,
+        ticketId: child.ticketId,
+        parentId: parent._id,
+        parentTicketId: parent.ticketId,
+      },
+      timestamp: new Date().toISOString(),
+    };
+
+    this.io
+      .to(`user_${child.user._id || child.user}`)
+      .emit("notification", notification);
+
+    logger.info(
+      `Parent resolution notification sent for complaint ${child._id}`
+    );
+  }
+
+  // Send one notification listing the complaints that changed for a
+  // recipient in a bulk update
+  notifyBulkUpdate(recipient, items, updatedBy) {
+    const notification = {
+      type: "bulk_update",
+      title: items.length === 1 ? "Complaint Updated" : "Complaints Updated",
+      message:
+        items.length === 1
+          ? `Complaint ${this.describeComplaint(items[0].complaint)}: ${
+              items[0].detail
+            }`
+          : `${updatedBy.name} updated ${items.length} complaints`,
+      data: {
+        complaints: items.map(({ complaint, detail }) => ({
+          complaintId: complaint._id,
+          ticketId: complaint.ticketId,
+          detail,
+        })),
+        updatedBy: updatedBy.id,
+        updaterName: updatedBy.name,
+      },
+      timestamp: new Date().toISOString(),
+    };
+
+    this.io.to(this.getUserRoom(recipient)).emit("notification", notification);
+  }
+
+  // Refresh open views of complaints changed in bulk and tell admins once
+  notifyBulkSummary(action, complaints, updatedBy) {
+    const timestamp = new Date().toISOString();
+
+    complaints.forEach((complaint) => {
+      this.io.to(`complaint_${complaint._id}`).emit("complaint_updated", {
+        complaintId: complaint._id,
+        ticketId: complaint.ticketId,
+        status: complaint.status,
+        updatedBy: updatedBy.name,
+        timestamp,
+      });
+    });
+
+    this.io.to("admin_notifications").emit("notification", {
+      type: "bulk_update",
+      title: "Bulk Update",
+      message: `${updatedBy.name} applied "${action}" to ${complaints.length} complaint(s)`,
+      data: {
+        action,
+        complaintIds: complaints.map((complaint) => complaint._id),
+        updatedBy: updatedBy.id,
+        updaterName: updatedBy.name,
+      },
+      timestamp,
+    });
+
+    logger.info(
+      `Bulk ${action} notifications sent for ${complaints.length} complaint(s)`
+    );
+  }
+
+  // Tell a user their background export is ready to download, or failed
+  notifyExportFinished(user, exportJob) {
+    const completed = exportJob.status === "completed";
+
+    this.io.to(this.getUserRoom(user)).emit("notification", {
+      type: "export_finished",
+      title: completed ? "Export Ready" : "Export Failed",
+      message: completed
+        ? `Your export of ${exportJob.rowCount} complaint(s) is ready to download`
+        : `Your complaint export failed: ${exportJob.error}`,
+      data: {
+        exportId: exportJob._id,
+        status: exportJob.status,
+        format: exportJob.format,
+        downloadUrl: completed
+          ? `/api/complaints/exports/${exportJob._id}/download`
+          : null,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  // Room a comment is delivered to: internal notes only reach staff
+  getCommentRoom(complaintId, comment) {
+    return comment.visibility === "internal"
+      ? `complaint_${complaintId}_internal`
+      : `complaint_${complaintId}`;
+  }
+
+  // Personal room of a user, which depends on their role
+  getUserRoom(user) {
+    return `${user.role}_${user._id || user.id}`;
+  }
+
+  // Send a new note or comment to everyone viewing the complaint, and let
+  // the other side of a public thread know there is a reply
+  notifyCommentAdded(complaint, comment, author) {
+    this.io
+      .to(this.getCommentRoom(complaint._id, comment))
+      .emit("comment_added", { complaintId: complaint._id, comment });
+
+    if (comment.visibility !== "public") return;
+
+    const notification = {
+      type: "comment_added",
+      title: "New Comment",
+      message: `${author.name} commented on complaint ${this.describeComplaint(
+        complaint
+      )}`,
+      data: {
+        complaintId: complaint._id,
+        ticketId: complaint.ticketId,
+        commentId: comment._id,
+        authorName: author.name,
+      },
+      timestamp: new Date().toISOString(),
+    };
+
+    const complainantId = (complaint.user._id || complaint.user).toString();
+    if (author.id.toString() !== complainantId) {
+      this.io.to(`user_${complainantId}`).emit("notification", notification);
+    } else if (complaint.assignedTo) {
+      this.io
+        .to(`staff_${complaint.assignedTo._id || complaint.assignedTo}`)
+        .emit("notification", notification);
+    }
+
+    logger.info(`Comment notification sent for complaint ${complaint._id}`);
+  }
+
+  // Send an edited note or comment to everyone viewing the complaint
+  notifyCommentUpdated(complaint, comment) {
+    this.io
+      .to(this.getCommentRoom(complaint._id, comment))
+      .emit("comment_updated", { complaintId: complaint._id, comment });
+  }
+
+  // Remove a deleted note or comment for everyone viewing the complaint
+  notifyCommentDeleted(complaint, comment) {
+    this.io
+      .to(this.getCommentRoom(complaint._id, comment))
+      .emit("comment_deleted", {
+        complaintId: complaint._id,
+        commentId: comment._id,
+        visibility: comment.visibility,
+      });
+  }
+
+  // Tell staff members they were mentioned in a note or comment
+  notifyMention(complaint, comment, mentionedUsers, author) {
+    const notification = {
+      type: "mention",
+      title: "You Were Mentioned",
+      message: `${author.name} mentioned you ${
+        comment.visibility === "internal"
+          ? "in an internal note"
+          : "in a comment"
+      } on complaint ${this.describeComplaint(complaint)}`,
+      data: {
+        complaintId: complaint._id,
+        ticketId: complaint.ticketId,
+        commentId: comment._id,
+        authorName: author.name,
+      },
+      timestamp: new Date().toISOString(),
+    };
+
+    mentionedUsers.forEach((mentioned) => {
+      this.io
+        .to(this.getUserRoom(mentioned))
+        .emit("notification", notification);
+    });
+
+    logger.info(
+      `Mention notifications sent to ${mentionedUsers.length} user(s) for complaint ${complaint._id}`
+    );
+  }
+
   // Send system announcement
   sendSystemAnnouncement(
     announcement,
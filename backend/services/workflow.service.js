@@ -0,0 +1,288 @@
+const mongoose = require("mongoose");
+const { HTTP_STATUS, COMPLAINT_STATUS } = require("../config/constants");
+const { DEFAULT_WORKFLOW, WORKFLOW_ACTORS } = require("../config/workflow");
+const { AppError } = require("../middleware/error.middleware");
+
+// Statuses that assignment and escalation (Complaint.assignTo and
+// Complaint.escalate) move open complaints to, whatever their workflow
+const SYSTEM_TARGETS = [COMPLAINT_STATUS.ASSIGNED, COMPLAINT_STATUS.ESCALATED];
+
+// Side effects that statuses can reference from onEnter/onExit
+const STATUS_EFFECTS = {
+  setResolvedAt: (complaint) => {
+    complaint.resolvedAt = new Date();
+  },
+  // Only reopening clears the resolution; closing keeps it for reporting
+  clearResolvedAt: (complaint, { toPhase }) => {
+    if (
+      ![COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED].includes(toPhase)
+    ) {
+      complaint.resolvedAt = null;
+    }
+  },
+  pauseSLA: (complaint, { from }) => {
+    complaint.pauseSLA(from);
+  },
+  resumeSLA: (complaint) => complaint.resumeSLA(),
+};
+
+/**
+ * Workflow Service
+ * Evaluates the declarative complaint workflow (config/workflow.js)
+ */
+class WorkflowService {
+  /**
+   * Get the workflow that applies to a complaint (its category's custom
+   * workflow if one is defined, otherwise the default workflow)
+   * @param {Object} complaint - Complaint document
+   */
+  static async getWorkflow(complaint) {
+    const categoryId = complaint.category?._id || complaint.category;
+    if (!categoryId) {
+      return DEFAULT_WORKFLOW;
+    }
+
+    const category = await mongoose
+      .model("Category")
+      .findById(categoryId)
+      .select("workflow")
+      .lean();
+
+    return WorkflowService.buildWorkflow(category?.workflow);
+  }
+
+  /**
+   * Build an effective workflow from a category's custom workflow definition.
+   * Custom statuses are added alongside the built-in ones and inherit the
+   * side effects of their phase; custom transitions replace the defaults,
+   * apart from the system transitions assignment and escalation rely on.
+   * @param {Object} [customWorkflow] - Category.workflow
+   */
+  static buildWorkflow(customWorkflow) {
+    if (!customWorkflow?.transitions?.length) {
+      return DEFAULT_WORKFLOW;
+    }
+
+    const statuses = { ...DEFAULT_WORKFLOW.statuses };
+    (customWorkflow.statuses || []).forEach((status) => {
+      const phase = DEFAULT_WORKFLOW.statuses[status.phase] || {};
+      statuses[status.key] = {
+        label: status.label,
+        description: status.description || "",
+        phase: status.phase,
+        onEnter: phase.onEnter,
+        onExit: phase.onExit,
+      };
+    });
+
+    const transitions = customWorkflow.transitions.map((t) => ({
+      from: t.from,
+      to: t.to,
+      roles: t.roles,
+      requiresRemarks: !!t.requiresRemarks,
+    }));
+    WorkflowService.addSystemTransitions(statuses, transitions);
+
+    return {
+      initialStatus: DEFAULT_WORKFLOW.initialStatus,
+      statuses,
+      transitions,
+    };
+  }
+
+  /**
+   * Let the system move every open status to the assigned and escalated
+   * statuses, as the default workflow does (in place)
+   * @param {Object} statuses - Workflow statuses
+   * @param {Object[]} transitions - Workflow transitions
+   */
+  static addSystemTransitions(statuses, transitions) {
+    Object.keys(statuses).forEach((from) => {
+      const phase = statuses[from].phase || from;
+      if (
+        [COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED].includes(phase)
+      ) {
+        return;
+      }
+
+      SYSTEM_TARGETS.forEach((to) => {
+        // Reassigning stays in assigned; escalating only happens once
+        if (from === to && to === COMPLAINT_STATUS.ESCALATED) return;
+
+        const existing = transitions.find(
+          (t) => t.from === from && t.to === to
+        );
+        if (!existing) {
+          transitions.push({
+            from,
+            to,
+            roles: [WORKFLOW_ACTORS.SYSTEM],
+            requiresRemarks: false,
+          });
+        } else if (!existing.roles.includes(WORKFLOW_ACTORS.SYSTEM)) {
+          existing.roles = [...existing.roles, WORKFLOW_ACTORS.SYSTEM];
+        }
+      });
+    });
+  }
+
+  /**
+   * Get the built-in status a workflow status behaves like
+   */
+  static getPhase(workflow, status) {
+    return workflow.statuses[status]?.phase || status;
+  }
+
+  /**
+   * Validate a custom workflow definition before it is saved on a category
+   * @param {Object} customWorkflow - { statuses, transitions }
+   * @returns {string[]} Validation errors (empty if valid)
+   */
+  static validateWorkflow(customWorkflow) {
+    const errors = [];
+    const builtIn = Object.values(COMPLAINT_STATUS);
+    const customKeys = (customWorkflow.statuses || []).map((s) => s.key);
+    const known = new Set([...builtIn, ...customKeys]);
+
+    customKeys.forEach((key, index) => {
+      if (builtIn.includes(key)) {
+        errors.push(`Status "${key}" clashes with a built-in status`);
+      }
+      if (customKeys.indexOf(key) !== index) {
+        errors.push(`Status "${key}" is defined more than once`);
+      }
+    });
+
+    const transitions = customWorkflow.transitions || [];
+    if (transitions.length === 0) {
+      errors.push("At least one transition is required");
+    }
+
+    transitions.forEach((t) => {
+      if (!known.has(t.from)) {
+        errors.push(`Transition source "${t.from}" is not a known status`);
+      }
+      if (!known.has(t.to)) {
+        errors.push(`Transition target "${t.to}" is not a known status`);
+      }
+      if (!t.roles || t.roles.length === 0) {
+        errors.push(`Transition ${t.from} -> ${t.to} must allow some role`);
+      }
+    });
+
+    if (
+      transitions.length > 0 &&
+      !transitions.some((t) => t.from === DEFAULT_WORKFLOW.initialStatus)
+    ) {
+      errors.push(
+        `The workflow must allow leaving the "${DEFAULT_WORKFLOW.initialStatus}" status`
+      );
+    }
+
+    // Every custom status must be reachable
+    customKeys.forEach((key) => {
+      if (!transitions.some((t) => t.to === key)) {
+        errors.push(`Status "${key}" cannot be reached by any transition`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Find the transition definition between two statuses
+   * @returns {Object|null} Transition, or null if the change is not allowed
+   */
+  static findTransition(workflow, from, to) {
+    return (
+      workflow.transitions.find((t) => t.from === from && t.to === to) || null
+    );
+  }
+
+  /**
+   * List the transitions an actor may perform from a status
+   * @param {Object} workflow - Workflow definition
+   * @param {string} from - Current status
+   * @param {string} actor - User role or WORKFLOW_ACTORS.SYSTEM
+   */
+  static getAvailableTransitions(workflow, from, actor) {
+    return workflow.transitions
+      .filter((t) => t.from === from && t.to !== from)
+      .filter((t) => t.roles.includes(actor))
+      .map((t) => ({
+        status: t.to,
+        label: workflow.statuses[t.to]?.label || t.to,
+        description: workflow.statuses[t.to]?.description || "",
+        phase: WorkflowService.getPhase(workflow, t.to),
+        requiresRemarks: !!t.requiresRemarks,
+      }));
+  }
+
+  /**
+   * Validate a status change, throwing an AppError if it is not allowed
+   * @param {Object} workflow - Workflow definition
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   * @param {Object} options
+   * @param {string} [options.actor] - User role (defaults to system)
+   * @param {string} [options.remarks] - Remarks supplied with the change
+   * @returns {Object} Matching transition
+   */
+  static assertTransition(workflow, from, to, { actor, remarks } = {}) {
+    const role = actor || WORKFLOW_ACTORS.SYSTEM;
+
+    if (!workflow.statuses[to]) {
+      throw new AppError(`Unknown status: ${to}`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const transition = WorkflowService.findTransition(workflow, from, to);
+    if (!transition) {
+      throw new AppError(
+        `Cannot change status from ${from} to ${to}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    if (!transition.roles.includes(role)) {
+      throw new AppError(
+        `Your role is not allowed to change status from ${from} to ${to}`,
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    if (transition.requiresRemarks && !remarks?.trim()) {
+      throw new AppError(
+        `Remarks are required to change status to ${to}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    return transition;
+  }
+
+  /**
+   * Run the onExit effects of the old status and onEnter effects of the new one
+   */
+  static async applyEffects(workflow, complaint, from, to) {
+    if (from === to) return;
+
+    const effects = [
+      ...(workflow.statuses[from]?.onExit || []),
+      ...(workflow.statuses[to]?.onEnter || []),
+    ];
+
+    for (const name of effects) {
+      const effect = STATUS_EFFECTS[name];
+      if (!effect) {
+        throw new Error(`Unknown workflow effect: ${name}`);
+      }
+      await effect(complaint, {
+        from,
+        to,
+        toPhase: WorkflowService.getPhase(workflow, to),
+      });
+    }
+  }
+}
+
+module.exports = WorkflowService;
@@ -0,0 +1,364 @@
+const Complaint = require("../models/Complaint");
+const CapacityPolicy = require("../models/CapacityPolicy");
+const User = require("../models/User");
+const AvailabilityService = require("./availability.service");
+const {
+  USER_ROLES,
+  COMPLAINT_STATUS,
+  COMPLAINT_PRIORITY,
+  WORKLOAD_CONFIG,
+} = require("../config/constants");
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Workload Service
+ * Measures open workload per staff member against priority-weighted
+ * capacity limits (per user, or the department's capacity policy) and
+ * proposes moves from overloaded staff to staff with headroom
+ */
+class WorkloadService {
+  /**
+   * Capacity settings for a department
+   * @param {string} [department]
+   * @returns {Promise<{defaultCapacity: number, priorityWeights: Object}>}
+   */
+  static async getCapacityPolicy(department) {
+    const policy = await CapacityPolicy.findForDepartment(department);
+
+    return {
+      defaultCapacity:
+        policy?.defaultCapacity ?? WORKLOAD_CONFIG.DEFAULT_CAPACITY,
+      priorityWeights: {
+        ...WORKLOAD_CONFIG.PRIORITY_WEIGHTS,
+        ...(policy?.priorityWeights || {}),
+      },
+    };
+  }
+
+  /**
+   * Open complaint counts per staff member and priority, in one query
+   * @param {Array} staffIds
+   * @returns {Promise<Map<string, {total: number, byPriority: Object}>>}
+   */
+  static async getOpenCounts(staffIds) {
+    const results = await Complaint.aggregate([
+      {
+        $match: {
+          assignedTo: { $in: staffIds },
+          ...Complaint.phaseNotIn([
+            COMPLAINT_STATUS.RESOLVED,
+            COMPLAINT_STATUS.CLOSED,
+          ]),
+        },
+      },
+      {
+        $group: {
+          _id: { assignedTo: "$assignedTo", priority: "$priority" },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const counts = new Map();
+    results.forEach(({ _id, count }) => {
+      const key = _id.assignedTo.toString();
+      const entry = counts.get(key) || { total: 0, byPriority: {} };
+      entry.total += count;
+      entry.byPriority[_id.priority] = count;
+      counts.set(key, entry);
+    });
+
+    return counts;
+  }
+
+  /**
+   * Workload of staff members against their capacity
+   * @param {Array} staffList - Users with department and capacity loaded
+   * @returns {Promise<Map<string, Object>>} staffId => { total, byPriority,
+   *   highPriority, weightedLoad, capacity, headroom, utilization,
+   *   overloaded, priorityWeights }
+   */
+  static async getStaffWorkloads(staffList) {
+    const counts = await this.getOpenCounts(staffList.map((s) => s._id));
+    const policies = new Map();
+    const workloads = new Map();
+
+    for (const staff of staffList) {
+      const key = staff.department || "";
+      if (!policies.has(key)) {
+        policies.set(key, await this.getCapacityPolicy(staff.department));
+      }
+
+      workloads.set(
+        staff._id.toString(),
+        this.computeWorkload(
+          staff,
+          counts.get(staff._id.toString()),
+          policies.get(key)
+        )
+      );
+    }
+
+    return workloads;
+  }
+
+  /**
+   * Weighted workload of one staff member
+   * @param {Object} staff - User
+   * @param {Object} [counts] - { total, byPriority }
+   * @param {Object} policy - Result of getCapacityPolicy
+   */
+  static computeWorkload(staff, counts, policy) {
+    const byPriority = counts?.byPriority || {};
+    const weightedLoad = Object.entries(byPriority).reduce(
+      (sum, [priority, count]) =>
+        sum + count * (policy.priorityWeights[priority] ?? 1),
+      0
+    );
+    const capacity = staff.capacity || policy.defaultCapacity;
+
+    return {
+      total: counts?.total || 0,
+      byPriority,
+      highPriority:
+        (byPriority[COMPLAINT_PRIORITY.HIGH] || 0) +
+        (byPriority[COMPLAINT_PRIORITY.URGENT] || 0),
+      weightedLoad: round(weightedLoad),
+      capacity,
+      headroom: round(capacity - weightedLoad),
+      utilization: round(weightedLoad / capacity),
+      overloaded: weightedLoad > capacity,
+      priorityWeights: policy.priorityWeights,
+    };
+  }
+
+  /**
+   * Weight a complaint of a priority adds to a workload
+   * @param {Object} workload - Result of computeWorkload
+   * @param {string} priority
+   */
+  static getWeight(workload, priority) {
+    return workload.priorityWeights[priority] ?? 1;
+  }
+
+  /**
+   * Whether a workload has room for a complaint of a priority
+   */
+  static hasCapacityFor(workload, priority) {
+    return workload.headroom >= this.getWeight(workload, priority);
+  }
+
+  /**
+   * Workload of active staff, with totals per department
+   * @param {Object} [options]
+   * @param {string} [options.department] - Limit to one department
+   */
+  static async getWorkloadOverview({ department } = {}) {
+    const filter = {
+      role: { $in: [USER_ROLES.STAFF, USER_ROLES.ADMIN] },
+      isActive: true,
+    };
+    if (department) {
+      filter.department = department;
+    }
+
+    const staff = await User.find(filter)
+      .select(AvailabilityService.STAFF_FIELDS)
+      .sort({ department: 1, name: 1 });
+    const workloads = await this.getStaffWorkloads(staff);
+
+    const departments = new Map();
+    const staffWorkloads = [];
+
+    for (const member of staff) {
+      const workload = workloads.get(member._id.toString());
+      const availability = await AvailabilityService.getStatus(member);
+
+      staffWorkloads.push({
+        id: member._id,
+        name: member.name,
+        email: member.email,
+        role: member.role,
+        department: member.department,
+        availability,
+        workload,
+      });
+
+      const key = member.department || "Unassigned";
+      const summary = departments.get(key) || {
+        department: key,
+        staff: 0,
+        openComplaints: 0,
+        weightedLoad: 0,
+        capacity: 0,
+        overloadedStaff: 0,
+      };
+      summary.staff++;
+      summary.openComplaints += workload.total;
+      summary.weightedLoad += workload.weightedLoad;
+      summary.capacity += workload.capacity;
+      if (workload.overloaded) summary.overloadedStaff++;
+      departments.set(key, summary);
+    }
+
+    return {
+      staff: staffWorkloads.sort(
+        (a, b) => b.workload.utilization - a.workload.utilization
+      ),
+      departments: [...departments.values()].map((summary) => ({
+        ...summary,
+        weightedLoad: round(summary.weightedLoad),
+        utilization: summary.capacity
+          ? round(summary.weightedLoad / summary.capacity)
+          : 0,
+      })),
+    };
+  }
+
+  /**
+   * Propose moving open complaints from overloaded staff to available staff
+   * in the complaint's department with headroom. Only complaints that have
+   * not been started (assigned phase) are moved, heaviest first, until the
+   * source is back within capacity. Nothing is changed.
+   * @param {Object} [options]
+   * @param {string} [options.department] - Limit to one department
+   * @returns {Promise<{proposals: Array, unresolved: Array}>}
+   */
+  static async proposeRebalance({ department } = {}) {
+    const staff = await User.find({
+      role: { $in: [USER_ROLES.STAFF, USER_ROLES.ADMIN] },
+      isActive: true,
+    }).select(AvailabilityService.STAFF_FIELDS);
+    const workloads = await this.getStaffWorkloads(staff);
+
+    // Targets must be on shift now; loads are updated as moves are planned
+    const targets = [];
+    for (const member of staff) {
+      if (
+        member.role === USER_ROLES.STAFF &&
+        (await AvailabilityService.getStatus(member)).available
+      ) {
+        targets.push(member);
+      }
+    }
+
+    const overloaded = staff.filter(
+      (member) =>
+        workloads.get(member._id.toString()).overloaded &&
+        (!department || member.department === department)
+    );
+
+    const proposals = [];
+    const unresolved = [];
+
+    for (const source of overloaded) {
+      const sourceLoad = workloads.get(source._id.toString());
+
+      const complaints = await Complaint.find({
+        assignedTo: source._id,
+        ...Complaint.phaseIn([COMPLAINT_STATUS.ASSIGNED]),
+      })
+        .select("title priority status category createdAt")
+        .populate("category", "name department");
+
+      complaints.sort(
+        (a, b) =>
+          this.getWeight(sourceLoad, b.priority) -
+            this.getWeight(sourceLoad, a.priority) || b.createdAt - a.createdAt
+      );
+
+      for (const complaint of complaints) {
+        if (!sourceLoad.overloaded) break;
+        if (!complaint.category) continue;
+
+        const target = this.pickTarget(
+          targets,
+          workloads,
+          complaint,
+          source._id
+        );
+        if (!target) continue;
+
+        const targetLoad = workloads.get(target._id.toString());
+        const sourceWeight = this.getWeight(sourceLoad, complaint.priority);
+        const targetWeight = this.getWeight(targetLoad, complaint.priority);
+
+        proposals.push({
+          complaint: {
+            id: complaint._id,
+            title: complaint.title,
+            priority: complaint.priority,
+            status: complaint.status,
+            category: complaint.category.name,
+          },
+          from: {
+            id: source._id,
+            name: source.name,
+            department: source.department,
+          },
+          to: {
+            id: target._id,
+            name: target.name,
+            department: target.department,
+          },
+          weight: targetWeight,
+        });
+
+        this.adjustLoad(sourceLoad, -sourceWeight, -1);
+        this.adjustLoad(targetLoad, targetWeight, 1);
+      }
+
+      if (sourceLoad.overloaded) {
+        unresolved.push({
+          staff: { id: source._id, name: source.name },
+          weightedLoad: sourceLoad.weightedLoad,
+          capacity: sourceLoad.capacity,
+          excess: round(sourceLoad.weightedLoad - sourceLoad.capacity),
+        });
+      }
+    }
+
+    return { proposals, unresolved };
+  }
+
+  /**
+   * Pick the least utilised target in a complaint's department that can take
+   * it without going over capacity
+   */
+  static pickTarget(targets, workloads, complaint, excludeId) {
+    let best = null;
+    let bestUtilization = Infinity;
+
+    for (const target of targets) {
+      if (target._id.equals(excludeId)) continue;
+      if (target.department !== complaint.category.department) continue;
+
+      const workload = workloads.get(target._id.toString());
+      if (!this.hasCapacityFor(workload, complaint.priority)) continue;
+
+      const utilization =
+        (workload.weightedLoad + this.getWeight(workload, complaint.priority)) /
+        workload.capacity;
+      if (utilization < bestUtilization) {
+        best = target;
+        bestUtilization = utilization;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Apply a planned change to a workload
+   */
+  static adjustLoad(workload, weight, count) {
+    workload.weightedLoad = round(workload.weightedLoad + weight);
+    workload.headroom = round(workload.capacity - workload.weightedLoad);
+    workload.utilization = round(workload.weightedLoad / workload.capacity);
+    workload.overloaded = workload.weightedLoad > workload.capacity;
+    workload.total += count;
+  }
+}
+
+module.exports = WorkloadService;
@@ -0,0 +1,71 @@
+const User = require("../../models/User");
+const BusinessCalendarService = require("../../services/businessCalendar.service");
+const { USER_ROLES } = require("../../config/constants");
+const StaffController = require("../../controllers/staff.controller");
+const { runHandler } = require("../helpers/http");
+const { query, objectId } = require("../helpers/models");
+
+describe("PUT /api/staff/availability/:staffId", () => {
+  let staff;
+
+  const shifts = [{ day: 1, start: "09:00", end: "17:00" }];
+  const update = (user) =>
+    runHandler(StaffController.updateAvailability, {
+      params: { staffId: staff._id.toString() },
+      body: { shifts },
+      user: { email: "someone@example.com", ...user },
+    });
+
+  beforeEach(() => {
+    staff = new User({
+      name: "Sam Staff",
+      email: "sam@example.com",
+      password: "secret123",
+      role: USER_ROLES.STAFF,
+      department: "IT",
+    });
+
+    jest.spyOn(User, "findOne").mockReturnValue(query(staff));
+    jest.spyOn(staff, "save").mockResolvedValue(staff);
+    jest.spyOn(staff, "populate").mockResolvedValue(staff);
+    jest.spyOn(BusinessCalendarService, "getCalendar").mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("lets staff set their own shifts", async () => {
+    // auth.middleware sets req.user.id to the user's ObjectId
+    const { statusCode, body } = await update({
+      id: staff._id,
+      role: USER_ROLES.STAFF,
+    });
+
+    expect(statusCode).toBe(200);
+    expect(body.data.shifts).toEqual([
+      expect.objectContaining({ day: 1, start: "09:00", end: "17:00" }),
+    ]);
+    expect(staff.save).toHaveBeenCalled();
+  });
+
+  it("lets admins set anyone's shifts", async () => {
+    const { statusCode } = await update({
+      id: objectId(),
+      role: USER_ROLES.ADMIN,
+    });
+
+    expect(statusCode).toBe(200);
+    expect(staff.availability.shifts).toHaveLength(1);
+  });
+
+  it("refuses staff changing someone else's availability", async () => {
+    const { statusCode } = await update({
+      id: objectId(),
+      role: USER_ROLES.STAFF,
+    });
+
+    expect(statusCode).toBe(403);
+    expect(staff.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,62 @@
+const Complaint = require("../../models/Complaint");
+const Comment = require("../../models/Comment");
+const { USER_ROLES, COMMENT_CONFIG } = require("../../config/constants");
+const { getComments } = require("../../controllers/comment.controller");
+const { runHandler } = require("../helpers/http");
+const { query, objectId } = require("../helpers/models");
+
+describe("GET /api/complaints/:id/comments", () => {
+  let complaint;
+  let found;
+
+  const list = (params) =>
+    runHandler(getComments, {
+      params: { id: complaint._id.toString() },
+      query: params,
+      user: { id: complaint.user, role: USER_ROLES.USER },
+    });
+
+  beforeEach(() => {
+    complaint = new Complaint({
+      title: "Cold water only",
+      description: "Block C showers",
+      category: objectId(),
+      user: objectId(),
+    });
+
+    found = query([]);
+    found.skip = jest.fn(() => found);
+    found.limit = jest.fn(() => found);
+
+    jest.spyOn(Complaint, "findById").mockReturnValue(query(complaint));
+    jest.spyOn(complaint, "canBeAccessedBy").mockResolvedValue(true);
+    jest.spyOn(Comment, "find").mockReturnValue(found);
+    jest.spyOn(Comment, "countDocuments").mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("pages with the default page size", async () => {
+    const { body } = await list({});
+
+    expect(found.limit).toHaveBeenCalledWith(COMMENT_CONFIG.DEFAULT_PAGE_SIZE);
+    expect(body.pagination.limit).toBe(COMMENT_CONFIG.DEFAULT_PAGE_SIZE);
+  });
+
+  it("caps the page size", async () => {
+    const { body } = await list({ limit: "1000000", page: "2" });
+
+    expect(found.limit).toHaveBeenCalledWith(COMMENT_CONFIG.MAX_PAGE_SIZE);
+    expect(found.skip).toHaveBeenCalledWith(COMMENT_CONFIG.MAX_PAGE_SIZE);
+    expect(body.pagination.limit).toBe(COMMENT_CONFIG.MAX_PAGE_SIZE);
+  });
+
+  it("ignores pages and sizes below one", async () => {
+    await list({ limit: "-5", page: "-1" });
+
+    expect(found.limit).toHaveBeenCalledWith(1);
+    expect(found.skip).toHaveBeenCalledWith(0);
+  });
+});
@@ -0,0 +1,107 @@
+const Complaint = require("../../models/Complaint");
+const Comment = require("../../models/Comment");
+const Category = require("../../models/Category");
+const WorkflowService = require("../../services/workflow.service");
+const BusinessCalendarService = require("../../services/businessCalendar.service");
+const WebSocketService = require("../../services/websocket.service");
+const { DEFAULT_WORKFLOW } = require("../../config/workflow");
+const {
+  COMPLAINT_STATUS,
+  COMMENT_VISIBILITY,
+  USER_ROLES,
+} = require("../../config/constants");
+const { addComment } = require("../../controllers/comment.controller");
+const { runHandler } = require("../helpers/http");
+const { query, objectId } = require("../helpers/models");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe("POST /api/complaints/:id/comments while awaiting the requester", () => {
+  let ownerId;
+  let complaint;
+  let deadline;
+
+  const comment = (user) =>
+    runHandler(addComment, {
+      params: { id: complaint._id.toString() },
+      body: { body: "The model number is AB-123" },
+      user: { email: "someone@example.com", ...user },
+    });
+
+  beforeEach(() => {
+    ownerId = objectId();
+    deadline = new Date(Date.now() + 24 * HOUR_MS);
+    const pausedAt = new Date(Date.now() - 2 * HOUR_MS);
+
+    complaint = new Complaint({
+      title: "Broken heater",
+      description: "No heat in room 4",
+      category: objectId(),
+      user: ownerId,
+      status: COMPLAINT_STATUS.AWAITING_REQUESTER,
+      statusPhase: COMPLAINT_STATUS.AWAITING_REQUESTER,
+      deadline,
+      sla: {
+        pausedAt,
+        pauses: [{ pausedAt, fromStatus: COMPLAINT_STATUS.IN_PROGRESS }],
+      },
+    });
+
+    jest.spyOn(Complaint, "findById").mockReturnValue(query(complaint));
+    jest
+      .spyOn(Category, "findById")
+      .mockReturnValue(query({ department: "Facilities" }));
+    jest.spyOn(complaint, "canBeAccessedBy").mockResolvedValue(true);
+    jest.spyOn(complaint, "save").mockResolvedValue(complaint);
+    jest.spyOn(Comment, "create").mockImplementation(async (fields) => {
+      const doc = new Comment(fields);
+      jest.spyOn(doc, "populate").mockResolvedValue(doc);
+      return doc;
+    });
+    jest
+      .spyOn(WorkflowService, "getWorkflow")
+      .mockResolvedValue(DEFAULT_WORKFLOW);
+    // No business calendar: paused time counts as wall-clock time
+    jest.spyOn(BusinessCalendarService, "getCalendar").mockResolvedValue(null);
+    jest.spyOn(WebSocketService, "notifyCommentAdded").mockImplementation();
+    jest.spyOn(WebSocketService, "notifyStatusUpdate").mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("resumes work and the SLA clock when the complainant replies", async () => {
+    // auth.middleware sets req.user.id to the user's ObjectId
+    const { statusCode, error } = await comment({
+      id: ownerId,
+      role: USER_ROLES.USER,
+    });
+
+    expect(error).toBeUndefined();
+    expect(statusCode).toBe(201);
+    expect(Comment.create).toHaveBeenCalledWith(
+      expect.objectContaining({ visibility: COMMENT_VISIBILITY.PUBLIC })
+    );
+    expect(complaint.status).toBe(COMPLAINT_STATUS.IN_PROGRESS);
+    expect(complaint.sla.pausedAt).toBeNull();
+    expect(complaint.sla.pauses[0].resumedAt).toBeInstanceOf(Date);
+    expect(complaint.sla.pausedMs).toBeGreaterThanOrEqual(2 * HOUR_MS);
+    // The deadline moves out by the time spent paused
+    expect(complaint.deadline.getTime() - deadline.getTime()).toBeGreaterThan(
+      2 * HOUR_MS - 1000
+    );
+    expect(complaint.save).toHaveBeenCalled();
+  });
+
+  it("stays paused when someone else comments", async () => {
+    const { statusCode } = await comment({
+      id: objectId(),
+      role: USER_ROLES.STAFF,
+    });
+
+    expect(statusCode).toBe(201);
+    expect(complaint.status).toBe(COMPLAINT_STATUS.AWAITING_REQUESTER);
+    expect(complaint.sla.pausedAt).toBeInstanceOf(Date);
+  });
+});
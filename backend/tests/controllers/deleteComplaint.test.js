@@ -0,0 +1,59 @@
+const Complaint = require("../../models/Complaint");
+const Comment = require("../../models/Comment");
+const StorageService = require("../../services/storage/storageService");
+const { USER_ROLES } = require("../../config/constants");
+const { deleteComplaint } = require("../../controllers/complaint.controller");
+const { runHandler } = require("../helpers/http");
+const { query, objectId } = require("../helpers/models");
+
+describe("DELETE /api/complaints/:id", () => {
+  let complaint;
+
+  beforeEach(() => {
+    complaint = new Complaint({
+      title: "Duplicate report",
+      description: "Posted twice by mistake",
+      category: objectId(),
+      user: objectId(),
+    });
+
+    jest.spyOn(Complaint, "findById").mockReturnValue(query(complaint));
+    jest.spyOn(Complaint, "findByIdAndDelete").mockResolvedValue(complaint);
+    jest.spyOn(Complaint, "updateMany").mockResolvedValue({ modifiedCount: 2 });
+    jest.spyOn(Comment, "deleteMany").mockResolvedValue({ deletedCount: 3 });
+    jest.spyOn(StorageService, "deleteAllAttachments").mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("deletes the complaint with its comments and the links to it", async () => {
+    const id = complaint._id.toString();
+
+    const { statusCode } = await runHandler(deleteComplaint, {
+      params: { id },
+      user: { id: objectId(), role: USER_ROLES.ADMIN },
+    });
+
+    expect(statusCode).toBe(200);
+    expect(Complaint.findByIdAndDelete).toHaveBeenCalledWith(id);
+    expect(Comment.deleteMany).toHaveBeenCalledWith({ complaint: id });
+    expect(Complaint.updateMany).toHaveBeenCalledWith(
+      { "links.complaint": id },
+      { $pull: { links: { complaint: id } } }
+    );
+    expect(StorageService.deleteAllAttachments).toHaveBeenCalledWith(id);
+  });
+
+  it("leaves everything in place for other users", async () => {
+    const { error } = await runHandler(deleteComplaint, {
+      params: { id: complaint._id.toString() },
+      user: { id: objectId(), role: USER_ROLES.USER },
+    });
+
+    expect(error.statusCode).toBe(403);
+    expect(Comment.deleteMany).not.toHaveBeenCalled();
+    expect(Complaint.updateMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,67 @@
+const Complaint = require("../../models/Complaint");
+const Feedback = require("../../models/Feedback");
+const { USER_ROLES } = require("../../config/constants");
+const {
+  getComplaintFeedback,
+} = require("../../controllers/feedback.controller");
+const { runHandler } = require("../helpers/http");
+const { query, objectId } = require("../helpers/models");
+
+describe("GET /api/complaints/:id/feedback", () => {
+  let complaint;
+  let feedback;
+
+  const getFeedback = (role) =>
+    runHandler(getComplaintFeedback, {
+      params: { id: complaint._id.toString() },
+      user: { id: objectId(), role },
+    });
+
+  beforeEach(() => {
+    complaint = new Complaint({
+      title: "Slow wifi",
+      description: "Library",
+      category: objectId(),
+      user: objectId(),
+    });
+    feedback = new Feedback({
+      complaint: complaint._id,
+      user: complaint.user,
+      rating: 4,
+      isPublic: true,
+      isAnonymous: false,
+      metadata: { ipAddress: "203.0.113.7", userAgent: "Firefox" },
+    });
+
+    jest.spyOn(Complaint, "findById").mockReturnValue(query(complaint));
+    jest.spyOn(Feedback, "findOne").mockReturnValue(query(feedback));
+    jest.spyOn(feedback, "populate").mockResolvedValue(feedback);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("hides the submitter's metadata from other users", async () => {
+    const { statusCode, body } = await getFeedback(USER_ROLES.USER);
+
+    expect(statusCode).toBe(200);
+    expect(body.data.rating).toBe(4);
+    expect(body.data.metadata).toBeUndefined();
+  });
+
+  it("hides the submitter's metadata from staff", async () => {
+    const { body } = await getFeedback(USER_ROLES.STAFF);
+
+    expect(body.data.metadata).toBeUndefined();
+  });
+
+  it("shows the metadata to admins", async () => {
+    const { body } = await getFeedback(USER_ROLES.ADMIN);
+
+    expect(body.data.metadata).toMatchObject({
+      ipAddress: "203.0.113.7",
+      userAgent: "Firefox",
+    });
+  });
+});
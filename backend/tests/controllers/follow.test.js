@@ -0,0 +1,54 @@
+const Complaint = require("../../models/Complaint");
+const { COMPLAINT_STATUS, USER_ROLES } = require("../../config/constants");
+const { followComplaint } = require("../../controllers/complaint.controller");
+const { runHandler } = require("../helpers/http");
+const { query, objectId } = require("../helpers/models");
+
+describe("POST /api/complaints/:id/follow", () => {
+  let ownerId;
+  let complaint;
+
+  const follow = (userId) =>
+    runHandler(followComplaint, {
+      params: { id: complaint._id.toString() },
+      user: { id: userId, role: USER_ROLES.USER, email: "user@example.com" },
+    });
+
+  beforeEach(() => {
+    ownerId = objectId();
+    complaint = new Complaint({
+      title: "Pothole",
+      description: "Main street",
+      category: objectId(),
+      user: ownerId,
+      status: COMPLAINT_STATUS.SUBMITTED,
+    });
+
+    jest.spyOn(Complaint, "findOne").mockReturnValue(query(complaint));
+    jest.spyOn(Complaint, "updateOne").mockResolvedValue({ matchedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("lets other users follow a complaint", async () => {
+    const userId = objectId();
+
+    const { statusCode } = await follow(userId);
+
+    expect(statusCode).toBe(200);
+    expect(Complaint.updateOne).toHaveBeenCalledWith(
+      { _id: complaint._id },
+      { $addToSet: { followers: userId } }
+    );
+  });
+
+  it("refuses the complainant following their own complaint", async () => {
+    // auth.middleware sets req.user.id to the user's ObjectId
+    const { error } = await follow(ownerId);
+
+    expect(error.statusCode).toBe(400);
+    expect(Complaint.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,85 @@
+const Complaint = require("../../models/Complaint");
+const WorkflowService = require("../../services/workflow.service");
+const emailService = require("../../services/email/emailService");
+const WebSocketService = require("../../services/websocket.service");
+const { DEFAULT_WORKFLOW } = require("../../config/workflow");
+const { COMPLAINT_STATUS, USER_ROLES } = require("../../config/constants");
+const { reopenComplaint } = require("../../controllers/complaint.controller");
+const { runHandler } = require("../helpers/http");
+const { query, objectId } = require("../helpers/models");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("POST /api/complaints/:id/reopen", () => {
+  let ownerId;
+  let complaint;
+
+  const reopen = (user, reason = "The leak is back") =>
+    runHandler(reopenComplaint, {
+      params: { id: complaint._id.toString() },
+      body: { reason },
+      user: { email: "user@example.com", ...user },
+    });
+
+  beforeEach(() => {
+    ownerId = objectId();
+    complaint = new Complaint({
+      title: "Leaking pipe",
+      description: "Water under the sink",
+      category: objectId(),
+      user: ownerId,
+      status: COMPLAINT_STATUS.RESOLVED,
+      statusPhase: COMPLAINT_STATUS.RESOLVED,
+      resolvedAt: new Date(Date.now() - DAY_MS),
+    });
+
+    jest.spyOn(Complaint, "findById").mockReturnValue(query(complaint));
+    jest.spyOn(complaint, "save").mockResolvedValue(complaint);
+    jest.spyOn(complaint, "populate").mockResolvedValue(complaint);
+    jest
+      .spyOn(WorkflowService, "getWorkflow")
+      .mockResolvedValue(DEFAULT_WORKFLOW);
+    jest.spyOn(emailService, "sendComplaintReopened").mockResolvedValue();
+    jest.spyOn(WebSocketService, "notifyStatusUpdate").mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("lets the complainant reopen their resolved complaint", async () => {
+    // auth.middleware sets req.user.id to the user's ObjectId
+    const { statusCode, error } = await reopen({
+      id: ownerId,
+      role: USER_ROLES.USER,
+    });
+
+    expect(error).toBeUndefined();
+    expect(statusCode).toBe(200);
+    expect(complaint.status).toBe(COMPLAINT_STATUS.IN_PROGRESS);
+    expect(complaint.reopenCount).toBe(1);
+    expect(complaint.reopenHistory[0]).toMatchObject({
+      fromStatus: COMPLAINT_STATUS.RESOLVED,
+      toStatus: COMPLAINT_STATUS.IN_PROGRESS,
+      reason: "The leak is back",
+    });
+    expect(complaint.resolvedAt).toBeNull();
+    expect(complaint.save).toHaveBeenCalled();
+  });
+
+  it("refuses other users", async () => {
+    const { error } = await reopen({ id: objectId(), role: USER_ROLES.USER });
+
+    expect(error.statusCode).toBe(403);
+    expect(complaint.status).toBe(COMPLAINT_STATUS.RESOLVED);
+  });
+
+  it("refuses once the reopen window has passed", async () => {
+    complaint.resolvedAt = new Date(Date.now() - 60 * DAY_MS);
+
+    const { error } = await reopen({ id: ownerId, role: USER_ROLES.USER });
+
+    expect(error.statusCode).toBe(400);
+    expect(complaint.status).toBe(COMPLAINT_STATUS.RESOLVED);
+  });
+});
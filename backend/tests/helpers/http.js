@@ -0,0 +1,31 @@
+/**
+ * Run an asyncHandler-wrapped controller with a fake request
+ * @param {Function} handler - Controller from ../../controllers
+ * @param {Object} req - Request fields (params, query, body, user, ...)
+ * @returns {Promise<{statusCode?: number, body?: Object, error?: Error}>}
+ *          The response sent, or the error passed to next()
+ */
+const runHandler = (handler, req) =>
+  new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      setHeader(name, value) {
+        this.headers[name.toLowerCase()] = value;
+      },
+      json(body) {
+        resolve({ statusCode: this.statusCode, body });
+        return this;
+      },
+    };
+
+    handler({ params: {}, query: {}, body: {}, ...req }, res, (error) =>
+      resolve({ error })
+    );
+  });
+
+module.exports = { runHandler };
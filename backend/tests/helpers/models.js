@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+/**
+ * Make a query stub that resolves to a value however it is chained
+ * (populate, select, sort, lean, ...), the way Mongoose queries can be
+ * awaited at any point of the chain
+ * @param {*} value - What awaiting the query resolves to
+ */
+const query = (value) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  ["populate", "select", "sort", "skip", "limit", "lean", "session"].forEach(
+    (method) => {
+      chain[method] = () => chain;
+    }
+  );
+  return chain;
+};
+
+/**
+ * A new ObjectId, as auth.middleware puts in req.user.id
+ */
+const objectId = () => new mongoose.Types.ObjectId();
+
+module.exports = { query, objectId };
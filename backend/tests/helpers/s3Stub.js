@@ -0,0 +1,176 @@
+const http = require("http");
+
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+/**
+ * Decode an aws-chunked request body ("<hex size>\r\n<data>\r\n" chunks
+ * ending with a zero-size chunk and trailing checksum headers)
+ * @param {Buffer} body
+ * @returns {Buffer}
+ */
+const decodeAwsChunked = (body) => {
+  const chunks = [];
+  let offset = 0;
+
+  for (;;) {
+    const lineEnd = body.indexOf("\r\n", offset);
+    const size = parseInt(body.slice(offset, lineEnd).toString(), 16);
+    if (!size) break;
+
+    const start = lineEnd + 2;
+    chunks.push(body.slice(start, start + size));
+    offset = start + size + 2;
+  }
+
+  return Buffer.concat(chunks);
+};
+
+/**
+ * In-process stand-in for an S3-compatible service (MinIO-style, path-style
+ * URLs) covering the requests S3Driver makes: PutObject, GetObject,
+ * HeadObject, DeleteObject and ListObjectsV2.
+ */
+class S3Stub {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.bucket] - The only bucket the stub serves
+   * @param {number} [options.pageSize] - Keys per ListObjectsV2 page
+   */
+  constructor({ bucket = "test-bucket", pageSize = 1000 } = {}) {
+    this.bucket = bucket;
+    this.pageSize = pageSize;
+    this.objects = new Map();
+    this.requests = [];
+    // Set to an S3 error code (e.g. "AccessDenied") to fail the next request
+    this.failNext = null;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /**
+   * Start listening on a free local port
+   * @returns {Promise<string>} Endpoint URL
+   */
+  async start() {
+    await new Promise((resolve) => this.server.listen(0, "127.0.0.1", resolve));
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  async stop() {
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+
+  async handle(req, res) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    let body = Buffer.concat(chunks);
+
+    const url = new URL(req.url, "http://localhost");
+    const [, bucket, ...keyParts] = url.pathname.split("/");
+    const key = keyParts.map(decodeURIComponent).join("/");
+    this.requests.push({
+      method: req.method,
+      bucket,
+      key,
+      headers: req.headers,
+    });
+
+    if (this.failNext) {
+      const code = this.failNext;
+      this.failNext = null;
+      return this.sendError(res, 403, code);
+    }
+    if (bucket !== this.bucket) {
+      return this.sendError(res, 404, "NoSuchBucket");
+    }
+
+    if (req.method === "GET" && !key && url.searchParams.get("list-type")) {
+      return this.sendList(res, url.searchParams);
+    }
+
+    const object = this.objects.get(key);
+
+    switch (req.method) {
+      case "PUT":
+        if ((req.headers["content-encoding"] || "").includes("aws-chunked")) {
+          body = decodeAwsChunked(body);
+        }
+        this.objects.set(key, {
+          body,
+          contentType: req.headers["content-type"],
+          lastModified: new Date(),
+        });
+        res.setHeader("ETag", `"${body.length}"`);
+        return res.end();
+
+      case "GET":
+      case "HEAD":
+        if (!object) {
+          return this.sendError(res, 404, "NoSuchKey", req.method === "HEAD");
+        }
+        res.setHeader("Content-Type", object.contentType || "");
+        res.setHeader("Content-Length", object.body.length);
+        res.setHeader("Last-Modified", object.lastModified.toUTCString());
+        return res.end(req.method === "GET" ? object.body : undefined);
+
+      case "DELETE":
+        this.objects.delete(key);
+        res.statusCode = 204;
+        return res.end();
+
+      default:
+        return this.sendError(res, 405, "MethodNotAllowed");
+    }
+  }
+
+  sendList(res, params) {
+    const prefix = params.get("prefix") || "";
+    const start = parseInt(params.get("continuation-token")) || 0;
+    const keys = [...this.objects.keys()]
+      .filter((key) => key.startsWith(prefix))
+      .sort();
+    const page = keys.slice(start, start + this.pageSize);
+    const truncated = start + page.length < keys.length;
+
+    const contents = page
+      .map((key) => {
+        const object = this.objects.get(key);
+        return `<Contents><Key>${escapeXml(
+          key
+        )}</Key><LastModified>${object.lastModified.toISOString()}</LastModified><Size>${
+          object.body.length
+        }</Size></Contents>`;
+      })
+      .join("");
+
+    res.setHeader("Content-Type", "application/xml");
+    res.end(
+      `<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>${escapeXml(
+        this.bucket
+      )}</Name><Prefix>${escapeXml(prefix)}</Prefix><KeyCount>${
+        page.length
+      }</KeyCount><IsTruncated>${truncated}</IsTruncated>${
+        truncated
+          ? `<NextContinuationToken>${
+              start + page.length
+            }</NextContinuationToken>`
+          : ""
+      }${contents}</ListBucketResult>`
+    );
+  }
+
+  sendError(res, status, code, headOnly = false) {
+    res.statusCode = status;
+    if (headOnly) return res.end();
+    res.setHeader("Content-Type", "application/xml");
+    res.end(
+      `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${code}</Message></Error>`
+    );
+  }
+}
+
+module.exports = S3Stub;
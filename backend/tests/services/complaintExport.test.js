@@ -0,0 +1,144 @@
+const { PassThrough } = require("stream");
+const Category = require("../../models/Category");
+const Comment = require("../../models/Comment");
+const ComplaintExportService = require("../../services/complaintExport.service");
+const {
+  COMMENT_VISIBILITY,
+  EXPORT_FORMATS,
+} = require("../../config/constants");
+const { query, objectId } = require("../helpers/models");
+
+describe("ComplaintExportService comment columns", () => {
+  const first = { _id: objectId(), title: "Broken heater" };
+  const second = { _id: objectId(), title: "Leaking roof" };
+  const staff = { _id: objectId(), name: "Sam Staff" };
+
+  const comment = (complaint, visibility, body, createdAt) => ({
+    _id: objectId(),
+    complaint: complaint._id,
+    visibility,
+    body,
+    author: staff,
+    createdAt: new Date(createdAt),
+  });
+
+  // attachComments adds comments to the complaints it yields
+  const complaints = () => [{ ...first }, { ...second }];
+
+  const exportCsv = async (columns, cursor) => {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on("data", (chunk) => chunks.push(chunk));
+
+    await ComplaintExportService.write(
+      cursor,
+      columns,
+      EXPORT_FORMATS.CSV,
+      output
+    );
+    return Buffer.concat(chunks).toString().split("\r\n");
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Category, "find").mockReturnValue(query([]));
+    const comments = [
+      comment(
+        first,
+        COMMENT_VISIBILITY.PUBLIC,
+        "We are on it",
+        "2026-03-01T10:00:00Z"
+      ),
+      comment(
+        first,
+        COMMENT_VISIBILITY.INTERNAL,
+        "Parts ordered",
+        "2026-03-01T11:00:00Z"
+      ),
+      comment(
+        second,
+        COMMENT_VISIBILITY.PUBLIC,
+        "Roofer booked",
+        "2026-03-02T09:00:00Z"
+      ),
+    ];
+    // The query only returns comments of the requested visibilities
+    jest
+      .spyOn(Comment, "find")
+      .mockImplementation(({ visibility }) =>
+        query(comments.filter((c) => visibility.$in.includes(c.visibility)))
+      );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("only exports the comment columns when asked for", async () => {
+    const columns = await ComplaintExportService.resolveColumns(
+      "title,comments,internalNotes",
+      {}
+    );
+
+    expect(columns.map((column) => column.key)).toEqual([
+      "title",
+      "comments",
+      "internalNotes",
+    ]);
+    expect(
+      (await ComplaintExportService.getAvailableColumns()).find(
+        (column) => column.key === "comments"
+      ).default
+    ).toBe(false);
+  });
+
+  it("loads the live comments of the requested visibilities", async () => {
+    const yielded = [];
+    for await (const complaint of ComplaintExportService.attachComments(
+      complaints(),
+      [COMMENT_VISIBILITY.PUBLIC]
+    )) {
+      yielded.push(complaint);
+    }
+
+    expect(Comment.find).toHaveBeenCalledWith({
+      complaint: { $in: [first._id, second._id] },
+      visibility: { $in: [COMMENT_VISIBILITY.PUBLIC] },
+      deletedAt: null,
+    });
+    expect(
+      yielded.map((complaint) =>
+        complaint.comments[COMMENT_VISIBILITY.PUBLIC].map((c) => c.body)
+      )
+    ).toEqual([["We are on it"], ["Roofer booked"]]);
+  });
+
+  it("writes public comments and internal notes to their own columns", async () => {
+    const columns = await ComplaintExportService.resolveColumns(
+      "title,comments,internalNotes",
+      {}
+    );
+    const legacyNote = {
+      note: "Called the tenant",
+      addedBy: { name: "Ada Admin" },
+      addedAt: new Date("2026-02-28T08:00:00Z"),
+    };
+    const cursor = ComplaintExportService.attachComments(
+      complaints().map((complaint, index) =>
+        index === 0 ? { ...complaint, internalNotes: [legacyNote] } : complaint
+      ),
+      [COMMENT_VISIBILITY.PUBLIC, COMMENT_VISIBILITY.INTERNAL]
+    );
+
+    const lines = await exportCsv(columns, cursor);
+
+    expect(lines[0]).toBe("Title,Comments,Internal Notes");
+    expect(lines[1]).toBe(
+      'Broken heater,2026-03-01T10:00:00.000Z Sam Staff: We are on it,"' +
+        "2026-02-28T08:00:00.000Z Ada Admin: Called the tenant\n" +
+        '2026-03-01T11:00:00.000Z Sam Staff: Parts ordered"'
+    );
+    expect(lines[2]).toBe(
+      "Leaking roof,2026-03-02T09:00:00.000Z Sam Staff: Roofer booked,"
+    );
+  });
+});
@@ -0,0 +1,193 @@
+const Complaint = require("../../models/Complaint");
+const Category = require("../../models/Category");
+const User = require("../../models/User");
+const ComplaintImportService = require("../../services/complaintImport.service");
+const { USER_ROLES } = require("../../config/constants");
+const { query, objectId } = require("../helpers/models");
+
+const HEADERS =
+  "Title,Description,Category,User Email,Assigned To Email,Status,Created At,Resolved At";
+
+const csvFile = (...rows) => ({
+  originalname: "complaints.csv",
+  buffer: Buffer.from([HEADERS, ...rows].join("\n")),
+});
+
+const row = ({
+  title = "Broken window",
+  description = "The window in room 12 is cracked",
+  category = "Facilities",
+  user = "user@example.com",
+  assignedTo = "",
+  status = "",
+  createdAt = "",
+  resolvedAt = "",
+} = {}) =>
+  [
+    title,
+    description,
+    category,
+    user,
+    assignedTo,
+    status,
+    createdAt,
+    resolvedAt,
+  ].join(",");
+
+describe("ComplaintImportService", () => {
+  const admin = { id: objectId(), email: "admin@example.com" };
+  const category = {
+    _id: objectId(),
+    name: "Facilities",
+    department: "Facilities",
+    isActive: true,
+  };
+
+  const importRows = (...rows) =>
+    ComplaintImportService.importFile(
+      csvFile(...rows),
+      { dryRun: true },
+      admin
+    );
+
+  const errorsOf = (report, number) =>
+    report.errors.find((entry) => entry.row === number)?.errors || [];
+
+  beforeEach(() => {
+    jest.spyOn(Category, "find").mockReturnValue(query([category]));
+    jest
+      .spyOn(Category, "findById")
+      .mockReturnValue(query({ customFields: [] }));
+    jest.spyOn(User, "find").mockReturnValue(
+      query([
+        { _id: objectId(), email: "user@example.com", role: USER_ROLES.USER },
+        {
+          _id: objectId(),
+          email: "staff@example.com",
+          role: USER_ROLES.STAFF,
+        },
+        { _id: objectId(), email: "admin@example.com", role: USER_ROLES.ADMIN },
+      ])
+    );
+    jest.spyOn(Complaint, "find").mockReturnValue(query([]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("accepts rows that pass the API's rules", async () => {
+    const report = await importRows(
+      row(),
+      row({ assignedTo: "staff@example.com", status: "assigned" })
+    );
+
+    expect(report).toMatchObject({ total: 2, valid: 2, failed: 0 });
+  });
+
+  it("reports rows that break the API's rules", async () => {
+    const report = await importRows(
+      row({ title: "Hi" }),
+      row({ category: "Catering" })
+    );
+
+    expect(report.valid).toBe(0);
+    expect(errorsOf(report, 2)).toContain(
+      "Title must be between 5 and 200 characters"
+    );
+    expect(errorsOf(report, 3)).toContain("Unknown category: Catering");
+  });
+
+  it("only imports complaints submitted by complainants", async () => {
+    const report = await importRows(
+      row({ user: "staff@example.com" }),
+      row({ user: "admin@example.com" }),
+      row({ user: "nobody@example.com" })
+    );
+
+    expect(report.valid).toBe(0);
+    expect(errorsOf(report, 2)).toEqual([
+      "No complainant with email staff@example.com",
+    ]);
+    expect(errorsOf(report, 3)).toEqual([
+      "No complainant with email admin@example.com",
+    ]);
+    expect(errorsOf(report, 4)).toEqual([
+      "No complainant with email nobody@example.com",
+    ]);
+  });
+
+  it("only assigns complaints to staff members", async () => {
+    const report = await importRows(row({ assignedTo: "user@example.com" }));
+
+    expect(errorsOf(report, 2)).toEqual([
+      "No staff member with email user@example.com",
+    ]);
+  });
+
+  it("requires the dates of resolved and closed complaints", async () => {
+    const report = await importRows(
+      row({ status: "resolved" }),
+      row({ status: "closed" }),
+      row({ status: "resolved", createdAt: "2025-01-10T09:00:00Z" })
+    );
+
+    expect(report.valid).toBe(0);
+    expect(errorsOf(report, 2)).toEqual([
+      "Created At is required for resolved complaints",
+      "Resolved At is required for resolved complaints",
+    ]);
+    expect(errorsOf(report, 3)).toEqual([
+      "Created At is required for closed complaints",
+    ]);
+    expect(errorsOf(report, 4)).toEqual([
+      "Resolved At is required for resolved complaints",
+    ]);
+  });
+
+  it("imports historical complaints with their original dates", async () => {
+    const lookups = await ComplaintImportService.loadLookups([], {
+      fields: {},
+    });
+    const { data, historical, errors } = await ComplaintImportService.buildRow(
+      {
+        Title: "Broken window",
+        Description: "The window in room 12 is cracked",
+        Category: "Facilities",
+        "User Email": "user@example.com",
+        Status: "closed",
+        "Created At": "2025-01-10T09:00:00Z",
+        "Resolved At": "2025-01-12T15:30:00Z",
+      },
+      ComplaintImportService.resolveColumns(HEADERS.split(","), {}),
+      lookups
+    );
+
+    expect(errors).toEqual([]);
+    expect(historical).toBe(true);
+    expect(data).toMatchObject({
+      status: "closed",
+      createdAt: new Date("2025-01-10T09:00:00Z"),
+      resolvedAt: new Date("2025-01-12T15:30:00Z"),
+    });
+  });
+
+  it("checks the order of the dates", async () => {
+    const report = await importRows(
+      row({
+        status: "resolved",
+        createdAt: "2025-01-10T09:00:00Z",
+        resolvedAt: "2025-01-09T09:00:00Z",
+      }),
+      row({ resolvedAt: "2025-01-09T09:00:00Z" })
+    );
+
+    expect(errorsOf(report, 2)).toEqual([
+      "Resolved At cannot be before Created At",
+    ]);
+    expect(errorsOf(report, 3)).toEqual([
+      "Resolved At and Deadline require Created At",
+      "Resolved At is set but the status is submitted",
+    ]);
+  });
+});
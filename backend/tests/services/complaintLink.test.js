@@ -0,0 +1,152 @@
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const Complaint = require("../../models/Complaint");
+const Comment = require("../../models/Comment");
+const WorkflowService = require("../../services/workflow.service");
+const StorageService = require("../../services/storage/storageService");
+const LocalDriver = require("../../services/storage/localDriver");
+const ComplaintLinkService = require("../../services/complaintLink.service");
+const { DEFAULT_WORKFLOW } = require("../../config/workflow");
+const {
+  COMPLAINT_STATUS,
+  COMPLAINT_LINK_TYPES,
+  USER_ROLES,
+} = require("../../config/constants");
+const { objectId } = require("../helpers/models");
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+const makeComplaint = (fields = {}) => {
+  const complaint = new Complaint({
+    title: "Noisy air conditioner",
+    description: "Rattles all night",
+    category: objectId(),
+    user: objectId(),
+    status: COMPLAINT_STATUS.IN_PROGRESS,
+    statusPhase: COMPLAINT_STATUS.IN_PROGRESS,
+    ...fields,
+  });
+  jest.spyOn(complaint, "save").mockResolvedValue(complaint);
+  return complaint;
+};
+
+describe("ComplaintLinkService.merge", () => {
+  const user = { id: objectId(), email: "staff@example.com" };
+  let tmpDir;
+  let originalDriver;
+  let duplicate;
+  let primary;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "merge-"));
+    originalDriver = StorageService.driver;
+    StorageService.driver = new LocalDriver({ root: tmpDir });
+
+    primary = makeComplaint({ ticketId: "IT-0001" });
+    duplicate = makeComplaint({
+      ticketId: "IT-0002",
+      attachments: [
+        {
+          filename: "photo-1.jpg",
+          originalName: "photo.jpg",
+          mimetype: "image/jpeg",
+          size: 5,
+          uploadedBy: objectId(),
+        },
+      ],
+    });
+    await StorageService.driver.put(
+      StorageService.getAttachmentKey(duplicate._id, "photo-1.jpg"),
+      Buffer.from("image")
+    );
+
+    jest
+      .spyOn(WorkflowService, "getWorkflow")
+      .mockResolvedValue(DEFAULT_WORKFLOW);
+    jest.spyOn(Comment, "updateMany").mockResolvedValue({});
+    jest.spyOn(Comment, "create").mockResolvedValue({});
+    jest.spyOn(Complaint, "refreshSearchNotes").mockResolvedValue();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    StorageService.driver = originalDriver;
+    await fs.remove(tmpDir);
+  });
+
+  it("stores the duplicate's attachments under the primary", async () => {
+    await ComplaintLinkService.merge(duplicate, primary, {
+      ...user,
+      role: USER_ROLES.STAFF,
+    });
+
+    expect(primary.attachments.map((a) => a.filename)).toEqual(["photo-1.jpg"]);
+    const stream = await StorageService.getAttachmentStream(
+      primary._id,
+      "photo-1.jpg"
+    );
+    expect(await readAll(stream)).toBe("image");
+    expect(await StorageService.listAttachments(primary._id)).toEqual([
+      expect.objectContaining({ filename: "photo-1.jpg", size: 5 }),
+    ]);
+    // The closed duplicate keeps its own copy
+    expect(
+      await StorageService.getAttachmentStream(duplicate._id, "photo-1.jpg")
+    ).not.toBeNull();
+  });
+
+  it("closes the duplicate and links both complaints", async () => {
+    await ComplaintLinkService.merge(duplicate, primary, user);
+
+    expect(duplicate.mergedInto).toEqual(primary._id);
+    expect(duplicate.isInPhase(COMPLAINT_STATUS.CLOSED)).toBe(true);
+    expect(ComplaintLinkService.findLink(primary, duplicate._id).type).toBe(
+      COMPLAINT_LINK_TYPES.DUPLICATED_BY
+    );
+    expect(ComplaintLinkService.findLink(duplicate, primary._id).type).toBe(
+      COMPLAINT_LINK_TYPES.DUPLICATE_OF
+    );
+    expect(primary.followers.map(String)).toContain(duplicate.user.toString());
+  });
+
+  it("still copies the records of files missing from storage", async () => {
+    await StorageService.deleteAllAttachments(duplicate._id);
+
+    await ComplaintLinkService.merge(duplicate, primary, user);
+
+    expect(primary.attachments).toHaveLength(1);
+    expect(await StorageService.listAttachments(primary._id)).toEqual([]);
+  });
+
+  it("removes copied files when copying fails", async () => {
+    duplicate.attachments.push({
+      filename: "photo-2.jpg",
+      originalName: "photo2.jpg",
+      mimetype: "image/jpeg",
+      size: 5,
+      uploadedBy: objectId(),
+    });
+    await StorageService.driver.put(
+      StorageService.getAttachmentKey(duplicate._id, "photo-2.jpg"),
+      Buffer.from("image")
+    );
+    const put = StorageService.driver.put.bind(StorageService.driver);
+    jest
+      .spyOn(StorageService.driver, "put")
+      .mockImplementationOnce(put)
+      .mockRejectedValueOnce(new Error("disk full"));
+
+    await expect(
+      ComplaintLinkService.merge(duplicate, primary, user)
+    ).rejects.toThrow("disk full");
+
+    expect(await StorageService.listAttachments(primary._id)).toEqual([]);
+    expect(primary.attachments).toHaveLength(0);
+    expect(primary.save).not.toHaveBeenCalled();
+  });
+});
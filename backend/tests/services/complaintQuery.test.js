@@ -0,0 +1,194 @@
+const mongoose = require("mongoose");
+const Category = require("../../models/Category");
+const ComplaintQueryService = require("../../services/complaintQuery.service");
+const { USER_ROLES } = require("../../config/constants");
+const { query, objectId } = require("../helpers/models");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe("ComplaintQueryService.buildFilter", () => {
+  const admin = { id: objectId(), role: USER_ROLES.ADMIN };
+  const departmentCategories = [{ _id: objectId() }, { _id: objectId() }];
+
+  const conditionsFor = async (filters, user = admin) =>
+    (await ComplaintQueryService.buildFilter(filters, user)).$and || [];
+
+  beforeEach(() => {
+    jest.spyOn(Category, "find").mockReturnValue(query(departmentCategories));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("scope", () => {
+    it("lets admins see every complaint", async () => {
+      expect(await ComplaintQueryService.buildFilter({}, admin)).toEqual({});
+    });
+
+    it("limits complainants to their own complaints", async () => {
+      const user = { id: objectId(), role: USER_ROLES.USER };
+
+      expect(
+        await conditionsFor({ user: objectId().toString() }, user)
+      ).toEqual([{ user: user.id }]);
+    });
+
+    it("limits staff to their assignments and department", async () => {
+      const staff = {
+        id: objectId(),
+        role: USER_ROLES.STAFF,
+        department: "IT",
+      };
+
+      expect(await conditionsFor({}, staff)).toEqual([
+        {
+          $or: [
+            { assignedTo: staff.id },
+            {
+              category: { $in: departmentCategories.map((c) => c._id) },
+            },
+          ],
+        },
+      ]);
+      expect(Category.find).toHaveBeenCalledWith({
+        department: "IT",
+        isActive: true,
+      });
+    });
+  });
+
+  describe("filters", () => {
+    it("splits comma-separated lists", async () => {
+      expect(
+        await conditionsFor({
+          status: "assigned, escalated",
+          priority: "HIGH,urgent",
+          tags: "Wifi,network",
+        })
+      ).toEqual([
+        { status: { $in: ["assigned", "escalated"] } },
+        { priority: { $in: ["high", "urgent"] } },
+        { tags: { $in: ["wifi", "network"] } },
+      ]);
+    });
+
+    it("casts ids and selects unassigned complaints with none", async () => {
+      const staffId = objectId();
+
+      const [condition] = await conditionsFor({
+        assignedTo: `${staffId},none`,
+      });
+
+      expect(condition.assignedTo.$in).toHaveLength(2);
+      expect(condition.assignedTo.$in[0]).toBeInstanceOf(
+        mongoose.Types.ObjectId
+      );
+      expect(condition.assignedTo.$in[0].equals(staffId)).toBe(true);
+      expect(condition.assignedTo.$in[1]).toBeNull();
+    });
+
+    it("selects the categories of departments", async () => {
+      expect(await conditionsFor({ department: "IT,HR" })).toEqual([
+        { category: { $in: departmentCategories.map((c) => c._id) } },
+      ]);
+      expect(Category.find).toHaveBeenCalledWith({
+        department: { $in: ["IT", "HR"] },
+      });
+    });
+
+    it("builds creation date ranges", async () => {
+      expect(
+        await conditionsFor({
+          startDate: "2026-01-01",
+          endDate: "2026-01-31",
+        })
+      ).toEqual([
+        {
+          createdAt: {
+            $gte: new Date("2026-01-01"),
+            $lte: new Date("2026-01-31"),
+          },
+        },
+      ]);
+    });
+
+    it("reads true and false flags", async () => {
+      expect(
+        await conditionsFor({ escalated: "false", hasAttachments: "true" })
+      ).toEqual([
+        { "escalation.isEscalated": { $ne: true } },
+        { "attachments.0": { $exists: true } },
+      ]);
+    });
+
+    it("bounds the resolution time in hours", async () => {
+      expect(
+        await conditionsFor({ minResolutionTime: "2", maxResolutionTime: "48" })
+      ).toEqual([
+        {
+          $and: [
+            { resolvedAt: { $ne: null } },
+            {
+              $expr: {
+                $and: [
+                  {
+                    $gte: [
+                      { $subtract: ["$resolvedAt", "$createdAt"] },
+                      2 * HOUR_MS,
+                    ],
+                  },
+                  {
+                    $lte: [
+                      { $subtract: ["$resolvedAt", "$createdAt"] },
+                      48 * HOUR_MS,
+                    ],
+                  },
+                ],
+              },
+            },
+          ],
+        },
+      ]);
+    });
+
+    it("puts text searches at the top level", async () => {
+      const filter = await ComplaintQueryService.buildFilter(
+        { search: "leaking roof" },
+        admin
+      );
+
+      expect(filter.$text).toEqual({ $search: "leaking roof" });
+    });
+
+    it("ignores empty values", async () => {
+      expect(
+        await ComplaintQueryService.buildFilter(
+          { status: "", priority: null, category: undefined },
+          admin
+        )
+      ).toEqual({});
+    });
+  });
+
+  describe("invalid values", () => {
+    it.each([
+      [{ priority: "critical" }, "Invalid priority filter: critical"],
+      [{ category: "not-an-id" }, "Invalid category filter: not-an-id"],
+      [{ startDate: "yesterday" }, "Invalid startDate filter: yesterday"],
+      [
+        { escalated: "yes" },
+        "Invalid escalated filter: yes (use true or false)",
+      ],
+      [{ minResolutionTime: "-1" }, "Invalid minResolutionTime filter: -1"],
+      [
+        { minResolutionTime: "10", maxResolutionTime: "5" },
+        "minResolutionTime cannot be greater than maxResolutionTime",
+      ],
+    ])("rejects %j", async (filters, message) => {
+      await expect(
+        ComplaintQueryService.buildFilter(filters, admin)
+      ).rejects.toMatchObject({ statusCode: 400, message });
+    });
+  });
+});
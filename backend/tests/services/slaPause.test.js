@@ -0,0 +1,138 @@
+const Complaint = require("../../models/Complaint");
+const Category = require("../../models/Category");
+const WorkflowService = require("../../services/workflow.service");
+const BusinessCalendarService = require("../../services/businessCalendar.service");
+const { DEFAULT_WORKFLOW } = require("../../config/workflow");
+const { COMPLAINT_STATUS, USER_ROLES } = require("../../config/constants");
+const { query, objectId } = require("../helpers/models");
+
+const { IN_PROGRESS, AWAITING_REQUESTER } = COMPLAINT_STATUS;
+
+// Monday to Friday, 09:00-17:00 UTC
+const CALENDAR = BusinessCalendarService.compile({
+  name: "Office hours",
+  timeZone: "UTC",
+  workingHours: [1, 2, 3, 4, 5].map((day) => ({
+    day,
+    start: "09:00",
+    end: "17:00",
+  })),
+});
+
+// Only the clock is faked; Mongoose still needs real timers
+const setNow = (iso) =>
+  jest.useFakeTimers({
+    now: new Date(iso),
+    doNotFake: [
+      "nextTick",
+      "setImmediate",
+      "clearImmediate",
+      "setTimeout",
+      "clearTimeout",
+      "setInterval",
+      "clearInterval",
+      "queueMicrotask",
+    ],
+  });
+
+describe("SLA pause and resume", () => {
+  let complaint;
+
+  const pause = (at) => {
+    setNow(at);
+    return complaint.transitionTo(AWAITING_REQUESTER, {
+      actor: USER_ROLES.STAFF,
+      remarks: "Which room is it?",
+    });
+  };
+
+  const resume = (at) => {
+    setNow(at);
+    return complaint.transitionTo(IN_PROGRESS, {
+      actor: USER_ROLES.STAFF,
+    });
+  };
+
+  beforeEach(() => {
+    complaint = new Complaint({
+      title: "Projector broken",
+      description: "Lecture hall projector shows no image",
+      category: objectId(),
+      user: objectId(),
+      status: IN_PROGRESS,
+      statusPhase: IN_PROGRESS,
+      // Tuesday 12:00
+      deadline: new Date("2026-10-20T12:00:00Z"),
+      sla: {
+        acknowledgeDueAt: new Date("2026-10-16T12:00:00Z"),
+        acknowledgedAt: new Date("2026-10-16T10:00:00Z"),
+        firstResponseDueAt: new Date("2026-10-19T12:00:00Z"),
+      },
+    });
+
+    jest
+      .spyOn(WorkflowService, "getWorkflow")
+      .mockResolvedValue(DEFAULT_WORKFLOW);
+    jest
+      .spyOn(Category, "findById")
+      .mockReturnValue(query({ department: "IT" }));
+    jest
+      .spyOn(BusinessCalendarService, "getCalendar")
+      .mockResolvedValue(CALENDAR);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it("records the pause and the status it was paused from", async () => {
+    await pause("2026-10-16T16:00:00Z");
+
+    expect(complaint.sla.pausedAt).toEqual(new Date("2026-10-16T16:00:00Z"));
+    expect(complaint.sla.pauses).toHaveLength(1);
+    expect(complaint.sla.pauses[0].fromStatus).toBe(IN_PROGRESS);
+  });
+
+  it("extends the open targets by the business hours spent paused", async () => {
+    // Friday 16:00 to Monday 10:00 is two business hours
+    await pause("2026-10-16T16:00:00Z");
+    await resume("2026-10-19T10:00:00Z");
+
+    expect(complaint.sla.pausedAt).toBeNull();
+    expect(complaint.sla.pauses[0].resumedAt).toEqual(
+      new Date("2026-10-19T10:00:00Z")
+    );
+    expect(complaint.deadline).toEqual(new Date("2026-10-20T14:00:00Z"));
+    expect(complaint.sla.firstResponseDueAt).toEqual(
+      new Date("2026-10-19T14:00:00Z")
+    );
+    // Targets already met are left alone
+    expect(complaint.sla.acknowledgeDueAt).toEqual(
+      new Date("2026-10-16T12:00:00Z")
+    );
+    // The paused time itself is recorded as wall-clock time
+    expect(complaint.sla.pausedMs).toBe(66 * 60 * 60 * 1000);
+  });
+
+  it("leaves the targets unchanged after a pause outside business hours", async () => {
+    await pause("2026-10-17T10:00:00Z");
+    await resume("2026-10-18T18:00:00Z");
+
+    expect(complaint.deadline).toEqual(new Date("2026-10-20T12:00:00Z"));
+    expect(complaint.sla.firstResponseDueAt).toEqual(
+      new Date("2026-10-19T12:00:00Z")
+    );
+  });
+
+  it("adds up repeated pauses", async () => {
+    await pause("2026-10-19T09:00:00Z");
+    await resume("2026-10-19T10:00:00Z");
+    await pause("2026-10-19T11:00:00Z");
+    await resume("2026-10-19T12:00:00Z");
+
+    expect(complaint.sla.pauses).toHaveLength(2);
+    expect(complaint.sla.pausedMs).toBe(2 * 60 * 60 * 1000);
+    expect(complaint.deadline).toEqual(new Date("2026-10-20T14:00:00Z"));
+  });
+});
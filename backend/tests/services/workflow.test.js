@@ -0,0 +1,177 @@
+const Complaint = require("../../models/Complaint");
+const WorkflowService = require("../../services/workflow.service");
+const { DEFAULT_WORKFLOW, WORKFLOW_ACTORS } = require("../../config/workflow");
+const { COMPLAINT_STATUS, USER_ROLES } = require("../../config/constants");
+const { objectId } = require("../helpers/models");
+
+const { SUBMITTED, ASSIGNED, ESCALATED, RESOLVED, CLOSED, IN_PROGRESS } =
+  COMPLAINT_STATUS;
+
+describe("WorkflowService", () => {
+  describe("resolution timestamps", () => {
+    const resolvedAt = new Date("2026-03-02T10:00:00Z");
+    let complaint;
+
+    beforeEach(() => {
+      complaint = new Complaint({
+        title: "Flickering lights",
+        description: "Corridor B",
+        category: objectId(),
+        user: objectId(),
+        status: RESOLVED,
+        statusPhase: RESOLVED,
+        resolvedAt,
+      });
+      jest
+        .spyOn(WorkflowService, "getWorkflow")
+        .mockResolvedValue(DEFAULT_WORKFLOW);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("sets resolvedAt when a complaint is resolved", async () => {
+      complaint.status = IN_PROGRESS;
+      complaint.statusPhase = IN_PROGRESS;
+      complaint.resolvedAt = null;
+
+      await complaint.transitionTo(RESOLVED, {
+        actor: USER_ROLES.STAFF,
+        remarks: "Replaced the ballast",
+      });
+
+      expect(complaint.resolvedAt).toBeInstanceOf(Date);
+    });
+
+    it("keeps resolvedAt when a resolved complaint is closed", async () => {
+      await complaint.transitionTo(CLOSED);
+
+      expect(complaint.status).toBe(CLOSED);
+      expect(complaint.resolvedAt).toEqual(resolvedAt);
+    });
+
+    it("clears resolvedAt when a resolved complaint is reopened", async () => {
+      await complaint.transitionTo(IN_PROGRESS, {
+        actor: USER_ROLES.USER,
+        remarks: "Still flickering",
+      });
+
+      expect(complaint.resolvedAt).toBeNull();
+    });
+
+    it("clears resolvedAt when a closed complaint is reopened", async () => {
+      await complaint.transitionTo(CLOSED);
+      await complaint.transitionTo(IN_PROGRESS, {
+        actor: USER_ROLES.ADMIN,
+        remarks: "Closed by mistake",
+      });
+
+      expect(complaint.resolvedAt).toBeNull();
+    });
+
+    it("applies the same rule to custom statuses by phase", async () => {
+      const workflow = WorkflowService.buildWorkflow({
+        statuses: [{ key: "archived", label: "Archived", phase: CLOSED }],
+        transitions: [{ from: RESOLVED, to: "archived", roles: ["system"] }],
+      });
+
+      await WorkflowService.applyEffects(
+        workflow,
+        complaint,
+        RESOLVED,
+        "archived"
+      );
+
+      expect(complaint.resolvedAt).toEqual(resolvedAt);
+    });
+  });
+
+  describe("custom workflows", () => {
+    // A category workflow with its own triage status and no assignment or
+    // escalation transitions
+    const customWorkflow = {
+      statuses: [{ key: "triage", label: "Triage", phase: IN_PROGRESS }],
+      transitions: [
+        { from: SUBMITTED, to: "triage", roles: [USER_ROLES.STAFF] },
+        {
+          from: "triage",
+          to: RESOLVED,
+          roles: [USER_ROLES.STAFF],
+          requiresRemarks: true,
+        },
+        { from: RESOLVED, to: CLOSED, roles: [USER_ROLES.ADMIN] },
+      ],
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("replaces the default transitions", () => {
+      const workflow = WorkflowService.buildWorkflow(customWorkflow);
+
+      expect(
+        WorkflowService.findTransition(workflow, SUBMITTED, IN_PROGRESS)
+      ).toBeNull();
+      expect(
+        WorkflowService.findTransition(workflow, SUBMITTED, "triage")
+      ).not.toBeNull();
+    });
+
+    it("keeps the system transitions into assigned and escalated", () => {
+      const workflow = WorkflowService.buildWorkflow(customWorkflow);
+
+      [SUBMITTED, ASSIGNED, "triage", ESCALATED].forEach((from) => {
+        expect(() =>
+          WorkflowService.assertTransition(workflow, from, ASSIGNED)
+        ).not.toThrow();
+      });
+      [SUBMITTED, ASSIGNED, "triage"].forEach((from) => {
+        expect(() =>
+          WorkflowService.assertTransition(workflow, from, ESCALATED)
+        ).not.toThrow();
+      });
+      // Resolved and closed complaints are never assigned or escalated
+      expect(
+        WorkflowService.findTransition(workflow, RESOLVED, ASSIGNED)
+      ).toBeNull();
+      expect(
+        WorkflowService.findTransition(workflow, CLOSED, ESCALATED)
+      ).toBeNull();
+    });
+
+    it("adds the system to matching transitions that exclude it", () => {
+      const workflow = WorkflowService.buildWorkflow({
+        transitions: [
+          { from: SUBMITTED, to: ASSIGNED, roles: [USER_ROLES.ADMIN] },
+        ],
+      });
+
+      expect(
+        WorkflowService.findTransition(workflow, SUBMITTED, ASSIGNED).roles
+      ).toEqual([USER_ROLES.ADMIN, WORKFLOW_ACTORS.SYSTEM]);
+    });
+
+    it("lets assignment and escalation run on custom workflows", async () => {
+      const complaint = new Complaint({
+        title: "Printer jam",
+        description: "Floor 3",
+        category: objectId(),
+        user: objectId(),
+        status: "triage",
+        statusPhase: IN_PROGRESS,
+      });
+      jest.spyOn(complaint, "save").mockResolvedValue(complaint);
+      jest
+        .spyOn(WorkflowService, "getWorkflow")
+        .mockResolvedValue(WorkflowService.buildWorkflow(customWorkflow));
+
+      await complaint.escalate(null, "Deadline exceeded");
+      expect(complaint.status).toBe(ESCALATED);
+
+      await complaint.assignTo(objectId(), null);
+      expect(complaint.status).toBe(ASSIGNED);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const { Readable } = require("stream");
+const LocalDriver = require("../../services/storage/localDriver");
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+describe("LocalDriver", () => {
+  let tmpDir;
+  let root;
+  let driver;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "local-driver-"));
+    root = path.join(tmpDir, "uploads");
+    driver = new LocalDriver({ root });
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  it("creates the root directory", async () => {
+    expect(await fs.pathExists(root)).toBe(true);
+  });
+
+  describe("put / getStream", () => {
+    it("stores a buffer under nested directories", async () => {
+      await driver.put("complaints/1/a.txt", Buffer.from("hello"));
+
+      const stored = await fs.readFile(path.join(root, "complaints/1/a.txt"));
+      expect(stored.toString()).toBe("hello");
+      expect(await readAll(await driver.getStream("complaints/1/a.txt"))).toBe(
+        "hello"
+      );
+    });
+
+    it("stores a stream", async () => {
+      await driver.put("b.txt", Readable.from(["chunk-1 ", "chunk-2"]));
+
+      expect(await readAll(await driver.getStream("b.txt"))).toBe(
+        "chunk-1 chunk-2"
+      );
+    });
+
+    it("returns null for a missing object", async () => {
+      expect(await driver.getStream("missing.txt")).toBeNull();
+    });
+
+    it("removes a partly written file when the stream fails", async () => {
+      const body = Readable.from(
+        (async function* () {
+          yield Buffer.from("partial");
+          throw new Error("connection reset");
+        })()
+      );
+
+      await expect(driver.put("complaints/1/broken.txt", body)).rejects.toThrow(
+        "connection reset"
+      );
+      expect(
+        await fs.pathExists(path.join(root, "complaints/1/broken.txt"))
+      ).toBe(false);
+    });
+  });
+
+  describe("remove", () => {
+    it("reports whether the object existed", async () => {
+      await driver.put("c.txt", Buffer.from("x"));
+
+      expect(await driver.remove("c.txt")).toBe(true);
+      expect(await fs.pathExists(path.join(root, "c.txt"))).toBe(false);
+      expect(await driver.remove("c.txt")).toBe(false);
+    });
+  });
+
+  describe("list", () => {
+    it("lists the files under a prefix, skipping subdirectories", async () => {
+      await driver.put("complaints/1/a.txt", Buffer.from("aa"));
+      await driver.put("complaints/1/b.txt", Buffer.from("bbb"));
+      await driver.put("complaints/1/nested/c.txt", Buffer.from("c"));
+
+      const objects = await driver.list("complaints/1/");
+      const summary = objects
+        .map(({ key, size }) => ({ key, size }))
+        .sort((a, b) => a.key.localeCompare(b.key));
+
+      expect(summary).toEqual([
+        { key: "complaints/1/a.txt", size: 2 },
+        { key: "complaints/1/b.txt", size: 3 },
+      ]);
+      objects.forEach((object) =>
+        expect(object.lastModified.getTime()).toEqual(expect.any(Number))
+      );
+    });
+
+    it("returns an empty list for a missing prefix", async () => {
+      expect(await driver.list("complaints/404/")).toEqual([]);
+    });
+  });
+
+  describe("path-escape guard", () => {
+    it.each([
+      ["a parent directory", "../outside.txt"],
+      ["a nested parent directory", "complaints/../../outside.txt"],
+      ["a sibling directory sharing the root's name", "../uploads-evil/a.txt"],
+      ["an absolute path", "/etc/passwd"],
+      ["the root itself", "."],
+    ])("rejects %s", async (_label, key) => {
+      expect(() => driver.resolve(key)).toThrow(`Invalid storage key: ${key}`);
+      await expect(driver.put(key, Buffer.from("x"))).rejects.toThrow(
+        "Invalid storage key"
+      );
+      await expect(driver.getStream(key)).rejects.toThrow(
+        "Invalid storage key"
+      );
+      await expect(driver.remove(key)).rejects.toThrow("Invalid storage key");
+    });
+
+    it("never writes outside the root", async () => {
+      await expect(
+        driver.put("../uploads-evil/a.txt", Buffer.from("x"))
+      ).rejects.toThrow();
+      expect(await fs.pathExists(path.join(tmpDir, "uploads-evil"))).toBe(
+        false
+      );
+    });
+  });
+});
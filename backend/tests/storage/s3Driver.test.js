@@ -0,0 +1,134 @@
+const { Readable } = require("stream");
+const S3Driver = require("../../services/storage/s3Driver");
+const S3Stub = require("../helpers/s3Stub");
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+describe("S3Driver", () => {
+  let stub;
+  let driver;
+
+  beforeAll(async () => {
+    stub = new S3Stub({ bucket: "complaints", pageSize: 2 });
+    const endpoint = await stub.start();
+    driver = new S3Driver({
+      bucket: "complaints",
+      endpoint,
+      accessKeyId: "test-key",
+      secretAccessKey: "test-secret",
+      forcePathStyle: true,
+    });
+  });
+
+  afterAll(async () => {
+    driver.client.destroy();
+    await stub.stop();
+  });
+
+  beforeEach(() => {
+    stub.objects.clear();
+    stub.requests = [];
+    stub.failNext = null;
+  });
+
+  it("requires a bucket", () => {
+    expect(() => new S3Driver({})).toThrow("S3 storage requires a bucket");
+  });
+
+  describe("put", () => {
+    it("stores a buffer with its content type", async () => {
+      await driver.put("complaints/1/a.txt", Buffer.from("hello"), {
+        contentType: "text/plain",
+      });
+
+      const object = stub.objects.get("complaints/1/a.txt");
+      expect(object.body.toString()).toBe("hello");
+      expect(object.contentType).toBe("text/plain");
+    });
+
+    it("stores a stream of known length", async () => {
+      await driver.put("b.txt", Readable.from([Buffer.from("streamed body")]), {
+        contentType: "text/plain",
+        contentLength: 13,
+      });
+
+      expect(stub.objects.get("b.txt").body.toString()).toBe("streamed body");
+    });
+  });
+
+  describe("getStream", () => {
+    it("streams a stored object", async () => {
+      await driver.put("c.txt", Buffer.from("content"));
+
+      expect(await readAll(await driver.getStream("c.txt"))).toBe("content");
+    });
+
+    it("returns null for a missing object", async () => {
+      expect(await driver.getStream("missing.txt")).toBeNull();
+    });
+
+    it("rethrows errors other than not found", async () => {
+      stub.failNext = "AccessDenied";
+
+      await expect(driver.getStream("c.txt")).rejects.toMatchObject({
+        name: "AccessDenied",
+      });
+    });
+  });
+
+  describe("remove", () => {
+    it("reports whether the object existed", async () => {
+      await driver.put("d.txt", Buffer.from("x"));
+
+      expect(await driver.remove("d.txt")).toBe(true);
+      expect(stub.objects.has("d.txt")).toBe(false);
+      expect(await driver.remove("d.txt")).toBe(false);
+      expect(stub.requests.filter((r) => r.method === "DELETE")).toHaveLength(
+        1
+      );
+    });
+
+    it("rethrows errors other than not found", async () => {
+      await driver.put("e.txt", Buffer.from("x"));
+      stub.failNext = "AccessDenied";
+
+      // HEAD responses carry no error body, so only the status is known
+      await expect(driver.remove("e.txt")).rejects.toMatchObject({
+        $metadata: { httpStatusCode: 403 },
+      });
+      expect(stub.objects.has("e.txt")).toBe(true);
+    });
+  });
+
+  describe("list", () => {
+    it("follows continuation tokens across pages", async () => {
+      for (const name of ["a", "b", "c", "d", "e"]) {
+        await driver.put(`complaints/1/${name}.txt`, Buffer.from(name));
+      }
+      await driver.put("complaints/2/z.txt", Buffer.from("z"));
+      stub.requests = [];
+
+      const objects = await driver.list("complaints/1/");
+
+      expect(objects.map((object) => object.key)).toEqual([
+        "complaints/1/a.txt",
+        "complaints/1/b.txt",
+        "complaints/1/c.txt",
+        "complaints/1/d.txt",
+        "complaints/1/e.txt",
+      ]);
+      expect(objects[0].size).toBe(1);
+      expect(objects[0].lastModified.getTime()).toEqual(expect.any(Number));
+      // Five keys at two per page
+      expect(stub.requests).toHaveLength(3);
+    });
+
+    it("returns an empty list for a missing prefix", async () => {
+      expect(await driver.list("complaints/404/")).toEqual([]);
+    });
+  });
+});
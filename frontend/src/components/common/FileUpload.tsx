@@ -26,6 +26,7 @@ import {
   Image,
   PictureAsPdf,
 } from "@mui/icons-material";
+import { complaintsApi } from "../../services/api";
 import { formatBytes, formatDate } from "../../utils/helpers";
 
 interface FileUploadProps {
@@ -103,26 +104,7 @@ const FileUpload: React.FC<FileUploadProps> = ({
     setError(null);
 
     try {
-      const formData = new FormData();
-      selectedFiles.forEach((file) => {
-        formData.append("files", file);
-      });
-
-      const response = await fetch(
-        `/api/uploads/complaint/${complaintId}/upload`,
-        {
-          method: "POST",
-          body: formData,
-          credentials: "include",
-        }
-      );
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || "Upload failed");
-      }
-
-      const data = await response.json();
+      await complaintsApi.uploadAttachments(complaintId, selectedFiles);
       setSelectedFiles([]);
       setOpen(false);
 
@@ -130,7 +112,7 @@ const FileUpload: React.FC<FileUploadProps> = ({
         onUploadSuccess();
       }
     } catch (err: any) {
-      setError(err.message || "Upload failed");
+      setError(err.response?.data?.message || err.message || "Upload failed");
     } finally {
       setUploading(false);
       setUploadProgress(0);
@@ -139,19 +121,10 @@ const FileUpload: React.FC<FileUploadProps> = ({
 
   const handleDownload = async (filename: string, originalName: string) => {
     try {
-      const response = await fetch(
-        `/api/uploads/complaint/${complaintId}/download/${filename}`,
-        {
-          method: "GET",
-          credentials: "include",
-        }
+      const blob = await complaintsApi.downloadAttachment(
+        complaintId,
+        filename
       );
-
-      if (!response.ok) {
-        throw new Error("Download failed");
-      }
-
-      const blob = await response.blob();
       const url = window.URL.createObjectURL(blob);
       const a = document.createElement("a");
       a.href = url;
@@ -172,24 +145,13 @@ const FileUpload: React.FC<FileUploadProps> = ({
     }
 
     try {
-      const response = await fetch(
-        `/api/uploads/complaint/${complaintId}/attachment/${filename}`,
-        {
-          method: "DELETE",
-          credentials: "include",
-        }
-      );
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || "Delete failed");
-      }
+      await complaintsApi.deleteAttachment(complaintId, filename);
 
       if (onDeleteSuccess) {
         onDeleteSuccess();
       }
     } catch (err: any) {
-      setError(err.message || "Delete failed");
+      setError(err.response?.data?.message || err.message || "Delete failed");
     }
   };
 
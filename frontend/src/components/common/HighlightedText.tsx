@@ -0,0 +1,40 @@
+import React from "react";
+import { Box } from "@mui/material";
+
+interface HighlightedTextProps {
+  text: string;
+  highlights: [number, number][]; // Start and end offsets in text
+}
+
+/**
+ * Text with the given ranges marked, e.g. the matches in a search snippet
+ */
+const HighlightedText: React.FC<HighlightedTextProps> = ({
+  text,
+  highlights,
+}) => {
+  const parts: React.ReactNode[] = [];
+  let position = 0;
+
+  [...highlights]
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([start, end]) => {
+      if (start < position) return;
+      if (start > position) parts.push(text.slice(position, start));
+      parts.push(
+        <Box
+          key={start}
+          component="mark"
+          sx={{ bgcolor: "warning.light", color: "inherit", px: 0.25 }}
+        >
+          {text.slice(start, end)}
+        </Box>
+      );
+      position = end;
+    });
+  parts.push(text.slice(position));
+
+  return <>{parts}</>;
+};
+
+export default HighlightedText;
@@ -33,10 +33,14 @@ import {
   DoneAll as DoneAllIcon,
   SignalWifiConnectedNoInternet4 as DisconnectedIcon,
   Wifi as ConnectedIcon,
+  FileDownload as ExportIcon,
 } from "@mui/icons-material";
 import { formatDistance } from "date-fns";
 import { useRealtimeNotifications } from "../../context/RealtimeNotificationContext";
 import { useNavigate } from "react-router-dom";
+import { useNotificationHelpers } from "../../context/NotificationContext";
+import { complaintsApi } from "../../services/api";
+import { downloadBlob, getExportFilename } from "../../utils/helpers";
 
 interface NotificationPanelProps {
   maxHeight?: number;
@@ -46,6 +50,7 @@ const NotificationPanel: React.FC<NotificationPanelProps> = ({
   maxHeight = 400,
 }) => {
   const navigate = useNavigate();
+  const { showApiError } = useNotificationHelpers();
   const {
     notifications,
     unreadCount,
@@ -87,6 +92,8 @@ const NotificationPanel: React.FC<NotificationPanelProps> = ({
         return <UploadIcon {...iconProps} color="primary" />;
       case "system_announcement":
         return <AnnouncementIcon {...iconProps} color="info" />;
+      case "export_finished":
+        return <ExportIcon {...iconProps} color="primary" />;
       default:
         return <NotificationsIcon {...iconProps} />;
     }
@@ -106,15 +113,35 @@ const NotificationPanel: React.FC<NotificationPanelProps> = ({
     }
   };
 
-  const handleNotificationClick = (notification: any) => {
+  const handleNotificationClick = async (notification: any) => {
     // Mark as read
     if (!notification.read) {
       markAsRead(notification.id);
     }
 
+    // Download finished background exports
+    if (notification.data?.downloadUrl) {
+      try {
+        const response = await complaintsApi.downloadExport(
+          notification.data.exportId
+        );
+        downloadBlob(
+          response.data,
+          getExportFilename(notification.data.format)
+        );
+      } catch (error) {
+        showApiError(error, "Failed to download the export");
+      }
+      return;
+    }
+
     // Navigate if complaint-related
     if (notification.data?.complaintId) {
-      navigate(`/complaints/${notification.data.complaintId}`);
+      navigate(
+        `/complaints/${
+          notification.data.ticketId || notification.data.complaintId
+        }`
+      );
       handleClose();
     }
   };
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 import {
   Box,
   Paper,
@@ -27,17 +27,21 @@ import {
   Search as SearchIcon,
   FilterList as FilterIcon,
   Clear as ClearIcon,
-  ExpandMore as ExpandMoreIcon,
   Save as SaveIcon,
   BookmarkBorder as BookmarkIcon,
-  Bookmark as BookmarkedIcon,
   Download as ExportIcon,
   Refresh as RefreshIcon,
+  PushPin as PinIcon,
+  PushPinOutlined as PinOutlinedIcon,
+  Groups as SharedIcon,
 } from "@mui/icons-material";
 import { AdapterDateFns } from "@mui/x-date-pickers/AdapterDateFns";
 import { LocalizationProvider } from "@mui/x-date-pickers/LocalizationProvider";
 import { DatePicker } from "@mui/x-date-pickers/DatePicker";
 import { debounce } from "../../utils/helpers";
+import { savedViewsApi } from "../../services/api";
+import { useAuth } from "../../context/AuthContext";
+import type { SavedView, SavedViewFilters } from "../../types";
 
 interface FilterCriteria {
   search: string;
@@ -63,19 +67,13 @@ interface SearchAndFilterProps {
   categories?: Array<{ _id: string; name: string }>;
   departments?: Array<{ _id: string; name: string }>;
   staffMembers?: Array<{ _id: string; name: string; email: string }>;
+  availableTags?: Array<{ id: string; name: string; color: string }>;
   initialFilters?: Partial<FilterCriteria>;
   showSavedFilters?: boolean;
+  initialViewId?: string;
   className?: string;
 }
 
-interface SavedFilter {
-  id: string;
-  name: string;
-  filters: FilterCriteria;
-  isDefault: boolean;
-  createdAt: Date;
-}
-
 const COMPLAINT_STATUSES = [
   { value: "submitted", label: "Submitted" },
   { value: "pending", label: "Pending" },
@@ -108,6 +106,46 @@ const DEFAULT_FILTERS: FilterCriteria = {
   department: [],
 };
 
+const VIEW_LIST_KEYS = [
+  "status",
+  "priority",
+  "category",
+  "assignedTo",
+  "tags",
+] as const;
+
+// Saved views keep the filters the list endpoint understands, as query
+// parameters
+const toViewFilters = (filters: FilterCriteria): SavedViewFilters => {
+  const params: SavedViewFilters = {};
+  if (filters.search.trim()) params.search = filters.search.trim();
+  VIEW_LIST_KEYS.forEach((key) => {
+    if (filters[key].length > 0) params[key] = filters[key].join(",");
+  });
+  if (filters.dateRange.start) {
+    params.startDate = filters.dateRange.start.toISOString();
+  }
+  if (filters.dateRange.end) {
+    params.endDate = filters.dateRange.end.toISOString();
+  }
+  return params;
+};
+
+const fromViewFilters = (params: SavedViewFilters): FilterCriteria => {
+  const filters: FilterCriteria = {
+    ...DEFAULT_FILTERS,
+    search: params.search || "",
+    dateRange: {
+      start: params.startDate ? new Date(params.startDate) : null,
+      end: params.endDate ? new Date(params.endDate) : null,
+    },
+  };
+  VIEW_LIST_KEYS.forEach((key) => {
+    filters[key] = params[key] ? params[key].split(",") : [];
+  });
+  return filters;
+};
+
 const SearchAndFilter: React.FC<SearchAndFilterProps> = ({
   onFiltersChange,
   onSearch,
@@ -115,10 +153,13 @@ const SearchAndFilter: React.FC<SearchAndFilterProps> = ({
   categories = [],
   departments = [],
   staffMembers = [],
+  availableTags = [],
   initialFilters = {},
   showSavedFilters = true,
+  initialViewId,
   className,
 }) => {
+  const { user } = useAuth();
   const [filters, setFilters] = useState<FilterCriteria>({
     ...DEFAULT_FILTERS,
     ...initialFilters,
@@ -126,33 +167,23 @@ const SearchAndFilter: React.FC<SearchAndFilterProps> = ({
 
   const [searchTerm, setSearchTerm] = useState(initialFilters.search || "");
   const [isAdvancedOpen, setIsAdvancedOpen] = useState(false);
-  const [savedFilters, setSavedFilters] = useState<SavedFilter[]>([]);
+  const [savedViews, setSavedViews] = useState<SavedView[]>([]);
   const [saveFilterDialog, setSaveFilterDialog] = useState(false);
   const [filterName, setFilterName] = useState("");
+  const [shareView, setShareView] = useState(false);
+  const [pinView, setPinView] = useState(false);
+  const [viewError, setViewError] = useState<string | null>(null);
+  const canShareViews = user?.role !== "user" && Boolean(user?.department);
 
   // Debounced search
-  const debouncedSearch = useCallback(
-    debounce((term: string) => {
-      onSearch(term);
-    }, 500),
+  const debouncedSearch = useMemo(
+    () =>
+      debounce((term: string) => {
+        onSearch(term);
+      }, 500),
     [onSearch]
   );
 
-  // Load saved filters from localStorage
-  useEffect(() => {
-    if (showSavedFilters) {
-      const saved = localStorage.getItem("complaint_saved_filters");
-      if (saved) {
-        try {
-          const parsed = JSON.parse(saved);
-          setSavedFilters(parsed);
-        } catch (error) {
-          console.error("Failed to parse saved filters:", error);
-        }
-      }
-    }
-  }, [showSavedFilters]);
-
   // Handle search input changes
   const handleSearchChange = (value: string) => {
     setSearchTerm(value);
@@ -175,45 +206,108 @@ const SearchAndFilter: React.FC<SearchAndFilterProps> = ({
     onSearch("");
   };
 
-  // Save current filters
-  const saveCurrentFilters = () => {
+  // Save current filters as a view
+  const saveCurrentFilters = async () => {
     if (!filterName.trim()) return;
 
-    const newFilter: SavedFilter = {
-      id: `filter_${Date.now()}`,
-      name: filterName.trim(),
-      filters: { ...filters },
-      isDefault: false,
-      createdAt: new Date(),
-    };
+    try {
+      setViewError(null);
+      const response = await savedViewsApi.createView({
+        name: filterName.trim(),
+        filters: toViewFilters(filters),
+        visibility: shareView ? "department" : "private",
+        pinned: pinView,
+      });
+
+      if (response.success && response.data) {
+        const created = response.data;
+        setSavedViews((views) =>
+          [
+            ...views.map((view) =>
+              created.isPinned ? { ...view, isPinned: false } : view
+            ),
+            created,
+          ].sort((a, b) => a.name.localeCompare(b.name))
+        );
+      }
 
-    const updatedFilters = [...savedFilters, newFilter];
-    setSavedFilters(updatedFilters);
-    localStorage.setItem(
-      "complaint_saved_filters",
-      JSON.stringify(updatedFilters)
-    );
+      setFilterName("");
+      setShareView(false);
+      setPinView(false);
+      setSaveFilterDialog(false);
+    } catch (error: any) {
+      setViewError(error.response?.data?.message || "Failed to save the view");
+    }
+  };
 
-    setFilterName("");
-    setSaveFilterDialog(false);
+  // Apply a saved view
+  const applySavedView = (view: SavedView) => {
+    const viewFilters = fromViewFilters(view.filters);
+    setFilters(viewFilters);
+    setSearchTerm(viewFilters.search);
+    onFiltersChange(viewFilters);
+    onSearch(viewFilters.search);
   };
 
-  // Load saved filter
-  const loadSavedFilter = (savedFilter: SavedFilter) => {
-    setFilters(savedFilter.filters);
-    setSearchTerm(savedFilter.filters.search);
-    onFiltersChange(savedFilter.filters);
-    onSearch(savedFilter.filters.search);
+  // Open the requested view, or the user's default view when the list is not
+  // already filtered. Kept in a ref so that loading the views does not depend
+  // on the parent's callbacks, which change on every render.
+  const openInitialView = useRef<(views: SavedView[]) => void>(() => {});
+  openInitialView.current = (views) => {
+    const initialView = initialViewId
+      ? views.find((view) => view.id === initialViewId)
+      : !initialFilters.search && views.find((view) => view.isPinned);
+    if (initialView) applySavedView(initialView);
   };
 
-  // Delete saved filter
-  const deleteSavedFilter = (filterId: string) => {
-    const updatedFilters = savedFilters.filter((f) => f.id !== filterId);
-    setSavedFilters(updatedFilters);
-    localStorage.setItem(
-      "complaint_saved_filters",
-      JSON.stringify(updatedFilters)
-    );
+  // Load saved views
+  useEffect(() => {
+    if (!showSavedFilters) return;
+
+    const loadSavedViews = async () => {
+      try {
+        const response = await savedViewsApi.getViews();
+        if (response.success && response.data) {
+          setSavedViews(response.data);
+          openInitialView.current(response.data);
+        }
+      } catch (error) {
+        console.error("Failed to load saved views:", error);
+      }
+    };
+
+    loadSavedViews();
+  }, [showSavedFilters, initialViewId]);
+
+  // Make a view the default, or stop using it as the default
+  const togglePinnedView = async (view: SavedView) => {
+    try {
+      if (view.isPinned) {
+        await savedViewsApi.unpinView(view.id);
+      } else {
+        await savedViewsApi.pinView(view.id);
+      }
+      setSavedViews((views) =>
+        views.map((item) => ({
+          ...item,
+          isPinned: item.id === view.id ? !view.isPinned : false,
+        }))
+      );
+    } catch (error) {
+      console.error("Failed to update default view:", error);
+    }
+  };
+
+  // Delete saved view
+  const deleteSavedView = async (view: SavedView) => {
+    if (!window.confirm(`Delete the view "${view.name}"?`)) return;
+
+    try {
+      await savedViewsApi.deleteView(view.id);
+      setSavedViews((views) => views.filter((item) => item.id !== view.id));
+    } catch (error) {
+      console.error("Failed to delete view:", error);
+    }
   };
 
   // Check if filters are active
@@ -258,7 +352,7 @@ const SearchAndFilter: React.FC<SearchAndFilterProps> = ({
         <Box display="flex" gap={2} mb={2} alignItems="center">
           <TextField
             fullWidth
-            placeholder="Search complaints by title, description, or ID..."
+            placeholder='Search complaints, e.g. printer jam status:open priority:high category:"IT Support"'
             value={searchTerm}
             onChange={(e) => handleSearchChange(e.target.value)}
             InputProps={{
@@ -311,6 +405,72 @@ const SearchAndFilter: React.FC<SearchAndFilterProps> = ({
           )}
         </Box>
 
+        {/* Saved Views */}
+        {showSavedFilters && savedViews.length > 0 && (
+          <Box
+            display="flex"
+            flexWrap="wrap"
+            gap={1}
+            mb={2}
+            alignItems="center"
+          >
+            <Typography variant="body2" color="text.secondary">
+              Views:
+            </Typography>
+            {savedViews.map((view) => (
+              <Box key={view.id} display="flex" alignItems="center">
+                <Tooltip
+                  title={
+                    view.isOwner
+                      ? view.visibility === "department"
+                        ? `Shared with ${view.department}`
+                        : "Only visible to you"
+                      : `Shared by ${
+                          typeof view.owner === "string"
+                            ? "a colleague"
+                            : view.owner.name
+                        }`
+                  }
+                >
+                  <Chip
+                    label={view.name}
+                    icon={
+                      view.visibility === "department" ? (
+                        <SharedIcon />
+                      ) : (
+                        <BookmarkIcon />
+                      )
+                    }
+                    variant={view.isPinned ? "filled" : "outlined"}
+                    color={view.isPinned ? "primary" : "default"}
+                    onClick={() => applySavedView(view)}
+                    onDelete={
+                      view.isOwner ? () => deleteSavedView(view) : undefined
+                    }
+                    size="small"
+                  />
+                </Tooltip>
+                <Tooltip
+                  title={
+                    view.isPinned ? "Remove as default view" : "Open by default"
+                  }
+                >
+                  <IconButton
+                    size="small"
+                    onClick={() => togglePinnedView(view)}
+                  >
+                    {view.isPinned ? (
+                      <PinIcon fontSize="small" />
+                    ) : (
+                      <PinOutlinedIcon fontSize="small" />
+                    )}
+                  </IconButton>
+                </Tooltip>
+              </Box>
+            ))}
+          </Box>
+        )}
+
         {/* Active Filter Chips */}
         {hasActiveFilters() && (
           <Box display="flex" flexWrap="wrap" gap={1} mb={2}>
@@ -369,6 +529,24 @@ const SearchAndFilter: React.FC<SearchAndFilterProps> = ({
               />
             ))}
 
+            {filters.tags.map((tag) => (
+              <Chip
+                key={tag}
+                label={`Tag: ${tag}`}
+                onDelete={() =>
+                  updateFilters({
+                    tags: filters.tags.filter((t) => t !== tag),
+                  })
+                }
+                size="small"
+                sx={{
+                  backgroundColor: availableTags.find((t) => t.name === tag)
+                    ?.color,
+                  color: "#fff",
+                }}
+              />
+            ))}
+
             {filters.escalated !== null && (
               <Chip
                 label={`Escalated: ${filters.escalated ? "Yes" : "No"}`}
@@ -547,6 +725,42 @@ const SearchAndFilter: React.FC<SearchAndFilterProps> = ({
                   />
                 </Grid>
 
+                {/* Tag Filter */}
+                {availableTags.length > 0 && (
+                  <Grid size={{ xs: 12, md: 6, lg: 3 }}>
+                    <Autocomplete
+                      multiple
+                      size="small"
+                      options={availableTags}
+                      getOptionLabel={(option) => option.name}
+                      value={availableTags.filter((t) =>
+                        filters.tags.includes(t.name)
+                      )}
+                      onChange={(_, newValue) =>
+                        updateFilters({
+                          tags: newValue.map((v) => v.name),
+                        })
+                      }
+                      renderInput={(params) => (
+                        <TextField {...params} label="Tags" />
+                      )}
+                      renderTags={(value, getTagProps) =>
+                        value.map((option, index) => (
+                          <Chip
+                            label={option.name}
+                            size="small"
+                            sx={{
+                              backgroundColor: option.color,
+                              color: "#fff",
+                            }}
+                            {...getTagProps({ index })}
+                          />
+                        ))
+                      }
+                    />
+                  </Grid>
+                )}
+
                 {/* Date Range */}
                 <Grid size={{ xs: 12, md: 6 }}>
                   <Box display="flex" gap={2}>
@@ -679,38 +893,8 @@ const SearchAndFilter: React.FC<SearchAndFilterProps> = ({
                   onClick={() => setSaveFilterDialog(true)}
                   disabled={!hasActiveFilters()}
                 >
-                  Save Filter
+                  Save as View
                 </Button>
-
-                {/* Saved Filters */}
-                {showSavedFilters && savedFilters.length > 0 && (
-                  <Box display="flex" gap={1} flexWrap="wrap">
-                    {savedFilters.map((savedFilter) => (
-                      <Tooltip
-                        key={savedFilter.id}
-                        title={`Created: ${savedFilter.createdAt.toLocaleDateString()}`}
-                      >
-                        <Button
-                          size="small"
-                          variant="outlined"
-                          startIcon={
-                            savedFilter.isDefault ? (
-                              <BookmarkedIcon />
-                            ) : (
-                              <BookmarkIcon />
-                            )
-                          }
-                          onClick={() => loadSavedFilter(savedFilter)}
-                          onDoubleClick={() =>
-                            deleteSavedFilter(savedFilter.id)
-                          }
-                        >
-                          {savedFilter.name}
-                        </Button>
-                      </Tooltip>
-                    ))}
-                  </Box>
-                )}
               </Box>
             </AccordionDetails>
           </Accordion>
@@ -736,19 +920,45 @@ const SearchAndFilter: React.FC<SearchAndFilterProps> = ({
               onClick={(e) => e.stopPropagation()}
             >
               <Typography variant="h6" gutterBottom>
-                Save Current Filter
+                Save Current Filters as a View
               </Typography>
 
               <TextField
                 fullWidth
-                label="Filter Name"
+                label="View Name"
                 value={filterName}
                 onChange={(e) => setFilterName(e.target.value)}
                 onKeyPress={(e) => e.key === "Enter" && saveCurrentFilters()}
+                error={Boolean(viewError)}
+                helperText={viewError}
+                inputProps={{ maxLength: 100 }}
                 autoFocus
-                sx={{ mb: 2 }}
+                sx={{ mb: 1 }}
               />
 
+              <Box display="flex" flexDirection="column" mb={2}>
+                {canShareViews && (
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={shareView}
+                        onChange={(e) => setShareView(e.target.checked)}
+                      />
+                    }
+                    label={`Share with ${user?.department}`}
+                  />
+                )}
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={pinView}
+                      onChange={(e) => setPinView(e.target.checked)}
+                    />
+                  }
+                  label="Open by default"
+                />
+              </Box>
+
               <Box display="flex" gap={2} justifyContent="flex-end">
                 <Button onClick={() => setSaveFilterDialog(false)}>
                   Cancel
@@ -0,0 +1,370 @@
+import React, { useState } from "react";
+import {
+  Paper,
+  Box,
+  Typography,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  TextField,
+  Autocomplete,
+  Alert,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  CircularProgress,
+} from "@mui/material";
+import {
+  AssignmentInd as AssignIcon,
+  SwapHoriz as StatusIcon,
+  Flag as PriorityIcon,
+  LocalOffer as TagIcon,
+  TrendingUp as EscalateIcon,
+  Close as CloseIcon,
+  CheckCircle as SuccessIcon,
+  Error as FailedIcon,
+} from "@mui/icons-material";
+import { useAuth } from "../../context/AuthContext";
+import { useNotificationHelpers } from "../../context/NotificationContext";
+import { complaintsApi } from "../../services/api";
+import { getComplaintReference } from "../../utils/helpers";
+import type {
+  BulkAction,
+  BulkActionRequest,
+  BulkActionResult,
+  Complaint,
+  Tag,
+  User,
+} from "../../types";
+
+interface BulkActionBarProps {
+  selectedIds: string[];
+  // Filter of the list when every matching complaint is selected
+  matchingFilter: Record<string, string> | null;
+  matchingCount: number;
+  staffMembers: User[];
+  availableTags: Tag[];
+  onSelectAllMatching: () => void;
+  onClear: () => void;
+  onComplete: () => void;
+}
+
+const ACTION_LABELS: Record<BulkAction, string> = {
+  assign: "Assign",
+  status: "Change Status",
+  priority: "Change Priority",
+  tag: "Add Tags",
+  escalate: "Escalate",
+  close: "Close",
+};
+
+// Built-in statuses; category workflows decide which are allowed
+const STATUS_OPTIONS = [
+  "submitted",
+  "assigned",
+  "in-progress",
+  "awaiting-requester",
+  "resolved",
+];
+const PRIORITY_OPTIONS: Complaint["priority"][] = [
+  "low",
+  "medium",
+  "high",
+  "urgent",
+];
+
+const BulkActionBar: React.FC<BulkActionBarProps> = ({
+  selectedIds,
+  matchingFilter,
+  matchingCount,
+  staffMembers,
+  availableTags,
+  onSelectAllMatching,
+  onClear,
+  onComplete,
+}) => {
+  const { user } = useAuth();
+  const { showApiError, showSuccess } = useNotificationHelpers();
+
+  const [action, setAction] = useState<BulkAction | null>(null);
+  const [assignedTo, setAssignedTo] = useState("");
+  const [status, setStatus] = useState("");
+  const [priority, setPriority] = useState<Complaint["priority"] | "">("");
+  const [tags, setTags] = useState<string[]>([]);
+  const [note, setNote] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [result, setResult] = useState<BulkActionResult | null>(null);
+
+  const isAdmin = user?.role === "admin";
+  const count = matchingFilter ? matchingCount : selectedIds.length;
+
+  const actions: BulkAction[] = isAdmin
+    ? ["assign", "status", "priority", "tag", "escalate", "close"]
+    : ["status", "priority", "tag", "close"];
+
+  const openAction = (next: BulkAction) => {
+    setAction(next);
+    setAssignedTo("");
+    setStatus("");
+    setPriority("");
+    setTags([]);
+    setNote("");
+  };
+
+  const isComplete =
+    (action === "assign" && assignedTo) ||
+    (action === "status" && status) ||
+    (action === "priority" && priority) ||
+    (action === "tag" && tags.length > 0) ||
+    action === "escalate" ||
+    action === "close";
+
+  const handleSubmit = async () => {
+    if (!action) return;
+
+    const request: BulkActionRequest = matchingFilter
+      ? { action, filter: matchingFilter }
+      : { action, ids: selectedIds };
+    if (action === "assign") request.assignedTo = assignedTo;
+    if (action === "status") request.status = status;
+    if (action === "priority" && priority) request.priority = priority;
+    if (action === "tag") request.tags = tags;
+    if (action === "escalate" && note.trim()) request.reason = note.trim();
+    if ((action === "status" || action === "close") && note.trim()) {
+      request.remarks = note.trim();
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await complaintsApi.bulkUpdate(request);
+      if (response.success && response.data) {
+        setAction(null);
+        if (response.data.failed > 0) {
+          setResult(response.data);
+        } else {
+          showSuccess(
+            "Bulk Update Complete",
+            `${response.data.succeeded} complaint(s) updated`
+          );
+        }
+        onComplete();
+      }
+    } catch (error) {
+      showApiError(error, "Failed to apply the bulk action");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const actionIcons: Record<BulkAction, React.ReactElement> = {
+    assign: <AssignIcon />,
+    status: <StatusIcon />,
+    priority: <PriorityIcon />,
+    tag: <TagIcon />,
+    escalate: <EscalateIcon />,
+    close: <CloseIcon />,
+  };
+
+  return (
+    <>
+      {count > 0 && (
+        <Paper
+          variant="outlined"
+          sx={{
+            p: 1.5,
+            mb: 2,
+            display: "flex",
+            alignItems: "center",
+            flexWrap: "wrap",
+            gap: 1,
+          }}
+        >
+          <Typography variant="body2" fontWeight="medium" sx={{ mr: 1 }}>
+            {matchingFilter
+              ? `All ${count} matching complaints selected`
+              : `${count} selected`}
+          </Typography>
+          {!matchingFilter && matchingCount > selectedIds.length && (
+            <Button size="small" onClick={onSelectAllMatching}>
+              Select all {matchingCount} matching
+            </Button>
+          )}
+          <Box sx={{ flexGrow: 1 }} />
+          {actions.map((next) => (
+            <Button
+              key={next}
+              size="small"
+              variant="outlined"
+              color={next === "close" ? "error" : "primary"}
+              startIcon={actionIcons[next]}
+              onClick={() => openAction(next)}
+            >
+              {ACTION_LABELS[next]}
+            </Button>
+          ))}
+          <Button size="small" onClick={onClear}>
+            Clear
+          </Button>
+        </Paper>
+      )}
+
+      {/* Action parameters */}
+      <Dialog
+        open={Boolean(action)}
+        onClose={() => !submitting && setAction(null)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>
+          {action && ACTION_LABELS[action]} - {count} complaint(s)
+        </DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: "flex", flexDirection: "column", gap: 2, pt: 1 }}>
+            {action === "assign" && (
+              <FormControl fullWidth>
+                <InputLabel>Staff member</InputLabel>
+                <Select
+                  value={assignedTo}
+                  label="Staff member"
+                  onChange={(e) => setAssignedTo(e.target.value)}
+                >
+                  {staffMembers.map((staff) => (
+                    <MenuItem key={staff._id} value={staff._id}>
+                      {staff.name}
+                      {staff.department ? ` (${staff.department})` : ""}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+
+            {action === "status" && (
+              <FormControl fullWidth>
+                <InputLabel>New status</InputLabel>
+                <Select
+                  value={status}
+                  label="New status"
+                  onChange={(e) => setStatus(e.target.value)}
+                >
+                  {STATUS_OPTIONS.map((option) => (
+                    <MenuItem key={option} value={option}>
+                      {option.replace("-", " ").toUpperCase()}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+
+            {action === "priority" && (
+              <FormControl fullWidth>
+                <InputLabel>New priority</InputLabel>
+                <Select
+                  value={priority}
+                  label="New priority"
+                  onChange={(e) =>
+                    setPriority(e.target.value as Complaint["priority"])
+                  }
+                >
+                  {PRIORITY_OPTIONS.map((option) => (
+                    <MenuItem key={option} value={option}>
+                      {option.toUpperCase()}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+
+            {action === "tag" && (
+              <Autocomplete
+                multiple
+                options={availableTags.map((tag) => tag.name)}
+                value={tags}
+                onChange={(_, value) => setTags(value)}
+                renderInput={(params) => (
+                  <TextField {...params} label="Tags" placeholder="Add tag" />
+                )}
+              />
+            )}
+
+            {(action === "status" ||
+              action === "close" ||
+              action === "escalate") && (
+              <TextField
+                fullWidth
+                multiline
+                rows={2}
+                label={action === "escalate" ? "Reason" : "Remarks"}
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                inputProps={{ maxLength: 500 }}
+              />
+            )}
+
+            <Alert severity="info">
+              Each complaint is checked separately; complaints that cannot be
+              changed are skipped and listed afterwards.
+            </Alert>
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setAction(null)} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleSubmit}
+            variant="contained"
+            disabled={submitting || !isComplete}
+          >
+            {submitting ? <CircularProgress size={20} /> : "Apply"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Outcome when some complaints were skipped */}
+      <Dialog
+        open={Boolean(result)}
+        onClose={() => setResult(null)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>
+          {result?.succeeded} of {result?.total} complaint(s) updated
+        </DialogTitle>
+        <DialogContent>
+          <List dense disablePadding>
+            {result?.results.map((item) => (
+              <ListItem key={item.id} divider>
+                <ListItemIcon>
+                  {item.success ? (
+                    <SuccessIcon color="success" />
+                  ) : (
+                    <FailedIcon color="error" />
+                  )}
+                </ListItemIcon>
+                <ListItemText
+                  primary={`#${getComplaintReference({
+                    _id: item.id,
+                    ticketId: item.ticketId,
+                  })}`}
+                  secondary={item.message}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setResult(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default BulkActionBar;
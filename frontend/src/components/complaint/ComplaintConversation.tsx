@@ -0,0 +1,478 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  TextField,
+  Button,
+  Chip,
+  Paper,
+  IconButton,
+  Autocomplete,
+  CircularProgress,
+  Divider,
+} from "@mui/material";
+import {
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Lock as LockIcon,
+} from "@mui/icons-material";
+import { useAuth } from "../../context/AuthContext";
+import { useNotificationHelpers } from "../../context/NotificationContext";
+import { useRealtimeNotifications } from "../../context/RealtimeNotificationContext";
+import { complaintsApi } from "../../services/api";
+import type {
+  Complaint,
+  ComplaintComment,
+  CommentAuthor,
+  CommentVisibility,
+} from "../../types";
+
+interface ComplaintConversationProps {
+  complaint: Complaint;
+}
+
+// Mirrors COMMENT_CONFIG on the server, which enforces the windows
+const EDIT_WINDOW_MINUTES = 15;
+const DELETE_WINDOW_MINUTES = 60;
+const PAGE_SIZE = 20;
+
+const isWithinMinutes = (date: string, minutes: number) =>
+  Date.now() - new Date(date).getTime() <= minutes * 60 * 1000;
+
+const ComplaintConversation: React.FC<ComplaintConversationProps> = ({
+  complaint,
+}) => {
+  const { user } = useAuth();
+  const { showApiError } = useNotificationHelpers();
+  const { socket, joinComplaintRoom, leaveComplaintRoom } =
+    useRealtimeNotifications();
+
+  const isStaff = user?.role === "staff" || user?.role === "admin";
+  const isAdmin = user?.role === "admin";
+
+  const [visibility, setVisibility] = useState<CommentVisibility>("public");
+  const [comments, setComments] = useState<ComplaintComment[]>([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+
+  const [body, setBody] = useState("");
+  const [mentions, setMentions] = useState<CommentAuthor[]>([]);
+  const [mentionable, setMentionable] = useState<CommentAuthor[]>([]);
+  const [posting, setPosting] = useState(false);
+
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [editText, setEditText] = useState("");
+
+  // Newest page first from the API, shown oldest first
+  const fetchPage = useCallback(
+    async (pageToLoad: number) => {
+      setLoading(true);
+      try {
+        const res = await complaintsApi.getComments(complaint._id, visibility, {
+          page: pageToLoad,
+          limit: PAGE_SIZE,
+          sort: "-createdAt",
+        });
+        if (res.success && res.data) {
+          const older = [...res.data].reverse();
+          setComments((prev) =>
+            pageToLoad === 1
+              ? older
+              : [
+                  ...older,
+                  ...prev.filter((c) => !older.some((o) => o.id === c.id)),
+                ]
+          );
+          setPage(pageToLoad);
+          setPages(res.pagination?.pages || 1);
+        }
+      } catch (error) {
+        showApiError(error, "Failed to load the conversation");
+      } finally {
+        setLoading(false);
+      }
+    },
+    [complaint._id, visibility, showApiError]
+  );
+
+  useEffect(() => {
+    setComments([]);
+    setEditingId(null);
+    fetchPage(1);
+  }, [fetchPage]);
+
+  useEffect(() => {
+    const fetchMentionable = async () => {
+      try {
+        const res = await complaintsApi.getMentionableStaff(complaint._id);
+        if (res.success && res.data) setMentionable(res.data);
+      } catch (error) {
+        // Mentions are optional; the thread works without them
+        setMentionable([]);
+      }
+    };
+
+    fetchMentionable();
+  }, [complaint._id]);
+
+  // Live updates from the complaint room
+  useEffect(() => {
+    if (!socket) return;
+
+    joinComplaintRoom(complaint._id);
+
+    const belongsHere = (data: { complaintId: string; visibility?: string }) =>
+      data.complaintId === complaint._id && data.visibility === visibility;
+
+    const handleAdded = (data: {
+      complaintId: string;
+      comment: ComplaintComment;
+    }) => {
+      if (!belongsHere({ ...data, visibility: data.comment.visibility }))
+        return;
+      setComments((prev) =>
+        prev.some((c) => c.id === data.comment.id)
+          ? prev
+          : [...prev, data.comment]
+      );
+    };
+
+    const handleUpdated = (data: {
+      complaintId: string;
+      comment: ComplaintComment;
+    }) => {
+      if (!belongsHere({ ...data, visibility: data.comment.visibility }))
+        return;
+      setComments((prev) =>
+        prev.map((c) => (c.id === data.comment.id ? data.comment : c))
+      );
+    };
+
+    const handleDeleted = (data: {
+      complaintId: string;
+      commentId: string;
+      visibility: string;
+    }) => {
+      if (!belongsHere(data)) return;
+      setComments((prev) => prev.filter((c) => c.id !== data.commentId));
+    };
+
+    socket.on("comment_added", handleAdded);
+    socket.on("comment_updated", handleUpdated);
+    socket.on("comment_deleted", handleDeleted);
+
+    return () => {
+      socket.off("comment_added", handleAdded);
+      socket.off("comment_updated", handleUpdated);
+      socket.off("comment_deleted", handleDeleted);
+      leaveComplaintRoom(complaint._id);
+    };
+  }, [
+    socket,
+    complaint._id,
+    visibility,
+    joinComplaintRoom,
+    leaveComplaintRoom,
+  ]);
+
+  const handleMentionsChange = (selected: CommentAuthor[]) => {
+    // Add "@Name" to the text for anyone newly mentioned
+    const added = selected.filter(
+      (person) => !mentions.some((m) => m.id === person.id)
+    );
+    if (added.length > 0) {
+      setBody((prev) =>
+        [prev.trimEnd(), ...added.map((person) => `@${person.name}`)]
+          .filter(Boolean)
+          .join(" ")
+          .concat(" ")
+      );
+    }
+    setMentions(selected);
+  };
+
+  const handlePost = async () => {
+    if (!body.trim()) return;
+
+    setPosting(true);
+    try {
+      const res = await complaintsApi.addComment(complaint._id, visibility, {
+        body: body.trim(),
+        mentions: mentions.map((person) => person.id),
+      });
+      if (res.success && res.data) {
+        const added = res.data;
+        setComments((prev) =>
+          prev.some((c) => c.id === added.id) ? prev : [...prev, added]
+        );
+        setBody("");
+        setMentions([]);
+      }
+    } catch (error) {
+      showApiError(error, "Failed to post comment");
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  const handleSaveEdit = async (comment: ComplaintComment) => {
+    if (!editText.trim()) return;
+
+    try {
+      const res = await complaintsApi.updateComment(
+        complaint._id,
+        visibility,
+        comment.id,
+        { body: editText.trim() }
+      );
+      if (res.success && res.data) {
+        const updated = res.data;
+        setComments((prev) =>
+          prev.map((c) => (c.id === updated.id ? updated : c))
+        );
+        setEditingId(null);
+      }
+    } catch (error) {
+      showApiError(error, "Failed to update comment");
+    }
+  };
+
+  const handleDelete = async (comment: ComplaintComment) => {
+    if (!window.confirm("Are you sure you want to delete this comment?")) {
+      return;
+    }
+
+    try {
+      await complaintsApi.deleteComment(complaint._id, visibility, comment.id);
+      setComments((prev) => prev.filter((c) => c.id !== comment.id));
+    } catch (error) {
+      showApiError(error, "Failed to delete comment");
+    }
+  };
+
+  // Emails are unique and present on both the session user and the author
+  const isAuthor = (comment: ComplaintComment) =>
+    !!user && comment.author?.email === user.email;
+
+  const legacyNotes =
+    visibility === "internal" ? complaint.internalNotes || [] : [];
+
+  return (
+    <Card>
+      <CardContent>
+        <Box
+          display="flex"
+          justifyContent="space-between"
+          alignItems="center"
+          mb={2}
+        >
+          <Typography variant="h6">Conversation</Typography>
+          {isStaff && (
+            <Box display="flex" gap={1}>
+              <Button
+                size="small"
+                variant={visibility === "public" ? "contained" : "outlined"}
+                onClick={() => setVisibility("public")}
+              >
+                Comments
+              </Button>
+              <Button
+                size="small"
+                startIcon={<LockIcon />}
+                variant={visibility === "internal" ? "contained" : "outlined"}
+                onClick={() => setVisibility("internal")}
+              >
+                Internal Notes
+              </Button>
+            </Box>
+          )}
+        </Box>
+
+        {visibility === "internal" && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Internal notes are only visible to staff.
+          </Typography>
+        )}
+
+        {page < pages && (
+          <Box textAlign="center" mb={2}>
+            <Button
+              size="small"
+              onClick={() => fetchPage(page + 1)}
+              disabled={loading}
+            >
+              Load earlier
+            </Button>
+          </Box>
+        )}
+
+        {legacyNotes.map((note, index) => (
+          <Paper
+            key={`legacy-${index}`}
+            variant="outlined"
+            sx={{ p: 2, mb: 2 }}
+          >
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              <strong>{note.addedBy?.name || "Staff"}</strong> -{" "}
+              {new Date(note.addedAt).toLocaleString()}
+            </Typography>
+            <Typography variant="body1">{note.note}</Typography>
+          </Paper>
+        ))}
+
+        {loading && comments.length === 0 ? (
+          <Box display="flex" justifyContent="center" p={2}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : comments.length === 0 && legacyNotes.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {visibility === "internal"
+              ? "No internal notes yet."
+              : "No comments yet."}
+          </Typography>
+        ) : (
+          comments.map((comment) => (
+            <Paper key={comment.id} variant="outlined" sx={{ p: 2, mb: 2 }}>
+              <Box
+                display="flex"
+                justifyContent="space-between"
+                alignItems="flex-start"
+              >
+                <Typography variant="body2" sx={{ mb: 1 }}>
+                  <strong>{comment.author?.name || "Unknown user"}</strong>
+                  {comment.author?.role !== "user" && (
+                    <Chip
+                      label="Staff"
+                      size="small"
+                      sx={{ ml: 1, height: 20 }}
+                    />
+                  )}{" "}
+                  - {new Date(comment.createdAt).toLocaleString()}
+                  {comment.editedAt && (
+                    <Typography
+                      component="span"
+                      variant="caption"
+                      color="text.secondary"
+                    >
+                      {" "}
+                      (edited)
+                    </Typography>
+                  )}
+                </Typography>
+                <Box>
+                  {isAuthor(comment) &&
+                    isWithinMinutes(comment.createdAt, EDIT_WINDOW_MINUTES) && (
+                      <IconButton
+                        size="small"
+                        onClick={() => {
+                          setEditingId(comment.id);
+                          setEditText(comment.body);
+                        }}
+                      >
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                    )}
+                  {(isAdmin ||
+                    (isAuthor(comment) &&
+                      isWithinMinutes(
+                        comment.createdAt,
+                        DELETE_WINDOW_MINUTES
+                      ))) && (
+                    <IconButton
+                      size="small"
+                      onClick={() => handleDelete(comment)}
+                    >
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  )}
+                </Box>
+              </Box>
+
+              {editingId === comment.id ? (
+                <Box>
+                  <TextField
+                    fullWidth
+                    multiline
+                    minRows={2}
+                    value={editText}
+                    onChange={(e) => setEditText(e.target.value)}
+                    sx={{ mb: 1 }}
+                  />
+                  <Box display="flex" gap={1}>
+                    <Button
+                      size="small"
+                      variant="contained"
+                      onClick={() => handleSaveEdit(comment)}
+                      disabled={!editText.trim()}
+                    >
+                      Save
+                    </Button>
+                    <Button size="small" onClick={() => setEditingId(null)}>
+                      Cancel
+                    </Button>
+                  </Box>
+                </Box>
+              ) : (
+                <Typography variant="body1" sx={{ whiteSpace: "pre-wrap" }}>
+                  {comment.body}
+                </Typography>
+              )}
+            </Paper>
+          ))
+        )}
+
+        <Divider sx={{ my: 2 }} />
+
+        <TextField
+          fullWidth
+          multiline
+          minRows={3}
+          label={
+            visibility === "internal" ? "Add an internal note" : "Add a comment"
+          }
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          inputProps={{ maxLength: 2000 }}
+          sx={{ mb: 2 }}
+        />
+
+        <Box display="flex" gap={2} alignItems="flex-start">
+          <Autocomplete
+            multiple
+            size="small"
+            sx={{ flexGrow: 1 }}
+            options={mentionable}
+            getOptionLabel={(option) => option.name}
+            isOptionEqualToValue={(option, value) => option.id === value.id}
+            value={mentions}
+            onChange={(_, newValue) => handleMentionsChange(newValue)}
+            renderInput={(params) => (
+              <TextField {...params} label="Mention staff" />
+            )}
+            renderTags={(value, getTagProps) =>
+              value.map((option, index) => (
+                <Chip
+                  label={`@${option.name}`}
+                  size="small"
+                  {...getTagProps({ index })}
+                />
+              ))
+            }
+          />
+          <Button
+            variant="contained"
+            onClick={handlePost}
+            disabled={posting || !body.trim()}
+          >
+            {posting ? "Posting..." : "Post"}
+          </Button>
+        </Box>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ComplaintConversation;
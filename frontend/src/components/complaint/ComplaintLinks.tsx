@@ -0,0 +1,296 @@
+import React, { useState } from "react";
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Button,
+  Chip,
+  IconButton,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  List,
+  ListItem,
+  ListItemText,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Alert,
+  Tooltip,
+} from "@mui/material";
+import {
+  LinkOff as UnlinkIcon,
+  CallMerge as MergeIcon,
+} from "@mui/icons-material";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "../../context/AuthContext";
+import { useNotificationHelpers } from "../../context/NotificationContext";
+import { complaintsApi } from "../../services/api";
+import { getComplaintReference } from "../../utils/helpers";
+import type {
+  Complaint,
+  ComplaintLink,
+  ComplaintLinkType,
+  LinkedComplaintSummary,
+} from "../../types";
+
+interface ComplaintLinksProps {
+  complaint: Complaint;
+  onLinksChange: (links: ComplaintLink[]) => void;
+  onMerged: () => void;
+}
+
+// Labels read from this complaint's side of the link
+export const LINK_TYPE_LABELS: Record<ComplaintLinkType, string> = {
+  duplicate_of: "Duplicate of",
+  duplicated_by: "Duplicated by",
+  related_to: "Related to",
+  caused_by: "Caused by",
+  causes: "Causes",
+  parent_of: "Parent of",
+  child_of: "Child of",
+};
+
+const summaryReference = (summary: LinkedComplaintSummary) =>
+  getComplaintReference({ _id: summary.id, ticketId: summary.ticketId });
+
+const ComplaintLinks: React.FC<ComplaintLinksProps> = ({
+  complaint,
+  onLinksChange,
+  onMerged,
+}) => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { showApiError, showSuccess } = useNotificationHelpers();
+
+  const [type, setType] = useState<ComplaintLinkType>("related_to");
+  const [target, setTarget] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const [mergeOpen, setMergeOpen] = useState(false);
+  const [primaryRef, setPrimaryRef] = useState("");
+
+  const isStaff = user?.role === "staff" || user?.role === "admin";
+  if (!isStaff) return null;
+
+  const links = complaint.links || [];
+  const isMerged = Boolean(complaint.mergedInto);
+
+  const handleAdd = async () => {
+    setSaving(true);
+    try {
+      const res = await complaintsApi.addLink(
+        complaint._id,
+        target.trim(),
+        type
+      );
+      if (res.success && res.data) {
+        onLinksChange(res.data.links);
+        setTarget("");
+      }
+    } catch (error) {
+      showApiError(error, "Failed to link the complaint");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (link: ComplaintLink) => {
+    setSaving(true);
+    try {
+      const res = await complaintsApi.removeLink(
+        complaint._id,
+        link.complaint.id
+      );
+      if (res.success && res.data) onLinksChange(res.data.links);
+    } catch (error) {
+      showApiError(error, "Failed to remove the link");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMerge = async () => {
+    setSaving(true);
+    try {
+      const res = await complaintsApi.mergeComplaint(
+        complaint._id,
+        primaryRef.trim()
+      );
+      if (res.success && res.data) {
+        showSuccess(
+          "Complaint Merged",
+          `Merged into #${getComplaintReference({
+            _id: res.data.primary.id,
+            ticketId: res.data.primary.ticketId,
+          })}`
+        );
+        setMergeOpen(false);
+        setPrimaryRef("");
+        onMerged();
+      }
+    } catch (error) {
+      showApiError(error, "Failed to merge the complaint");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Box
+          sx={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            mb: 1,
+          }}
+        >
+          <Typography variant="h6">Linked Complaints</Typography>
+          {!isMerged && (
+            <Button
+              size="small"
+              startIcon={<MergeIcon />}
+              onClick={() => setMergeOpen(true)}
+            >
+              Merge into...
+            </Button>
+          )}
+        </Box>
+
+        {links.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No linked complaints
+          </Typography>
+        ) : (
+          <List dense disablePadding>
+            {links.map((link) => (
+              <ListItem
+                key={link.complaint.id}
+                divider
+                secondaryAction={
+                  complaint.mergedInto?.id !== link.complaint.id && (
+                    <Tooltip title="Remove link">
+                      <IconButton
+                        edge="end"
+                        size="small"
+                        disabled={saving}
+                        onClick={() => handleRemove(link)}
+                      >
+                        <UnlinkIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  )
+                }
+              >
+                <Chip
+                  label={LINK_TYPE_LABELS[link.type]}
+                  size="small"
+                  variant="outlined"
+                  sx={{ mr: 1 }}
+                />
+                <ListItemText
+                  primary={
+                    <Box
+                      component="span"
+                      sx={{ cursor: "pointer" }}
+                      onClick={() =>
+                        navigate(
+                          `/complaints/${
+                            link.complaint.ticketId || link.complaint.id
+                          }`
+                        )
+                      }
+                    >
+                      #{summaryReference(link.complaint)} {link.complaint.title}
+                    </Box>
+                  }
+                  secondary={(
+                    link.complaint.statusPhase || link.complaint.status
+                  ).toUpperCase()}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+
+        <Box sx={{ display: "flex", gap: 1, mt: 2 }}>
+          <FormControl size="small" sx={{ minWidth: 150 }}>
+            <InputLabel>Link type</InputLabel>
+            <Select
+              value={type}
+              label="Link type"
+              onChange={(e) => setType(e.target.value as ComplaintLinkType)}
+            >
+              {Object.entries(LINK_TYPE_LABELS).map(([value, label]) => (
+                <MenuItem key={value} value={value}>
+                  {label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            size="small"
+            placeholder="Ticket ID, e.g. IT-2026-000123"
+            value={target}
+            onChange={(e) => setTarget(e.target.value)}
+            sx={{ flex: 1 }}
+          />
+          <Button
+            variant="outlined"
+            onClick={handleAdd}
+            disabled={saving || !target.trim()}
+          >
+            Link
+          </Button>
+        </Box>
+      </CardContent>
+
+      <Dialog
+        open={mergeOpen}
+        onClose={() => setMergeOpen(false)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>
+          Merge #{getComplaintReference(complaint)} into another complaint
+        </DialogTitle>
+        <DialogContent>
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            This complaint will be closed as a duplicate. Its attachments,
+            internal notes and history are added to the primary complaint, and
+            its complainant will follow the primary complaint.
+          </Alert>
+          <TextField
+            fullWidth
+            label="Primary complaint ticket ID"
+            placeholder="e.g. IT-2026-000123"
+            value={primaryRef}
+            onChange={(e) => setPrimaryRef(e.target.value)}
+            autoFocus
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setMergeOpen(false)} disabled={saving}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleMerge}
+            variant="contained"
+            color="warning"
+            disabled={saving || !primaryRef.trim()}
+          >
+            Merge
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default ComplaintLinks;
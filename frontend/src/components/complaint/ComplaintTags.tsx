@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from "react";
+import { Box, Chip, Autocomplete, TextField } from "@mui/material";
+import { useAuth } from "../../context/AuthContext";
+import { useNotificationHelpers } from "../../context/NotificationContext";
+import { adminApi, complaintsApi } from "../../services/api";
+import type { Complaint, Tag } from "../../types";
+
+interface ComplaintTagsProps {
+  complaint: Complaint;
+  department?: string;
+  onTagsChange: (tags: string[]) => void;
+}
+
+const ComplaintTags: React.FC<ComplaintTagsProps> = ({
+  complaint,
+  department,
+  onTagsChange,
+}) => {
+  const { user } = useAuth();
+  const { showApiError } = useNotificationHelpers();
+
+  const isStaff = user?.role === "staff" || user?.role === "admin";
+  const tags = complaint.tags || [];
+
+  const [available, setAvailable] = useState<Tag[]>([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!isStaff) return;
+
+    const fetchTags = async () => {
+      try {
+        const res = await adminApi.getTags(department ? { department } : {});
+        if (res.success && res.data) setAvailable(res.data);
+      } catch (error) {
+        // Existing tags still show; only adding needs the vocabulary
+        setAvailable([]);
+      }
+    };
+
+    fetchTags();
+  }, [isStaff, department]);
+
+  const getColor = (name: string) =>
+    available.find((tag) => tag.name === name)?.color;
+
+  const handleAdd = async (tag: Tag | null) => {
+    if (!tag) return;
+
+    setSaving(true);
+    try {
+      const res = await complaintsApi.addTags(complaint._id, [tag.name]);
+      if (res.success && res.data) onTagsChange(res.data.tags);
+    } catch (error) {
+      showApiError(error, "Failed to add the tag");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (name: string) => {
+    setSaving(true);
+    try {
+      const res = await complaintsApi.removeTag(complaint._id, name);
+      if (res.success && res.data) onTagsChange(res.data.tags);
+    } catch (error) {
+      showApiError(error, "Failed to remove the tag");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Tags are a staff tool for organising work
+  if (!isStaff) return null;
+
+  return (
+    <Box display="flex" flexWrap="wrap" alignItems="center" gap={1}>
+      {tags.map((name) => (
+        <Chip
+          key={name}
+          label={name}
+          size="small"
+          disabled={saving}
+          onDelete={() => handleRemove(name)}
+          sx={
+            getColor(name)
+              ? { backgroundColor: getColor(name), color: "#fff" }
+              : undefined
+          }
+        />
+      ))}
+      <Autocomplete
+        size="small"
+        sx={{ minWidth: 180 }}
+        options={available.filter((tag) => !tags.includes(tag.name))}
+        getOptionLabel={(option) => option.name}
+        value={null}
+        onChange={(_, tag) => handleAdd(tag)}
+        disabled={saving}
+        blurOnSelect
+        renderOption={(props, option) => (
+          <li {...props} key={option.id}>
+            <Box
+              sx={{
+                width: 12,
+                height: 12,
+                borderRadius: "50%",
+                backgroundColor: option.color,
+                mr: 1,
+              }}
+            />
+            {option.name}
+          </li>
+        )}
+        renderInput={(params) => (
+          <TextField {...params} placeholder="Add tag" variant="standard" />
+        )}
+      />
+    </Box>
+  );
+};
+
+export default ComplaintTags;
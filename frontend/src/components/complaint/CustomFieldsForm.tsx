@@ -0,0 +1,89 @@
+import React from "react";
+import { TextField, MenuItem } from "@mui/material";
+import type { CustomFieldDefinition, CustomFieldValue } from "../../types";
+
+interface CustomFieldsFormProps {
+  fields: CustomFieldDefinition[];
+  values: Record<string, CustomFieldValue>;
+  errors: Record<string, string>;
+  disabled?: boolean;
+  onChange: (key: string, value: string) => void;
+}
+
+/**
+ * Inputs for the custom fields a category asks complainants to fill in
+ */
+const CustomFieldsForm: React.FC<CustomFieldsFormProps> = ({
+  fields,
+  values,
+  errors,
+  disabled,
+  onChange,
+}) => (
+  <>
+    {fields.map((field) => {
+      const { min, max } = field.validation || {};
+      const common = {
+        fullWidth: true,
+        margin: "normal" as const,
+        label: field.label,
+        value: values[field.key] ?? "",
+        onChange: (e: React.ChangeEvent<HTMLInputElement>) =>
+          onChange(field.key, e.target.value),
+        required: field.required,
+        disabled,
+        error: Boolean(errors[field.key]),
+        helperText: errors[field.key] || field.helpText,
+      };
+
+      switch (field.type) {
+        case "select":
+          return (
+            <TextField key={field.key} {...common} select>
+              {!field.required && (
+                <MenuItem value="">
+                  <em>None</em>
+                </MenuItem>
+              )}
+              {(field.options || []).map((option) => (
+                <MenuItem key={option} value={option}>
+                  {option}
+                </MenuItem>
+              ))}
+            </TextField>
+          );
+
+        case "number":
+          return (
+            <TextField
+              key={field.key}
+              {...common}
+              type="number"
+              inputProps={{ min, max }}
+            />
+          );
+
+        case "date":
+          return (
+            <TextField
+              key={field.key}
+              {...common}
+              type="date"
+              InputLabelProps={{ shrink: true }}
+            />
+          );
+
+        default:
+          return (
+            <TextField
+              key={field.key}
+              {...common}
+              inputProps={{ minLength: min, maxLength: max ?? 500 }}
+            />
+          );
+      }
+    })}
+  </>
+);
+
+export default CustomFieldsForm;
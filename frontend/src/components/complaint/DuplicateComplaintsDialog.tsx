@@ -0,0 +1,118 @@
+import React from "react";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  Chip,
+  List,
+  ListItem,
+  ListItemText,
+  CircularProgress,
+} from "@mui/material";
+import { formatDate, getComplaintReference } from "../../utils/helpers";
+import type { DuplicateComplaint } from "../../types";
+
+interface DuplicateComplaintsDialogProps {
+  open: boolean;
+  duplicates: DuplicateComplaint[];
+  busy?: boolean;
+  onFollow: (duplicate: DuplicateComplaint) => void;
+  onView: (duplicate: DuplicateComplaint) => void;
+  onSubmitAnyway: () => void;
+  onClose: () => void;
+}
+
+const DuplicateComplaintsDialog: React.FC<DuplicateComplaintsDialogProps> = ({
+  open,
+  duplicates,
+  busy = false,
+  onFollow,
+  onView,
+  onSubmitAnyway,
+  onClose,
+}) => (
+  <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+    <DialogTitle>Is this your issue?</DialogTitle>
+    <DialogContent>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        Similar complaints were submitted recently. If one of them describes
+        your issue, follow it to be notified when it is updated instead of
+        submitting a new complaint.
+      </Typography>
+
+      <List disablePadding>
+        {duplicates.map((duplicate) => (
+          <ListItem
+            key={duplicate.id}
+            divider
+            secondaryAction={
+              duplicate.isOwn ? (
+                <Button size="small" onClick={() => onView(duplicate)}>
+                  View
+                </Button>
+              ) : (
+                <Button
+                  size="small"
+                  variant="outlined"
+                  disabled={busy || duplicate.isFollowing}
+                  onClick={() => onFollow(duplicate)}
+                >
+                  {duplicate.isFollowing ? "Following" : "Follow"}
+                </Button>
+              )
+            }
+            sx={{ pr: 14 }}
+          >
+            <ListItemText
+              primary={duplicate.title}
+              secondary={
+                <Box
+                  component="span"
+                  sx={{ display: "flex", flexWrap: "wrap", gap: 1, mt: 0.5 }}
+                >
+                  <span>
+                    #
+                    {getComplaintReference({
+                      _id: duplicate.id,
+                      ticketId: duplicate.ticketId,
+                    })}
+                  </span>
+                  {duplicate.location && <span>{duplicate.location}</span>}
+                  <span>{formatDate(duplicate.createdAt)}</span>
+                  <Chip
+                    component="span"
+                    label={duplicate.status.replace(/[-_]/g, " ").toUpperCase()}
+                    size="small"
+                  />
+                  {duplicate.isOwn && (
+                    <Chip
+                      component="span"
+                      label="Your complaint"
+                      size="small"
+                      color="primary"
+                    />
+                  )}
+                </Box>
+              }
+              secondaryTypographyProps={{ component: "span" }}
+            />
+          </ListItem>
+        ))}
+      </List>
+    </DialogContent>
+    <DialogActions>
+      <Button onClick={onClose} disabled={busy}>
+        Back to Form
+      </Button>
+      <Button onClick={onSubmitAnyway} variant="contained" disabled={busy}>
+        {busy ? <CircularProgress size={20} /> : "Submit Anyway"}
+      </Button>
+    </DialogActions>
+  </Dialog>
+);
+
+export default DuplicateComplaintsDialog;
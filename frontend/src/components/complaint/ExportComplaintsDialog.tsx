@@ -0,0 +1,203 @@
+import React, { useEffect, useState } from "react";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  FormControl,
+  FormLabel,
+  RadioGroup,
+  Radio,
+  FormControlLabel,
+  FormGroup,
+  Checkbox,
+  Box,
+  Typography,
+  CircularProgress,
+} from "@mui/material";
+import { useNotificationHelpers } from "../../context/NotificationContext";
+import { complaintsApi } from "../../services/api";
+import { downloadBlob, getExportFilename } from "../../utils/helpers";
+import type { ExportColumn, ExportFormat, ExportJob } from "../../types";
+
+interface ExportComplaintsDialogProps {
+  open: boolean;
+  onClose: () => void;
+  // List filters and sort of the complaints to export
+  params: Record<string, string | undefined>;
+}
+
+const FORMATS: { value: ExportFormat; label: string }[] = [
+  { value: "csv", label: "CSV" },
+  { value: "xlsx", label: "Excel (XLSX)" },
+  { value: "ndjson", label: "NDJSON" },
+];
+
+const ExportComplaintsDialog: React.FC<ExportComplaintsDialogProps> = ({
+  open,
+  onClose,
+  params,
+}) => {
+  const { showApiError, showInfo } = useNotificationHelpers();
+
+  const [format, setFormat] = useState<ExportFormat>("csv");
+  const [columns, setColumns] = useState<ExportColumn[]>([]);
+  const [selected, setSelected] = useState<string[]>([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!open || columns.length > 0) return;
+
+    complaintsApi
+      .getExportColumns()
+      .then((response) => {
+        if (response.success && response.data) {
+          setColumns(response.data);
+          setSelected(
+            response.data
+              .filter((column) => column.default)
+              .map((column) => column.key)
+          );
+        }
+      })
+      .catch((error) => showApiError(error, "Failed to load export columns"));
+  }, [open, columns.length, showApiError]);
+
+  const toggleColumn = (key: string) => {
+    setSelected((prev) =>
+      prev.includes(key) ? prev.filter((item) => item !== key) : [...prev, key]
+    );
+  };
+
+  const handleExport = async () => {
+    setLoading(true);
+    try {
+      const response = await complaintsApi.exportComplaints({
+        ...params,
+        format,
+        // Keep the server's column order
+        columns: columns
+          .filter((column) => selected.includes(column.key))
+          .map((column) => column.key)
+          .join(","),
+      });
+
+      if (response.status === 202) {
+        // Too many complaints to download directly; a notification with
+        // the download follows when the export is ready
+        const result = JSON.parse(await response.data.text()) as {
+          message: string;
+          data: ExportJob;
+        };
+        showInfo("Export Started", result.message);
+      } else {
+        downloadBlob(response.data, getExportFilename(format));
+      }
+      onClose();
+    } catch (error) {
+      showApiError(error, "Failed to export complaints");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={loading ? undefined : onClose}
+      maxWidth="sm"
+      fullWidth
+    >
+      <DialogTitle>Export Complaints</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Exports the complaints matching the current filters, in the current
+          order.
+        </Typography>
+
+        <FormControl sx={{ mb: 2 }}>
+          <FormLabel>Format</FormLabel>
+          <RadioGroup
+            row
+            value={format}
+            onChange={(e) => setFormat(e.target.value as ExportFormat)}
+          >
+            {FORMATS.map((item) => (
+              <FormControlLabel
+                key={item.value}
+                value={item.value}
+                control={<Radio />}
+                label={item.label}
+              />
+            ))}
+          </RadioGroup>
+        </FormControl>
+
+        <FormControl fullWidth>
+          <Box display="flex" alignItems="center" gap={1}>
+            <FormLabel>Columns</FormLabel>
+            <Button
+              size="small"
+              onClick={() => setSelected(columns.map((column) => column.key))}
+            >
+              All
+            </Button>
+            <Button
+              size="small"
+              onClick={() =>
+                setSelected(
+                  columns
+                    .filter((column) => column.default)
+                    .map((column) => column.key)
+                )
+              }
+            >
+              Default
+            </Button>
+          </Box>
+          {columns.length === 0 ? (
+            <Box display="flex" justifyContent="center" py={2}>
+              <CircularProgress size={24} />
+            </Box>
+          ) : (
+            <FormGroup
+              sx={{
+                display: "grid",
+                gridTemplateColumns: { xs: "1fr", sm: "1fr 1fr" },
+              }}
+            >
+              {columns.map((column) => (
+                <FormControlLabel
+                  key={column.key}
+                  control={
+                    <Checkbox
+                      size="small"
+                      checked={selected.includes(column.key)}
+                      onChange={() => toggleColumn(column.key)}
+                    />
+                  }
+                  label={column.header}
+                />
+              ))}
+            </FormGroup>
+          )}
+        </FormControl>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={loading}>
+          Cancel
+        </Button>
+        <Button
+          onClick={handleExport}
+          variant="contained"
+          disabled={loading || selected.length === 0}
+        >
+          {loading ? <CircularProgress size={20} /> : "Export"}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ExportComplaintsDialog;
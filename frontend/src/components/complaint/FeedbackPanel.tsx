@@ -0,0 +1,381 @@
+import React, { useState, useEffect } from "react";
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Rating,
+  TextField,
+  Button,
+  FormControlLabel,
+  Checkbox,
+  Alert,
+  CircularProgress,
+  Divider,
+  Chip,
+} from "@mui/material";
+import {
+  ThumbUp as ThumbUpIcon,
+  ThumbUpOutlined as ThumbUpOutlinedIcon,
+} from "@mui/icons-material";
+import { useAuth } from "../../context/AuthContext";
+import { useNotificationHelpers } from "../../context/NotificationContext";
+import { complaintsApi } from "../../services/api";
+import type { Complaint, Feedback, FeedbackAspect } from "../../types";
+
+interface FeedbackPanelProps {
+  complaint: Complaint;
+}
+
+const aspectOptions: { value: FeedbackAspect; label: string }[] = [
+  { value: "resolution", label: "Resolution" },
+  { value: "timeliness", label: "Timeliness" },
+  { value: "communication", label: "Communication" },
+  { value: "professionalism", label: "Professionalism" },
+];
+
+const FeedbackPanel: React.FC<FeedbackPanelProps> = ({ complaint }) => {
+  const { user } = useAuth();
+  const { showApiError, showSuccess } = useNotificationHelpers();
+
+  const [feedback, setFeedback] = useState<Feedback | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  const [rating, setRating] = useState<number | null>(null);
+  const [aspects, setAspects] = useState<
+    Partial<Record<FeedbackAspect, number>>
+  >({});
+  const [comments, setComments] = useState("");
+  const [isPublic, setIsPublic] = useState(false);
+  const [isAnonymous, setIsAnonymous] = useState(false);
+  const [response, setResponse] = useState("");
+  const [markedHelpful, setMarkedHelpful] = useState(false);
+
+  const isComplainant =
+    !!user &&
+    (typeof complaint.user === "string"
+      ? complaint.user === user._id
+      : complaint.user?._id === user._id);
+  const isAdmin = user?.role === "admin";
+  const phase = complaint.statusPhase ?? complaint.status;
+  const isRateable = phase === "resolved" || phase === "closed";
+
+  useEffect(() => {
+    if (!complaint.feedback) {
+      setFeedback(null);
+      setLoading(false);
+      return;
+    }
+
+    const fetchFeedback = async () => {
+      setLoading(true);
+      try {
+        const res = await complaintsApi.getFeedback(complaint._id);
+        if (res.success && res.data) {
+          setFeedback(res.data);
+          setMarkedHelpful(!!user && res.data.helpful.users.includes(user._id));
+        }
+      } catch (error) {
+        // Private feedback is simply not shown to other users
+        setFeedback(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchFeedback();
+  }, [complaint._id, complaint.feedback, user]);
+
+  const handleSubmit = async () => {
+    if (!rating) return;
+
+    setSubmitting(true);
+    try {
+      const res = await complaintsApi.submitFeedback(complaint._id, {
+        rating,
+        comments: comments.trim() || undefined,
+        aspects: Object.fromEntries(
+          Object.entries(aspects).map(([aspect, value]) => [
+            aspect,
+            { rating: value },
+          ])
+        ),
+        isPublic,
+        isAnonymous,
+      });
+
+      if (res.success && res.data) {
+        showSuccess("Feedback Submitted", "Thank you for rating this service.");
+        setFeedback(res.data);
+      }
+    } catch (error) {
+      showApiError(error, "Failed to submit feedback");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRespond = async () => {
+    if (!response.trim()) return;
+
+    setSubmitting(true);
+    try {
+      const res = await complaintsApi.respondToFeedback(
+        complaint._id,
+        response.trim()
+      );
+
+      if (res.success && res.data) {
+        showSuccess("Response Added", "Your response has been saved.");
+        setFeedback(res.data);
+        setResponse("");
+      }
+    } catch (error) {
+      showApiError(error, "Failed to respond to feedback");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleToggleHelpful = async () => {
+    if (!feedback) return;
+
+    try {
+      const res = await complaintsApi.setFeedbackHelpful(
+        complaint._id,
+        !markedHelpful
+      );
+
+      if (res.success && res.data) {
+        setMarkedHelpful(res.data.markedHelpful);
+        setFeedback({
+          ...feedback,
+          helpful: { ...feedback.helpful, count: res.data.helpfulCount },
+        });
+      }
+    } catch (error) {
+      showApiError(error, "Failed to update feedback");
+    }
+  };
+
+  const formatDate = (dateString: string) =>
+    new Date(dateString).toLocaleString();
+
+  if (loading) {
+    return (
+      <Card sx={{ mb: 3 }}>
+        <CardContent sx={{ display: "flex", justifyContent: "center" }}>
+          <CircularProgress size={24} />
+        </CardContent>
+      </Card>
+    );
+  }
+
+  // Nothing to show until the complaint can be rated by its owner
+  if (!feedback && !(isComplainant && isRateable && !complaint.feedback)) {
+    return null;
+  }
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Feedback
+        </Typography>
+
+        {!feedback ? (
+          <Box>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              How satisfied are you with how this complaint was handled?
+            </Typography>
+
+            <Rating
+              value={rating}
+              onChange={(_, value) => setRating(value)}
+              size="large"
+              disabled={submitting}
+            />
+
+            <Box sx={{ mt: 2 }}>
+              {aspectOptions.map((aspect) => (
+                <Box
+                  key={aspect.value}
+                  sx={{
+                    display: "flex",
+                    alignItems: "center",
+                    justifyContent: "space-between",
+                  }}
+                >
+                  <Typography variant="body2">{aspect.label}</Typography>
+                  <Rating
+                    size="small"
+                    value={aspects[aspect.value] ?? null}
+                    onChange={(_, value) =>
+                      setAspects((prev) => ({
+                        ...prev,
+                        [aspect.value]: value ?? undefined,
+                      }))
+                    }
+                    disabled={submitting}
+                  />
+                </Box>
+              ))}
+            </Box>
+
+            <TextField
+              fullWidth
+              multiline
+              rows={3}
+              label="Comments (Optional)"
+              value={comments}
+              onChange={(e) => setComments(e.target.value)}
+              inputProps={{ maxLength: 1000 }}
+              disabled={submitting}
+              sx={{ mt: 2 }}
+            />
+
+            <Box sx={{ mt: 1 }}>
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={isPublic}
+                    onChange={(e) => setIsPublic(e.target.checked)}
+                    disabled={submitting}
+                  />
+                }
+                label="Share publicly"
+              />
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={isAnonymous}
+                    onChange={(e) => setIsAnonymous(e.target.checked)}
+                    disabled={submitting}
+                  />
+                }
+                label="Submit anonymously"
+              />
+            </Box>
+
+            <Button
+              variant="contained"
+              onClick={handleSubmit}
+              disabled={!rating || submitting}
+              startIcon={submitting ? <CircularProgress size={16} /> : null}
+              sx={{ mt: 1 }}
+            >
+              {submitting ? "Submitting..." : "Submit Feedback"}
+            </Button>
+          </Box>
+        ) : (
+          <Box>
+            <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+              <Rating value={feedback.rating} readOnly />
+              <Typography variant="body2" color="text.secondary">
+                {feedback.rating}/5
+              </Typography>
+              {feedback.isPublic && (
+                <Chip label="Public" size="small" variant="outlined" />
+              )}
+            </Box>
+
+            {aspectOptions
+              .filter((aspect) => feedback.aspects?.[aspect.value]?.rating)
+              .map((aspect) => (
+                <Box
+                  key={aspect.value}
+                  sx={{
+                    display: "flex",
+                    alignItems: "center",
+                    justifyContent: "space-between",
+                  }}
+                >
+                  <Typography variant="body2" color="text.secondary">
+                    {aspect.label}
+                  </Typography>
+                  <Rating
+                    size="small"
+                    value={feedback.aspects?.[aspect.value]?.rating}
+                    readOnly
+                  />
+                </Box>
+              ))}
+
+            {feedback.comments && (
+              <Typography variant="body2" sx={{ mt: 1 }}>
+                {feedback.comments}
+              </Typography>
+            )}
+
+            <Typography variant="caption" color="text.secondary">
+              {feedback.isAnonymous
+                ? "Anonymous"
+                : typeof feedback.user === "object"
+                ? feedback.user.name
+                : ""}{" "}
+              - {formatDate(feedback.createdAt)}
+            </Typography>
+
+            {feedback.isPublic && !isComplainant && (
+              <Box sx={{ mt: 1 }}>
+                <Button
+                  size="small"
+                  onClick={handleToggleHelpful}
+                  startIcon={
+                    markedHelpful ? <ThumbUpIcon /> : <ThumbUpOutlinedIcon />
+                  }
+                >
+                  Helpful ({feedback.helpful.count})
+                </Button>
+              </Box>
+            )}
+
+            {feedback.adminResponse?.message && (
+              <Alert severity="info" sx={{ mt: 2 }}>
+                <Typography variant="body2">
+                  <strong>Response:</strong> {feedback.adminResponse.message}
+                </Typography>
+                {feedback.adminResponse.respondedAt && (
+                  <Typography variant="caption" color="text.secondary">
+                    {formatDate(feedback.adminResponse.respondedAt)}
+                  </Typography>
+                )}
+              </Alert>
+            )}
+
+            {isAdmin && (
+              <>
+                <Divider sx={{ my: 2 }} />
+                <TextField
+                  fullWidth
+                  multiline
+                  rows={2}
+                  label={
+                    feedback.adminResponse?.message
+                      ? "Update Response"
+                      : "Respond to Feedback"
+                  }
+                  value={response}
+                  onChange={(e) => setResponse(e.target.value)}
+                  inputProps={{ maxLength: 1000 }}
+                  disabled={submitting}
+                />
+                <Button
+                  variant="outlined"
+                  onClick={handleRespond}
+                  disabled={!response.trim() || submitting}
+                  sx={{ mt: 1 }}
+                >
+                  Send Response
+                </Button>
+              </>
+            )}
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default FeedbackPanel;
@@ -0,0 +1,104 @@
+import React, { useState } from "react";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Alert,
+  CircularProgress,
+} from "@mui/material";
+import { useNotificationHelpers } from "../../context/NotificationContext";
+import { complaintsApi } from "../../services/api";
+import { getComplaintReference } from "../../utils/helpers";
+import type { Complaint } from "../../types";
+
+interface ReopenComplaintDialogProps {
+  open: boolean;
+  onClose: () => void;
+  complaint: Complaint;
+  onUpdate: (updatedComplaint: Complaint) => void;
+}
+
+const ReopenComplaintDialog: React.FC<ReopenComplaintDialogProps> = ({
+  open,
+  onClose,
+  complaint,
+  onUpdate,
+}) => {
+  const { showApiError, showSuccess } = useNotificationHelpers();
+
+  const [reason, setReason] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const handleClose = () => {
+    if (loading) return;
+    setReason("");
+    onClose();
+  };
+
+  const handleSubmit = async () => {
+    setLoading(true);
+    try {
+      const response = await complaintsApi.reopenComplaint(
+        complaint._id,
+        reason.trim()
+      );
+      if (response.success && response.data) {
+        showSuccess(
+          "Complaint Reopened",
+          "Our team has been notified and will follow up on your complaint"
+        );
+        onUpdate(response.data);
+        setReason("");
+        onClose();
+      }
+    } catch (error) {
+      showApiError(error, "Failed to reopen the complaint");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        Reopen Complaint #{getComplaintReference(complaint)}
+      </DialogTitle>
+      <DialogContent>
+        <Alert severity="info" sx={{ mb: 2 }}>
+          Reopen the complaint if the issue has not been resolved. Please
+          explain what is still wrong so the team can follow up.
+        </Alert>
+        <TextField
+          fullWidth
+          multiline
+          rows={4}
+          label="Reason"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          inputProps={{ maxLength: 500 }}
+          helperText={`${reason.length}/500`}
+          required
+          autoFocus
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={loading}>
+          Cancel
+        </Button>
+        <Button
+          onClick={handleSubmit}
+          variant="contained"
+          color="warning"
+          disabled={loading || !reason.trim()}
+        >
+          {loading ? <CircularProgress size={20} /> : "Reopen"}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ReopenComplaintDialog;
@@ -20,7 +20,53 @@ import { Person as PersonIcon } from "@mui/icons-material";
 import { useAuth } from "../../context/AuthContext";
 import { useNotificationHelpers } from "../../context/NotificationContext";
 import { complaintsApi } from "../../services/api";
-import type { Complaint, User } from "../../types";
+import { getComplaintReference } from "../../utils/helpers";
+import type {
+  AvailableStaffMember,
+  Complaint,
+  StaffAvailability,
+} from "../../types";
+
+const formatAvailabilityTime = (date: string) =>
+  new Date(date).toLocaleString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// Label, chip color and detail line for a staff member's availability
+const describeAvailability = (availability?: StaffAvailability) => {
+  switch (availability?.status) {
+    case "on_shift":
+      return {
+        label: "On shift",
+        color: "success" as const,
+        detail: availability.until
+          ? `Until ${formatAvailabilityTime(availability.until)}`
+          : "",
+      };
+    case "off_shift":
+      return {
+        label: "Off shift",
+        color: "default" as const,
+        detail: availability.availableAt
+          ? `Back ${formatAvailabilityTime(availability.availableAt)}`
+          : "No upcoming shifts",
+      };
+    case "out_of_office":
+      return {
+        label: "Out of office",
+        color: "warning" as const,
+        detail: availability.until
+          ? `Until ${formatAvailabilityTime(availability.until)}`
+          : "",
+      };
+    default:
+      return { label: "Available", color: "success" as const, detail: "" };
+  }
+};
 
 interface StaffAssignmentDialogProps {
   open: boolean;
@@ -39,7 +85,9 @@ const StaffAssignmentDialog: React.FC<StaffAssignmentDialogProps> = ({
   const { showApiError, showSuccess } = useNotificationHelpers();
 
   const [selectedStaff, setSelectedStaff] = useState<string>("");
-  const [availableStaff, setAvailableStaff] = useState<User[]>([]);
+  const [availableStaff, setAvailableStaff] = useState<AvailableStaffMember[]>(
+    []
+  );
   const [loading, setLoading] = useState(false);
   const [fetchingStaff, setFetchingStaff] = useState(false);
 
@@ -62,7 +110,7 @@ const StaffAssignmentDialog: React.FC<StaffAssignmentDialogProps> = ({
 
       const response = await complaintsApi.getAvailableStaff(categoryId);
       if (response.success && response.data) {
-        setAvailableStaff(response.data);
+        setAvailableStaff(response.data.availableStaff);
         // Set current assigned staff if any
         if (complaint.assignedTo) {
           const assignedId =
@@ -145,6 +193,10 @@ const StaffAssignmentDialog: React.FC<StaffAssignmentDialogProps> = ({
     return complaint.assignedTo;
   };
 
+  const selectedStaffMember = availableStaff.find(
+    (staff) => staff._id === selectedStaff
+  );
+
   if (!canAssignStaff) {
     return (
       <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
@@ -168,8 +220,7 @@ const StaffAssignmentDialog: React.FC<StaffAssignmentDialogProps> = ({
       <DialogContent sx={{ pt: 2 }}>
         <Box sx={{ mb: 2 }}>
           <Typography variant="body2" color="text.secondary" gutterBottom>
-            Complaint: #
-            {complaint.ticketId || complaint._id.slice(-6).toUpperCase()}
+            Complaint: #{getComplaintReference(complaint)}
           </Typography>
           <Typography variant="h6" gutterBottom>
             {complaint.title}
@@ -233,12 +284,22 @@ const StaffAssignmentDialog: React.FC<StaffAssignmentDialogProps> = ({
                     <Avatar sx={{ width: 24, height: 24 }}>
                       <PersonIcon />
                     </Avatar>
-                    <Box>
+                    <Box sx={{ flexGrow: 1 }}>
                       <Typography variant="body2">{staff.name}</Typography>
                       <Typography variant="caption" color="text.secondary">
                         {staff.department}
+                        {describeAvailability(staff.availability).detail &&
+                          ` · ${
+                            describeAvailability(staff.availability).detail
+                          }`}
                       </Typography>
                     </Box>
+                    <Chip
+                      label={describeAvailability(staff.availability).label}
+                      color={describeAvailability(staff.availability).color}
+                      size="small"
+                      variant="outlined"
+                    />
                   </Box>
                 </MenuItem>
               ))}
@@ -256,6 +317,18 @@ const StaffAssignmentDialog: React.FC<StaffAssignmentDialogProps> = ({
           </Alert>
         )}
 
+        {selectedStaffMember && !selectedStaffMember.availability.available && (
+          <Alert severity="warning" sx={{ mt: 2 }}>
+            <Typography variant="body2">
+              {selectedStaffMember.name} is currently{" "}
+              {describeAvailability(
+                selectedStaffMember.availability
+              ).label.toLowerCase()}
+              . The complaint may wait until they are back.
+            </Typography>
+          </Alert>
+        )}
+
         {selectedStaff && (
           <Alert severity="info" sx={{ mt: 2 }}>
             <Typography variant="body2">
@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import {
   Dialog,
   DialogTitle,
@@ -19,7 +19,8 @@ import {
 import { useAuth } from "../../context/AuthContext";
 import { useNotificationHelpers } from "../../context/NotificationContext";
 import { complaintsApi } from "../../services/api";
-import type { Complaint } from "../../types";
+import { getComplaintReference } from "../../utils/helpers";
+import type { Complaint, StatusTransition } from "../../types";
 
 interface StatusUpdateDialogProps {
   open: boolean;
@@ -41,33 +42,35 @@ const StatusUpdateDialog: React.FC<StatusUpdateDialogProps> = ({
   const [remarks, setRemarks] = useState("");
   const [loading, setLoading] = useState(false);
 
-  const statusOptions = [
-    {
-      value: "submitted",
-      label: "Submitted",
-      description: "Complaint is newly submitted and awaiting review",
-    },
-    {
-      value: "assigned",
-      label: "Assigned", 
-      description: "Complaint has been assigned to a staff member",
-    },
-    {
-      value: "in-progress",
-      label: "In Progress",
-      description: "Staff is actively working on the complaint",
-    },
-    {
-      value: "resolved",
-      label: "Resolved",
-      description: "Issue has been addressed and resolved",
-    },
-    {
-      value: "closed",
-      label: "Closed",
-      description: "Complaint is completed and closed",
-    },
-  ];
+  const [statusOptions, setStatusOptions] = useState<StatusTransition[]>([]);
+  const [loadingTransitions, setLoadingTransitions] = useState(false);
+
+  // Only offer the status changes the workflow allows for this user
+  useEffect(() => {
+    if (!open) return;
+
+    const fetchTransitions = async () => {
+      setLoadingTransitions(true);
+      try {
+        const response = await complaintsApi.getTransitions(complaint._id);
+        if (response.success && response.data) {
+          setStatusOptions(response.data.transitions);
+        }
+      } catch (error) {
+        showApiError(error, "Failed to load available status changes");
+        setStatusOptions([]);
+      } finally {
+        setLoadingTransitions(false);
+      }
+    };
+
+    fetchTransitions();
+  }, [open, complaint._id, complaint.status, showApiError]);
+
+  const selectedOption = statusOptions.find(
+    (option) => option.status === status
+  );
+  const remarksRequired = !!selectedOption?.requiresRemarks;
 
   const canUpdateStatus =
     user?.role === "admin" ||
@@ -77,7 +80,8 @@ const StatusUpdateDialog: React.FC<StatusUpdateDialogProps> = ({
         complaint.assignedTo?._id === user._id));
 
   const handleSubmit = async () => {
-    if (!canUpdateStatus) return;
+    if (!canUpdateStatus || !selectedOption) return;
+    if (remarksRequired && !remarks.trim()) return;
 
     setLoading(true);
     try {
@@ -118,6 +122,8 @@ const StatusUpdateDialog: React.FC<StatusUpdateDialogProps> = ({
         return "primary";
       case "in-progress":
         return "warning";
+      case "awaiting-requester":
+        return "secondary";
       case "resolved":
         return "success";
       case "closed":
@@ -153,7 +159,7 @@ const StatusUpdateDialog: React.FC<StatusUpdateDialogProps> = ({
       <DialogContent sx={{ pt: 2 }}>
         <Box sx={{ mb: 2 }}>
           <Typography variant="body2" color="text.secondary" gutterBottom>
-            Complaint: #{complaint.ticketId || complaint._id.slice(-6).toUpperCase()}
+            Complaint: #{getComplaintReference(complaint)}
           </Typography>
           <Typography variant="h6" gutterBottom>
             {complaint.title}
@@ -168,15 +174,25 @@ const StatusUpdateDialog: React.FC<StatusUpdateDialogProps> = ({
           </Box>
         </Box>
 
-        <FormControl fullWidth margin="normal" disabled={loading}>
+        {!loadingTransitions && statusOptions.length === 0 && (
+          <Alert severity="info" sx={{ mb: 1 }}>
+            No status changes are available for this complaint.
+          </Alert>
+        )}
+
+        <FormControl
+          fullWidth
+          margin="normal"
+          disabled={loading || loadingTransitions || statusOptions.length === 0}
+        >
           <InputLabel>New Status</InputLabel>
           <Select
-            value={status}
-            onChange={(e) => setStatus(e.target.value)}
+            value={selectedOption ? status : ""}
+            onChange={(e) => setStatus(e.target.value as Complaint["status"])}
             label="New Status"
           >
             {statusOptions.map((option) => (
-              <MenuItem key={option.value} value={option.value}>
+              <MenuItem key={option.status} value={option.status}>
                 <Box>
                   <Typography variant="body1">{option.label}</Typography>
                   <Typography variant="caption" color="text.secondary">
@@ -190,14 +206,19 @@ const StatusUpdateDialog: React.FC<StatusUpdateDialogProps> = ({
 
         <TextField
           fullWidth
-          label="Remarks (Optional)"
+          label={remarksRequired ? "Remarks" : "Remarks (Optional)"}
+          required={remarksRequired}
           multiline
           rows={3}
           value={remarks}
           onChange={(e) => setRemarks(e.target.value)}
           margin="normal"
           disabled={loading}
-          helperText="Add any notes about this status change"
+          helperText={
+            remarksRequired
+              ? "Remarks are required for this status change"
+              : "Add any notes about this status change"
+          }
         />
 
         {status === "resolved" && (
@@ -228,7 +249,11 @@ const StatusUpdateDialog: React.FC<StatusUpdateDialogProps> = ({
         <Button
           onClick={handleSubmit}
           variant="contained"
-          disabled={loading || status === complaint.status}
+          disabled={
+            loading ||
+            !selectedOption ||
+            (remarksRequired && !remarks.trim())
+          }
         >
           {loading ? (
             <>
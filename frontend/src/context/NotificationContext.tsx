@@ -1,4 +1,11 @@
-import React, { createContext, useContext, useReducer, ReactNode } from "react";
+import React, {
+  createContext,
+  useContext,
+  useReducer,
+  useCallback,
+  useMemo,
+  ReactNode,
+} from "react";
 import { Notification, NotificationContextType } from "../types";
 
 // Notification Actions
@@ -77,29 +84,30 @@ export const NotificationProvider: React.FC<NotificationProviderProps> = ({
 }) => {
   const [state, dispatch] = useReducer(notificationReducer, initialState);
 
-  // Add notification function
-  const addNotification = (
-    notification: Omit<Notification, "id" | "timestamp">
-  ): void => {
-    dispatch({ type: "ADD_NOTIFICATION", payload: notification });
-
-    // Auto-remove notification after 5 seconds if autoClose is true
-    if (notification.autoClose !== false) {
-      setTimeout(() => {
-        removeNotification(generateId());
-      }, 5000);
-    }
-  };
-
   // Remove notification function
-  const removeNotification = (id: string): void => {
+  const removeNotification = useCallback((id: string): void => {
     dispatch({ type: "REMOVE_NOTIFICATION", payload: id });
-  };
+  }, []);
+
+  // Add notification function
+  const addNotification = useCallback(
+    (notification: Omit<Notification, "id" | "timestamp">): void => {
+      dispatch({ type: "ADD_NOTIFICATION", payload: notification });
+
+      // Auto-remove notification after 5 seconds if autoClose is true
+      if (notification.autoClose !== false) {
+        setTimeout(() => {
+          removeNotification(generateId());
+        }, 5000);
+      }
+    },
+    [removeNotification]
+  );
 
   // Clear all notifications function
-  const clearNotifications = (): void => {
+  const clearNotifications = useCallback((): void => {
     dispatch({ type: "CLEAR_NOTIFICATIONS" });
-  };
+  }, []);
 
   // Context value
   const contextValue: NotificationContextType = {
@@ -127,79 +135,87 @@ export const useNotification = (): NotificationContextType => {
   return context;
 };
 
-// Utility hooks for common notification types
+// Utility hooks for common notification types. The helpers keep their
+// identity between renders, so effects can depend on them.
 export const useNotificationHelpers = () => {
   const { addNotification } = useNotification();
 
-  return {
-    showSuccess: (title: string, message: string) => {
-      addNotification({
-        type: "success",
-        title,
-        message,
-        autoClose: true,
-      });
-    },
-
-    showError: (title: string, message: string, autoClose: boolean = false) => {
-      addNotification({
-        type: "error",
-        title,
-        message,
-        autoClose,
-      });
-    },
-
-    showWarning: (title: string, message: string) => {
-      addNotification({
-        type: "warning",
-        title,
-        message,
-        autoClose: true,
-      });
-    },
-
-    showInfo: (title: string, message: string) => {
-      addNotification({
-        type: "info",
-        title,
-        message,
-        autoClose: true,
-      });
-    },
-
-    // API error helper
-    showApiError: (error: any, title: string = "Error") => {
-      let message = "An unexpected error occurred";
-
-      if (error.response?.data?.message) {
-        message = error.response.data.message;
-      } else if (error.response?.data?.errors) {
-        message = error.response.data.errors
-          .map((err: any) => err.message || err.msg)
-          .join(", ");
-      } else if (error.message) {
-        message = error.message;
-      }
-
-      addNotification({
-        type: "error",
-        title,
-        message,
-        autoClose: false, // Keep error messages visible
-      });
-    },
-
-    // API success helper
-    showApiSuccess: (message: string, title: string = "Success") => {
-      addNotification({
-        type: "success",
-        title,
-        message,
-        autoClose: true,
-      });
-    },
-  };
+  return useMemo(
+    () => ({
+      showSuccess: (title: string, message: string) => {
+        addNotification({
+          type: "success",
+          title,
+          message,
+          autoClose: true,
+        });
+      },
+
+      showError: (
+        title: string,
+        message: string,
+        autoClose: boolean = false
+      ) => {
+        addNotification({
+          type: "error",
+          title,
+          message,
+          autoClose,
+        });
+      },
+
+      showWarning: (title: string, message: string) => {
+        addNotification({
+          type: "warning",
+          title,
+          message,
+          autoClose: true,
+        });
+      },
+
+      showInfo: (title: string, message: string) => {
+        addNotification({
+          type: "info",
+          title,
+          message,
+          autoClose: true,
+        });
+      },
+
+      // API error helper
+      showApiError: (error: any, title: string = "Error") => {
+        let message = "An unexpected error occurred";
+
+        if (error.response?.data?.message) {
+          message = error.response.data.message;
+        } else if (error.response?.data?.errors) {
+          message = error.response.data.errors
+            .map((err: any) => err.message || err.msg)
+            .join(", ");
+        } else if (error.message) {
+          message = error.message;
+        }
+
+        addNotification({
+          type: "error",
+          title,
+          message,
+          autoClose: false, // Keep error messages visible
+        });
+      },
+
+      // API success helper
+      showApiSuccess: (message: string, title: string = "Success") => {
+        addNotification({
+          type: "success",
+          title,
+          message,
+          autoClose: true,
+        });
+      },
+    }),
+    [addNotification]
+  );
 };
 
 export default NotificationContext;
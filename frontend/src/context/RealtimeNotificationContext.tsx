@@ -222,7 +222,9 @@ export const RealtimeNotificationProvider: React.FC<
 
         // Navigate to relevant page if applicable
         if (notification.data?.complaintId) {
-          window.location.href = `/complaints/${notification.data.complaintId}`;
+          window.location.href = `/complaints/${
+            notification.data.ticketId || notification.data.complaintId
+          }`;
         }
       };
 
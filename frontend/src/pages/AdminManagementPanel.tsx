@@ -32,6 +32,7 @@ import {
   Tooltip,
   Avatar,
   Badge,
+  LinearProgress,
 } from "@mui/material";
 import {
   Edit as EditIcon,
@@ -46,12 +47,19 @@ import {
   Download as DownloadIcon,
   Settings as SettingsIcon,
   Notifications as NotificationsIcon,
+  Balance as BalanceIcon,
 } from "@mui/icons-material";
 import { useAuth } from "../context/AuthContext";
 import { useNotificationHelpers } from "../context/NotificationContext";
 import { useRealtimeNotifications } from "../context/RealtimeNotificationContext";
-import { adminApi } from "../services/api";
+import { adminApi, staffApi } from "../services/api";
 import { formatDate } from "../utils/helpers";
+import type {
+  RebalanceProposal,
+  Tag,
+  TagForm,
+  WorkloadOverview,
+} from "../types";
 
 interface User {
   _id: string;
@@ -99,9 +107,15 @@ const AdminManagementPanel: React.FC = () => {
   const [systemStats, setSystemStats] = useState<SystemStats | null>(null);
   const [loading, setLoading] = useState(true);
   const [selectedTab, setSelectedTab] = useState<
-    "users" | "departments" | "system"
+    "users" | "departments" | "tags" | "workload" | "system"
   >("users");
 
+  // Workload state
+  const [workload, setWorkload] = useState<WorkloadOverview | null>(null);
+  const [rebalance, setRebalance] = useState<RebalanceProposal | null>(null);
+  const [workloadLoading, setWorkloadLoading] = useState(false);
+  const [applyingRebalance, setApplyingRebalance] = useState(false);
+
   // User management state
   const [userDialogOpen, setUserDialogOpen] = useState(false);
   const [editingUser, setEditingUser] = useState<User | null>(null);
@@ -124,6 +138,19 @@ const AdminManagementPanel: React.FC = () => {
     isActive: true,
   });
 
+  // Tag management state
+  const emptyTagForm: TagForm = {
+    name: "",
+    color: "#757575",
+    description: "",
+    department: null,
+    isActive: true,
+  };
+  const [tags, setTags] = useState<Tag[]>([]);
+  const [tagDialogOpen, setTagDialogOpen] = useState(false);
+  const [editingTag, setEditingTag] = useState<Tag | null>(null);
+  const [tagForm, setTagForm] = useState<TagForm>(emptyTagForm);
+
   // System settings state
   const [systemSettings, setSystemSettings] = useState({
     allowUserRegistration: true,
@@ -160,6 +187,69 @@ const AdminManagementPanel: React.FC = () => {
     }
   };
 
+  useEffect(() => {
+    if (user?.role === "admin" && selectedTab === "workload") {
+      fetchWorkload();
+    }
+  }, [user, selectedTab]);
+
+  useEffect(() => {
+    if (user?.role === "admin" && selectedTab === "tags") {
+      fetchTags();
+    }
+  }, [user, selectedTab]);
+
+  // Workload Functions
+  const fetchWorkload = async () => {
+    setWorkloadLoading(true);
+    try {
+      const response = await staffApi.getWorkload();
+      if (response.success && response.data) setWorkload(response.data);
+    } catch (error) {
+      showApiError(error, "Failed to load staff workload");
+    } finally {
+      setWorkloadLoading(false);
+    }
+  };
+
+  const handleProposeRebalance = async () => {
+    setWorkloadLoading(true);
+    try {
+      const response = await staffApi.getRebalanceProposal();
+      if (response.success && response.data) setRebalance(response.data);
+    } catch (error) {
+      showApiError(error, "Failed to propose a rebalance");
+    } finally {
+      setWorkloadLoading(false);
+    }
+  };
+
+  const handleApplyRebalance = async () => {
+    if (!rebalance?.proposals.length) return;
+
+    setApplyingRebalance(true);
+    try {
+      const response = await staffApi.applyRebalance(
+        rebalance.proposals.map((proposal) => ({
+          complaintId: proposal.complaint.id,
+          toStaffId: proposal.to.id,
+        }))
+      );
+      if (response.success) {
+        showSuccess(
+          "Workload Rebalanced",
+          response.message || "Workload rebalanced"
+        );
+        setRebalance(null);
+        fetchWorkload();
+      }
+    } catch (error) {
+      showApiError(error, "Failed to apply the rebalance");
+    } finally {
+      setApplyingRebalance(false);
+    }
+  };
+
   // User Management Functions
   const handleCreateUser = () => {
     setEditingUser(null);
@@ -301,6 +391,81 @@ const AdminManagementPanel: React.FC = () => {
     }
   };
 
+  // Tag Management Functions
+  const fetchTags = async () => {
+    try {
+      const response = await adminApi.getTags({ includeInactive: true });
+      if (response.success) setTags(response.data || []);
+    } catch (error) {
+      showApiError(error, "Failed to load tags");
+    }
+  };
+
+  const handleCreateTag = () => {
+    setEditingTag(null);
+    setTagForm(emptyTagForm);
+    setTagDialogOpen(true);
+  };
+
+  const handleEditTag = (tag: Tag) => {
+    setEditingTag(tag);
+    setTagForm({
+      name: tag.name,
+      color: tag.color,
+      description: tag.description || "",
+      department: tag.department || null,
+      isActive: tag.isActive,
+    });
+    setTagDialogOpen(true);
+  };
+
+  const handleSaveTag = async () => {
+    try {
+      if (editingTag) {
+        const response = await adminApi.updateTag(editingTag.id, tagForm);
+        if (response.success && response.data) {
+          showSuccess("Success", "Tag updated successfully");
+          const updated = response.data;
+          setTags((prev) =>
+            prev.map((t) => (t.id === editingTag.id ? updated : t))
+          );
+        }
+      } else {
+        const response = await adminApi.createTag(tagForm);
+        if (response.success && response.data) {
+          showSuccess("Success", "Tag created successfully");
+          const created = response.data;
+          setTags((prev) =>
+            [...prev, created].sort((a, b) => a.name.localeCompare(b.name))
+          );
+        }
+      }
+      setTagDialogOpen(false);
+    } catch (error) {
+      showApiError(error, "Failed to save tag");
+    }
+  };
+
+  const handleDeleteTag = async (tag: Tag) => {
+    if (
+      !window.confirm(
+        `Delete the tag "${tag.name}"? It will be removed from every complaint.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      const response = await adminApi.deleteTag(tag.id);
+      if (response.success) {
+        showSuccess("Success", "Tag deleted successfully");
+        setTags((prev) => prev.filter((t) => t.id !== tag.id));
+      }
+    } catch (error) {
+      showApiError(error, "Failed to delete tag");
+    }
+  };
+
   // Utility Functions
   const getRoleIcon = (role: string) => {
     switch (role) {
@@ -475,7 +640,7 @@ const AdminManagementPanel: React.FC = () => {
       {/* Tab Navigation */}
       <Paper sx={{ mb: 3 }}>
         <Box display="flex" borderBottom={1} borderColor="divider">
-          {["users", "departments", "system"].map((tab) => (
+          {["users", "departments", "tags", "workload", "system"].map((tab) => (
             <Button
               key={tab}
               onClick={() => setSelectedTab(tab as any)}
@@ -696,6 +861,245 @@ const AdminManagementPanel: React.FC = () => {
         </Paper>
       )}
 
+      {/* Tags Tab */}
+      {selectedTab === "tags" && (
+        <Paper sx={{ p: 3 }}>
+          <Box
+            display="flex"
+            justifyContent="space-between"
+            alignItems="center"
+            mb={3}
+          >
+            <Typography variant="h6">Tag Management</Typography>
+            <Button
+              variant="contained"
+              startIcon={<AddIcon />}
+              onClick={handleCreateTag}
+            >
+              Add Tag
+            </Button>
+          </Box>
+
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Tag</TableCell>
+                  <TableCell>Description</TableCell>
+                  <TableCell>Department</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {tags.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={5} align="center">
+                      <Typography variant="body2" color="textSecondary">
+                        No tags defined yet
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+                {tags.map((tag) => (
+                  <TableRow key={tag.id}>
+                    <TableCell>
+                      <Chip
+                        label={tag.name}
+                        size="small"
+                        sx={{ backgroundColor: tag.color, color: "#fff" }}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2" color="textSecondary">
+                        {tag.description}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>{tag.department || "All departments"}</TableCell>
+                    <TableCell>
+                      <Chip
+                        label={tag.isActive ? "Active" : "Inactive"}
+                        color={tag.isActive ? "success" : "error"}
+                        size="small"
+                      />
+                    </TableCell>
+                    <TableCell align="right">
+                      <Tooltip title="Edit tag">
+                        <IconButton
+                          size="small"
+                          onClick={() => handleEditTag(tag)}
+                        >
+                          <EditIcon />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Delete tag">
+                        <IconButton
+                          size="small"
+                          color="error"
+                          onClick={() => handleDeleteTag(tag)}
+                        >
+                          <DeleteIcon />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      )}
+
+      {/* Workload Tab */}
+      {selectedTab === "workload" && (
+        <Paper sx={{ p: 3 }}>
+          <Box
+            display="flex"
+            justifyContent="space-between"
+            alignItems="center"
+            mb={3}
+          >
+            <Typography variant="h6">Staff Workload</Typography>
+            <Box display="flex" gap={2}>
+              <Button
+                variant="outlined"
+                startIcon={<RefreshIcon />}
+                onClick={fetchWorkload}
+                disabled={workloadLoading}
+              >
+                Refresh
+              </Button>
+              <Button
+                variant="contained"
+                startIcon={<BalanceIcon />}
+                onClick={handleProposeRebalance}
+                disabled={workloadLoading}
+              >
+                Propose Rebalance
+              </Button>
+            </Box>
+          </Box>
+
+          {workloadLoading && <LinearProgress sx={{ mb: 2 }} />}
+
+          {rebalance && (
+            <Box mb={3}>
+              {rebalance.proposals.length === 0 ? (
+                <Alert severity="info" onClose={() => setRebalance(null)}>
+                  No moves needed
+                  {rebalance.unresolved.length > 0 &&
+                    ` — ${rebalance.unresolved.length} overloaded staff member(s) have no colleague with headroom`}
+                  .
+                </Alert>
+              ) : (
+                <>
+                  <Alert
+                    severity="warning"
+                    sx={{ mb: 2 }}
+                    action={
+                      <Button
+                        color="inherit"
+                        size="small"
+                        onClick={handleApplyRebalance}
+                        disabled={applyingRebalance}
+                      >
+                        {applyingRebalance ? "Applying..." : "Apply All"}
+                      </Button>
+                    }
+                  >
+                    {rebalance.proposals.length} complaint(s) can be moved from
+                    overloaded staff.
+                  </Alert>
+                  <TableContainer>
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>Complaint</TableCell>
+                          <TableCell>Priority</TableCell>
+                          <TableCell>From</TableCell>
+                          <TableCell>To</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {rebalance.proposals.map((proposal) => (
+                          <TableRow key={proposal.complaint.id}>
+                            <TableCell>{proposal.complaint.title}</TableCell>
+                            <TableCell sx={{ textTransform: "capitalize" }}>
+                              {proposal.complaint.priority}
+                            </TableCell>
+                            <TableCell>{proposal.from.name}</TableCell>
+                            <TableCell>{proposal.to.name}</TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                </>
+              )}
+            </Box>
+          )}
+
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Staff Member</TableCell>
+                  <TableCell>Department</TableCell>
+                  <TableCell>Availability</TableCell>
+                  <TableCell>Open</TableCell>
+                  <TableCell sx={{ minWidth: 200 }}>Capacity Used</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {workload?.staff.map((member) => (
+                  <TableRow key={member.id}>
+                    <TableCell>
+                      <Typography variant="body2" fontWeight="bold">
+                        {member.name}
+                      </Typography>
+                      <Typography variant="caption" color="textSecondary">
+                        {member.email}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>{member.department || "-"}</TableCell>
+                    <TableCell>
+                      <Chip
+                        label={member.availability.status.replace(/_/g, " ")}
+                        color={
+                          member.availability.available ? "success" : "default"
+                        }
+                        size="small"
+                        sx={{ textTransform: "capitalize" }}
+                      />
+                    </TableCell>
+                    <TableCell>{member.workload.total}</TableCell>
+                    <TableCell>
+                      <Box display="flex" alignItems="center" gap={1}>
+                        <LinearProgress
+                          variant="determinate"
+                          value={Math.min(
+                            member.workload.utilization * 100,
+                            100
+                          )}
+                          color={
+                            member.workload.overloaded ? "error" : "primary"
+                          }
+                          sx={{ flexGrow: 1, height: 8, borderRadius: 4 }}
+                        />
+                        <Typography variant="caption">
+                          {member.workload.weightedLoad}/
+                          {member.workload.capacity}
+                        </Typography>
+                      </Box>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      )}
+
       {/* System Settings Tab */}
       {selectedTab === "system" && (
         <Paper sx={{ p: 3 }}>
@@ -966,6 +1370,104 @@ const AdminManagementPanel: React.FC = () => {
           </Button>
         </DialogActions>
       </Dialog>
+
+      {/* Tag Dialog */}
+      <Dialog
+        open={tagDialogOpen}
+        onClose={() => setTagDialogOpen(false)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>{editingTag ? "Edit Tag" : "Create New Tag"}</DialogTitle>
+        <DialogContent>
+          <Box display="flex" flexDirection="column" gap={2} mt={1}>
+            <TextField
+              label="Tag Name"
+              value={tagForm.name}
+              onChange={(e) =>
+                setTagForm((prev) => ({ ...prev, name: e.target.value }))
+              }
+              helperText="Lowercase letters, numbers, spaces, hyphens and underscores"
+              fullWidth
+              required
+            />
+
+            <TextField
+              label="Color"
+              type="color"
+              value={tagForm.color}
+              onChange={(e) =>
+                setTagForm((prev) => ({ ...prev, color: e.target.value }))
+              }
+              fullWidth
+            />
+
+            <TextField
+              label="Description"
+              value={tagForm.description}
+              onChange={(e) =>
+                setTagForm((prev) => ({
+                  ...prev,
+                  description: e.target.value,
+                }))
+              }
+              multiline
+              rows={2}
+              fullWidth
+            />
+
+            <FormControl fullWidth>
+              <InputLabel shrink>Department</InputLabel>
+              <Select
+                value={tagForm.department || ""}
+                label="Department"
+                displayEmpty
+                notched
+                onChange={(e) =>
+                  setTagForm((prev) => ({
+                    ...prev,
+                    department: e.target.value || null,
+                  }))
+                }
+              >
+                <MenuItem value="">All departments</MenuItem>
+                {departments
+                  .filter((d) => d.isActive)
+                  .map((department) => (
+                    <MenuItem key={department._id} value={department.name}>
+                      {department.name}
+                    </MenuItem>
+                  ))}
+              </Select>
+            </FormControl>
+
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={tagForm.isActive}
+                  onChange={(e) =>
+                    setTagForm((prev) => ({
+                      ...prev,
+                      isActive: e.target.checked,
+                    }))
+                  }
+                />
+              }
+              label="Active"
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setTagDialogOpen(false)}>Cancel</Button>
+          <Button
+            onClick={handleSaveTag}
+            variant="contained"
+            disabled={!tagForm.name.trim()}
+          >
+            {editingTag ? "Update" : "Create"}
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Container>
   );
 };
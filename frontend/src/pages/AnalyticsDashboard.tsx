@@ -38,6 +38,7 @@ import {
   Category,
   Timeline as TimelineIcon,
   Download,
+  PictureAsPdf,
   Refresh,
   Dashboard as DashboardIcon,
 } from "@mui/icons-material";
@@ -60,8 +61,13 @@ import {
 } from "recharts";
 import { useAuth } from "../context/AuthContext";
 import { useNotificationHelpers } from "../context/NotificationContext";
-import { analyticsApi } from "../services/api";
-import { formatDate, getStatusColor, getPriorityColor } from "../utils/helpers";
+import { analyticsApi, adminApi } from "../services/api";
+import {
+  formatDate,
+  getStatusColor,
+  getPriorityColor,
+  downloadBlob,
+} from "../utils/helpers";
 
 interface AnalyticsDashboardProps {}
 
@@ -125,6 +131,7 @@ interface StaffMetrics {
   avgResolutionTime: number;
   resolutionRate: number;
   escalationRate: number;
+  reopenRate?: number;
 }
 
 const COLORS = [
@@ -241,6 +248,28 @@ const AnalyticsDashboard: React.FC<AnalyticsDashboardProps> = () => {
     }
   };
 
+  const handleDownloadReport = async () => {
+    // Same period as the dashboard, e.g. "30d" or "1y"
+    const days = timeframe.endsWith("y")
+      ? parseInt(timeframe) * 365
+      : parseInt(timeframe) || 30;
+
+    try {
+      const response = await adminApi.downloadAnalyticsReportPdf({
+        startDate: new Date(
+          Date.now() - days * 24 * 60 * 60 * 1000
+        ).toISOString(),
+        trendDays: days,
+      });
+      downloadBlob(
+        response.data,
+        `analytics-report-${new Date().toISOString().split("T")[0]}.pdf`
+      );
+    } catch (error) {
+      showApiError(error, "Failed to download the report");
+    }
+  };
+
   const getPerformanceColor = (rate: number) => {
     if (rate >= 80) return "success";
     if (rate >= 60) return "warning";
@@ -470,6 +499,7 @@ const AnalyticsDashboard: React.FC<AnalyticsDashboardProps> = () => {
                 <TableCell align="right">Resolution Rate</TableCell>
                 <TableCell align="right">Avg Time (hrs)</TableCell>
                 <TableCell align="right">Escalation Rate</TableCell>
+                <TableCell align="right">Reopen Rate</TableCell>
               </TableRow>
             </TableHead>
             <TableBody>
@@ -518,6 +548,9 @@ const AnalyticsDashboard: React.FC<AnalyticsDashboardProps> = () => {
                       size="small"
                     />
                   </TableCell>
+                  <TableCell align="right">
+                    {Number(staff.reopenRate || 0).toFixed(1)}%
+                  </TableCell>
                 </TableRow>
               ))}
             </TableBody>
@@ -638,6 +671,19 @@ const AnalyticsDashboard: React.FC<AnalyticsDashboardProps> = () => {
               </Button>
             </Tooltip>
           )}
+
+          {user?.role === "admin" && (
+            <Tooltip title="Download PDF report">
+              <Button
+                variant="outlined"
+                startIcon={<PictureAsPdf />}
+                onClick={handleDownloadReport}
+                size="small"
+              >
+                PDF
+              </Button>
+            </Tooltip>
+          )}
         </Box>
       </Box>
 
@@ -12,6 +12,8 @@ import {
   Divider,
   Paper,
   Stack,
+  Menu,
+  MenuItem,
 } from "@mui/material";
 import {
   Timeline,
@@ -35,6 +37,9 @@ import {
   Info as InfoIcon,
   Edit as EditIcon,
   Assignment as AssignmentIcon,
+  Place as PlaceIcon,
+  Replay as ReopenIcon,
+  PictureAsPdf as PdfIcon,
 } from "@mui/icons-material";
 import { useParams, useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
@@ -42,14 +47,24 @@ import { useNotificationHelpers } from "../context/NotificationContext";
 import { complaintsApi, categoriesApi } from "../services/api";
 import StatusUpdateDialog from "../components/complaint/StatusUpdateDialog";
 import StaffAssignmentDialog from "../components/complaint/StaffAssignmentDialog";
+import ReopenComplaintDialog from "../components/complaint/ReopenComplaintDialog";
+import FeedbackPanel from "../components/complaint/FeedbackPanel";
+import ComplaintConversation from "../components/complaint/ComplaintConversation";
+import ComplaintTags from "../components/complaint/ComplaintTags";
+import ComplaintLinks from "../components/complaint/ComplaintLinks";
 import FileUpload from "../components/common/FileUpload";
-import type { Complaint, Category } from "../types";
+import {
+  downloadBlob,
+  getComplaintReference,
+  isTicketId,
+} from "../utils/helpers";
+import type { Complaint, Category, SLATier } from "../types";
 
 const ComplaintDetails: React.FC = () => {
   const { id } = useParams<{ id: string }>();
   const navigate = useNavigate();
   const { user } = useAuth();
-  const { showApiError } = useNotificationHelpers();
+  const { showApiError, showSuccess } = useNotificationHelpers();
 
   const [complaint, setComplaint] = useState<Complaint | null>(null);
   const [category, setCategory] = useState<Category | null>(null);
@@ -57,6 +72,10 @@ const ComplaintDetails: React.FC = () => {
   const [statusUpdateDialogOpen, setStatusUpdateDialogOpen] = useState(false);
   const [staffAssignmentDialogOpen, setStaffAssignmentDialogOpen] =
     useState(false);
+  const [reopenDialogOpen, setReopenDialogOpen] = useState(false);
+  const [reportMenuAnchor, setReportMenuAnchor] = useState<null | HTMLElement>(
+    null
+  );
 
   useEffect(() => {
     if (id) {
@@ -69,7 +88,10 @@ const ComplaintDetails: React.FC = () => {
 
     setLoading(true);
     try {
-      const response = await complaintsApi.getComplaintById(id);
+      // Complaints can be opened by ticket ID as well as by database ID
+      const response = isTicketId(id)
+        ? await complaintsApi.getComplaintByTicketId(id)
+        : await complaintsApi.getComplaintById(id);
 
       if (response.success && response.data) {
         setComplaint(response.data);
@@ -109,6 +131,8 @@ const ComplaintDetails: React.FC = () => {
         return "primary";
       case "in-progress":
         return "warning";
+      case "awaiting-requester":
+        return "secondary";
       case "resolved":
         return "success";
       case "closed":
@@ -165,13 +189,59 @@ const ComplaintDetails: React.FC = () => {
     setComplaint(updatedComplaint);
   };
 
+  const handleAcknowledge = async () => {
+    if (!complaint) return;
+
+    try {
+      const response = await complaintsApi.acknowledgeComplaint(complaint._id);
+      if (response.success && response.data) {
+        setComplaint({ ...complaint, sla: response.data });
+        showSuccess(
+          "Complaint Acknowledged",
+          "The acknowledgement has been recorded."
+        );
+      }
+    } catch (error) {
+      showApiError(error, "Failed to acknowledge complaint");
+    }
+  };
+
+  // Download the case file, with or without internal notes
+  const handleDownloadReport = async (includeInternal: boolean) => {
+    setReportMenuAnchor(null);
+    if (!complaint) return;
+
+    try {
+      const response = await complaintsApi.downloadReportPdf(
+        complaint._id,
+        includeInternal
+      );
+      downloadBlob(
+        response.data,
+        `complaint-${getComplaintReference(complaint)}-report.pdf`
+      );
+    } catch (error) {
+      showApiError(error, "Failed to download the report");
+    }
+  };
+
+  const isBreached = (tier: SLATier) =>
+    !!complaint?.sla?.breaches.some((breach) => breach.tier === tier);
+
   const canUpdateStatus =
-    user?.role === "admin" ||
-    (user?.role === "staff" &&
-      complaint &&
-      (typeof complaint.assignedTo === "string"
-        ? complaint.assignedTo === user._id
-        : complaint.assignedTo?._id === user._id));
+    !complaint?.mergedInto &&
+    (user?.role === "admin" ||
+      (user?.role === "staff" &&
+        complaint &&
+        (typeof complaint.assignedTo === "string"
+          ? complaint.assignedTo === user._id
+          : complaint.assignedTo?._id === user._id)));
+
+  // Complainants can dispute a resolution within the reopen window
+  const canReopen =
+    !!complaint?.reopenDeadline &&
+    complaint.user?._id === user?._id &&
+    new Date(complaint.reopenDeadline) > new Date();
 
   const formatDate = (dateString: string) => {
     return new Date(dateString).toLocaleString("en-US", {
@@ -237,8 +307,7 @@ const ComplaintDetails: React.FC = () => {
           Back to Complaints
         </Button>
         <Typography variant="h4" component="h1" sx={{ flexGrow: 1 }}>
-          Complaint #
-          {complaint.ticketId || complaint._id.slice(-6).toUpperCase()}
+          Complaint #{getComplaintReference(complaint)}
         </Typography>
         {canUpdateStatus && (
           <Button
@@ -250,6 +319,16 @@ const ComplaintDetails: React.FC = () => {
             Update Status
           </Button>
         )}
+        {canReopen && (
+          <Button
+            startIcon={<ReopenIcon />}
+            onClick={() => setReopenDialogOpen(true)}
+            variant="outlined"
+            color="warning"
+          >
+            Reopen
+          </Button>
+        )}
         {user?.role === "admin" && (
           <Button
             startIcon={<AssignmentIcon />}
@@ -260,8 +339,77 @@ const ComplaintDetails: React.FC = () => {
             Assign Staff
           </Button>
         )}
+        {(user?.role === "staff" || user?.role === "admin") && (
+          <>
+            <Button
+              startIcon={<PdfIcon />}
+              onClick={(e) => setReportMenuAnchor(e.currentTarget)}
+              variant="outlined"
+            >
+              PDF
+            </Button>
+            <Menu
+              anchorEl={reportMenuAnchor}
+              open={Boolean(reportMenuAnchor)}
+              onClose={() => setReportMenuAnchor(null)}
+            >
+              <MenuItem onClick={() => handleDownloadReport(true)}>
+                Case file with internal notes
+              </MenuItem>
+              <MenuItem onClick={() => handleDownloadReport(false)}>
+                Case file without internal notes
+              </MenuItem>
+            </Menu>
+          </>
+        )}
       </Box>
 
+      {complaint.mergedInto && (
+        <Alert
+          severity="info"
+          sx={{ mb: 3 }}
+          action={
+            <Button
+              color="inherit"
+              size="small"
+              onClick={() =>
+                navigate(
+                  `/complaints/${
+                    complaint.mergedInto?.ticketId || complaint.mergedInto?.id
+                  }`
+                )
+              }
+            >
+              View
+            </Button>
+          }
+        >
+          This complaint was merged into #
+          {getComplaintReference({
+            _id: complaint.mergedInto.id,
+            ticketId: complaint.mergedInto.ticketId,
+          })}{" "}
+          and is being handled there.
+        </Alert>
+      )}
+
+      {complaint.sla?.pausedAt && (
+        <Alert severity="info" sx={{ mb: 3 }}>
+          {complaint.user?._id === user?._id
+            ? "Our team needs more information from you. Please reply in the conversation below; work resumes as soon as you do."
+            : `Waiting for the complainant since ${formatDate(
+                complaint.sla.pausedAt
+              )}. The SLA clock is paused until they reply.`}
+        </Alert>
+      )}
+
+      {canReopen && complaint.reopenDeadline && (
+        <Alert severity="success" sx={{ mb: 3 }}>
+          This complaint has been resolved. If the issue persists, you can
+          reopen it until {formatDate(complaint.reopenDeadline)}.
+        </Alert>
+      )}
+
       <Box
         sx={{
           display: "flex",
@@ -297,7 +445,29 @@ const ComplaintDetails: React.FC = () => {
                       icon={<EscalateIcon />}
                     />
                   )}
+                  {!!complaint.reopenCount && (
+                    <Chip
+                      label={`REOPENED${
+                        complaint.reopenCount > 1
+                          ? ` ${complaint.reopenCount}x`
+                          : ""
+                      }`}
+                      color="warning"
+                      variant="outlined"
+                      icon={<ReopenIcon />}
+                    />
+                  )}
+                  {complaint.autoClosedAt && (
+                    <Chip label="AUTO-CLOSED" variant="outlined" />
+                  )}
                 </Stack>
+                <ComplaintTags
+                  complaint={complaint}
+                  department={category?.department}
+                  onTagsChange={(tags) =>
+                    setComplaint((prev) => (prev ? { ...prev, tags } : prev))
+                  }
+                />
               </Box>
 
               <Divider sx={{ mb: 3 }} />
@@ -334,31 +504,20 @@ const ComplaintDetails: React.FC = () => {
                   </Box>
                 </>
               )}
-
-              {complaint.internalNotes &&
-                complaint.internalNotes.length > 0 && (
-                  <>
-                    <Typography variant="h6" gutterBottom>
-                      Staff Notes
-                    </Typography>
-                    {complaint.internalNotes.map((note, index) => (
-                      <Paper
-                        key={index}
-                        variant="outlined"
-                        sx={{ p: 2, mb: 2 }}
-                      >
-                        <Typography variant="body2" sx={{ mb: 1 }}>
-                          <strong>{note.addedBy?.name || "Staff"}</strong> -{" "}
-                          {formatDate(note.addedAt)}
-                        </Typography>
-                        <Typography variant="body1">{note.note}</Typography>
-                      </Paper>
-                    ))}
-                  </>
-                )}
             </CardContent>
           </Card>
 
+          <ComplaintLinks
+            complaint={complaint}
+            onLinksChange={(links) =>
+              setComplaint((prev) => (prev ? { ...prev, links } : prev))
+            }
+            onMerged={handleRefresh}
+          />
+
+          {/* Comments and internal notes */}
+          <ComplaintConversation complaint={complaint} />
+
           {/* Status Timeline */}
           <Card>
             <CardContent>
@@ -386,7 +545,7 @@ const ComplaintDetails: React.FC = () => {
                         {formatDate(history.timestamp)}
                       </Typography>
                       <Typography variant="body2" color="text.secondary">
-                        Updated by: {history.updatedBy}
+                        Updated by: {history.updatedBy ?? "System"}
                       </Typography>
                       {history.remarks && (
                         <Typography variant="body2" sx={{ mt: 1 }}>
@@ -456,6 +615,41 @@ const ComplaintDetails: React.FC = () => {
                 </Box>
               )}
 
+              {complaint.location && (
+                <Box sx={{ mb: 2 }}>
+                  <Typography variant="body2" color="text.secondary">
+                    Location
+                  </Typography>
+                  <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+                    <PlaceIcon color="action" />
+                    <Typography variant="body1">
+                      {complaint.location}
+                    </Typography>
+                  </Box>
+                </Box>
+              )}
+
+              {/* Category custom fields; labels come from the category */}
+              {Object.entries(complaint.customFields || {}).map(
+                ([key, value]) => {
+                  const field = category?.customFields?.find(
+                    (definition) => definition.key === key
+                  );
+                  return (
+                    <Box key={key} sx={{ mb: 2 }}>
+                      <Typography variant="body2" color="text.secondary">
+                        {field?.label || key}
+                      </Typography>
+                      <Typography variant="body1">
+                        {field?.type === "date"
+                          ? new Date(value).toLocaleDateString()
+                          : String(value)}
+                      </Typography>
+                    </Box>
+                  );
+                }
+              )}
+
               <Box sx={{ mb: 2 }}>
                 <Typography variant="body2" color="text.secondary">
                   Contact Method
@@ -479,22 +673,112 @@ const ComplaintDetails: React.FC = () => {
                 </Box>
               )}
 
+              {complaint.sla && user?.role !== "user" && (
+                <Box sx={{ mb: 2 }}>
+                  <Typography variant="body2" color="text.secondary">
+                    Service Level Targets
+                  </Typography>
+                  {[
+                    {
+                      tier: "acknowledge" as SLATier,
+                      label: "Acknowledge",
+                      dueAt: complaint.sla.acknowledgeDueAt,
+                      doneAt: complaint.sla.acknowledgedAt,
+                    },
+                    {
+                      tier: "first_response" as SLATier,
+                      label: "First response",
+                      dueAt: complaint.sla.firstResponseDueAt,
+                      doneAt: complaint.sla.firstRespondedAt,
+                    },
+                  ]
+                    .filter((target) => target.dueAt)
+                    .map((target) => (
+                      <Box
+                        key={target.tier}
+                        sx={{
+                          display: "flex",
+                          alignItems: "center",
+                          justifyContent: "space-between",
+                          gap: 1,
+                          mt: 0.5,
+                        }}
+                      >
+                        <Typography variant="body2">
+                          {target.label}:{" "}
+                          {target.doneAt
+                            ? formatDate(target.doneAt)
+                            : `due ${formatDate(target.dueAt!)}`}
+                        </Typography>
+                        {isBreached(target.tier) ? (
+                          <Chip label="Breached" size="small" color="error" />
+                        ) : (
+                          target.doneAt && (
+                            <Chip label="Met" size="small" color="success" />
+                          )
+                        )}
+                      </Box>
+                    ))}
+                  {!complaint.sla.acknowledgedAt && (
+                    <Button
+                      size="small"
+                      variant="outlined"
+                      onClick={handleAcknowledge}
+                      sx={{ mt: 1 }}
+                    >
+                      Acknowledge
+                    </Button>
+                  )}
+                </Box>
+              )}
+
               {complaint.escalation.isEscalated && (
                 <Alert severity="warning" sx={{ mt: 2 }}>
                   <Typography variant="body2">
                     <strong>Escalated:</strong>{" "}
                     {formatDate(complaint.escalation.escalatedAt!)}
                   </Typography>
+                  {!!complaint.escalation.level && (
+                    <Typography variant="body2" sx={{ mt: 1 }}>
+                      <strong>Level:</strong> L{complaint.escalation.level}
+                      {complaint.escalation.levelName &&
+                        ` (${complaint.escalation.levelName})`}
+                    </Typography>
+                  )}
                   {complaint.escalation.reason && (
                     <Typography variant="body2" sx={{ mt: 1 }}>
                       <strong>Reason:</strong> {complaint.escalation.reason}
                     </Typography>
                   )}
+                  {complaint.escalation.nextEscalationAt && (
+                    <Typography variant="body2" sx={{ mt: 1 }}>
+                      <strong>Next level:</strong>{" "}
+                      {formatDate(complaint.escalation.nextEscalationAt)}
+                    </Typography>
+                  )}
+                  {(complaint.escalation.history?.length ?? 0) > 1 && (
+                    <Box sx={{ mt: 1 }}>
+                      {complaint.escalation.history!.map((entry) => (
+                        <Typography
+                          key={entry.level}
+                          variant="caption"
+                          display="block"
+                        >
+                          L{entry.level}
+                          {entry.levelName && ` ${entry.levelName}`} -{" "}
+                          {formatDate(entry.escalatedAt)}
+                        </Typography>
+                      ))}
+                    </Box>
+                  )}
                 </Alert>
               )}
             </CardContent>
           </Card>
 
+          {/* Feedback */}
+          <FeedbackPanel complaint={complaint} />
+
           {/* File Uploads */}
           <Card>
             <CardContent>
@@ -544,6 +828,16 @@ const ComplaintDetails: React.FC = () => {
         />
       )}
 
+      {/* Reopen Dialog */}
+      {complaint && (
+        <ReopenComplaintDialog
+          open={reopenDialogOpen}
+          onClose={() => setReopenDialogOpen(false)}
+          complaint={complaint}
+          onUpdate={handleComplaintUpdate}
+        />
+      )}
+
       {/* Staff Assignment Dialog */}
       {complaint && (
         <StaffAssignmentDialog
@@ -23,24 +23,34 @@ import {
   MenuItem,
   ListItemIcon,
   ListItemText,
+  Checkbox,
 } from "@mui/material";
 import {
   Add as AddIcon,
   Visibility as ViewIcon,
-  Download as DownloadIcon,
   Sort as SortIcon,
   ArrowUpward as ArrowUpIcon,
   ArrowDownward as ArrowDownIcon,
 } from "@mui/icons-material";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
 import { useNotificationHelpers } from "../context/NotificationContext";
-import { complaintsApi, categoriesApi, usersApi } from "../services/api";
+import {
+  complaintsApi,
+  categoriesApi,
+  usersApi,
+  adminApi,
+} from "../services/api";
 import SearchAndFilter from "../components/common/SearchAndFilter";
-import type { Complaint, Category } from "../types";
+import BulkActionBar from "../components/complaint/BulkActionBar";
+import ExportComplaintsDialog from "../components/complaint/ExportComplaintsDialog";
+import HighlightedText from "../components/common/HighlightedText";
+import { getComplaintReference } from "../utils/helpers";
+import type { Complaint, Category, Tag } from "../types";
 
 const ComplaintsList: React.FC = () => {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const { user } = useAuth();
   const { showApiError } = useNotificationHelpers();
 
@@ -48,6 +58,7 @@ const ComplaintsList: React.FC = () => {
   const [categories, setCategories] = useState<Category[]>([]);
   const [departments, setDepartments] = useState<any[]>([]);
   const [staffMembers, setStaffMembers] = useState<any[]>([]);
+  const [tags, setTags] = useState<Tag[]>([]);
   const [loading, setLoading] = useState(true);
   const [totalCount, setTotalCount] = useState(0);
 
@@ -68,16 +79,29 @@ const ComplaintsList: React.FC = () => {
 
   const [showFilters, setShowFilters] = useState(false);
 
+  // Export dialog
+  const [exportOpen, setExportOpen] = useState(false);
+
+  // Bulk selection: picked complaints, or every complaint matching the filters
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [allMatchingSelected, setAllMatchingSelected] = useState(false);
+  const canBulkEdit = user?.role === "admin" || user?.role === "staff";
+
   // Load initial data
   useEffect(() => {
     const fetchInitialData = async () => {
       try {
-        const [categoriesResponse, staffResponse] = await Promise.all([
-          categoriesApi.getCategories(),
-          user?.role === "admin" || user?.role === "staff"
-            ? usersApi.getStaffMembers()
-            : Promise.resolve({ success: true, data: [] }),
-        ]);
+        const isStaffOrAdmin = user?.role === "admin" || user?.role === "staff";
+        const [categoriesResponse, staffResponse, tagsResponse] =
+          await Promise.all([
+            categoriesApi.getCategories(),
+            isStaffOrAdmin
+              ? usersApi.getStaffMembers()
+              : Promise.resolve({ success: true, data: [] }),
+            isStaffOrAdmin
+              ? adminApi.getTags()
+              : Promise.resolve({ success: true, data: [] as Tag[] }),
+          ]);
 
         if (categoriesResponse.success && categoriesResponse.data) {
           setCategories(categoriesResponse.data);
@@ -87,6 +111,10 @@ const ComplaintsList: React.FC = () => {
           setStaffMembers(staffResponse.data);
         }
 
+        if (tagsResponse.success && tagsResponse.data) {
+          setTags(tagsResponse.data);
+        }
+
         // Load departments if user has access
         if (user?.role === "admin") {
           try {
@@ -111,62 +139,88 @@ const ComplaintsList: React.FC = () => {
     fetchComplaints();
   }, [page, rowsPerPage, searchTerm, filters, sortBy, sortOrder]);
 
+  // Query parameters for the current search and filters
+  const buildFilterParams = () => {
+    const queryParams: any = {};
+
+    // Add search term if provided
+    if (searchTerm.trim()) {
+      queryParams.search = searchTerm.trim();
+    }
+
+    // Add filters
+    if (filters.status && filters.status.length > 0) {
+      queryParams.status = filters.status.join(",");
+    }
+    if (filters.priority && filters.priority.length > 0) {
+      queryParams.priority = filters.priority.join(",");
+    }
+    if (filters.category && filters.category.length > 0) {
+      queryParams.category = filters.category.join(",");
+    }
+    if (filters.assignedTo && filters.assignedTo.length > 0) {
+      queryParams.assignedTo = filters.assignedTo.join(",");
+    }
+    if (filters.department && filters.department.length > 0) {
+      queryParams.department = filters.department.join(",");
+    }
+    if (filters.dateRange?.start) {
+      queryParams.startDate = filters.dateRange.start.toISOString();
+    }
+    if (filters.dateRange?.end) {
+      queryParams.endDate = filters.dateRange.end.toISOString();
+    }
+    if (filters.escalated !== null) {
+      queryParams.escalated = filters.escalated;
+    }
+    if (filters.hasAttachments !== null) {
+      queryParams.hasAttachments = filters.hasAttachments;
+    }
+    if (
+      filters.resolutionTime &&
+      (filters.resolutionTime[0] !== 0 || filters.resolutionTime[1] !== 168)
+    ) {
+      queryParams.minResolutionTime = filters.resolutionTime[0];
+      queryParams.maxResolutionTime = filters.resolutionTime[1];
+    }
+    if (filters.tags && filters.tags.length > 0) {
+      queryParams.tags = filters.tags.join(",");
+    }
+
+    return queryParams;
+  };
+
+  // Filters the bulk endpoint understands, for acting on every match
+  const buildBulkFilter = () => {
+    const queryParams = buildFilterParams();
+    const bulkFilter: Record<string, string> = {};
+    [
+      "search",
+      "status",
+      "priority",
+      "category",
+      "assignedTo",
+      "tags",
+      "startDate",
+      "endDate",
+    ].forEach((key) => {
+      if (queryParams[key] !== undefined) {
+        bulkFilter[key] = String(queryParams[key]);
+      }
+    });
+    return bulkFilter;
+  };
+
   const fetchComplaints = async () => {
     setLoading(true);
     try {
-      // Build query parameters
-      const queryParams: any = {
+      const response = await complaintsApi.getComplaints({
         page: page + 1,
         limit: rowsPerPage,
         sortBy,
         sortOrder,
-      };
-
-      // Add search term if provided
-      if (searchTerm.trim()) {
-        queryParams.search = searchTerm.trim();
-      }
-
-      // Add filters
-      if (filters.status && filters.status.length > 0) {
-        queryParams.status = filters.status.join(",");
-      }
-      if (filters.priority && filters.priority.length > 0) {
-        queryParams.priority = filters.priority.join(",");
-      }
-      if (filters.category && filters.category.length > 0) {
-        queryParams.category = filters.category.join(",");
-      }
-      if (filters.assignedTo && filters.assignedTo.length > 0) {
-        queryParams.assignedTo = filters.assignedTo.join(",");
-      }
-      if (filters.department && filters.department.length > 0) {
-        queryParams.department = filters.department.join(",");
-      }
-      if (filters.dateRange?.start) {
-        queryParams.startDate = filters.dateRange.start.toISOString();
-      }
-      if (filters.dateRange?.end) {
-        queryParams.endDate = filters.dateRange.end.toISOString();
-      }
-      if (filters.escalated !== null) {
-        queryParams.escalated = filters.escalated;
-      }
-      if (filters.hasAttachments !== null) {
-        queryParams.hasAttachments = filters.hasAttachments;
-      }
-      if (
-        filters.resolutionTime &&
-        (filters.resolutionTime[0] !== 0 || filters.resolutionTime[1] !== 168)
-      ) {
-        queryParams.minResolutionTime = filters.resolutionTime[0];
-        queryParams.maxResolutionTime = filters.resolutionTime[1];
-      }
-      if (filters.tags && filters.tags.length > 0) {
-        queryParams.tags = filters.tags.join(",");
-      }
-
-      const response = await complaintsApi.getComplaints(queryParams);
+        ...buildFilterParams(),
+      });
 
       if (response.success && response.data) {
         setComplaints(response.data);
@@ -182,12 +236,57 @@ const ComplaintsList: React.FC = () => {
   // Handle search and filter changes
   const handleSearch = (term: string) => {
     setSearchTerm(term);
+    // Search results are ranked by relevance until another sort is picked
+    if (term.trim() && sortBy === "createdAt") {
+      setSortBy("relevance");
+      setSortOrder("desc");
+    } else if (!term.trim() && sortBy === "relevance") {
+      setSortBy("createdAt");
+    }
     setPage(0); // Reset to first page when searching
+    clearSelection();
   };
 
   const handleFiltersChange = (newFilters: any) => {
     setFilters(newFilters);
     setPage(0); // Reset to first page when filtering
+    clearSelection();
+  };
+
+  // Handle bulk selection
+  const clearSelection = () => {
+    setSelectedIds([]);
+    setAllMatchingSelected(false);
+  };
+
+  const pageIds = complaints.map((complaint) => complaint._id);
+  const pageSelected =
+    pageIds.length > 0 &&
+    (allMatchingSelected || pageIds.every((id) => selectedIds.includes(id)));
+
+  const toggleSelected = (id: string) => {
+    // Unticking one of all matching complaints keeps the rest of the page
+    const current = allMatchingSelected ? pageIds : selectedIds;
+    setAllMatchingSelected(false);
+    setSelectedIds(
+      current.includes(id)
+        ? current.filter((item) => item !== id)
+        : [...current, id]
+    );
+  };
+
+  const togglePageSelected = () => {
+    setAllMatchingSelected(false);
+    setSelectedIds((prev) =>
+      pageSelected
+        ? prev.filter((id) => !pageIds.includes(id))
+        : [...prev, ...pageIds.filter((id) => !prev.includes(id))]
+    );
+  };
+
+  const handleBulkComplete = () => {
+    clearSelection();
+    fetchComplaints();
   };
 
   // Handle sorting
@@ -201,59 +300,6 @@ const ComplaintsList: React.FC = () => {
     setSortMenuAnchor(null);
   };
 
-  // Handle export
-  const handleExport = async () => {
-    try {
-      // Build the same query parameters used for fetching
-      const queryParams: any = {
-        search: searchTerm.trim() || undefined,
-        sortBy,
-        sortOrder,
-        export: true,
-        format: "csv",
-      };
-
-      // Add filters
-      Object.keys(filters).forEach((key) => {
-        const value = filters[key];
-        if (value !== null && value !== undefined) {
-          if (Array.isArray(value) && value.length > 0) {
-            queryParams[key] = value.join(",");
-          } else if (key === "dateRange") {
-            if (value.start) queryParams.startDate = value.start.toISOString();
-            if (value.end) queryParams.endDate = value.end.toISOString();
-          } else if (
-            key === "resolutionTime" &&
-            (value[0] !== 0 || value[1] !== 168)
-          ) {
-            queryParams.minResolutionTime = value[0];
-            queryParams.maxResolutionTime = value[1];
-          } else {
-            queryParams[key] = value;
-          }
-        }
-      });
-
-      const response = await complaintsApi.exportComplaints(queryParams);
-
-      // Create and trigger download
-      const blob = new Blob([response.data], { type: "text/csv" });
-      const url = window.URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.style.display = "none";
-      a.href = url;
-      a.download = `complaints-export-${
-        new Date().toISOString().split("T")[0]
-      }.csv`;
-      document.body.appendChild(a);
-      a.click();
-      window.URL.revokeObjectURL(url);
-      document.body.removeChild(a);
-    } catch (error) {
-      showApiError(error, "Failed to export complaints");
-    }
-  };
-
   const getStatusColor = (status: string) => {
     switch (status) {
       case "submitted":
@@ -262,6 +308,8 @@ const ComplaintsList: React.FC = () => {
         return "primary";
       case "in-progress":
         return "warning";
+      case "awaiting-requester":
+        return "secondary";
       case "resolved":
         return "success";
       case "closed":
@@ -298,6 +346,18 @@ const ComplaintsList: React.FC = () => {
     });
   };
 
+  // Titles of search results show the matched words
+  const renderTitle = (complaint: Complaint) => {
+    const match = complaint.search?.snippets.find(
+      (snippet) => snippet.field === "title"
+    );
+    return match?.text === complaint.title ? (
+      <HighlightedText text={match.text} highlights={match.highlights} />
+    ) : (
+      complaint.title
+    );
+  };
+
   const getCategoryName = (categoryId: string) => {
     const category = categories.find((cat) => cat._id === categoryId);
     return category?.name || "Unknown";
@@ -323,7 +383,9 @@ const ComplaintsList: React.FC = () => {
             onClick={(e) => setSortMenuAnchor(e.currentTarget)}
           >
             Sort:{" "}
-            {sortBy === "createdAt"
+            {sortBy === "relevance"
+              ? "Relevance"
+              : sortBy === "createdAt"
               ? "Created"
               : sortBy === "updatedAt"
               ? "Updated"
@@ -350,6 +412,21 @@ const ComplaintsList: React.FC = () => {
         open={Boolean(sortMenuAnchor)}
         onClose={() => setSortMenuAnchor(null)}
       >
+        {searchTerm.trim() && (
+          <MenuItem
+            selected={sortBy === "relevance"}
+            onClick={() => {
+              setSortBy("relevance");
+              setSortOrder("desc");
+              setSortMenuAnchor(null);
+            }}
+          >
+            <ListItemIcon>
+              {sortBy === "relevance" ? <ArrowDownIcon /> : null}
+            </ListItemIcon>
+            <ListItemText>Relevance</ListItemText>
+          </MenuItem>
+        )}
         <MenuItem onClick={() => handleSort("createdAt")}>
           <ListItemIcon>
             {sortBy === "createdAt" && sortOrder === "asc" ? (
@@ -396,13 +473,27 @@ const ComplaintsList: React.FC = () => {
       <SearchAndFilter
         onSearch={handleSearch}
         onFiltersChange={handleFiltersChange}
-        onExport={handleExport}
+        onExport={() => setExportOpen(true)}
         categories={categories}
         departments={departments}
         staffMembers={staffMembers}
+        availableTags={tags}
         initialFilters={filters}
         showSavedFilters={true}
+        initialViewId={searchParams.get("view") || undefined}
       />
+      {canBulkEdit && (
+        <BulkActionBar
+          selectedIds={selectedIds}
+          matchingFilter={allMatchingSelected ? buildBulkFilter() : null}
+          matchingCount={totalCount}
+          staffMembers={staffMembers}
+          availableTags={tags}
+          onSelectAllMatching={() => setAllMatchingSelected(true)}
+          onClear={clearSelection}
+          onComplete={handleBulkComplete}
+        />
+      )}
       {/* Complaints Table */}
       <Card>
         <CardContent sx={{ p: 0 }}>
@@ -430,6 +521,19 @@ const ComplaintsList: React.FC = () => {
                 <Table>
                   <TableHead>
                     <TableRow>
+                      {canBulkEdit && (
+                        <TableCell padding="checkbox">
+                          <Checkbox
+                            checked={pageSelected}
+                            indeterminate={
+                              !pageSelected &&
+                              pageIds.some((id) => selectedIds.includes(id))
+                            }
+                            onChange={togglePageSelected}
+                            inputProps={{ "aria-label": "Select page" }}
+                          />
+                        </TableCell>
+                      )}
                       <TableCell>Ticket ID</TableCell>
                       <TableCell>Title</TableCell>
                       <TableCell>Category</TableCell>
@@ -442,18 +546,82 @@ const ComplaintsList: React.FC = () => {
                   </TableHead>
                   <TableBody>
                     {complaints.map((complaint) => (
-                      <TableRow key={complaint._id} hover>
+                      <TableRow
+                        key={complaint._id}
+                        hover
+                        selected={
+                          allMatchingSelected ||
+                          selectedIds.includes(complaint._id)
+                        }
+                      >
+                        {canBulkEdit && (
+                          <TableCell padding="checkbox">
+                            <Checkbox
+                              checked={
+                                allMatchingSelected ||
+                                selectedIds.includes(complaint._id)
+                              }
+                              onChange={() => toggleSelected(complaint._id)}
+                              inputProps={{
+                                "aria-label": `Select #${getComplaintReference(
+                                  complaint
+                                )}`,
+                              }}
+                            />
+                          </TableCell>
+                        )}
                         <TableCell>
                           <Typography variant="body2" fontWeight="medium">
-                            #
-                            {complaint.ticketId ||
-                              complaint._id.slice(-6).toUpperCase()}
+                            #{getComplaintReference(complaint)}
                           </Typography>
                         </TableCell>
                         <TableCell>
                           <Typography variant="body2" sx={{ maxWidth: 200 }}>
-                            {complaint.title}
+                            {renderTitle(complaint)}
                           </Typography>
+                          {complaint.search?.snippets
+                            .filter((snippet) => snippet.field !== "title")
+                            .map((snippet, index) => (
+                              <Typography
+                                key={index}
+                                variant="caption"
+                                color="text.secondary"
+                                component="div"
+                                sx={{ maxWidth: 320, mt: 0.5 }}
+                              >
+                                {snippet.field === "comment" && "Comment: "}
+                                {snippet.field === "internalNote" &&
+                                  "Internal note: "}
+                                <HighlightedText
+                                  text={snippet.text}
+                                  highlights={snippet.highlights}
+                                />
+                              </Typography>
+                            ))}
+                          {complaint.tags && complaint.tags.length > 0 && (
+                            <Box
+                              display="flex"
+                              flexWrap="wrap"
+                              gap={0.5}
+                              mt={0.5}
+                            >
+                              {complaint.tags.map((tag) => (
+                                <Chip
+                                  key={tag}
+                                  label={tag}
+                                  size="small"
+                                  sx={{
+                                    backgroundColor: tags.find(
+                                      (t) => t.name === tag
+                                    )?.color,
+                                    color: tags.some((t) => t.name === tag)
+                                      ? "#fff"
+                                      : undefined,
+                                  }}
+                                />
+                              ))}
+                            </Box>
+                          )}
                         </TableCell>
                         <TableCell>
                           <Typography variant="body2">
@@ -499,7 +667,11 @@ const ComplaintsList: React.FC = () => {
                           <Tooltip title="View Details">
                             <IconButton
                               onClick={() =>
-                                navigate(`/complaints/${complaint._id}`)
+                                navigate(
+                                  `/complaints/${
+                                    complaint.ticketId || complaint._id
+                                  }`
+                                )
                               }
                               color="primary"
                             >
@@ -529,6 +701,12 @@ const ComplaintsList: React.FC = () => {
           )}
         </CardContent>
       </Card>
+
+      <ExportComplaintsDialog
+        open={exportOpen}
+        onClose={() => setExportOpen(false)}
+        params={{ ...buildFilterParams(), sortBy, sortOrder }}
+      />
     </Container>
   );
 };
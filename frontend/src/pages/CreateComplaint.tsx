@@ -23,7 +23,10 @@ import { useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
 import { useNotificationHelpers } from "../context/NotificationContext";
 import { complaintsApi, categoriesApi } from "../services/api";
-import type { Category, ComplaintForm } from "../types";
+import DuplicateComplaintsDialog from "../components/complaint/DuplicateComplaintsDialog";
+import CustomFieldsForm from "../components/complaint/CustomFieldsForm";
+import { getComplaintReference } from "../utils/helpers";
+import type { Category, ComplaintForm, DuplicateComplaint } from "../types";
 
 const CreateComplaint: React.FC = () => {
   const navigate = useNavigate();
@@ -40,9 +43,15 @@ const CreateComplaint: React.FC = () => {
     category: "",
     priority: "medium",
     contactMethod: "email",
+    location: "",
+    customFields: {},
   });
   
   const [errors, setErrors] = useState<Record<string, string>>({});
+  const [fieldErrors, setFieldErrors] = useState<Record<string, string>>({});
+  const [duplicates, setDuplicates] = useState<DuplicateComplaint[]>([]);
+
+  const selectedCategory = categories.find(cat => cat._id === formData.category);
 
   // Load categories on component mount
   useEffect(() => {
@@ -81,8 +90,21 @@ const CreateComplaint: React.FC = () => {
       newErrors.category = "Category is required";
     }
 
+    // Required custom fields of the selected category
+    const newFieldErrors: Record<string, string> = {};
+    (selectedCategory?.customFields || []).forEach((field) => {
+      const value = formData.customFields?.[field.key];
+      if (field.required && (value === undefined || String(value).trim() === "")) {
+        newFieldErrors[field.key] = `${field.label} is required`;
+      }
+    });
+
     setErrors(newErrors);
-    return Object.keys(newErrors).length === 0;
+    setFieldErrors(newFieldErrors);
+    return (
+      Object.keys(newErrors).length === 0 &&
+      Object.keys(newFieldErrors).length === 0
+    );
   };
 
   const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
@@ -96,7 +118,15 @@ const CreateComplaint: React.FC = () => {
   };
 
   const handleSelectChange = (name: string) => (e: any) => {
-    setFormData((prev) => ({ ...prev, [name]: e.target.value }));
+    setFormData((prev) => ({
+      ...prev,
+      [name]: e.target.value,
+      // Each category has its own custom fields
+      ...(name === "category" && { customFields: {} }),
+    }));
+    if (name === "category") {
+      setFieldErrors({});
+    }
     
     // Clear error when user makes selection
     if (errors[name]) {
@@ -104,6 +134,46 @@ const CreateComplaint: React.FC = () => {
     }
   };
 
+  const handleCustomFieldChange = (key: string, value: string) => {
+    setFormData((prev) => ({
+      ...prev,
+      customFields: { ...prev.customFields, [key]: value },
+    }));
+
+    if (fieldErrors[key]) {
+      setFieldErrors((prev) => ({ ...prev, [key]: "" }));
+    }
+  };
+
+  const submitComplaint = async (ignoreDuplicates = false) => {
+    setLoading(true);
+    try {
+      const response = await complaintsApi.createComplaint({
+        ...formData,
+        ignoreDuplicates,
+      });
+      
+      if (response.success) {
+        showSuccess(
+          "Complaint Submitted Successfully", 
+          "Your complaint has been registered and will be reviewed shortly."
+        );
+        navigate("/complaints");
+      }
+    } catch (error: any) {
+      // The server found similar recent complaints; ask before submitting
+      const found = error.response?.status === 409 && error.response.data?.data?.duplicates;
+      if (found?.length) {
+        setDuplicates(found);
+      } else {
+        setDuplicates([]);
+        showApiError(error, "Failed to submit complaint");
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
 
@@ -111,26 +181,30 @@ const CreateComplaint: React.FC = () => {
       return;
     }
 
+    await submitComplaint();
+  };
+
+  const handleFollowDuplicate = async (duplicate: DuplicateComplaint) => {
     setLoading(true);
     try {
-      const response = await complaintsApi.createComplaint(formData);
-      
+      const response = await complaintsApi.followComplaint(duplicate.id);
       if (response.success) {
         showSuccess(
-          "Complaint Submitted Successfully", 
-          "Your complaint has been registered and will be reviewed shortly."
+          "Following Complaint",
+          `You will be notified when complaint #${getComplaintReference({
+            _id: duplicate.id,
+            ticketId: duplicate.ticketId,
+          })} is updated.`
         );
         navigate("/complaints");
       }
     } catch (error) {
-      showApiError(error, "Failed to submit complaint");
+      showApiError(error, "Failed to follow the complaint");
     } finally {
       setLoading(false);
     }
   };
 
-  const selectedCategory = categories.find(cat => cat._id === formData.category);
-
   return (
     <Container maxWidth="md" sx={{ mt: 4, mb: 4 }}>
       <Typography variant="h4" component="h1" gutterBottom>
@@ -209,6 +283,17 @@ const CreateComplaint: React.FC = () => {
               </Alert>
             )}
 
+            {/* Category Custom Fields */}
+            {selectedCategory?.customFields && selectedCategory.customFields.length > 0 && (
+              <CustomFieldsForm
+                fields={selectedCategory.customFields}
+                values={formData.customFields || {}}
+                errors={fieldErrors}
+                disabled={loading}
+                onChange={handleCustomFieldChange}
+              />
+            )}
+
             {/* Priority Selection */}
             <FormControl component="fieldset" margin="normal" disabled={loading}>
               <FormLabel component="legend">Priority Level</FormLabel>
@@ -281,6 +366,19 @@ const CreateComplaint: React.FC = () => {
               </Select>
             </FormControl>
 
+            {/* Location Field */}
+            <TextField
+              fullWidth
+              label="Location"
+              name="location"
+              value={formData.location}
+              onChange={handleChange}
+              helperText="Where is the issue? e.g. Building A, Room 101"
+              margin="normal"
+              disabled={loading}
+              inputProps={{ maxLength: 200 }}
+            />
+
             {/* Description Field */}
             <TextField
               fullWidth
@@ -346,6 +444,18 @@ const CreateComplaint: React.FC = () => {
           </Box>
         </CardContent>
       </Card>
+
+      <DuplicateComplaintsDialog
+        open={duplicates.length > 0}
+        duplicates={duplicates}
+        busy={loading}
+        onFollow={handleFollowDuplicate}
+        onView={(duplicate) =>
+          navigate(`/complaints/${duplicate.ticketId || duplicate.id}`)
+        }
+        onSubmitAnyway={() => submitComplaint(true)}
+        onClose={() => setDuplicates([])}
+      />
     </Container>
   );
 };
@@ -1,4 +1,4 @@
-import React from "react";
+import React, { useState, useEffect } from "react";
 import {
   Container,
   Typography,
@@ -6,17 +6,58 @@ import {
   CardContent,
   Button,
   Box,
+  List,
+  ListItemButton,
+  ListItemIcon,
+  ListItemText,
+  Chip,
+  Tooltip,
 } from "@mui/material";
 import {
   Assignment,
   AccessTime,
   CheckCircle,
   Warning,
+  BookmarkBorder,
+  Groups,
+  PushPin,
 } from "@mui/icons-material";
+import { useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
+import { useRealtimeNotifications } from "../context/RealtimeNotificationContext";
+import { savedViewsApi } from "../services/api";
+import type { SavedView } from "../types";
+
+// How often saved view counts are refreshed without realtime updates
+const VIEW_COUNTS_REFRESH_MS = 60 * 1000;
 
 const StaffDashboard: React.FC = () => {
   const { user } = useAuth();
+  const navigate = useNavigate();
+  const { notifications } = useRealtimeNotifications();
+  const [savedViews, setSavedViews] = useState<SavedView[]>([]);
+  const [viewsLoading, setViewsLoading] = useState(true);
+
+  // Saved views with live counts; refreshed periodically and whenever a
+  // realtime notification signals that complaints changed
+  useEffect(() => {
+    const fetchSavedViews = async () => {
+      try {
+        const response = await savedViewsApi.getViews(true);
+        if (response.success && response.data) {
+          setSavedViews(response.data);
+        }
+      } catch (error) {
+        console.error("Failed to load saved views:", error);
+      } finally {
+        setViewsLoading(false);
+      }
+    };
+
+    fetchSavedViews();
+    const interval = setInterval(fetchSavedViews, VIEW_COUNTS_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [notifications.length]);
 
   const statsCards = [
     {
@@ -98,6 +139,65 @@ const StaffDashboard: React.FC = () => {
             </Card>
           </Box>
 
+          {/* Saved Views */}
+          <Box sx={{ flex: "1 1 300px" }}>
+            <Card>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>
+                  Saved Views
+                </Typography>
+                {!viewsLoading && savedViews.length === 0 ? (
+                  <Typography color="text.secondary">
+                    Save filters on the complaints list to track them here.
+                  </Typography>
+                ) : (
+                  <List dense disablePadding>
+                    {savedViews.map((view) => (
+                      <ListItemButton
+                        key={view.id}
+                        onClick={() => navigate(`/complaints?view=${view.id}`)}
+                      >
+                        <ListItemIcon sx={{ minWidth: 36 }}>
+                          {view.isPinned ? (
+                            <PushPin fontSize="small" color="primary" />
+                          ) : view.visibility === "department" ? (
+                            <Tooltip title={`Shared with ${view.department}`}>
+                              <Groups fontSize="small" />
+                            </Tooltip>
+                          ) : (
+                            <BookmarkBorder fontSize="small" />
+                          )}
+                        </ListItemIcon>
+                        <ListItemText
+                          primary={view.name}
+                          secondary={
+                            view.isOwner
+                              ? undefined
+                              : typeof view.owner === "string"
+                              ? "Shared view"
+                              : `Shared by ${view.owner.name}`
+                          }
+                        />
+                        <Chip
+                          size="small"
+                          label={view.count ?? "–"}
+                          color={view.count ? "primary" : "default"}
+                        />
+                      </ListItemButton>
+                    ))}
+                  </List>
+                )}
+                <Button
+                  size="small"
+                  sx={{ mt: 1 }}
+                  onClick={() => navigate("/complaints")}
+                >
+                  All Complaints
+                </Button>
+              </CardContent>
+            </Card>
+          </Box>
+
           {/* Performance Metrics */}
           <Box sx={{ flex: "1 1 300px" }}>
             <Card>
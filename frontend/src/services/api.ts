@@ -19,6 +19,42 @@ import {
   JobStatus,
   PaginationParams,
   ComplaintFilters,
+  Feedback,
+  FeedbackForm,
+  Attachment,
+  StatusTransition,
+  CategoryWorkflow,
+  CategoryWorkflowDetails,
+  CategoryCustomFields,
+  ExportColumn,
+  ExportJob,
+  CustomFieldDefinition,
+  ComplaintSLA,
+  BusinessCalendar,
+  DeadlinePreview,
+  EscalationPolicy,
+  AvailableStaffResponse,
+  StaffAvailabilitySettings,
+  StaffShift,
+  OutOfOfficePeriod,
+  CapacityPolicy,
+  WorkloadOverview,
+  RebalanceProposal,
+  RebalanceMove,
+  RebalanceResult,
+  CommentVisibility,
+  CommentAuthor,
+  ComplaintComment,
+  CommentForm,
+  Tag,
+  TagForm,
+  ComplaintLink,
+  ComplaintLinkType,
+  LinkedComplaintSummary,
+  BulkActionRequest,
+  BulkActionResult,
+  SavedView,
+  SavedViewForm,
 } from "../types";
 
 // Configure axios defaults
@@ -80,6 +116,10 @@ export const authApi = {
     api.post("/auth/refresh").then((res) => res.data),
 };
 
+// Internal notes and public comments live under separate routes
+const threadPath = (visibility: CommentVisibility) =>
+  visibility === "internal" ? "notes" : "comments";
+
 // Complaints API
 export const complaintsApi = {
   getComplaints: (
@@ -90,6 +130,11 @@ export const complaintsApi = {
   getComplaintById: (id: string): Promise<ApiResponse<Complaint>> =>
     api.get(`/complaints/${id}`).then((res) => res.data),
 
+  getComplaintByTicketId: (ticketId: string): Promise<ApiResponse<Complaint>> =>
+    api
+      .get(`/complaints/by-ticket/${encodeURIComponent(ticketId)}`)
+      .then((res) => res.data),
+
   createComplaint: (
     complaintData: ComplaintForm
   ): Promise<ApiResponse<Complaint>> =>
@@ -110,6 +155,24 @@ export const complaintsApi = {
       .patch(`/complaints/${id}/status`, { status, remarks })
       .then((res) => res.data),
 
+  reopenComplaint: (
+    id: string,
+    reason: string
+  ): Promise<ApiResponse<Complaint>> =>
+    api.post(`/complaints/${id}/reopen`, { reason }).then((res) => res.data),
+
+  getTransitions: (
+    id: string
+  ): Promise<
+    ApiResponse<{
+      currentStatus: Complaint["status"];
+      transitions: StatusTransition[];
+    }>
+  > => api.get(`/complaints/${id}/transitions`).then((res) => res.data),
+
+  acknowledgeComplaint: (id: string): Promise<ApiResponse<ComplaintSLA>> =>
+    api.patch(`/complaints/${id}/acknowledge`).then((res) => res.data),
+
   assignComplaint: (
     id: string,
     assignedTo: string
@@ -119,7 +182,9 @@ export const complaintsApi = {
       .then((res) => res.data),
 
   // Staff assignment methods
-  getAvailableStaff: (categoryId: string): Promise<ApiResponse<User[]>> =>
+  getAvailableStaff: (
+    categoryId: string
+  ): Promise<ApiResponse<AvailableStaffResponse>> =>
     api.get(`/staff/available/${categoryId}`).then((res) => res.data),
 
   assignStaff: (id: string, staffId: string): Promise<ApiResponse<Complaint>> =>
@@ -133,29 +198,243 @@ export const complaintsApi = {
   deleteComplaint: (id: string): Promise<ApiResponse> =>
     api.delete(`/complaints/${id}`).then((res) => res.data),
 
-  uploadAttachment: (id: string, file: File): Promise<ApiResponse> => {
+  uploadAttachment: (id: string, file: File): Promise<ApiResponse> =>
+    complaintsApi.uploadAttachments(id, [file]),
+
+  // Attachment methods
+  uploadAttachments: (id: string, files: File[]): Promise<ApiResponse> => {
     const formData = new FormData();
-    formData.append("attachment", file);
+    files.forEach((file) => formData.append("files", file));
     return api
-      .post(`/complaints/${id}/attachments`, formData, {
+      .post(`/uploads/complaint/${id}/upload`, formData, {
         headers: { "Content-Type": "multipart/form-data" },
       })
       .then((res) => res.data);
   },
 
-  addInternalNote: (
+  getAttachments: (
+    id: string
+  ): Promise<
+    ApiResponse<{
+      attachments: (Attachment & { available: boolean })[];
+      totalCount: number;
+    }>
+  > => api.get(`/uploads/complaint/${id}/attachments`).then((res) => res.data),
+
+  downloadAttachment: (id: string, filename: string): Promise<Blob> =>
+    api
+      .get(`/uploads/complaint/${id}/download/${filename}`, {
+        responseType: "blob",
+      })
+      .then((res) => res.data),
+
+  deleteAttachment: (id: string, filename: string): Promise<ApiResponse> =>
+    api
+      .delete(`/uploads/complaint/${id}/attachment/${filename}`)
+      .then((res) => res.data),
+
+  // Conversation methods: internal notes (staff only) and public comments
+  getComments: (
     id: string,
-    note: string
-  ): Promise<ApiResponse<Complaint>> =>
-    api.post(`/complaints/${id}/notes`, { note }).then((res) => res.data),
+    visibility: CommentVisibility,
+    params?: {
+      page?: number;
+      limit?: number;
+      sort?: "createdAt" | "-createdAt";
+    }
+  ): Promise<ApiResponse<ComplaintComment[]>> =>
+    api
+      .get(`/complaints/${id}/${threadPath(visibility)}`, { params })
+      .then((res) => res.data),
+
+  addComment: (
+    id: string,
+    visibility: CommentVisibility,
+    comment: CommentForm
+  ): Promise<ApiResponse<ComplaintComment>> =>
+    api
+      .post(`/complaints/${id}/${threadPath(visibility)}`, comment)
+      .then((res) => res.data),
+
+  updateComment: (
+    id: string,
+    visibility: CommentVisibility,
+    commentId: string,
+    comment: CommentForm
+  ): Promise<ApiResponse<ComplaintComment>> =>
+    api
+      .patch(
+        `/complaints/${id}/${threadPath(visibility)}/${commentId}`,
+        comment
+      )
+      .then((res) => res.data),
 
-  exportComplaints: (params: any): Promise<any> =>
+  deleteComment: (
+    id: string,
+    visibility: CommentVisibility,
+    commentId: string
+  ): Promise<ApiResponse> =>
+    api
+      .delete(`/complaints/${id}/${threadPath(visibility)}/${commentId}`)
+      .then((res) => res.data),
+
+  getMentionableStaff: (id: string): Promise<ApiResponse<CommentAuthor[]>> =>
+    api.get(`/complaints/${id}/mentionable`).then((res) => res.data),
+
+  followComplaint: (
+    id: string
+  ): Promise<ApiResponse<{ id: string; ticketId?: string; title: string }>> =>
+    api.post(`/complaints/${id}/follow`).then((res) => res.data),
+
+  unfollowComplaint: (id: string): Promise<ApiResponse> =>
+    api.delete(`/complaints/${id}/follow`).then((res) => res.data),
+
+  // Link methods. Other complaints can be given by ID or ticket ID.
+  addLink: (
+    id: string,
+    complaintId: string,
+    type: ComplaintLinkType
+  ): Promise<
+    ApiResponse<{
+      links: ComplaintLink[];
+      mergedInto: LinkedComplaintSummary | null;
+    }>
+  > =>
+    api
+      .post(`/complaints/${id}/links`, { complaintId, type })
+      .then((res) => res.data),
+
+  removeLink: (
+    id: string,
+    linkedId: string
+  ): Promise<
+    ApiResponse<{
+      links: ComplaintLink[];
+      mergedInto: LinkedComplaintSummary | null;
+    }>
+  > =>
+    api.delete(`/complaints/${id}/links/${linkedId}`).then((res) => res.data),
+
+  mergeComplaint: (
+    id: string,
+    primaryId: string
+  ): Promise<
+    ApiResponse<{
+      primary: { id: string; ticketId?: string; title: string };
+      duplicate: { id: string; ticketId?: string; status: string };
+    }>
+  > =>
+    api.post(`/complaints/${id}/merge`, { primaryId }).then((res) => res.data),
+
+  bulkUpdate: (
+    request: BulkActionRequest
+  ): Promise<ApiResponse<BulkActionResult>> =>
+    api.post("/complaints/bulk", request).then((res) => res.data),
+
+  // Tag methods
+  addTags: (
+    id: string,
+    tags: string[]
+  ): Promise<ApiResponse<{ tags: string[] }>> =>
+    api.post(`/complaints/${id}/tags`, { tags }).then((res) => res.data),
+
+  removeTag: (
+    id: string,
+    tag: string
+  ): Promise<ApiResponse<{ tags: string[] }>> =>
+    api
+      .delete(`/complaints/${id}/tags/${encodeURIComponent(tag)}`)
+      .then((res) => res.data),
+
+  // Feedback methods
+  getFeedback: (id: string): Promise<ApiResponse<Feedback>> =>
+    api.get(`/complaints/${id}/feedback`).then((res) => res.data),
+
+  submitFeedback: (
+    id: string,
+    feedback: FeedbackForm
+  ): Promise<ApiResponse<Feedback>> =>
+    api.post(`/complaints/${id}/feedback`, feedback).then((res) => res.data),
+
+  respondToFeedback: (
+    id: string,
+    message: string
+  ): Promise<ApiResponse<Feedback>> =>
+    api
+      .patch(`/complaints/${id}/feedback/response`, { message })
+      .then((res) => res.data),
+
+  setFeedbackHelpful: (
+    id: string,
+    helpful: boolean
+  ): Promise<ApiResponse<{ helpfulCount: number; markedHelpful: boolean }>> =>
+    (helpful
+      ? api.post(`/complaints/${id}/feedback/helpful`)
+      : api.delete(`/complaints/${id}/feedback/helpful`)
+    ).then((res) => res.data),
+
+  // Resolves with the file, or with status 202 and the export job (as a
+  // JSON blob) when the export runs in the background
+  exportComplaints: (
+    params: Record<string, string | undefined>
+  ): Promise<AxiosResponse<Blob>> =>
     api
       .get("/complaints/export", {
         params,
         responseType: "blob", // Important for file downloads
       })
       .then((res) => res),
+
+  getExportColumns: (): Promise<ApiResponse<ExportColumn[]>> =>
+    api.get("/complaints/export/columns").then((res) => res.data),
+
+  getExportJob: (id: string): Promise<ApiResponse<ExportJob>> =>
+    api.get(`/complaints/exports/${id}`).then((res) => res.data),
+
+  // Case file of a complaint (staff/admin)
+  downloadReportPdf: (
+    id: string,
+    includeInternal = true
+  ): Promise<AxiosResponse<Blob>> =>
+    api
+      .get(`/complaints/${id}/report.pdf`, {
+        params: { includeInternal },
+        responseType: "blob",
+      })
+      .then((res) => res),
+
+  downloadExport: (id: string): Promise<AxiosResponse<Blob>> =>
+    api
+      .get(`/complaints/exports/${id}/download`, { responseType: "blob" })
+      .then((res) => res),
+};
+
+// Saved Views API
+export const savedViewsApi = {
+  getViews: (withCounts = false): Promise<ApiResponse<SavedView[]>> =>
+    api
+      .get("/complaints/views", {
+        params: withCounts ? { counts: true } : undefined,
+      })
+      .then((res) => res.data),
+
+  createView: (view: SavedViewForm): Promise<ApiResponse<SavedView>> =>
+    api.post("/complaints/views", view).then((res) => res.data),
+
+  updateView: (
+    id: string,
+    updates: Partial<Omit<SavedViewForm, "pinned">>
+  ): Promise<ApiResponse<SavedView>> =>
+    api.put(`/complaints/views/${id}`, updates).then((res) => res.data),
+
+  deleteView: (id: string): Promise<ApiResponse> =>
+    api.delete(`/complaints/views/${id}`).then((res) => res.data),
+
+  pinView: (id: string): Promise<ApiResponse> =>
+    api.put(`/complaints/views/${id}/pin`).then((res) => res.data),
+
+  unpinView: (id: string): Promise<ApiResponse> =>
+    api.delete(`/complaints/views/${id}/pin`).then((res) => res.data),
 };
 
 // Categories API
@@ -179,6 +458,31 @@ export const categoriesApi = {
 
   deleteCategory: (id: string): Promise<ApiResponse> =>
     api.delete(`/admin/categories/${id}`).then((res) => res.data),
+
+  getWorkflow: (id: string): Promise<ApiResponse<CategoryWorkflowDetails>> =>
+    api.get(`/admin/categories/${id}/workflow`).then((res) => res.data),
+
+  updateWorkflow: (
+    id: string,
+    workflow: CategoryWorkflow
+  ): Promise<ApiResponse> =>
+    api
+      .put(`/admin/categories/${id}/workflow`, workflow)
+      .then((res) => res.data),
+
+  resetWorkflow: (id: string): Promise<ApiResponse> =>
+    api.delete(`/admin/categories/${id}/workflow`).then((res) => res.data),
+
+  getCustomFields: (id: string): Promise<ApiResponse<CategoryCustomFields>> =>
+    api.get(`/admin/categories/${id}/fields`).then((res) => res.data),
+
+  updateCustomFields: (
+    id: string,
+    fields: CustomFieldDefinition[]
+  ): Promise<ApiResponse<CategoryCustomFields>> =>
+    api
+      .put(`/admin/categories/${id}/fields`, { fields })
+      .then((res) => res.data),
 };
 
 // Admin API
@@ -208,6 +512,88 @@ export const adminApi = {
   toggleUserStatus: (userId: string): Promise<ApiResponse<User>> =>
     api.patch(`/admin/users/${userId}/toggle-status`).then((res) => res.data),
 
+  // Business calendars
+  getCalendars: (): Promise<ApiResponse<BusinessCalendar[]>> =>
+    api.get("/admin/calendars").then((res) => res.data),
+
+  createCalendar: (
+    calendar: Partial<BusinessCalendar>
+  ): Promise<ApiResponse<BusinessCalendar>> =>
+    api.post("/admin/calendars", calendar).then((res) => res.data),
+
+  updateCalendar: (
+    id: string,
+    updates: Partial<BusinessCalendar>
+  ): Promise<ApiResponse<BusinessCalendar>> =>
+    api.put(`/admin/calendars/${id}`, updates).then((res) => res.data),
+
+  deleteCalendar: (id: string): Promise<ApiResponse> =>
+    api.delete(`/admin/calendars/${id}`).then((res) => res.data),
+
+  previewDeadline: (params: {
+    hours: number;
+    department?: string;
+    start?: string;
+  }): Promise<ApiResponse<DeadlinePreview>> =>
+    api.get("/admin/calendars/preview", { params }).then((res) => res.data),
+
+  // Escalation policies
+  getEscalationPolicies: (): Promise<ApiResponse<EscalationPolicy[]>> =>
+    api.get("/admin/escalation-policies").then((res) => res.data),
+
+  createEscalationPolicy: (
+    policy: Partial<EscalationPolicy>
+  ): Promise<ApiResponse<EscalationPolicy>> =>
+    api.post("/admin/escalation-policies", policy).then((res) => res.data),
+
+  updateEscalationPolicy: (
+    id: string,
+    updates: Partial<EscalationPolicy>
+  ): Promise<ApiResponse<EscalationPolicy>> =>
+    api
+      .put(`/admin/escalation-policies/${id}`, updates)
+      .then((res) => res.data),
+
+  deleteEscalationPolicy: (id: string): Promise<ApiResponse> =>
+    api.delete(`/admin/escalation-policies/${id}`).then((res) => res.data),
+
+  // Capacity policies
+  getCapacityPolicies: (): Promise<ApiResponse<CapacityPolicy[]>> =>
+    api.get("/admin/capacity-policies").then((res) => res.data),
+
+  createCapacityPolicy: (
+    policy: Partial<CapacityPolicy>
+  ): Promise<ApiResponse<CapacityPolicy>> =>
+    api.post("/admin/capacity-policies", policy).then((res) => res.data),
+
+  updateCapacityPolicy: (
+    id: string,
+    updates: Partial<CapacityPolicy>
+  ): Promise<ApiResponse<CapacityPolicy>> =>
+    api.put(`/admin/capacity-policies/${id}`, updates).then((res) => res.data),
+
+  deleteCapacityPolicy: (id: string): Promise<ApiResponse> =>
+    api.delete(`/admin/capacity-policies/${id}`).then((res) => res.data),
+
+  // Tag management
+  getTags: (params?: {
+    department?: string;
+    includeInactive?: boolean;
+  }): Promise<ApiResponse<Tag[]>> =>
+    api.get("/admin/tags", { params }).then((res) => res.data),
+
+  createTag: (tag: TagForm): Promise<ApiResponse<Tag>> =>
+    api.post("/admin/tags", tag).then((res) => res.data),
+
+  updateTag: (
+    id: string,
+    updates: Partial<TagForm>
+  ): Promise<ApiResponse<Tag>> =>
+    api.put(`/admin/tags/${id}`, updates).then((res) => res.data),
+
+  deleteTag: (id: string): Promise<ApiResponse> =>
+    api.delete(`/admin/tags/${id}`).then((res) => res.data),
+
   // Department management
   getAllDepartments: (): Promise<ApiResponse<any[]>> =>
     api.get("/admin/departments").then((res) => res.data),
@@ -249,6 +635,18 @@ export const adminApi = {
       .get("/admin/analytics/report", { params: options })
       .then((res) => res.data),
 
+  downloadAnalyticsReportPdf: (options?: {
+    startDate?: string;
+    endDate?: string;
+    trendDays?: number;
+  }): Promise<AxiosResponse<Blob>> =>
+    api
+      .get("/admin/analytics/report.pdf", {
+        params: options,
+        responseType: "blob",
+      })
+      .then((res) => res),
+
   // Escalation management
   getEscalationPreview: (): Promise<ApiResponse<EscalationPreview>> =>
     api.get("/admin/escalations/preview").then((res) => res.data),
@@ -317,6 +715,39 @@ export const staffApi = {
     api
       .get(`/staff/performance/${staffId}`, { params: { days } })
       .then((res) => res.data),
+
+  getWorkload: (department?: string): Promise<ApiResponse<WorkloadOverview>> =>
+    api
+      .get("/staff/workload", { params: { department } })
+      .then((res) => res.data),
+
+  getRebalanceProposal: (
+    department?: string
+  ): Promise<ApiResponse<RebalanceProposal>> =>
+    api
+      .get("/staff/workload/rebalance", { params: { department } })
+      .then((res) => res.data),
+
+  applyRebalance: (
+    moves: RebalanceMove[]
+  ): Promise<ApiResponse<RebalanceResult>> =>
+    api.post("/staff/workload/rebalance", { moves }).then((res) => res.data),
+
+  getAvailability: (
+    staffId: string
+  ): Promise<ApiResponse<StaffAvailabilitySettings>> =>
+    api.get(`/staff/availability/${staffId}`).then((res) => res.data),
+
+  updateAvailability: (
+    staffId: string,
+    availability: {
+      shifts?: StaffShift[];
+      outOfOffice?: OutOfOfficePeriod[];
+    }
+  ): Promise<ApiResponse<StaffAvailabilitySettings>> =>
+    api
+      .put(`/staff/availability/${staffId}`, availability)
+      .then((res) => res.data),
 };
 
 // Export default API instance for custom requests
@@ -6,48 +6,308 @@ export interface User {
   phone?: string;
   department?: string;
   role: "user" | "staff" | "admin";
+  skills?: string[];
+  capacity?: number;
+  availability?: {
+    shifts: StaffShift[];
+    outOfOffice: OutOfOfficePeriod[];
+  };
   isActive: boolean;
   createdAt: string;
   updatedAt: string;
 }
 
 // Complaint Types
+export type ComplaintStatusPhase =
+  | "submitted"
+  | "assigned"
+  | "in-progress"
+  | "awaiting-requester"
+  | "escalated"
+  | "resolved"
+  | "closed";
+
 export interface Complaint {
   _id: string;
-  ticketId: string;
+  ticketId?: string; // Missing on complaints created before ticket IDs
   title: string;
   description: string;
   category: Category;
+  location?: string;
+  // Values of the category's custom fields by key; dates are ISO strings
+  customFields?: Record<string, CustomFieldValue>;
+  search?: ComplaintSearchMatch; // Only in search results
   priority: "low" | "medium" | "high" | "urgent";
-  status:
-    | "submitted"
-    | "assigned"
-    | "in-progress"
-    | "escalated"
-    | "resolved"
-    | "closed";
+  // Built-in status, or a custom status defined by the category workflow
+  status: ComplaintStatusPhase | (string & {});
+  statusPhase?: ComplaintStatusPhase;
   user: User;
   assignedTo?: User;
+  assignedAt?: string | null;
+  tags?: string[];
+  followers?: string[];
+  links?: ComplaintLink[]; // Staff only
+  mergedInto?: LinkedComplaintSummary | null;
+  mergedAt?: string | null;
   contactMethod: "email" | "phone" | "in-person";
   deadline: string;
   resolvedAt?: string;
+  // Until when the complainant may reopen the resolved complaint
+  reopenDeadline?: string | null;
+  reopenCount?: number;
+  reopenHistory?: ReopenHistoryItem[];
+  autoClosedAt?: string | null;
+  sla?: ComplaintSLA;
   escalation: {
     isEscalated: boolean;
     escalatedAt?: string;
     escalatedBy?: string;
     reason?: string;
+    level?: number;
+    levelName?: string;
+    nextEscalationAt?: string | null;
+    history?: EscalationHistoryItem[];
   };
   statusHistory: StatusHistoryItem[];
   attachments: Attachment[];
-  internalNotes: InternalNote[];
+  internalNotes?: InternalNote[];
+  feedback?: Feedback | string | null;
   createdAt: string;
   updatedAt: string;
 }
 
+export interface ReopenHistoryItem {
+  reopenedAt: string;
+  reopenedBy?: string;
+  fromStatus: string;
+  toStatus: string;
+  reason: string;
+}
+
+export type ComplaintLinkType =
+  | "duplicate_of"
+  | "duplicated_by"
+  | "related_to"
+  | "caused_by"
+  | "causes"
+  | "parent_of"
+  | "child_of";
+
+export interface LinkedComplaintSummary {
+  id: string;
+  ticketId?: string;
+  title: string;
+  status: string;
+  statusPhase?: ComplaintStatusPhase;
+}
+
+export interface ComplaintLink {
+  type: ComplaintLinkType;
+  complaint: LinkedComplaintSummary;
+  createdBy?: string;
+  createdAt: string;
+}
+
+export type SLATier = "acknowledge" | "first_response" | "resolution";
+
+export interface ComplaintSLA {
+  acknowledgeDueAt?: string;
+  acknowledgedAt?: string | null;
+  acknowledgedBy?: string | null;
+  firstResponseDueAt?: string;
+  firstRespondedAt?: string | null;
+  firstRespondedBy?: string | null;
+  escalateAt?: string | null;
+  // Set while the complaint awaits the complainant
+  pausedAt?: string | null;
+  pausedMs?: number;
+  breaches: Array<{ tier: SLATier; dueAt?: string; detectedAt: string }>;
+}
+
+export interface StatusTransition {
+  status: Complaint["status"];
+  label: string;
+  description: string;
+  phase: ComplaintStatusPhase;
+  requiresRemarks: boolean;
+}
+
+export interface WorkflowStatusDefinition {
+  key: string;
+  label: string;
+  description?: string;
+  phase: ComplaintStatusPhase;
+}
+
+export interface WorkflowTransitionDefinition {
+  from: string;
+  to: string;
+  roles: Array<"user" | "staff" | "admin" | "system">;
+  requiresRemarks?: boolean;
+}
+
+export interface CategoryWorkflow {
+  statuses: WorkflowStatusDefinition[];
+  transitions: WorkflowTransitionDefinition[];
+}
+
+export interface CategoryWorkflowDetails {
+  category: { id: string; name: string };
+  isCustom: boolean;
+  custom: Partial<CategoryWorkflow>;
+  effective: {
+    initialStatus: string;
+    statuses: Record<
+      string,
+      { label: string; description?: string; phase: ComplaintStatusPhase }
+    >;
+    transitions: WorkflowTransitionDefinition[];
+  };
+  builtInStatuses: ComplaintStatusPhase[];
+}
+
+// Why a complaint matched a search
+export interface SearchSnippet {
+  field: "title" | "description" | "comment" | "internalNote";
+  text: string;
+  highlights: [number, number][]; // Start and end offsets in text
+}
+
+export interface ComplaintSearchMatch {
+  score: number | null; // Text relevance; null for field-only searches
+  snippets: SearchSnippet[];
+}
+
+// Category custom fields complainants fill in
+export type CustomFieldType = "text" | "number" | "select" | "date";
+
+export type CustomFieldValue = string | number;
+
+export interface CustomFieldDefinition {
+  key: string;
+  label: string;
+  type: CustomFieldType;
+  required?: boolean;
+  helpText?: string;
+  options?: string[]; // Select fields only
+  // min/max bound numbers and the length of text
+  validation?: { min?: number; max?: number; pattern?: string };
+}
+
+// Saved complaint list views
+export type SavedViewVisibility = "private" | "department";
+
+// List filters as sent to GET /complaints (status, priority, category,
+// assignedTo and tags are comma-separated; cf.<key> filters custom fields)
+export type SavedViewFilters = Record<string, string>;
+
+export interface SavedView {
+  id: string;
+  name: string;
+  owner: { _id: string; name: string } | string;
+  filters: SavedViewFilters;
+  visibility: SavedViewVisibility;
+  department?: string | null;
+  isOwner: boolean;
+  isPinned: boolean;
+  count?: number | null; // Matching complaints, when requested
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface SavedViewForm {
+  name: string;
+  filters: SavedViewFilters;
+  visibility?: SavedViewVisibility;
+  pinned?: boolean;
+}
+
+// Complaint exports
+export type ExportFormat = "csv" | "xlsx" | "ndjson";
+
+export interface ExportColumn {
+  key: string;
+  header: string;
+  default: boolean; // Included when no columns are chosen
+}
+
+// Exports too large to download directly run in the background
+export interface ExportJob {
+  id: string;
+  format: ExportFormat;
+  columns: string[];
+  status: "pending" | "processing" | "completed" | "failed";
+  total: number;
+  rowCount: number;
+  file?: { filename: string; contentType: string; size: number };
+  error?: string | null;
+  expiresAt: string;
+  createdAt: string;
+}
+
+export interface CategoryCustomFields {
+  category: { id: string; name: string };
+  fields: CustomFieldDefinition[];
+}
+
+export interface EscalationHistoryItem {
+  level: number;
+  levelName?: string;
+  escalatedAt: string;
+  escalatedBy?: string | null;
+  reason?: string;
+  notified: string[];
+}
+
+export interface EscalationPolicy {
+  _id: string;
+  name: string;
+  department?: string | null;
+  levels: Array<{
+    name: string;
+    users: Array<string | Pick<User, "_id" | "name" | "email">>;
+    roles: Array<"staff" | "admin">;
+    timeoutHours?: number;
+  }>;
+  isActive: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface CapacityPolicy {
+  _id: string;
+  name: string;
+  department?: string | null;
+  defaultCapacity: number;
+  priorityWeights: Record<"low" | "medium" | "high" | "urgent", number>;
+  isActive: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface Tag {
+  id: string;
+  name: string;
+  color: string;
+  description?: string;
+  department?: string | null; // null for tags usable in every department
+  isActive: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface TagForm {
+  name: string;
+  color: string;
+  description?: string;
+  department: string | null;
+  isActive: boolean;
+}
+
 export interface StatusHistoryItem {
   status: string;
   timestamp: string;
-  updatedBy: string;
+  updatedBy: string | null;
   remarks?: string;
 }
 
@@ -64,37 +324,121 @@ export interface Attachment {
   };
 }
 
+// Notes written before the conversation thread existed
 export interface InternalNote {
   note: string;
   addedBy: User;
   addedAt: string;
 }
 
+// Conversation Types
+export type CommentVisibility = "internal" | "public";
+
+export interface CommentAuthor {
+  id: string;
+  name: string;
+  email: string;
+  role: User["role"];
+  department?: string;
+}
+
+export interface ComplaintComment {
+  id: string;
+  complaint: string;
+  author: CommentAuthor;
+  visibility: CommentVisibility;
+  body: string;
+  mentions: Pick<CommentAuthor, "id" | "name" | "email">[];
+  editedAt?: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface CommentForm {
+  body: string;
+  mentions?: string[];
+}
+
 // Category Types
+export type AssignmentRuleCondition =
+  | "priority"
+  | "keyword"
+  | "department"
+  | "user_role"
+  | "time_of_day";
+
+export type AssignmentStrategy = "least_loaded" | "round_robin" | "skills";
+
+export interface AssignmentRule {
+  condition: AssignmentRuleCondition;
+  // time_of_day takes "HH:mm-HH:mm"; other conditions one value or several
+  value: string | string[];
+  assignTo: string;
+}
+
+export interface CategoryAutoAssignment {
+  enabled: boolean;
+  strategy: AssignmentStrategy;
+  skills: string[];
+  rules: AssignmentRule[];
+}
+
 export interface Category {
   _id: string;
   name: string;
   description: string;
   department: string;
   resolutionTimeHours: number;
+  autoAssignment?: CategoryAutoAssignment;
+  customFields?: CustomFieldDefinition[];
   isActive: boolean;
   createdAt: string;
   updatedAt: string;
 }
 
 // Feedback Types
+export type FeedbackAspect =
+  | "resolution"
+  | "timeliness"
+  | "communication"
+  | "professionalism";
+
 export interface Feedback {
   _id: string;
   complaint: string;
-  user: string;
-  overallRating: number;
-  responseTimeRating: number;
-  resolutionQualityRating: number;
-  communicationRating: number;
+  user?: string | { _id: string; name: string };
+  rating: number;
   comments?: string;
+  aspects?: Partial<
+    Record<FeedbackAspect, { rating?: number; comment?: string }>
+  >;
+  improvementSuggestions?: string;
+  wouldRecommend?: boolean | null;
+  tags?: string[];
+  isAnonymous: boolean;
+  isPublic: boolean;
+  adminResponse?: {
+    message?: string;
+    respondedBy?: string | { _id: string; name: string };
+    respondedAt?: string;
+  };
+  helpful: {
+    count: number;
+    users: string[];
+  };
+  sentiment?: "positive" | "neutral" | "negative";
   createdAt: string;
 }
 
+export interface FeedbackForm {
+  rating: number;
+  comments?: string;
+  aspects?: Partial<Record<FeedbackAspect, { rating?: number }>>;
+  wouldRecommend?: boolean;
+  isAnonymous?: boolean;
+  isPublic?: boolean;
+}
+
 // Dashboard Analytics Types
 export interface DashboardStats {
   overview: {
@@ -103,6 +447,9 @@ export interface DashboardStats {
     resolvedComplaints: number;
     overdueComplaints: number;
     escalatedComplaints: number;
+    reopenedComplaints?: number;
+    totalReopens?: number;
+    autoClosedComplaints?: number;
     avgResolutionTimeHours: string;
   };
   breakdown: {
@@ -112,6 +459,7 @@ export interface DashboardStats {
   performance: {
     resolutionRate: string;
     escalationRate: string;
+    reopenRate?: string;
   };
 }
 
@@ -140,10 +488,21 @@ export interface CategoryAnalytics {
     totalComplaints: number;
     resolved: number;
     escalated: number;
+    reopened?: number;
     avgResolutionTime: string;
     resolutionRate: string;
     escalationRate: string;
+    reopenRate?: string;
     priorityBreakdown: Record<string, number>;
+    tagBreakdown: Record<string, number>;
+  }[];
+  tags: {
+    tag: string;
+    color: string | null;
+    totalComplaints: number;
+    resolved: number;
+    escalated: number;
+    resolutionRate: string;
   }[];
   summary: {
     totalCategories: number;
@@ -162,9 +521,11 @@ export interface StaffAnalytics {
     totalAssigned: number;
     resolved: number;
     escalated: number;
+    reopened?: number;
     avgResolutionTime: string;
     resolutionRate: string;
     escalationRate: string;
+    reopenRate?: string;
   }[];
   summary: {
     totalActiveStaff: number;
@@ -174,20 +535,144 @@ export interface StaffAnalytics {
 }
 
 // Staff Management Types
+export interface WorkloadCapacity {
+  total: number;
+  byPriority: Record<string, number>;
+  highPriority: number;
+  weightedLoad: number;
+  capacity: number;
+  headroom: number;
+  utilization: number; // 0-1 (over 1 when overloaded)
+  overloaded: boolean;
+  priorityWeights: Record<string, number>;
+}
+
 export interface StaffWorkload {
   _id: string;
   name: string;
   email: string;
   department: string;
   role: string;
-  workload: {
-    total: number;
-    byPriority: Record<string, number>;
+  workload: WorkloadCapacity & {
+    availabilityScore?: number;
+  };
+  recommended?: boolean;
+}
+
+export interface WorkloadOverview {
+  staff: Array<{
+    id: string;
+    name: string;
+    email: string;
+    role: string;
+    department?: string;
+    availability: StaffAvailability;
+    workload: WorkloadCapacity;
+  }>;
+  departments: Array<{
+    department: string;
+    staff: number;
+    openComplaints: number;
+    weightedLoad: number;
+    capacity: number;
+    utilization: number;
+    overloadedStaff: number;
+  }>;
+}
+
+export interface RebalanceMove {
+  complaintId: string;
+  toStaffId: string;
+}
+
+export interface RebalanceProposal {
+  proposals: Array<{
+    complaint: {
+      id: string;
+      title: string;
+      priority: string;
+      status: string;
+      category: string;
+    };
+    from: { id: string; name: string; department?: string };
+    to: { id: string; name: string; department?: string };
+    weight: number;
+  }>;
+  unresolved: Array<{
+    staff: { id: string; name: string };
+    weightedLoad: number;
+    capacity: number;
+    excess: number;
+  }>;
+}
+
+export interface RebalanceResult {
+  applied: number;
+  failed: number;
+  results: Array<RebalanceMove & { success: boolean; message?: string }>;
+}
+
+// Staff Availability Types
+export type StaffAvailabilityStatus =
+  | "available"
+  | "on_shift"
+  | "off_shift"
+  | "out_of_office";
+
+export interface StaffShift {
+  day: number; // 0 (Sunday) - 6 (Saturday)
+  start: string; // HH:mm, local to the department's business calendar
+  end: string;
+}
+
+export interface OutOfOfficePeriod {
+  _id?: string;
+  start: string;
+  end: string;
+  reason?: string;
+  delegate?:
+    | string
+    | { _id: string; name: string; email: string; department?: string }
+    | null;
+}
+
+export interface StaffAvailability {
+  available: boolean;
+  status: StaffAvailabilityStatus;
+  until?: string;
+  availableAt?: string;
+  reason?: string;
+  delegate?: string | null;
+}
+
+export interface StaffAvailabilitySettings {
+  staff?: { id: string; name: string; email: string; department?: string };
+  shifts: StaffShift[];
+  outOfOffice: OutOfOfficePeriod[];
+  status: StaffAvailability;
+}
+
+export interface AvailableStaffMember extends Omit<User, "availability"> {
+  workload: WorkloadCapacity & {
     availabilityScore: number;
+    hasCapacity: boolean;
   };
+  availability: StaffAvailability;
   recommended: boolean;
 }
 
+export interface AvailableStaffResponse {
+  category: { name: string; department: string };
+  availableStaff: AvailableStaffMember[];
+  recommended: AvailableStaffMember[];
+  summary: {
+    totalStaff: number;
+    availableNow: number;
+    recommendedStaff: number;
+    avgWorkload: number;
+  };
+}
+
 export interface AssignmentData {
   complaintId: string;
   staffId: string;
@@ -215,6 +700,26 @@ export interface AtRiskComplaint extends Complaint {
   riskLevel: "low" | "medium" | "high" | "critical";
 }
 
+export interface BusinessCalendar {
+  _id: string;
+  name: string;
+  department?: string | null;
+  timeZone: string;
+  workingHours: Array<{ day: number; start: string; end: string }>;
+  holidays: Array<{ date: string; name?: string; recurring?: boolean }>;
+  isActive: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface DeadlinePreview {
+  start: string;
+  hours: number;
+  deadline: string;
+  calendar: { id: string; name: string; timeZone: string } | null;
+  wallClockHours: number;
+}
+
 // API Response Types
 export interface ApiResponse<T = any> {
   success: boolean;
@@ -258,6 +763,22 @@ export interface ComplaintForm {
   category: string;
   priority: "low" | "medium" | "high" | "urgent";
   contactMethod: "email" | "phone" | "in-person";
+  location?: string;
+  customFields?: Record<string, CustomFieldValue>;
+  ignoreDuplicates?: boolean; // Submit even if similar complaints exist
+}
+
+// A recent complaint that looks like the one being submitted
+export interface DuplicateComplaint {
+  id: string;
+  ticketId?: string;
+  title: string;
+  location?: string;
+  status: string;
+  createdAt: string;
+  similarity: number; // 0-1
+  isOwn: boolean;
+  isFollowing: boolean;
 }
 
 export interface UpdateStatusForm {
@@ -316,9 +837,46 @@ export interface ComplaintFilters {
     start: Date;
     end: Date;
   };
+  tags?: string[];
   search?: string;
 }
 
+// Bulk Action Types
+export type BulkAction =
+  | "assign"
+  | "status"
+  | "priority"
+  | "tag"
+  | "escalate"
+  | "close";
+
+export interface BulkActionRequest {
+  action: BulkAction;
+  ids?: string[]; // Either the selected complaints...
+  filter?: Record<string, string>; // ...or every complaint matching a filter
+  assignedTo?: string;
+  status?: string;
+  priority?: Complaint["priority"];
+  tags?: string[];
+  remarks?: string;
+  reason?: string;
+}
+
+export interface BulkActionItemResult {
+  id: string;
+  ticketId?: string;
+  success: boolean;
+  message: string;
+}
+
+export interface BulkActionResult {
+  action: BulkAction;
+  total: number;
+  succeeded: number;
+  failed: number;
+  results: BulkActionItemResult[];
+}
+
 export interface PaginationParams {
   page: number;
   limit: number;
@@ -76,6 +76,7 @@ export const formatComplaintStatus = (status: string): string => {
     submitted: "Submitted",
     pending: "Pending",
     in_progress: "In Progress",
+    "awaiting-requester": "Awaiting Requester",
     resolved: "Resolved",
     closed: "Closed",
     escalated: "Escalated",
@@ -127,6 +128,7 @@ export const getStatusColor = (
     submitted: "info",
     pending: "warning",
     in_progress: "primary",
+    "awaiting-requester": "secondary",
     resolved: "success",
     closed: "default",
     escalated: "error",
@@ -166,6 +168,17 @@ export const getPriorityColor = (
   return colorMap[priority] || "default";
 };
 
+// Ticket ID of a complaint, or a short ID for complaints created before
+// ticket IDs existed
+export const getComplaintReference = (complaint: {
+  _id: string;
+  ticketId?: string;
+}): string => complaint.ticketId || complaint._id.slice(-6).toUpperCase();
+
+// Whether a value looks like a ticket ID (e.g. IT-2026-000123)
+export const isTicketId = (value: string): boolean =>
+  /^[A-Z]{2,5}-\d{4}-\d{6,}$/i.test(value);
+
 // Truncate text with ellipsis
 export const truncateText = (text: string, maxLength: number): string => {
   if (text.length <= maxLength) return text;
@@ -242,3 +255,20 @@ export const fileToBase64 = (file: File): Promise<string> => {
     reader.onerror = (error) => reject(error);
   });
 };
+
+// Save a downloaded file
+export const downloadBlob = (blob: Blob, filename: string): void => {
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.style.display = "none";
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  window.URL.revokeObjectURL(url);
+  document.body.removeChild(a);
+};
+
+// Name the server gives complaint exports
+export const getExportFilename = (format: string): string =>
+  `complaints-export-${new Date().toISOString().split("T")[0]}.${format}`;